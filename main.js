@@ -5,7 +5,27 @@ const { initDatabase, ensureTablesExist, waitForDatabaseReady } = require('./src
 const contactController = require('./src/controllers/ContactController');
 const templateController = require('./src/controllers/TemplateController');
 const messageController = require('./src/controllers/MessageController');
-const whatsAppService = require('./src/services/WhatsAppService');
+const campaignController = require('./src/controllers/CampaignController');
+const tagController = require('./src/controllers/TagController');
+const segmentController = require('./src/controllers/SegmentController');
+const doNotContactController = require('./src/controllers/DoNotContactController');
+const inboxController = require('./src/controllers/InboxController');
+const autoReplyController = require('./src/controllers/AutoReplyController');
+const analyticsController = require('./src/controllers/AnalyticsController');
+const recurringCampaignController = require('./src/controllers/RecurringCampaignController');
+const birthdayController = require('./src/controllers/BirthdayController');
+const blackoutController = require('./src/controllers/BlackoutController');
+const whatsAppAccountController = require('./src/controllers/WhatsAppAccountController');
+const numberCheckController = require('./src/controllers/NumberCheckController');
+const phoneNumberController = require('./src/controllers/PhoneNumberController');
+const duplicateContactController = require('./src/controllers/DuplicateContactController');
+const whatsAppAccounts = require('./src/services/WhatsAppAccounts');
+// The connection screens and the heartbeat below manage the default account
+const whatsAppService = whatsAppAccounts.getDefault();
+const sendQueue = require('./src/services/SendQueue');
+const optOutService = require('./src/services/OptOutService');
+const phoneNumberService = require('./src/services/PhoneNumberService');
+const autoReplyService = require('./src/services/AutoReplyService');
 const fs = require('fs');
 const { promisify } = require('util');
 const readFileAsync = promisify(fs.readFile); // Use promisify instead of fs/promises for compatibility
@@ -26,25 +46,7 @@ let whatsAppRestartCount = 0;
 const MAX_WHATSAPP_RESTARTS = 5; // Max restarts in a 30-minute period
 let whatsAppRestartTimer = null;
 let whatsAppHeartbeatInterval = null;
-
-// Helper function to format phone numbers to E.164 format
-function formatPhoneNumber(phoneNumber) {
-  if (!phoneNumber) return '';
-  
-  // Convert to string if it's not already
-  phoneNumber = phoneNumber.toString();
-  
-  // Remove all non-digit characters except the leading +
-  let formatted = phoneNumber.replace(/[^\d+]/g, '');
-  
-  // If it doesn't start with +, add it (assuming international format)
-  if (!formatted.startsWith('+')) {
-    formatted = '+' + formatted;
-  }
-  
-  console.log(`Phone number formatted: ${phoneNumber} -> ${formatted}`);
-  return formatted;
-}
+let whatsAppListenersSet = false;
 
 function createWindow() {
   // Create the browser window
@@ -219,6 +221,12 @@ app.whenReady().then(async () => {
     // Initialize scheduler and load settings (only if database is initialized)
     if (dbInitialized) {
       try {
+        // Numbers without calling code are read in the default country from here on
+        await phoneNumberController.loadSettings();
+        
+        // The send queue needs every sending number before it starts
+        await whatsAppAccounts.loadAccounts();
+        
         console.log('Loading settings and initializing scheduler...');
         // Explicitly load settings first to ensure they're initialized
         const settings = await messageController.getSettings();
@@ -231,6 +239,18 @@ app.whenReady().then(async () => {
         // Start sales message scheduler for automated sales messaging
         await salesMessageController.startScheduler();
         console.log('Sales message scheduler started successfully');
+        
+        // Send A/B test winners to the rest of their audience when their time comes
+        campaignController.startWinnerCheck();
+        
+        // Create the campaigns of recurring campaign definitions as they come due
+        recurringCampaignController.startScheduler();
+        
+        // Schedule the birthday greetings of the day
+        birthdayController.startScheduler();
+        
+        // Look up in the background which contact numbers are on WhatsApp
+        numberCheckController.startScheduler();
       } catch (err) {
         console.error('Failed to start message scheduler:', err);
         if (mainWindow && !mainWindow.isDestroyed()) {
@@ -295,6 +315,9 @@ app.whenReady().then(async () => {
         }
       }
       
+      // The other sending numbers reconnect with their own sessions
+      whatsAppAccounts.connectSavedSessions();
+      
       // Get phone info (never send 'Unknown')
       let phoneInfo = { connected: false };
       try {
@@ -448,8 +471,10 @@ async function restartWhatsAppService() {
       console.error('Error cleaning up browser session during restart:', cleanupError);
     }
     
-    // Force kill any Chrome processes
-    killChromiumProcesses();
+    // Force kill any Chrome processes, unless they may belong to the other accounts
+    if (!whatsAppService.hasOtherClients()) {
+      killChromiumProcesses();
+    }
     
     // Wait for everything to clean up
     await new Promise(resolve => setTimeout(resolve, 5000));
@@ -487,18 +512,10 @@ async function restartWhatsAppService() {
 
 // Set up event listeners for WhatsApp service
 function setupWhatsAppEventListeners() {
-  // Remove any existing listeners to prevent duplicates
-  whatsAppService.removeAllListeners('qr');
-  whatsAppService.removeAllListeners('ready');
-  whatsAppService.removeAllListeners('authenticated');
-  whatsAppService.removeAllListeners('disconnected');
-  whatsAppService.removeAllListeners('auth_failure');
-  whatsAppService.removeAllListeners('message_ack');
-  whatsAppService.removeAllListeners('whatsapp-info');
-  whatsAppService.removeAllListeners('state_change');
-  whatsAppService.removeAllListeners('message_status_change');
-  whatsAppService.removeAllListeners('message_sent');
-  whatsAppService.removeAllListeners('loading');
+  // Add the listeners only once. WhatsAppAccounts listens to the same service,
+  // so its listeners can't simply be removed and added again.
+  if (whatsAppListenersSet) return;
+  whatsAppListenersSet = true;
   
   // Set up event listeners for WhatsApp
   whatsAppService.on('qr', (qr) => {
@@ -561,57 +578,71 @@ function setupWhatsAppEventListeners() {
     }
   });
   
-  whatsAppService.on('message_status_change', async (statusUpdate) => {
+  // Message ACKs and incoming messages of every account
+  whatsAppAccounts.on('message_status_change', async (statusUpdate) => {
     try {
       console.log(`[MAIN] Received WhatsApp status update: ${statusUpdate.externalId} -> ${statusUpdate.status}`);
       
-      // Update the message status in the database
-      const updateResult = await messageController.updateMessageStatus(
+      // The send queue records the ACK on whichever queue sent the message
+      const updated = await sendQueue.handleAck(
         statusUpdate.externalId, 
         statusUpdate.status,
         statusUpdate.timestamp
       );
       
-      if (!updateResult) {
-        console.warn(`Unable to update message status in database: ${statusUpdate.externalId}`);
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        if (updated) {
+          const { message } = updated;
+          mainWindow.webContents.send('message-status-update', {
+            id: message.id,
+            source: updated.source,
+            externalId: statusUpdate.externalId,
+            status: statusUpdate.status,
+            timestamp: statusUpdate.timestamp,
+            deliveredTime: message.deliveredTime,
+            readTime: message.readTime,
+            sentTime: message.sentTime
+          });
+        } else {
+          mainWindow.webContents.send('message-status-update', statusUpdate);
+        }
       }
+    } catch (error) {
+      console.error('Error processing message status update:', error);
+    }
+  });
+  
+  // Replies like "STOP" put the sender on the do-not-contact list
+  whatsAppAccounts.on('incoming_message', async (message) => {
+    try {
+      const stored = await inboxController.recordIncomingMessage(message);
       
-      // Additional message data lookup for complete UI updates
-      try {
-        const { models } = require('./src/database/db');
-        const Message = models.Message;
-        const message = await Message.findOne({
-          where: { externalId: statusUpdate.externalId }
-        });
+      if (stored && mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('inbox-message', stored);
+      }
+      
+      const entry = await optOutService.handleIncomingMessage(message);
+      
+      if (entry && mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('do-not-contact-added', entry.toJSON());
+      }
+      
+      // Skipped for numbers that just opted out, they are on the list by now
+      const autoReply = await autoReplyService.handleIncomingMessage(message);
+      
+      if (autoReply && autoReply.status === 'SENT') {
+        const reply = await inboxController.recordOutgoingMessage(autoReply.phoneNumber, autoReply.replyContent, autoReply.externalId, autoReply.accountId);
         
-        if (message) {
-          // Send the update to the renderer with complete information
-          if (mainWindow && !mainWindow.isDestroyed()) {
-            mainWindow.webContents.send('message-status-update', {
-              id: message.id,
-              externalId: statusUpdate.externalId,
-              status: statusUpdate.status,
-              timestamp: statusUpdate.timestamp,
-              deliveredTime: message.deliveredTime,
-              readTime: message.readTime,
-              sentTime: message.sentTime
-            });
-          }
-        } else {
-          // If message not found in DB, still send the basic update
-          if (mainWindow && !mainWindow.isDestroyed()) {
-            mainWindow.webContents.send('message-status-update', statusUpdate);
-          }
-        }
-      } catch (lookupError) {
-        console.error('Error looking up complete message data:', lookupError);
-        // Still send the basic status update if lookup fails
         if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.webContents.send('message-status-update', statusUpdate);
+          mainWindow.webContents.send('inbox-message', reply);
         }
       }
+      
+      if (autoReply && mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('auto-reply-triggered', autoReply);
+      }
     } catch (error) {
-      console.error('Error processing message status update:', error);
+      console.error('Error processing incoming message:', error);
     }
   });
   
@@ -640,6 +671,17 @@ function setupWhatsAppEventListeners() {
       mainWindow.webContents.send('whatsapp-info', info);
     }
   });
+  
+  // The sending numbers list in settings follows the connection of every account
+  whatsAppAccounts.on('account_status', ({ accountId, event, data }) => {
+    if (!mainWindow || mainWindow.isDestroyed()) return;
+    
+    if (event === 'qr') {
+      mainWindow.webContents.send('whatsapp-account-qr', { accountId, qr: data });
+    } else if (event !== 'loading') {
+      mainWindow.webContents.send('whatsapp-account-update', { accountId, event });
+    }
+  });
 }
 
 // Quit when all windows are closed, except on macOS
@@ -654,15 +696,15 @@ app.on('will-quit', async () => {
   
   // Stop sales message scheduler
   salesMessageController.stopScheduler();
+  
+  // Stop the shared send queue
+  sendQueue.stop();
 
-  // Disconnect WhatsApp if connected, but keep session data
-  if (whatsAppService.getStatus().isConnected) {
-    try {
-      await whatsAppService.disconnect(false); // false = don't delete session
-    } catch (error) {
-      console.error('Error disconnecting WhatsApp:', error);
-    }
-  }
+  // Stop the background number check
+  numberCheckController.stopScheduler();
+
+  // Disconnect every WhatsApp account, but keep session data
+  await whatsAppAccounts.disconnectAll();
   
   // Clean up any browser processes
   killChromiumProcesses();
@@ -670,6 +712,10 @@ app.on('will-quit', async () => {
 
 // Handler for kill browser processes request
 ipcMain.on('kill-browser-processes', () => {
+  if (whatsAppService.hasOtherClients()) {
+    console.log('Other WhatsApp accounts are running, leaving browser processes alone');
+    return;
+  }
   killChromiumProcesses();
 });
 
@@ -742,7 +788,7 @@ ipcMain.handle('get-contact', async (event, id) => {
   return await contactController.getContactById(id);
 });
 
-ipcMain.handle('get-contacts-paginated', async (event, page, limit, search) => {
+ipcMain.handle('get-contacts-paginated', async (event, page, limit, search, filters) => {
   try {
     // Wait for database to be ready before proceeding
     const { waitForDatabaseReady } = require('./src/database/db');
@@ -753,7 +799,7 @@ ipcMain.handle('get-contacts-paginated', async (event, page, limit, search) => {
   limit = parseInt(limit || 50);
   
   // Get paginated contacts
-  return await contactController.getContactsPaginated(page, limit, search);
+  return await contactController.getContactsPaginated(page, limit, search, filters);
   } catch (error) {
     console.error('Error in get-contacts-paginated handler:', error);
     throw error;
@@ -802,8 +848,8 @@ ipcMain.handle('delete-contacts-bulk', async (event, contactIds) => {
 ipcMain.handle('check-duplicate-phone', async (event, phone, originalPhone = null) => {
   try {
     // Format the phone number
-    const formattedPhone = formatPhoneNumber(phone);
-    const formattedOriginal = originalPhone ? formatPhoneNumber(originalPhone) : null;
+    const formattedPhone = phoneNumberService.normalize(phone);
+    const formattedOriginal = originalPhone ? phoneNumberService.normalize(originalPhone) : null;
     
     // Check for existing phone number
     const existingContact = await contactController.getContactByPhone(formattedPhone);
@@ -1011,6 +1057,15 @@ ipcMain.handle('delete-template', async (event, id) => {
   }
 });
 
+ipcMain.handle('preview-template-variations', async (event, content, count) => {
+  try {
+    return await templateController.previewVariations(content, count);
+  } catch (error) {
+    console.error('Error in preview-template-variations handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // --- WhatsApp Connection ---
 ipcMain.handle('init-whatsapp', async (event, forceNewQR = false) => {
   try {
@@ -1182,12 +1237,72 @@ ipcMain.handle('refresh-whatsapp-info', async () => {
       phoneInfo: { 
         phoneNumber: 'Unknown', 
         name: 'Unknown', 
-        connected: whatsAppService.getStatus().isConnected 
+        connected: whatsAppService.getStatus().isConnected
       }
     };
   }
 });
 
+// --- WhatsApp Accounts ---
+ipcMain.handle('get-whatsapp-accounts', async () => {
+  try {
+    return await whatsAppAccountController.getAccounts();
+  } catch (error) {
+    console.error('Error in get-whatsapp-accounts handler:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('add-whatsapp-account', async (event, name) => {
+  try {
+    return await whatsAppAccountController.addAccount(name);
+  } catch (error) {
+    console.error('Error in add-whatsapp-account handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('update-whatsapp-account', async (event, id, data) => {
+  try {
+    const result = await whatsAppAccountController.updateAccount(id, data);
+    // A higher limit or a number joining the pool may free up waiting messages
+    if (result.success) {
+      sendQueue.wake();
+    }
+    return result;
+  } catch (error) {
+    console.error('Error in update-whatsapp-account handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('remove-whatsapp-account', async (event, id) => {
+  try {
+    return await whatsAppAccountController.removeAccount(id);
+  } catch (error) {
+    console.error('Error in remove-whatsapp-account handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('connect-whatsapp-account', async (event, id, forceNewQR = false) => {
+  try {
+    return await whatsAppAccountController.connectAccount(id, forceNewQR);
+  } catch (error) {
+    console.error('Error in connect-whatsapp-account handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('disconnect-whatsapp-account', async (event, id, logout = false) => {
+  try {
+    return await whatsAppAccountController.disconnectAccount(id, logout);
+  } catch (error) {
+    console.error('Error in disconnect-whatsapp-account handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // --- Message Scheduling ---
 ipcMain.handle('schedule-messages', async (event, config) => {
   try {
@@ -1211,6 +1326,18 @@ ipcMain.handle('schedule-messages', async (event, config) => {
   }
 });
 
+ipcMain.handle('simulate-campaign', async (event, config) => {
+  try {
+    return await messageController.simulateCampaign(config);
+  } catch (error) {
+    console.error('Error in simulate-campaign handler:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
 ipcMain.handle('get-scheduled-messages', async (event, status) => {
   try {
     // Wait for database to be ready before proceeding
@@ -1243,6 +1370,560 @@ ipcMain.handle('delete-messages', async (event, ids) => {
   }
 });
 
+// --- Campaign Management ---
+ipcMain.handle('get-campaigns', async () => {
+  try {
+    return await campaignController.getCampaigns();
+  } catch (error) {
+    console.error('Error in get-campaigns handler:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('pause-campaign', async (event, id) => {
+  try {
+    return await campaignController.pauseCampaign(id);
+  } catch (error) {
+    console.error('Error in pause-campaign handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('resume-campaign', async (event, id) => {
+  try {
+    return await campaignController.resumeCampaign(id);
+  } catch (error) {
+    console.error('Error in resume-campaign handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('cancel-campaign', async (event, id) => {
+  try {
+    return await campaignController.cancelCampaign(id);
+  } catch (error) {
+    console.error('Error in cancel-campaign handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('duplicate-campaign', async (event, id, options) => {
+  try {
+    return await campaignController.duplicateCampaign(id, options);
+  } catch (error) {
+    console.error('Error in duplicate-campaign handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-campaign-variant-stats', async (event, id) => {
+  try {
+    return await campaignController.getVariantStats(id);
+  } catch (error) {
+    console.error('Error in get-campaign-variant-stats handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('send-campaign-winner', async (event, id, label) => {
+  try {
+    return await campaignController.sendWinner(id, label);
+  } catch (error) {
+    console.error('Error in send-campaign-winner handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- Recurring Campaigns ---
+ipcMain.handle('get-recurring-campaigns', async () => {
+  try {
+    return await recurringCampaignController.getRecurringCampaigns();
+  } catch (error) {
+    console.error('Error in get-recurring-campaigns handler:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('create-recurring-campaign', async (event, data) => {
+  try {
+    return await recurringCampaignController.createRecurringCampaign(data);
+  } catch (error) {
+    console.error('Error in create-recurring-campaign handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('update-recurring-campaign', async (event, id, data) => {
+  try {
+    return await recurringCampaignController.updateRecurringCampaign(id, data);
+  } catch (error) {
+    console.error('Error in update-recurring-campaign handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('pause-recurring-campaign', async (event, id) => {
+  try {
+    return await recurringCampaignController.pauseRecurringCampaign(id);
+  } catch (error) {
+    console.error('Error in pause-recurring-campaign handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('resume-recurring-campaign', async (event, id) => {
+  try {
+    return await recurringCampaignController.resumeRecurringCampaign(id);
+  } catch (error) {
+    console.error('Error in resume-recurring-campaign handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-recurring-campaign', async (event, id) => {
+  try {
+    return await recurringCampaignController.deleteRecurringCampaign(id);
+  } catch (error) {
+    console.error('Error in delete-recurring-campaign handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('preview-recurring-schedule', async (event, scheduleType, schedule) => {
+  try {
+    return await recurringCampaignController.previewSchedule(scheduleType, schedule);
+  } catch (error) {
+    console.error('Error in preview-recurring-schedule handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- Birthday Greetings ---
+ipcMain.handle('get-birthday-settings', async () => {
+  try {
+    return await birthdayController.getSettings();
+  } catch (error) {
+    console.error('Error in get-birthday-settings handler:', error);
+    return null;
+  }
+});
+
+ipcMain.handle('update-birthday-settings', async (event, data) => {
+  try {
+    return await birthdayController.updateSettings(data);
+  } catch (error) {
+    console.error('Error in update-birthday-settings handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-birthday-greetings', async (event, options) => {
+  try {
+    return await birthdayController.getGreetingHistory(options);
+  } catch (error) {
+    console.error('Error in get-birthday-greetings handler:', error);
+    return [];
+  }
+});
+
+// --- Tag Management ---
+ipcMain.handle('get-tags', async () => {
+  try {
+    return await tagController.getTags();
+  } catch (error) {
+    console.error('Error in get-tags handler:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('create-tag', async (event, tagData) => {
+  try {
+    return await tagController.createTag(tagData);
+  } catch (error) {
+    console.error('Error in create-tag handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('update-tag', async (event, id, tagData) => {
+  try {
+    return await tagController.updateTag(id, tagData);
+  } catch (error) {
+    console.error('Error in update-tag handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-tag', async (event, id) => {
+  try {
+    return await tagController.deleteTag(id);
+  } catch (error) {
+    console.error('Error in delete-tag handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('set-contact-tags', async (event, contactId, tagIds) => {
+  try {
+    return await tagController.setContactTags(contactId, tagIds);
+  } catch (error) {
+    console.error('Error in set-contact-tags handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('tag-contacts', async (event, contactIds, tagIds) => {
+  try {
+    return await tagController.tagContacts(contactIds, tagIds);
+  } catch (error) {
+    console.error('Error in tag-contacts handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('untag-contacts', async (event, contactIds, tagIds) => {
+  try {
+    return await tagController.untagContacts(contactIds, tagIds);
+  } catch (error) {
+    console.error('Error in untag-contacts handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- Segment Management ---
+ipcMain.handle('get-segments', async () => {
+  try {
+    return await segmentController.getSegments();
+  } catch (error) {
+    console.error('Error in get-segments handler:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('get-segment-groups', async () => {
+  try {
+    return await segmentController.getSegmentGroups();
+  } catch (error) {
+    console.error('Error in get-segment-groups handler:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('preview-segment', async (event, rules, matchType) => {
+  try {
+    return await segmentController.previewSegment(rules, matchType);
+  } catch (error) {
+    console.error('Error in preview-segment handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('create-segment', async (event, segmentData) => {
+  try {
+    return await segmentController.createSegment(segmentData);
+  } catch (error) {
+    console.error('Error in create-segment handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('update-segment', async (event, id, segmentData) => {
+  try {
+    return await segmentController.updateSegment(id, segmentData);
+  } catch (error) {
+    console.error('Error in update-segment handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-segment', async (event, id) => {
+  try {
+    return await segmentController.deleteSegment(id);
+  } catch (error) {
+    console.error('Error in delete-segment handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- Do-Not-Contact List ---
+ipcMain.handle('get-do-not-contact-list', async (event, search) => {
+  try {
+    return await doNotContactController.getEntries(search);
+  } catch (error) {
+    console.error('Error in get-do-not-contact-list handler:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('add-do-not-contact', async (event, entryData) => {
+  try {
+    return await doNotContactController.addEntry(entryData);
+  } catch (error) {
+    console.error('Error in add-do-not-contact handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('remove-do-not-contact', async (event, ids) => {
+  try {
+    return await doNotContactController.removeEntries(ids);
+  } catch (error) {
+    console.error('Error in remove-do-not-contact handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('import-do-not-contact', async (event, filePath) => {
+  try {
+    return await doNotContactController.importFromFile(filePath);
+  } catch (error) {
+    console.error('Error in import-do-not-contact handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('export-do-not-contact', async () => {
+  try {
+    return await doNotContactController.exportAsCsv();
+  } catch (error) {
+    console.error('Error in export-do-not-contact handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- Duplicate Contacts ---
+ipcMain.handle('find-duplicate-contacts', async () => {
+  try {
+    return await duplicateContactController.findDuplicates();
+  } catch (error) {
+    console.error('Error in find-duplicate-contacts handler:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('merge-contacts', async (event, survivorId, duplicateIds) => {
+  try {
+    return await duplicateContactController.mergeContacts(survivorId, duplicateIds);
+  } catch (error) {
+    console.error('Error in merge-contacts handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- WhatsApp Number Check ---
+ipcMain.handle('get-number-check-status', async () => {
+  try {
+    return await numberCheckController.getStatus();
+  } catch (error) {
+    console.error('Error in get-number-check-status handler:', error);
+    return null;
+  }
+});
+
+ipcMain.handle('check-numbers-now', async () => {
+  try {
+    return { success: true, status: await numberCheckController.checkNow() };
+  } catch (error) {
+    console.error('Error in check-numbers-now handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- Phone Numbers ---
+ipcMain.handle('get-phone-number-settings', async () => {
+  try {
+    return phoneNumberController.getSettings();
+  } catch (error) {
+    console.error('Error in get-phone-number-settings handler:', error);
+    return null;
+  }
+});
+
+ipcMain.handle('update-phone-number-settings', async (event, data) => {
+  try {
+    return await phoneNumberController.updateSettings(data);
+  } catch (error) {
+    console.error('Error in update-phone-number-settings handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('parse-phone-numbers', async (event, numbers) => {
+  try {
+    return (Array.isArray(numbers) ? numbers : []).map(number => phoneNumberService.parse(number));
+  } catch (error) {
+    console.error('Error in parse-phone-numbers handler:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('normalize-stored-phone-numbers', async () => {
+  try {
+    return await phoneNumberController.normalizeStoredNumbers();
+  } catch (error) {
+    console.error('Error in normalize-stored-phone-numbers handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- Inbox ---
+ipcMain.handle('get-inbox-conversations', async (event, search) => {
+  try {
+    return await inboxController.getConversations(search);
+  } catch (error) {
+    console.error('Error in get-inbox-conversations handler:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('get-inbox-conversation', async (event, phoneNumber) => {
+  try {
+    return await inboxController.getConversation(phoneNumber);
+  } catch (error) {
+    console.error('Error in get-inbox-conversation handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('mark-inbox-conversation-read', async (event, phoneNumber) => {
+  try {
+    const updated = await inboxController.markConversationRead(phoneNumber);
+    return { success: true, updated };
+  } catch (error) {
+    console.error('Error in mark-inbox-conversation-read handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('send-inbox-reply', async (event, phoneNumber, body) => {
+  try {
+    return await inboxController.sendReply(phoneNumber, body);
+  } catch (error) {
+    console.error('Error in send-inbox-reply handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-inbox-unread-count', async () => {
+  try {
+    return await inboxController.getUnreadCount();
+  } catch (error) {
+    console.error('Error in get-inbox-unread-count handler:', error);
+    return 0;
+  }
+});
+
+// --- Auto-Replies ---
+ipcMain.handle('get-auto-reply-rules', async () => {
+  try {
+    return await autoReplyController.getRules();
+  } catch (error) {
+    console.error('Error in get-auto-reply-rules handler:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('create-auto-reply-rule', async (event, ruleData) => {
+  try {
+    return await autoReplyController.createRule(ruleData);
+  } catch (error) {
+    console.error('Error in create-auto-reply-rule handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('update-auto-reply-rule', async (event, id, ruleData) => {
+  try {
+    return await autoReplyController.updateRule(id, ruleData);
+  } catch (error) {
+    console.error('Error in update-auto-reply-rule handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-auto-reply-rule', async (event, id) => {
+  try {
+    return await autoReplyController.deleteRule(id);
+  } catch (error) {
+    console.error('Error in delete-auto-reply-rule handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('test-auto-reply', async (event, text) => {
+  try {
+    return await autoReplyController.testMessage(text);
+  } catch (error) {
+    console.error('Error in test-auto-reply handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-auto-reply-logs', async (event, filters) => {
+  try {
+    return await autoReplyController.getLogs(filters);
+  } catch (error) {
+    console.error('Error in get-auto-reply-logs handler:', error);
+    return [];
+  }
+});
+
+// --- Analytics ---
+ipcMain.handle('get-dashboard-overview', async () => {
+  try {
+    return await analyticsController.getOverview();
+  } catch (error) {
+    console.error('Error in get-dashboard-overview handler:', error);
+    return { contacts: 0, templates: 0, sent: 0, scheduled: 0 };
+  }
+});
+
+ipcMain.handle('get-analytics', async (event, filters) => {
+  try {
+    return await analyticsController.getAnalytics(filters);
+  } catch (error) {
+    console.error('Error in get-analytics handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- Blackout Calendar ---
+ipcMain.handle('get-blackout-dates', async () => {
+  try {
+    return await blackoutController.getEntries();
+  } catch (error) {
+    console.error('Error in get-blackout-dates handler:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('add-blackout-date', async (event, entryData) => {
+  try {
+    return await blackoutController.addEntry(entryData);
+  } catch (error) {
+    console.error('Error in add-blackout-date handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('remove-blackout-dates', async (event, ids) => {
+  try {
+    return await blackoutController.removeEntries(ids);
+  } catch (error) {
+    console.error('Error in remove-blackout-dates handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('import-blackout-ics', async (event, filePath) => {
+  try {
+    return await blackoutController.importFromIcs(filePath);
+  } catch (error) {
+    console.error('Error in import-blackout-ics handler:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // --- Settings Management ---
 ipcMain.handle('get-settings', async () => {
   try {
@@ -1340,6 +2021,24 @@ ipcMain.handle('update-settings', async (event, settings) => {
       throw new Error('Time values must be valid numbers');
     }
     
+    // Send pacing and retry policy fields are optional
+    for (const field of ['intervalJitterMin', 'intervalJitterMax', 'hourlyLimit', 'dailyLimit', 'breakAfter', 'breakDuration',
+      'retryMaxAttempts', 'retryInitialDelay', 'retryMaxDelay']) {
+      if (processedSettings[field] === undefined) continue;
+      
+      processedSettings[field] = parseInt(processedSettings[field]);
+      if (isNaN(processedSettings[field])) {
+        throw new Error(`${field} must be a valid number`);
+      }
+    }
+    
+    if (processedSettings.retryBackoffFactor !== undefined) {
+      processedSettings.retryBackoffFactor = parseFloat(processedSettings.retryBackoffFactor);
+      if (isNaN(processedSettings.retryBackoffFactor)) {
+        throw new Error('retryBackoffFactor must be a valid number');
+      }
+    }
+    
     console.log('Processed settings before update:', JSON.stringify(processedSettings));
     
     // Update settings
@@ -1464,6 +2163,15 @@ ipcMain.handle('get-contacts-count', async () => {
   }
 });
 
+ipcMain.handle('get-custom-field-keys', async () => {
+  try {
+    return await contactController.getCustomFieldKeys();
+  } catch (error) {
+    console.error('Error getting custom field keys:', error);
+    return [];
+  }
+});
+
 ipcMain.handle('delete-all-contacts', async () => {
   try {
     return await contactController.deleteAllContacts();
@@ -23,7 +23,7 @@ function exposeAPI() {
       
       // Contact operations
       getContacts: () => ipcRenderer.invoke('get-contacts'),
-      getContactsPaginated: (page, limit, search) => ipcRenderer.invoke('get-contacts-paginated', page, limit, search),
+      getContactsPaginated: (page, limit, search, filters) => ipcRenderer.invoke('get-contacts-paginated', page, limit, search, filters),
       getContact: (id) => ipcRenderer.invoke('get-contact', id),
       createContact: (contact) => ipcRenderer.invoke('add-contact', contact),
       updateContact: (id, contact) => ipcRenderer.invoke('update-contact', id, contact),
@@ -52,6 +52,7 @@ function exposeAPI() {
       createTemplate: (template) => ipcRenderer.invoke('create-template', template),
       updateTemplate: (id, template) => ipcRenderer.invoke('update-template', id, template),
       deleteTemplate: (id) => ipcRenderer.invoke('delete-template', id),
+      previewTemplateVariations: (content, count) => ipcRenderer.invoke('preview-template-variations', content, count),
       
       // WhatsApp operations
       initWhatsApp: (forceNewQR = false) => ipcRenderer.invoke('init-whatsapp', forceNewQR),
@@ -67,6 +68,14 @@ function exposeAPI() {
       getWhatsAppDiagnostics: () => ipcRenderer.invoke('get-whatsapp-diagnostics'),
       restartWhatsAppService: () => ipcRenderer.invoke('restart-whatsapp-service'),
       
+      // WhatsApp account operations
+      getWhatsAppAccounts: () => ipcRenderer.invoke('get-whatsapp-accounts'),
+      addWhatsAppAccount: (name) => ipcRenderer.invoke('add-whatsapp-account', name),
+      updateWhatsAppAccount: (id, data) => ipcRenderer.invoke('update-whatsapp-account', id, data),
+      removeWhatsAppAccount: (id) => ipcRenderer.invoke('remove-whatsapp-account', id),
+      connectWhatsAppAccount: (id, forceNewQR = false) => ipcRenderer.invoke('connect-whatsapp-account', id, forceNewQR),
+      disconnectWhatsAppAccount: (id, logout = false) => ipcRenderer.invoke('disconnect-whatsapp-account', id, logout),
+      
       // Sales API operations
       getSalesContacts: (options) => ipcRenderer.invoke('get-sales-contacts', options),
       startSalesSync: () => ipcRenderer.invoke('start-sales-sync'),
@@ -95,8 +104,95 @@ function exposeAPI() {
       cancelScheduledMessage: (id) => ipcRenderer.invoke('cancel-scheduled-message', id),
       retryMessage: (id) => ipcRenderer.invoke('retry-message', id),
       scheduleMessages: (config) => ipcRenderer.invoke('schedule-messages', config),
+      simulateCampaign: (config) => ipcRenderer.invoke('simulate-campaign', config),
       deleteMessages: (ids) => ipcRenderer.invoke('delete-messages', ids),
       
+      // Campaign operations
+      getCampaigns: () => ipcRenderer.invoke('get-campaigns'),
+      pauseCampaign: (id) => ipcRenderer.invoke('pause-campaign', id),
+      resumeCampaign: (id) => ipcRenderer.invoke('resume-campaign', id),
+      cancelCampaign: (id) => ipcRenderer.invoke('cancel-campaign', id),
+      duplicateCampaign: (id, options) => ipcRenderer.invoke('duplicate-campaign', id, options),
+      getCampaignVariantStats: (id) => ipcRenderer.invoke('get-campaign-variant-stats', id),
+      sendCampaignWinner: (id, label) => ipcRenderer.invoke('send-campaign-winner', id, label),
+      
+      // Recurring campaign operations
+      getRecurringCampaigns: () => ipcRenderer.invoke('get-recurring-campaigns'),
+      createRecurringCampaign: (data) => ipcRenderer.invoke('create-recurring-campaign', data),
+      updateRecurringCampaign: (id, data) => ipcRenderer.invoke('update-recurring-campaign', id, data),
+      pauseRecurringCampaign: (id) => ipcRenderer.invoke('pause-recurring-campaign', id),
+      resumeRecurringCampaign: (id) => ipcRenderer.invoke('resume-recurring-campaign', id),
+      deleteRecurringCampaign: (id) => ipcRenderer.invoke('delete-recurring-campaign', id),
+      previewRecurringSchedule: (scheduleType, schedule) => ipcRenderer.invoke('preview-recurring-schedule', scheduleType, schedule),
+      
+      // Birthday greeting operations
+      getBirthdaySettings: () => ipcRenderer.invoke('get-birthday-settings'),
+      updateBirthdaySettings: (data) => ipcRenderer.invoke('update-birthday-settings', data),
+      getBirthdayGreetings: (options) => ipcRenderer.invoke('get-birthday-greetings', options),
+      
+      // Tag operations
+      getTags: () => ipcRenderer.invoke('get-tags'),
+      createTag: (tagData) => ipcRenderer.invoke('create-tag', tagData),
+      updateTag: (id, tagData) => ipcRenderer.invoke('update-tag', id, tagData),
+      deleteTag: (id) => ipcRenderer.invoke('delete-tag', id),
+      setContactTags: (contactId, tagIds) => ipcRenderer.invoke('set-contact-tags', contactId, tagIds),
+      tagContacts: (contactIds, tagIds) => ipcRenderer.invoke('tag-contacts', contactIds, tagIds),
+      untagContacts: (contactIds, tagIds) => ipcRenderer.invoke('untag-contacts', contactIds, tagIds),
+      
+      // Segment operations
+      getSegments: () => ipcRenderer.invoke('get-segments'),
+      getSegmentGroups: () => ipcRenderer.invoke('get-segment-groups'),
+      previewSegment: (rules, matchType) => ipcRenderer.invoke('preview-segment', rules, matchType),
+      createSegment: (segmentData) => ipcRenderer.invoke('create-segment', segmentData),
+      updateSegment: (id, segmentData) => ipcRenderer.invoke('update-segment', id, segmentData),
+      deleteSegment: (id) => ipcRenderer.invoke('delete-segment', id),
+      
+      // Do-not-contact list operations
+      getDoNotContactList: (search) => ipcRenderer.invoke('get-do-not-contact-list', search),
+      addDoNotContact: (entryData) => ipcRenderer.invoke('add-do-not-contact', entryData),
+      removeDoNotContact: (ids) => ipcRenderer.invoke('remove-do-not-contact', ids),
+      importDoNotContact: (filePath) => ipcRenderer.invoke('import-do-not-contact', filePath),
+      exportDoNotContact: () => ipcRenderer.invoke('export-do-not-contact'),
+      
+      // Duplicate contact operations
+      findDuplicateContacts: () => ipcRenderer.invoke('find-duplicate-contacts'),
+      mergeContacts: (survivorId, duplicateIds) => ipcRenderer.invoke('merge-contacts', survivorId, duplicateIds),
+      
+      // WhatsApp number check operations
+      getNumberCheckStatus: () => ipcRenderer.invoke('get-number-check-status'),
+      checkNumbersNow: () => ipcRenderer.invoke('check-numbers-now'),
+
+      // Phone number operations
+      getPhoneNumberSettings: () => ipcRenderer.invoke('get-phone-number-settings'),
+      updatePhoneNumberSettings: (data) => ipcRenderer.invoke('update-phone-number-settings', data),
+      parsePhoneNumbers: (numbers) => ipcRenderer.invoke('parse-phone-numbers', numbers),
+      normalizeStoredPhoneNumbers: () => ipcRenderer.invoke('normalize-stored-phone-numbers'),
+
+      // Inbox operations
+      getInboxConversations: (search) => ipcRenderer.invoke('get-inbox-conversations', search),
+      getInboxConversation: (phoneNumber) => ipcRenderer.invoke('get-inbox-conversation', phoneNumber),
+      markInboxConversationRead: (phoneNumber) => ipcRenderer.invoke('mark-inbox-conversation-read', phoneNumber),
+      sendInboxReply: (phoneNumber, body) => ipcRenderer.invoke('send-inbox-reply', phoneNumber, body),
+      getInboxUnreadCount: () => ipcRenderer.invoke('get-inbox-unread-count'),
+      
+      // Auto-reply operations
+      getAutoReplyRules: () => ipcRenderer.invoke('get-auto-reply-rules'),
+      createAutoReplyRule: (ruleData) => ipcRenderer.invoke('create-auto-reply-rule', ruleData),
+      updateAutoReplyRule: (id, ruleData) => ipcRenderer.invoke('update-auto-reply-rule', id, ruleData),
+      deleteAutoReplyRule: (id) => ipcRenderer.invoke('delete-auto-reply-rule', id),
+      testAutoReply: (text) => ipcRenderer.invoke('test-auto-reply', text),
+      getAutoReplyLogs: (filters) => ipcRenderer.invoke('get-auto-reply-logs', filters),
+      
+      // Analytics operations
+      getDashboardOverview: () => ipcRenderer.invoke('get-dashboard-overview'),
+      getAnalytics: (filters) => ipcRenderer.invoke('get-analytics', filters),
+      
+      // Blackout calendar operations
+      getBlackoutDates: () => ipcRenderer.invoke('get-blackout-dates'),
+      addBlackoutDate: (entryData) => ipcRenderer.invoke('add-blackout-date', entryData),
+      removeBlackoutDates: (ids) => ipcRenderer.invoke('remove-blackout-dates', ids),
+      importBlackoutIcs: (filePath) => ipcRenderer.invoke('import-blackout-ics', filePath),
+      
       // Settings operations
       getSettings: () => ipcRenderer.invoke('get-settings'),
       updateSettings: (settings) => ipcRenderer.invoke('update-settings', settings),
@@ -122,9 +218,14 @@ function exposeAPI() {
           'whatsapp-session-check',
           'whatsapp-error',
           'whatsapp-suggestions',
+          'whatsapp-account-update',
+          'whatsapp-account-qr',
           'message-sent', 
           'message-error', 
           'message-status-update',
+          'do-not-contact-added',
+          'inbox-message',
+          'auto-reply-triggered',
           'import-progress',
           'delete-progress',
           'export-progress'
@@ -150,9 +251,14 @@ function exposeAPI() {
           'whatsapp-session-check',
           'whatsapp-error',
           'whatsapp-suggestions',
+          'whatsapp-account-update',
+          'whatsapp-account-qr',
           'message-sent', 
           'message-error', 
           'message-status-update',
+          'do-not-contact-added',
+          'inbox-message',
+          'auto-reply-triggered',
           'import-progress',
           'delete-progress',
           'export-progress'
@@ -163,13 +269,14 @@ function exposeAPI() {
       },
       
       // Contacts
-      getContactsPaginated: (page, limit, search) => ipcRenderer.invoke('get-contacts-paginated', page, limit, search),
+      getContactsPaginated: (page, limit, search, filters) => ipcRenderer.invoke('get-contacts-paginated', page, limit, search, filters),
       getContact: (id) => ipcRenderer.invoke('get-contact', id),
       createContact: (contact) => ipcRenderer.invoke('add-contact', contact),
       updateContact: (id, contact) => ipcRenderer.invoke('update-contact', id, contact),
       deleteContact: (id) => ipcRenderer.invoke('delete-contact', id),
       importContacts: (filePath, fileType) => ipcRenderer.invoke('import-contacts', filePath, fileType),
       getContactsCount: () => ipcRenderer.invoke('get-contacts-count'),
+      getCustomFieldKeys: () => ipcRenderer.invoke('get-custom-field-keys'),
       exportContactsJson: () => ipcRenderer.invoke('export-contacts-json'),
       exportContactsCsv: () => ipcRenderer.invoke('export-contacts-csv'),
       exportContactsExcel: () => ipcRenderer.invoke('export-contacts-excel'),
@@ -0,0 +1,252 @@
+const { sequelize, models, isDatabaseInitialized } = require('../database/db');
+const { Op, QueryTypes } = require('sequelize');
+const moment = require('moment');
+
+const Contact = models.Contact;
+const Template = models.Template;
+const Message = models.Message;
+const SalesScheduledMessage = models.SalesScheduledMessage;
+
+// Longest range the dashboard may ask for, in days
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 30;
+
+const GROUPINGS = {
+  day: 'date(activityTime, \'localtime\')',
+  template: 'template',
+  source: 'source',
+  city: 'city'
+};
+
+/**
+ * Bulk and sales messages that went out or failed, as one row shape:
+ * source, status, sentTime, readTime, activityTime (when it was sent, or
+ * when it failed), template and city. Bulk contacts have no city column,
+ * their "city" custom field is used instead.
+ */
+const OUTCOMES_SQL = `
+  SELECT 'bulk' AS source, m.status, m.sentTime, m.readTime,
+    COALESCE(m.sentTime, m.updatedAt) AS activityTime,
+    COALESCE(t.name, m.templateNameSnapshot, 'Deleted template') AS template,
+    COALESCE(NULLIF(TRIM(CASE WHEN json_valid(c.customFields) THEN json_extract(c.customFields, '$.city') END), ''), 'Unknown') AS city
+  FROM Messages m
+  LEFT JOIN Contacts c ON c.id = m.ContactId
+  LEFT JOIN Templates t ON t.id = m.TemplateId
+  WHERE m.status IN ('SENT', 'DELIVERED', 'READ', 'FAILED')
+  UNION ALL
+  SELECT 'sales' AS source, s.status, s.sentTime, s.readTime,
+    COALESCE(s.sentTime, s.updatedAt) AS activityTime,
+    CASE s.messageSequence WHEN 'SECOND' THEN 'Sales: second message' ELSE 'Sales: first message' END AS template,
+    COALESCE(NULLIF(TRIM(sc.city), ''), 'Unknown') AS city
+  FROM SalesScheduledMessages s
+  LEFT JOIN SalesContacts sc ON sc.id = s.SalesContactId
+  WHERE s.status IN ('SENT', 'DELIVERED', 'READ', 'FAILED')
+`;
+
+/**
+ * AnalyticsController aggregates delivery and read rates for the dashboard.
+ *
+ * Counts are cumulative like the campaign counts: a read message was also
+ * delivered and sent. Messages are placed in the range by the time they
+ * were sent, or by the time they failed.
+ */
+class AnalyticsController {
+  /**
+   * Check if database is initialized
+   * @private
+   * @throws {Error} - If database is not initialized
+   */
+  _checkDatabaseInitialized() {
+    if (!isDatabaseInitialized()) {
+      throw new Error('Database not initialized');
+    }
+  }
+
+  /**
+   * Totals shown on the dashboard cards, counted in the database
+   * @returns {Promise<Object>} - { contacts, templates, sent, scheduled }
+   */
+  async getOverview() {
+    try {
+      this._checkDatabaseInitialized();
+
+      const sentWhere = { status: { [Op.in]: ['SENT', 'DELIVERED', 'READ'] } };
+      const scheduledWhere = { status: { [Op.in]: ['SCHEDULED', 'PENDING'] } };
+
+      const [contacts, templates, bulkSent, salesSent, bulkScheduled, salesScheduled] = await Promise.all([
+        Contact.count(),
+        Template.count(),
+        Message.count({ where: sentWhere }),
+        SalesScheduledMessage.count({ where: sentWhere }),
+        Message.count({ where: scheduledWhere }),
+        SalesScheduledMessage.count({ where: scheduledWhere })
+      ]);
+
+      return {
+        contacts,
+        templates,
+        sent: bulkSent + salesSent,
+        scheduled: bulkScheduled + salesScheduled
+      };
+    } catch (error) {
+      console.error('Error fetching dashboard overview:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delivery and read statistics for a date range
+   * @param {Object} filters - { from, to } as YYYY-MM-DD (inclusive, local time) and source ('all', 'bulk', 'sales')
+   * @returns {Promise<Object>} - Result with totals, byDay, byTemplate, bySource and byCity
+   */
+  async getAnalytics(filters = {}) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const range = this._parseRange(filters);
+      if (range.error) {
+        return { success: false, error: range.error };
+      }
+
+      const source = ['bulk', 'sales'].includes(filters.source) ? filters.source : 'all';
+      const query = (grouping) => this._aggregate(grouping, range, source);
+
+      const [totals, byDay, byTemplate, bySource, byCity] = await Promise.all([
+        query(null),
+        query('day'),
+        query('template'),
+        query('source'),
+        query('city')
+      ]);
+
+      return {
+        success: true,
+        from: range.from.format('YYYY-MM-DD'),
+        to: range.to.format('YYYY-MM-DD'),
+        source,
+        totals: totals[0] || this._withRates({ key: null, sent: 0, delivered: 0, read: 0, failed: 0, avgTimeToRead: null }),
+        byDay: this._fillDays(byDay, range),
+        byTemplate,
+        bySource,
+        byCity
+      };
+    } catch (error) {
+      console.error('Error fetching analytics:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Parse and check the requested date range
+   * @private
+   * @param {Object} filters - { from, to }
+   * @returns {Object} - { from, to } as moments at the start of each day, or { error }
+   */
+  _parseRange(filters) {
+    const to = filters.to ? moment(filters.to, 'YYYY-MM-DD', true) : moment().startOf('day');
+    const from = filters.from
+      ? moment(filters.from, 'YYYY-MM-DD', true)
+      : to.clone().subtract(DEFAULT_RANGE_DAYS - 1, 'days');
+
+    if (!from.isValid() || !to.isValid()) {
+      return { error: 'Dates must be in YYYY-MM-DD format' };
+    }
+
+    if (from.isAfter(to)) {
+      return { error: 'The start date must be before the end date' };
+    }
+
+    if (to.diff(from, 'days') >= MAX_RANGE_DAYS) {
+      return { error: `The date range can be at most ${MAX_RANGE_DAYS} days` };
+    }
+
+    return { from: from.startOf('day'), to: to.startOf('day') };
+  }
+
+  /**
+   * Count outcomes in the range, grouped by one dimension or not at all
+   * @private
+   * @param {string|null} grouping - Key of GROUPINGS, or null for the totals
+   * @param {Object} range - { from, to }
+   * @param {string} source - 'all', 'bulk' or 'sales'
+   * @returns {Promise<Array>} - Rows with key, counts, rates and avgTimeToRead (seconds)
+   */
+  async _aggregate(grouping, range, source) {
+    const keyExpression = grouping ? GROUPINGS[grouping] : 'NULL';
+
+    const rows = await sequelize.query(`
+      SELECT ${keyExpression} AS key,
+        SUM(CASE WHEN status IN ('SENT', 'DELIVERED', 'READ') THEN 1 ELSE 0 END) AS sent,
+        SUM(CASE WHEN status IN ('DELIVERED', 'READ') THEN 1 ELSE 0 END) AS delivered,
+        SUM(CASE WHEN status = 'READ' THEN 1 ELSE 0 END) AS read,
+        SUM(CASE WHEN status = 'FAILED' THEN 1 ELSE 0 END) AS failed,
+        AVG(CASE WHEN readTime IS NOT NULL AND sentTime IS NOT NULL
+          THEN (julianday(readTime) - julianday(sentTime)) * 86400 END) AS avgTimeToRead
+      FROM (${OUTCOMES_SQL}) outcomes
+      WHERE activityTime >= :from AND activityTime < :to
+        ${source === 'all' ? '' : 'AND source = :source'}
+      ${grouping ? 'GROUP BY key' : ''}
+      ORDER BY ${grouping === 'day' ? 'key ASC' : 'sent DESC, failed DESC'}
+    `, {
+      replacements: {
+        from: range.from.toDate(),
+        to: range.to.clone().add(1, 'day').toDate(),
+        source
+      },
+      type: QueryTypes.SELECT
+    });
+
+    return rows
+      .filter(row => grouping || (parseInt(row.sent) || 0) + (parseInt(row.failed) || 0) > 0)
+      .map(row => this._withRates(row));
+  }
+
+  /**
+   * Turn a raw row into numbers and add the rates
+   * @private
+   * @param {Object} row - Raw aggregate row
+   * @returns {Object} - Row with deliveryRate, readRate and failureRate in percent
+   */
+  _withRates(row) {
+    const sent = parseInt(row.sent) || 0;
+    const delivered = parseInt(row.delivered) || 0;
+    const read = parseInt(row.read) || 0;
+    const failed = parseInt(row.failed) || 0;
+    const percent = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+    return {
+      key: row.key,
+      sent,
+      delivered,
+      read,
+      failed,
+      deliveryRate: percent(delivered, sent),
+      readRate: percent(read, sent),
+      failureRate: percent(failed, sent + failed),
+      avgTimeToRead: row.avgTimeToRead === null || row.avgTimeToRead === undefined
+        ? null
+        : Math.round(row.avgTimeToRead)
+    };
+  }
+
+  /**
+   * Add empty rows for the days without messages so charts have a continuous axis
+   * @private
+   * @param {Array} rows - Rows grouped by day
+   * @param {Object} range - { from, to }
+   * @returns {Array} - One row per day of the range
+   */
+  _fillDays(rows, range) {
+    const byKey = new Map(rows.map(row => [row.key, row]));
+    const days = [];
+
+    for (const day = range.from.clone(); !day.isAfter(range.to); day.add(1, 'day')) {
+      const key = day.format('YYYY-MM-DD');
+      days.push(byKey.get(key) || this._withRates({ key, sent: 0, delivered: 0, read: 0, failed: 0, avgTimeToRead: null }));
+    }
+
+    return days;
+  }
+}
+
+module.exports = new AnalyticsController();
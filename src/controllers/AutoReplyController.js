@@ -0,0 +1,271 @@
+const { sequelize, models, isDatabaseInitialized } = require('../database/db');
+const { Op } = require('sequelize');
+const autoReplyService = require('../services/AutoReplyService');
+
+const AutoReplyRule = models.AutoReplyRule;
+const AutoReplyLog = models.AutoReplyLog;
+const Template = models.Template;
+const Tag = models.Tag;
+
+// Most log entries returned at once
+const LOG_LIMIT = 500;
+
+/**
+ * AutoReplyController handles auto-reply rules and their log
+ * (the matching and sending is done by AutoReplyService)
+ */
+class AutoReplyController {
+  /**
+   * Check if database is initialized
+   * @private
+   * @throws {Error} - If database is not initialized
+   */
+  _checkDatabaseInitialized() {
+    if (!isDatabaseInitialized()) {
+      throw new Error('Database not initialized');
+    }
+  }
+
+  /**
+   * Get all rules in the order they are tried, with how often each one replied
+   * @returns {Promise<Array>} - Array of plain rule objects
+   */
+  async getRules() {
+    try {
+      this._checkDatabaseInitialized();
+
+      const [rules, counts] = await Promise.all([
+        AutoReplyRule.findAll({
+          include: [
+            { model: Template, attributes: ['id', 'name'] },
+            { model: Tag, attributes: ['id', 'name', 'color'] }
+          ],
+          order: [['priority', 'ASC'], ['id', 'ASC']]
+        }),
+        AutoReplyLog.findAll({
+          attributes: ['AutoReplyRuleId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+          where: { status: 'SENT' },
+          group: ['AutoReplyRuleId'],
+          raw: true
+        })
+      ]);
+
+      const countByRule = new Map(counts.map(row => [row.AutoReplyRuleId, parseInt(row.count) || 0]));
+
+      return rules.map(rule => ({
+        ...rule.toJSON(),
+        replyCount: countByRule.get(rule.id) || 0
+      }));
+    } catch (error) {
+      console.error('Error fetching auto-reply rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a rule
+   * @param {Object} ruleData - Rule fields
+   * @returns {Promise<Object>} - Result with the created rule
+   */
+  async createRule(ruleData) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const { values, error } = await this._validateRule(ruleData);
+      if (error) {
+        return { success: false, error };
+      }
+
+      const rule = await AutoReplyRule.create(values);
+      return { success: true, rule: rule.toJSON() };
+    } catch (error) {
+      console.error('Error creating auto-reply rule:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update a rule
+   * @param {number} id - Rule ID
+   * @param {Object} ruleData - Rule fields
+   * @returns {Promise<Object>} - Result with the updated rule
+   */
+  async updateRule(id, ruleData) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const rule = await AutoReplyRule.findByPk(id);
+      if (!rule) {
+        return { success: false, error: `Auto-reply rule with ID ${id} not found` };
+      }
+
+      const { values, error } = await this._validateRule({ ...rule.toJSON(), ...ruleData });
+      if (error) {
+        return { success: false, error };
+      }
+
+      await rule.update(values);
+      return { success: true, rule: rule.toJSON() };
+    } catch (error) {
+      console.error(`Error updating auto-reply rule ${id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete a rule (its log entries are kept)
+   * @param {number} id - Rule ID
+   * @returns {Promise<Object>} - Result of deletion
+   */
+  async deleteRule(id) {
+    try {
+      this._checkDatabaseInitialized();
+
+      await sequelize.transaction(async (transaction) => {
+        await AutoReplyLog.update({ AutoReplyRuleId: null }, { where: { AutoReplyRuleId: id }, transaction });
+        await AutoReplyRule.destroy({ where: { id }, transaction });
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error(`Error deleting auto-reply rule ${id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the most recent log entries
+   * @param {Object} filters - { ruleId, status, search }
+   * @returns {Promise<Array>} - Array of plain log entries, newest first
+   */
+  async getLogs(filters = {}) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const where = {};
+      if (filters.ruleId) {
+        where.AutoReplyRuleId = parseInt(filters.ruleId);
+      }
+      if (filters.status === 'SENT' || filters.status === 'FAILED') {
+        where.status = filters.status;
+      }
+
+      const term = (filters.search || '').trim();
+      if (term) {
+        where[Op.or] = [
+          { phoneNumber: { [Op.like]: `%${term}%` } },
+          { incomingMessage: { [Op.like]: `%${term}%` } },
+          { ruleName: { [Op.like]: `%${term}%` } }
+        ];
+      }
+
+      const logs = await AutoReplyLog.findAll({
+        where,
+        order: [['createdAt', 'DESC']],
+        limit: LOG_LIMIT
+      });
+
+      return logs.map(log => log.toJSON());
+    } catch (error) {
+      console.error('Error fetching auto-reply log:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Show which rule would answer a message, without sending anything
+   * @param {string} text - Sample incoming message
+   * @returns {Promise<Object>} - Result with the matching rule, or null
+   */
+  async testMessage(text) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const rules = await AutoReplyRule.findAll({
+        where: { isActive: true },
+        order: [['priority', 'ASC'], ['id', 'ASC']]
+      });
+
+      const rule = rules.find(candidate => autoReplyService.matches(candidate, text));
+      return { success: true, rule: rule ? rule.toJSON() : null };
+    } catch (error) {
+      console.error('Error testing auto-reply rules:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Check rule fields and bring them to the stored format
+   * @private
+   * @param {Object} ruleData - Rule fields
+   * @returns {Promise<Object>} - { values } or { error }
+   */
+  async _validateRule(ruleData) {
+    const name = (ruleData.name || '').trim();
+    if (!name) {
+      return { error: 'Rule name is required' };
+    }
+
+    const matchType = ruleData.matchType === 'REGEX' ? 'REGEX' : 'KEYWORD';
+    const pattern = (ruleData.pattern || '').trim();
+    if (!pattern) {
+      return { error: matchType === 'REGEX' ? 'A regular expression is required' : 'At least one keyword is required' };
+    }
+
+    if (matchType === 'REGEX') {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        return { error: error.message };
+      }
+    } else if (autoReplyService.parseKeywords(pattern).length === 0) {
+      return { error: 'Keywords must contain letters or digits' };
+    }
+
+    const templateId = parseInt(ruleData.TemplateId);
+    if (!templateId || !(await Template.findByPk(templateId))) {
+      return { error: 'Please select the template to reply with' };
+    }
+
+    const tagId = ruleData.TagId ? parseInt(ruleData.TagId) : null;
+    if (tagId && !(await Tag.findByPk(tagId))) {
+      return { error: `Tag with ID ${tagId} not found` };
+    }
+
+    const hasStart = ruleData.startTime !== null && ruleData.startTime !== undefined && ruleData.startTime !== '';
+    const hasEnd = ruleData.endTime !== null && ruleData.endTime !== undefined && ruleData.endTime !== '';
+    if (hasStart !== hasEnd) {
+      return { error: 'Set both the start and the end of the time window, or neither' };
+    }
+
+    const startTime = hasStart ? parseInt(ruleData.startTime) : null;
+    const endTime = hasEnd ? parseInt(ruleData.endTime) : null;
+    if (hasStart && (isNaN(startTime) || startTime < 0 || startTime > 1439 || isNaN(endTime) || endTime < 0 || endTime > 1439)) {
+      return { error: 'Time window must be between 00:00 and 23:59' };
+    }
+
+    const cooldownMinutes = ruleData.cooldownMinutes === undefined || ruleData.cooldownMinutes === ''
+      ? 60
+      : parseInt(ruleData.cooldownMinutes);
+    if (isNaN(cooldownMinutes) || cooldownMinutes < 0) {
+      return { error: 'Cooldown must be zero or more minutes' };
+    }
+
+    return {
+      values: {
+        name,
+        matchType,
+        pattern,
+        isActive: ruleData.isActive !== false,
+        priority: parseInt(ruleData.priority) || 0,
+        startTime,
+        endTime,
+        cooldownMinutes,
+        TemplateId: templateId,
+        TagId: tagId
+      }
+    };
+  }
+}
+
+module.exports = new AutoReplyController();
@@ -0,0 +1,368 @@
+const { models, isDatabaseInitialized } = require('../database/db');
+const { Op } = require('sequelize');
+const { CronJob } = require('cron');
+const moment = require('moment');
+const messageController = require('./MessageController');
+const optOutService = require('../services/OptOutService');
+const phoneNumberService = require('../services/PhoneNumberService');
+
+const BirthdaySettings = models.BirthdaySettings;
+const BirthdayGreeting = models.BirthdayGreeting;
+const Contact = models.Contact;
+const Template = models.Template;
+const Message = models.Message;
+
+// Greetings can be sent up to a month before the birthday
+const MAX_LEAD_DAYS = 30;
+
+// Due greetings are looked for every 15 minutes
+const CHECK_SCHEDULE = '0 */15 * * * *';
+
+/**
+ * BirthdayController sends a template to every contact on (or a few days
+ * before) their birthday. Each day's greetings become one campaign (see
+ * MessageController.scheduleMessages) and every contact is greeted at most
+ * once per year.
+ */
+class BirthdayController {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Check if database is initialized
+   * @private
+   * @throws {Error} - If database is not initialized
+   */
+  _checkDatabaseInitialized() {
+    if (!isDatabaseInitialized()) {
+      throw new Error('Database not initialized');
+    }
+  }
+
+  /**
+   * Get the birthday greeting settings, creating the defaults on first use
+   * @returns {Promise<Object>} - Plain settings object with its Template
+   */
+  async getSettings() {
+    try {
+      this._checkDatabaseInitialized();
+
+      let settings = await BirthdaySettings.findOne({
+        include: [{ model: Template, attributes: ['id', 'name'] }]
+      });
+
+      if (!settings) {
+        settings = await BirthdaySettings.create({});
+      }
+
+      return settings.toJSON();
+    } catch (error) {
+      console.error('Error getting birthday settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the birthday greeting settings
+   * @param {Object} data - { isActive, TemplateId, sendTime, leadDays }
+   * @returns {Promise<Object>} - Result with the updated settings
+   */
+  async updateSettings(data) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const sendTime = parseInt(data.sendTime);
+      if (isNaN(sendTime) || sendTime < 0 || sendTime > 1439) {
+        return { success: false, error: 'Send time must be between 00:00 and 23:59' };
+      }
+
+      const leadDays = parseInt(data.leadDays) || 0;
+      if (leadDays < 0 || leadDays > MAX_LEAD_DAYS) {
+        return { success: false, error: `Lead time must be between 0 and ${MAX_LEAD_DAYS} days` };
+      }
+
+      const templateId = parseInt(data.TemplateId) || null;
+      if (templateId && !(await Template.findByPk(templateId))) {
+        return { success: false, error: `Template with ID ${templateId} not found` };
+      }
+
+      const isActive = Boolean(data.isActive);
+      if (isActive && !templateId) {
+        return { success: false, error: 'Please select the template to send' };
+      }
+
+      const settings = await BirthdaySettings.findOne() || await BirthdaySettings.create({});
+      await settings.update({ isActive, sendTime, leadDays, TemplateId: templateId });
+
+      // Greetings that are already due go out right away
+      if (isActive) this._tick();
+
+      return { success: true, settings: await this.getSettings() };
+    } catch (error) {
+      console.error('Error updating birthday settings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the greetings that were scheduled, newest first
+   * @param {Object} options - { year, limit }
+   * @returns {Promise<Array>} - Greetings with their contact and message status
+   */
+  async getGreetingHistory(options = {}) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const where = {};
+      if (options.year) {
+        where.year = parseInt(options.year);
+      }
+
+      const greetings = await BirthdayGreeting.findAll({
+        where,
+        include: [
+          { model: Contact, attributes: ['id', 'name', 'surname', 'phoneNumber'] },
+          { model: Message, attributes: ['id', 'status', 'scheduledTime', 'sentTime', 'failureReason'] }
+        ],
+        order: [['createdAt', 'DESC']],
+        limit: parseInt(options.limit) || 500
+      });
+
+      return greetings.map(greeting => greeting.toJSON());
+    } catch (error) {
+      console.error('Error fetching birthday greetings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule the greetings of every contact whose greeting day has come and
+   * whose birthday has not passed yet
+   * @returns {Promise<number>} - Number of greetings scheduled
+   */
+  async runDueGreetings() {
+    try {
+      this._checkDatabaseInitialized();
+
+      const settings = await BirthdaySettings.findOne();
+      if (!settings || !settings.isActive || !settings.TemplateId) return 0;
+
+      const template = await Template.findByPk(settings.TemplateId);
+      if (!template) {
+        console.error('Birthday greetings paused: their template no longer exists');
+        await settings.update({ isActive: false });
+        return 0;
+      }
+
+      const scheduleSettings = await messageController.getSettings();
+      const today = moment().startOf('day');
+
+      const contacts = await Contact.findAll({
+        attributes: ['id', 'phoneNumber', 'birthday'],
+        where: { birthday: { [Op.ne]: null } },
+        raw: true
+      });
+
+      const due = [];
+      for (const contact of contacts) {
+        const birthday = this._dueBirthday(contact.birthday, today, settings.leadDays, scheduleSettings);
+        if (birthday) due.push({ contact, birthday });
+      }
+      if (due.length === 0) return 0;
+
+      const greeted = await BirthdayGreeting.findAll({
+        attributes: ['ContactId', 'year'],
+        where: {
+          ContactId: { [Op.in]: due.map(({ contact }) => contact.id) },
+          year: { [Op.in]: [...new Set(due.map(({ birthday }) => birthday.year()))] }
+        },
+        raw: true
+      });
+      const greetedKeys = new Set(greeted.map(greeting => `${greeting.ContactId}:${greeting.year}`));
+
+      // Numbers on the do-not-contact list are left out before a campaign is created for them
+      const blocked = await optOutService.findBlocked(due.map(({ contact }) => contact.phoneNumber));
+      const toGreet = due.filter(({ contact, birthday }) =>
+        !greetedKeys.has(`${contact.id}:${birthday.year()}`) &&
+        !blocked.has(phoneNumberService.normalize(contact.phoneNumber))
+      );
+      if (toGreet.length === 0) return 0;
+
+      const sendAt = this._sendTimeOn(today, settings.sendTime, scheduleSettings);
+      const result = await messageController.scheduleMessages({
+        contacts: toGreet.map(({ contact }) => ({ id: contact.id })),
+        templateId: template.id,
+        scheduledTime: moment.max(sendAt, moment()).toISOString(),
+        campaignName: `Birthday greetings - ${today.format('YYYY-MM-DD')}`,
+        audienceGroups: ['Birthdays']
+      });
+
+      if (!result.success) {
+        console.error(`Birthday greetings could not be scheduled: ${result.error}`);
+        return 0;
+      }
+
+      const messages = await Message.findAll({
+        attributes: ['id', 'ContactId'],
+        where: { CampaignId: result.campaignId },
+        raw: true
+      });
+      const messageByContact = new Map(messages.map(message => [message.ContactId, message.id]));
+
+      let scheduled = 0;
+      for (const { contact, birthday } of toGreet) {
+        if (!messageByContact.has(contact.id)) continue;
+
+        await BirthdayGreeting.create({
+          year: birthday.year(),
+          birthdayDate: birthday.format('YYYY-MM-DD'),
+          ContactId: contact.id,
+          MessageId: messageByContact.get(contact.id),
+          CampaignId: result.campaignId
+        });
+        scheduled++;
+      }
+
+      console.log(`Scheduled ${scheduled} birthday greeting(s) in campaign ${result.campaignId}`);
+      return scheduled;
+    } catch (error) {
+      console.error('Error running birthday greetings:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Start the cron job that schedules due greetings
+   */
+  startScheduler() {
+    if (this.job) return;
+
+    this.job = new CronJob(CHECK_SCHEDULE, () => this._tick());
+    this.job.start();
+
+    // Don't wait a quarter of an hour for the greetings of today
+    this._tick();
+
+    console.log('Birthday greeting scheduler started');
+  }
+
+  /**
+   * Stop the cron job
+   */
+  stopScheduler() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+      console.log('Birthday greeting scheduler stopped');
+    }
+  }
+
+  /**
+   * Run the due greetings unless the previous run is still busy
+   * @private
+   */
+  async _tick() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    try {
+      await this.runDueGreetings();
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Find the birthday a contact should be greeted for today.
+   * The greeting day is leadDays before the birthday, moved back to the
+   * closest active day of the schedule settings so the greeting is not late.
+   * Greetings missed while the app was closed are still sent until the
+   * birthday itself has passed.
+   * @private
+   * @param {string} birthday - Contact birthday (YYYY-MM-DD)
+   * @param {Object} today - moment at the start of today
+   * @param {number} leadDays - Days before the birthday to greet
+   * @param {Object} scheduleSettings - Schedule settings with activeDays
+   * @returns {Object|null} - moment of the birthday to greet, or null when none is due
+   */
+  _dueBirthday(birthday, today, leadDays, scheduleSettings) {
+    const date = moment(birthday, 'YYYY-MM-DD', true);
+    if (!date.isValid()) return null;
+
+    // With a lead time, a birthday early next year can be due this year
+    for (const year of [today.year(), today.year() + 1]) {
+      const occurrence = this._birthdayIn(date, year);
+      if (occurrence.isBefore(today)) continue;
+
+      const greetingDay = this._previousActiveDay(occurrence.clone().subtract(leadDays, 'days'), scheduleSettings);
+      return greetingDay.isSameOrBefore(today) ? occurrence : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * The birthday in a given year (Feb 29 becomes Feb 28 outside leap years)
+   * @private
+   * @param {Object} date - moment of the birth date
+   * @param {number} year - Year
+   * @returns {Object} - moment at the start of the birthday
+   */
+  _birthdayIn(date, year) {
+    const occurrence = moment({ year, month: date.month(), day: 1 });
+    return occurrence.date(Math.min(date.date(), occurrence.daysInMonth()));
+  }
+
+  /**
+   * Move a day back until it is an active day of the schedule settings
+   * @private
+   * @param {Object} day - moment of the day
+   * @param {Object} scheduleSettings - Schedule settings with activeDays
+   * @returns {Object} - moment of the active day (the day itself when no day is active)
+   */
+  _previousActiveDay(day, scheduleSettings) {
+    for (let back = 0; back < 7; back++) {
+      const candidate = day.clone().subtract(back, 'days');
+      if (this._isActiveDay(candidate, scheduleSettings)) return candidate;
+    }
+    return day;
+  }
+
+  /**
+   * Check a day against the active days of the schedule settings
+   * @private
+   * @param {Object} day - moment of the day
+   * @param {Object} scheduleSettings - Schedule settings with activeDays (Sunday is 0 or 7)
+   * @returns {boolean}
+   */
+  _isActiveDay(day, scheduleSettings) {
+    const activeDays = Array.isArray(scheduleSettings.activeDays) ? scheduleSettings.activeDays : [];
+    const weekday = day.day();
+    return activeDays.includes(weekday) || (weekday === 0 && activeDays.includes(7));
+  }
+
+  /**
+   * The send time on a day, kept inside the send windows of the schedule settings:
+   * a time between two windows moves to the start of the next one, a time after
+   * the last window to its end
+   * @private
+   * @param {Object} day - moment at the start of the day
+   * @param {number} sendTime - Minutes from midnight
+   * @param {Object} scheduleSettings - Schedule settings with the send windows
+   * @returns {Object} - moment of the send time
+   */
+  _sendTimeOn(day, sendTime, scheduleSettings) {
+    const windows = messageController.getTimeWindows(scheduleSettings, day.day());
+
+    let minutes = sendTime;
+    if (windows.length > 0 && !windows.some(window => minutes >= window.start && minutes <= window.end)) {
+      const next = windows.find(window => window.start > minutes);
+      minutes = next ? next.start : windows[windows.length - 1].end;
+    }
+    return day.clone().add(minutes, 'minutes');
+  }
+}
+
+module.exports = new BirthdayController();
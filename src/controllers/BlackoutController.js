@@ -0,0 +1,202 @@
+const { models, isDatabaseInitialized } = require('../database/db');
+const { Op } = require('sequelize');
+const fs = require('fs');
+const path = require('path');
+const blackoutCalendar = require('../services/BlackoutCalendar');
+
+const BlackoutDate = models.BlackoutDate;
+
+/**
+ * BlackoutController manages the blackout calendar of the scheduler
+ * (see BlackoutCalendar for how it is applied)
+ */
+class BlackoutController {
+  /**
+   * Check if database is initialized
+   * @private
+   * @throws {Error} - If database is not initialized
+   */
+  _checkDatabaseInitialized() {
+    if (!isDatabaseInitialized()) {
+      throw new Error('Database not initialized');
+    }
+  }
+
+  /**
+   * Get the calendar, in date order
+   * @returns {Promise<Array>} - Array of plain entries
+   */
+  async getEntries() {
+    try {
+      this._checkDatabaseInitialized();
+
+      const entries = await BlackoutDate.findAll({ order: [['startDate', 'ASC'], ['name', 'ASC']] });
+      return entries.map(entry => entry.toJSON());
+    } catch (error) {
+      console.error('Error fetching blackout calendar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Block a date or a date range
+   * @param {Object} entryData - { name, startDate, endDate, recurringYearly }
+   * @returns {Promise<Object>} - Result with the created entry
+   */
+  async addEntry(entryData) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const entry = this._validateEntry(entryData || {});
+      if (entry.error) {
+        return { success: false, error: entry.error };
+      }
+
+      const created = await BlackoutDate.create({ ...entry, source: 'MANUAL' });
+      blackoutCalendar.invalidate();
+
+      return { success: true, entry: created.toJSON() };
+    } catch (error) {
+      console.error('Error adding blackout date:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remove entries, allowing their days to be sent on again
+   * @param {Array} ids - Entry IDs
+   * @returns {Promise<Object>} - Result with the number of removed entries
+   */
+  async removeEntries(ids) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const entryIds = Array.isArray(ids) ? ids.map(id => parseInt(id)).filter(id => !isNaN(id)) : [];
+      if (entryIds.length === 0) {
+        return { success: false, error: 'No entries provided' };
+      }
+
+      const removed = await BlackoutDate.destroy({ where: { id: { [Op.in]: entryIds } } });
+      blackoutCalendar.invalidate();
+
+      console.log(`Removed ${removed} blackout date(s)`);
+      return { success: true, removed };
+    } catch (error) {
+      console.error('Error removing blackout dates:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Add the events of an iCalendar (.ics) file, like a public holiday calendar
+   * @param {string} filePath - Path to the file
+   * @returns {Promise<Object>} - Result with imported, duplicate and invalid counts
+   */
+  async importFromIcs(filePath) {
+    try {
+      this._checkDatabaseInitialized();
+
+      if (path.extname(filePath || '').toLowerCase() !== '.ics') {
+        return { success: false, error: 'Unsupported file type, use an iCalendar (.ics) file' };
+      }
+
+      const events = blackoutCalendar.parseIcs(await fs.promises.readFile(filePath, 'utf8'));
+      if (events.length === 0) {
+        return { success: false, error: 'No events found in the file' };
+      }
+
+      const existing = await BlackoutDate.findAll({ raw: true });
+      const keys = new Set(existing.map(entry => this._entryKey(entry)));
+
+      let imported = 0;
+      let duplicates = 0;
+      let invalid = 0;
+
+      for (const event of events) {
+        const entry = this._validateEntry(event);
+        if (entry.error) {
+          invalid++;
+          continue;
+        }
+
+        // Importing the same calendar again doesn't add its holidays twice
+        const key = this._entryKey(entry);
+        if (keys.has(key)) {
+          duplicates++;
+          continue;
+        }
+
+        await BlackoutDate.create({ ...entry, source: 'ICS' });
+        keys.add(key);
+        imported++;
+      }
+
+      blackoutCalendar.invalidate();
+
+      console.log(`Blackout calendar import: ${imported} imported, ${duplicates} duplicates, ${invalid} invalid`);
+      return { success: true, imported, duplicates, invalid };
+    } catch (error) {
+      console.error('Error importing blackout calendar:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Check and clean the fields of an entry
+   * @private
+   * @param {Object} data - { name, startDate, endDate, recurringYearly }
+   * @returns {Object} - Entry fields, or { error }
+   */
+  _validateEntry(data) {
+    const name = (data.name || '').trim();
+    if (!name) {
+      return { error: 'Name is required' };
+    }
+
+    const startDate = data.startDate;
+    if (!this._isValidDay(startDate)) {
+      return { error: 'A valid start date is required' };
+    }
+
+    const endDate = data.endDate || startDate;
+    if (!this._isValidDay(endDate)) {
+      return { error: 'Invalid end date' };
+    }
+
+    if (endDate < startDate) {
+      return { error: 'End date cannot be before the start date' };
+    }
+
+    const recurringYearly = Boolean(data.recurringYearly);
+    if (recurringYearly && blackoutCalendar.addDays(startDate, 365) <= endDate) {
+      return { error: 'A yearly blackout must be shorter than a year' };
+    }
+
+    return { name, startDate, endDate, recurringYearly };
+  }
+
+  /**
+   * Check a YYYY-MM-DD day
+   * @private
+   * @param {string} value - Day
+   * @returns {boolean}
+   */
+  _isValidDay(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+
+    // Rejects days like 2026-02-30 that Date would roll over
+    return blackoutCalendar.addDays(value, 0) === value;
+  }
+
+  /**
+   * Key of an entry for finding duplicates
+   * @private
+   * @param {Object} entry - Entry fields
+   * @returns {string}
+   */
+  _entryKey(entry) {
+    return [entry.name.toLowerCase(), entry.startDate, entry.endDate, entry.recurringYearly ? 1 : 0].join('|');
+  }
+}
+
+module.exports = new BlackoutController();
@@ -0,0 +1,572 @@
+const { sequelize, models, isDatabaseInitialized } = require('../database/db');
+const { Op } = require('sequelize');
+const messageController = require('./MessageController');
+const phoneNumberService = require('../services/PhoneNumberService');
+const moment = require('moment');
+
+const Campaign = models.Campaign;
+const Message = models.Message;
+const Contact = models.Contact;
+const InboundMessage = models.InboundMessage;
+
+// Message statuses that have not been sent yet
+const OPEN_STATUSES = ['SCHEDULED', 'PENDING', 'SENDING', 'PAUSED'];
+
+// How often A/B tests are checked for a winner to send automatically (ms)
+const WINNER_CHECK_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * CampaignController handles campaign-level operations on bulk messages
+ */
+class CampaignController {
+  constructor() {
+    this.winnerCheckTimer = null;
+  }
+
+  /**
+   * Check if database is initialized
+   * @private
+   * @throws {Error} - If database is not initialized
+   */
+  _checkDatabaseInitialized() {
+    if (!isDatabaseInitialized()) {
+      throw new Error('Database is not initialized. Please wait for database initialization to complete.');
+    }
+  }
+
+  /**
+   * Get all campaigns with aggregated message counts
+   * @returns {Promise<Array>} - Array of plain campaign objects
+   */
+  async getCampaigns() {
+    try {
+      this._checkDatabaseInitialized();
+
+      const campaigns = await Campaign.findAll({
+        order: [['scheduledTime', 'DESC']]
+      });
+
+      if (campaigns.length === 0) {
+        return [];
+      }
+
+      const countsById = await this._getMessageCounts(campaigns.map(c => c.id));
+      const result = [];
+
+      for (const campaign of campaigns) {
+        const counts = countsById[campaign.id] || this._emptyCounts();
+
+        // An active campaign with nothing left to send is complete
+        if (campaign.status === 'ACTIVE' && counts.total > 0 && counts.open === 0) {
+          await campaign.update({ status: 'COMPLETED' });
+        }
+
+        result.push({
+          ...campaign.toJSON(),
+          counts
+        });
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error fetching campaigns:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pause a campaign: its unsent messages are held until it is resumed
+   * @param {number} id - Campaign ID
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async pauseCampaign(id) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const campaign = await Campaign.findByPk(id);
+      if (!campaign) {
+        return { success: false, error: `Campaign with ID ${id} not found` };
+      }
+
+      if (campaign.status !== 'ACTIVE') {
+        return { success: false, error: `Campaign is ${campaign.status} and cannot be paused` };
+      }
+
+      const affected = await this._moveMessages(campaign, ['SCHEDULED', 'PENDING'], 'PAUSED');
+      await campaign.update({ status: 'PAUSED' });
+
+      console.log(`Paused campaign ${id}, ${affected} message(s) on hold`);
+      return { success: true, affected };
+    } catch (error) {
+      console.error(`Error pausing campaign ${id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Resume a paused campaign
+   * @param {number} id - Campaign ID
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async resumeCampaign(id) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const campaign = await Campaign.findByPk(id);
+      if (!campaign) {
+        return { success: false, error: `Campaign with ID ${id} not found` };
+      }
+
+      if (campaign.status !== 'PAUSED') {
+        return { success: false, error: `Campaign is ${campaign.status} and cannot be resumed` };
+      }
+
+      // Back to SCHEDULED, the scheduler promotes them to PENDING when their time has come
+      const affected = await this._moveMessages(campaign, ['PAUSED'], 'SCHEDULED');
+      await campaign.update({ status: 'ACTIVE' });
+
+      // Make sure scheduler is running
+      messageController.startScheduler();
+
+      console.log(`Resumed campaign ${id}, ${affected} message(s) back in the queue`);
+      return { success: true, affected };
+    } catch (error) {
+      console.error(`Error resuming campaign ${id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Cancel all unsent messages of a campaign
+   * @param {number} id - Campaign ID
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async cancelCampaign(id) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const campaign = await Campaign.findByPk(id);
+      if (!campaign) {
+        return { success: false, error: `Campaign with ID ${id} not found` };
+      }
+
+      if (campaign.status === 'CANCELED' || campaign.status === 'COMPLETED') {
+        return { success: false, error: `Campaign is already ${campaign.status}` };
+      }
+
+      const affected = await this._moveMessages(campaign, ['SCHEDULED', 'PENDING', 'PAUSED'], 'CANCELED');
+      await campaign.update({ status: 'CANCELED' });
+
+      console.log(`Canceled campaign ${id}, ${affected} message(s) canceled`);
+      return { success: true, affected };
+    } catch (error) {
+      console.error(`Error canceling campaign ${id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create a new campaign with the same template snapshot, audience and send options
+   * @param {number} id - Campaign ID to duplicate
+   * @param {Object} options - Optional overrides
+   * @param {string} options.name - Name of the new campaign
+   * @param {string} options.scheduledTime - ISO string of when to schedule the copy (defaults to now)
+   * @returns {Promise<Object>} - Result of scheduling the copy
+   */
+  async duplicateCampaign(id, options = {}) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const campaign = await Campaign.findByPk(id);
+      if (!campaign) {
+        return { success: false, error: `Campaign with ID ${id} not found` };
+      }
+
+      const templateSnapshot = campaign.templateSnapshot;
+      if (!templateSnapshot) {
+        return { success: false, error: 'Campaign has no template snapshot to duplicate' };
+      }
+
+      const audience = campaign.audience;
+      if (!audience.contactIds || audience.contactIds.length === 0) {
+        return { success: false, error: 'Campaign has no audience to duplicate' };
+      }
+
+      // A/B tests are repeated with the same variants and settings
+      const abTest = campaign.abTest;
+      const abTestConfig = campaign.variants ? {
+        variants: campaign.variants.map(({ ratio, templateSnapshot: snapshot }) => ({
+          templateId: snapshot.id,
+          templateSnapshot: snapshot,
+          ratio
+        })),
+        abTest: {
+          testPercent: abTest.testPercent,
+          winnerMetric: abTest.winnerMetric,
+          autoSendWinner: abTest.autoSendWinner,
+          decideAfterHours: abTest.decideAfterHours
+        }
+      } : {};
+
+      // Local time sends go out at the same time of day, on the day of the copy
+      const scheduledTime = options.scheduledTime || new Date().toISOString();
+      const localTime = campaign.recipientLocalTime;
+
+      return await messageController.scheduleMessages({
+        contacts: audience.contactIds.map(contactId => ({ id: contactId })),
+        templateId: templateSnapshot.id,
+        templateSnapshot,
+        scheduledTime,
+        campaignName: options.name || `${campaign.name} (copy)`,
+        audienceGroups: audience.groups,
+        accountId: campaign.WhatsAppAccountId,
+        useSenderPool: campaign.useSenderPool,
+        recipientLocalTime: localTime ? { date: moment(scheduledTime).format('YYYY-MM-DD'), time: localTime.time } : null,
+        skipNumbers: campaign.skipNumbers,
+        ...abTestConfig
+      });
+    } catch (error) {
+      console.error(`Error duplicating campaign ${id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Compare the variants of an A/B test campaign
+   * @param {number} id - Campaign ID
+   * @returns {Promise<Object>} - Result with per-variant counts and rates, and the suggested winner
+   */
+  async getVariantStats(id) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const campaign = await Campaign.findByPk(id);
+      if (!campaign) {
+        return { success: false, error: `Campaign with ID ${id} not found` };
+      }
+
+      if (!campaign.variants) {
+        return { success: false, error: 'Campaign is not an A/B test' };
+      }
+
+      const variants = await this._getVariantStats(campaign);
+      const { remainingContactIds, ...abTest } = campaign.abTest;
+
+      return {
+        success: true,
+        campaignId: campaign.id,
+        variants,
+        suggestedWinner: this._pickWinner(variants, abTest.winnerMetric),
+        abTest: {
+          ...abTest,
+          remainingCount: remainingContactIds.length
+        }
+      };
+    } catch (error) {
+      console.error(`Error fetching variant stats of campaign ${id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send the winning template of an A/B test to the contacts that were held back,
+   * as a new campaign
+   * @param {number} id - Campaign ID of the A/B test
+   * @param {string} label - Variant to send (defaults to the best one by the test's metric)
+   * @returns {Promise<Object>} - Result of scheduling the winner campaign
+   */
+  async sendWinner(id, label = null) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const campaign = await Campaign.findByPk(id);
+      if (!campaign) {
+        return { success: false, error: `Campaign with ID ${id} not found` };
+      }
+
+      const abTest = campaign.abTest;
+      if (!campaign.variants || !abTest) {
+        return { success: false, error: 'Campaign is not an A/B test' };
+      }
+
+      if (abTest.winner) {
+        return { success: false, error: `Variant ${abTest.winner} was already sent to the remaining contacts` };
+      }
+
+      if (abTest.remainingContactIds.length === 0) {
+        return { success: false, error: 'The whole audience was part of the test, there are no contacts left' };
+      }
+
+      const winner = label || this._pickWinner(await this._getVariantStats(campaign), abTest.winnerMetric);
+      const variant = campaign.variants.find(candidate => candidate.label === winner);
+      if (!variant) {
+        return { success: false, error: winner ? `Variant ${winner} not found` : 'No variant has been sent yet' };
+      }
+
+      // Claim the winner first, only while no one else has, so the automatic
+      // check and a manual send can't both go out
+      const claimed = { ...abTest, winner: variant.label, winnerSentAt: new Date().toISOString() };
+      const [claimedCount] = await Campaign.update({ abTest: claimed }, {
+        where: {
+          id: campaign.id,
+          [Op.and]: [sequelize.where(sequelize.fn('json_extract', sequelize.col('abTest'), '$.winner'), { [Op.is]: null })]
+        }
+      });
+      if (claimedCount === 0) {
+        return { success: false, error: 'The winner of this A/B test was already sent to the remaining contacts' };
+      }
+
+      const result = await messageController.scheduleMessages({
+        contacts: abTest.remainingContactIds.map(contactId => ({ id: contactId })),
+        templateId: variant.templateSnapshot.id,
+        templateSnapshot: variant.templateSnapshot,
+        scheduledTime: new Date().toISOString(),
+        campaignName: `${campaign.name} - winner ${variant.label}`,
+        audienceGroups: campaign.audience.groups,
+        accountId: campaign.WhatsAppAccountId,
+        useSenderPool: campaign.useSenderPool
+      });
+
+      if (!result.success) {
+        await Campaign.update({ abTest }, { where: { id: campaign.id } });
+        return result;
+      }
+
+      await Campaign.update({ abTest: { ...claimed, winnerCampaignId: result.campaignId } }, { where: { id: campaign.id } });
+
+      console.log(`Sent variant ${variant.label} of campaign ${id} to ${result.scheduledCount} remaining contact(s)`);
+      return { ...result, winner: variant.label };
+    } catch (error) {
+      console.error(`Error sending the winner of campaign ${id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send the winner of every A/B test whose decision time has come
+   * @returns {Promise<number>} - Number of winners sent
+   */
+  async processAbTests() {
+    try {
+      this._checkDatabaseInitialized();
+
+      const campaigns = await Campaign.findAll({
+        where: {
+          abTest: { [Op.ne]: null },
+          status: { [Op.in]: ['ACTIVE', 'COMPLETED'] }
+        }
+      });
+
+      let sent = 0;
+
+      for (const campaign of campaigns) {
+        const abTest = campaign.abTest;
+        if (!abTest.autoSendWinner || abTest.winner || new Date(abTest.decideAt) > new Date()) {
+          continue;
+        }
+
+        const result = await this.sendWinner(campaign.id);
+        if (result.success) {
+          sent++;
+        } else {
+          // Usually nothing has been sent yet; try again on the next check
+          console.log(`Winner of campaign ${campaign.id} not sent yet: ${result.error}`);
+        }
+      }
+
+      return sent;
+    } catch (error) {
+      console.error('Error processing A/B tests:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Start checking A/B tests for winners to send automatically
+   */
+  startWinnerCheck() {
+    this.stopWinnerCheck();
+
+    this.processAbTests();
+    this.winnerCheckTimer = setInterval(() => this.processAbTests(), WINNER_CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop checking A/B tests for winners
+   */
+  stopWinnerCheck() {
+    if (this.winnerCheckTimer) {
+      clearInterval(this.winnerCheckTimer);
+      this.winnerCheckTimer = null;
+    }
+  }
+
+  /**
+   * Count outcomes and replies per variant of an A/B test
+   * @private
+   * @param {Object} campaign - Campaign model
+   * @returns {Promise<Array>} - One row per variant, in label order
+   */
+  async _getVariantStats(campaign) {
+    const messages = await Message.findAll({
+      where: {
+        CampaignId: campaign.id,
+        variant: { [Op.ne]: null }
+      },
+      attributes: ['id', 'variant', 'status', 'sentTime'],
+      include: [{ model: Contact, attributes: ['phoneNumber'] }]
+    });
+
+    // A reply is any message from the contact after the test message was sent
+    const sentMessages = messages.filter(message => message.sentTime && message.Contact);
+    const phoneNumbers = [...new Set(sentMessages.map(message => phoneNumberService.normalize(message.Contact.phoneNumber)))];
+    const firstSentTime = sentMessages.reduce((first, message) => (!first || message.sentTime < first ? message.sentTime : first), null);
+
+    const replies = phoneNumbers.length === 0 ? [] : await InboundMessage.findAll({
+      where: {
+        direction: 'IN',
+        phoneNumber: { [Op.in]: phoneNumbers },
+        receivedAt: { [Op.gte]: firstSentTime }
+      },
+      attributes: ['phoneNumber', 'receivedAt'],
+      raw: true
+    });
+
+    const repliesByPhone = new Map();
+    replies.forEach(reply => {
+      const times = repliesByPhone.get(reply.phoneNumber) || [];
+      times.push(new Date(reply.receivedAt));
+      repliesByPhone.set(reply.phoneNumber, times);
+    });
+
+    const percent = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+    return campaign.variants.map(variant => {
+      const counts = { total: 0, sent: 0, delivered: 0, read: 0, failed: 0, replies: 0 };
+
+      messages.filter(message => message.variant === variant.label).forEach(message => {
+        counts.total++;
+        if (['SENT', 'DELIVERED', 'READ'].includes(message.status)) counts.sent++;
+        if (['DELIVERED', 'READ'].includes(message.status)) counts.delivered++;
+        if (message.status === 'READ') counts.read++;
+        if (message.status === 'FAILED') counts.failed++;
+
+        if (message.sentTime && message.Contact) {
+          const times = repliesByPhone.get(phoneNumberService.normalize(message.Contact.phoneNumber)) || [];
+          if (times.some(time => time >= message.sentTime)) counts.replies++;
+        }
+      });
+
+      return {
+        label: variant.label,
+        ratio: variant.ratio,
+        templateName: variant.templateSnapshot.name,
+        ...counts,
+        deliveryRate: percent(counts.delivered, counts.sent),
+        readRate: percent(counts.read, counts.sent),
+        replyRate: percent(counts.replies, counts.sent)
+      };
+    });
+  }
+
+  /**
+   * Pick the best variant by read or reply rate, using the other rate to break ties
+   * @private
+   * @param {Array} variants - Variant stats
+   * @param {string} metric - 'read' or 'reply'
+   * @returns {string|null} - Label of the best variant, or null when nothing was sent yet
+   */
+  _pickWinner(variants, metric) {
+    const [primary, secondary] = metric === 'reply' ? ['replyRate', 'readRate'] : ['readRate', 'replyRate'];
+
+    const ranked = variants
+      .filter(variant => variant.sent > 0)
+      .sort((a, b) => (b[primary] - a[primary]) || (b[secondary] - a[secondary]) || (b.sent - a.sent));
+
+    return ranked.length > 0 ? ranked[0].label : null;
+  }
+
+  /**
+   * Move the campaign's messages from some statuses to another one
+   * @private
+   * @param {Object} campaign - Campaign model
+   * @param {Array} fromStatuses - Statuses to move
+   * @param {string} toStatus - New status
+   * @returns {Promise<number>} - Number of messages updated
+   */
+  async _moveMessages(campaign, fromStatuses, toStatus) {
+    const messages = await Message.findAll({
+      where: {
+        CampaignId: campaign.id,
+        status: { [Op.in]: fromStatuses }
+      },
+      attributes: ['id']
+    });
+
+    const ids = messages.map(message => message.id);
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    const [affected] = await Message.update(
+      { status: toStatus },
+      { where: { id: { [Op.in]: ids } } }
+    );
+
+    return affected;
+  }
+
+  /**
+   * Count messages per campaign and status
+   * @private
+   * @param {Array} campaignIds - Campaign IDs
+   * @returns {Promise<Object>} - Counts keyed by campaign ID
+   */
+  async _getMessageCounts(campaignIds) {
+    const rows = await Message.findAll({
+      attributes: [
+        'CampaignId',
+        'status',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+      ],
+      where: { CampaignId: { [Op.in]: campaignIds } },
+      group: ['CampaignId', 'status'],
+      raw: true
+    });
+
+    const countsById = {};
+
+    rows.forEach(row => {
+      const counts = countsById[row.CampaignId] || (countsById[row.CampaignId] = this._emptyCounts());
+      const count = parseInt(row.count) || 0;
+
+      counts.total += count;
+
+      // Sent/delivered are cumulative: a read message was also delivered and sent
+      if (['SENT', 'DELIVERED', 'READ'].includes(row.status)) counts.sent += count;
+      if (['DELIVERED', 'READ'].includes(row.status)) counts.delivered += count;
+      if (row.status === 'READ') counts.read += count;
+      if (row.status === 'FAILED') counts.failed += count;
+      if (row.status === 'CANCELED') counts.canceled += count;
+      if (row.status === 'PAUSED') counts.paused += count;
+      if (OPEN_STATUSES.includes(row.status)) counts.open += count;
+    });
+
+    return countsById;
+  }
+
+  _emptyCounts() {
+    return {
+      total: 0,
+      open: 0,
+      paused: 0,
+      sent: 0,
+      delivered: 0,
+      read: 0,
+      failed: 0,
+      canceled: 0
+    };
+  }
+}
+
+module.exports = new CampaignController();
@@ -5,13 +5,32 @@ const path = require('path');
 const xlsx = require('xlsx');
 const csvParser = require('csv-parser');
 const { app } = require('electron');
+const timeZoneService = require('../services/TimeZoneService');
+const phoneNumberService = require('../services/PhoneNumberService');
 
 const Contact = models.Contact;
+const Tag = models.Tag;
+
+// Import columns that are never turned into custom fields (exported bookkeeping columns)
+const IGNORED_IMPORT_FIELDS = ['id', 'source', 'notes', 'createdAt', 'updatedAt', 'customFields', 'Tags'];
+
+// Tags shown alongside a contact (without the join table columns)
+const TAG_INCLUDE = {
+  model: Tag,
+  attributes: ['id', 'name', 'color'],
+  through: { attributes: [] }
+};
 
 /**
  * ContactController handles all contact-related operations
  */
 class ContactController {
+  constructor() {
+    // Custom field names of all contacts, loaded on first use and dropped
+    // whenever contacts are added, changed or deleted (see getCustomFieldKeys)
+    this.customFieldKeys = null;
+  }
+
   /**
    * Check if database is initialized
    * @private
@@ -28,9 +47,10 @@ class ContactController {
    * @param {number} page - Page number (1-based)
    * @param {number} limit - Number of contacts per page
    * @param {string} search - Search query (optional)
+   * @param {Object} filters - Optional filters: whatsappStatus (UNVERIFIED, VALID or INVALID)
    * @returns {Promise<Object>} - Paginated contacts with metadata
    */
-  async getContactsPaginated(page = 1, limit = 50, search = '') {
+  async getContactsPaginated(page = 1, limit = 50, search = '', filters = {}) {
     try {
       this._checkDatabaseInitialized();
       
@@ -51,6 +71,11 @@ class ContactController {
           { notes: { [Op.like]: searchTerm } }
         ];
       }
+      
+      // Result of the WhatsApp number check
+      if (filters && filters.whatsappStatus) {
+        whereConditions.whatsappStatus = filters.whatsappStatus;
+      }
 
       // Calculate offset
       const offset = (page - 1) * limit;
@@ -63,6 +88,7 @@ class ContactController {
       // Get paginated data
       const contacts = await Contact.findAll({
         where: whereConditions,
+        include: [TAG_INCLUDE],
         order: [['updatedAt', 'DESC']],
         limit: parseInt(limit),
         offset: parseInt(offset)
@@ -116,7 +142,7 @@ class ContactController {
       query.order = [['updatedAt', 'DESC']];
       
       // Optimize for performance - only select necessary fields
-      query.attributes = ['id', 'name', 'surname', 'phoneNumber', 'email', 'source', 'createdAt', 'updatedAt'];
+      query.attributes = ['id', 'name', 'surname', 'phoneNumber', 'email', 'timezone', 'source', 'customFields', 'createdAt', 'updatedAt'];
       
       // Find all contacts
       const contacts = await Contact.findAll(query);
@@ -208,7 +234,7 @@ class ContactController {
       const filePath = path.join(exportsDir, `contacts_${timestamp}.csv`);
       
       // Convert contacts to CSV
-      const worksheet = xlsx.utils.json_to_sheet(contacts);
+      const worksheet = xlsx.utils.json_to_sheet(this.flattenCustomFields(contacts));
       const csvContent = xlsx.utils.sheet_to_csv(worksheet);
       
       // Write CSV content to file
@@ -251,7 +277,7 @@ class ContactController {
       
       // Create a workbook and add a worksheet
       const workbook = xlsx.utils.book_new();
-      const worksheet = xlsx.utils.json_to_sheet(contacts);
+      const worksheet = xlsx.utils.json_to_sheet(this.flattenCustomFields(contacts));
       
       // Add the worksheet to the workbook
       xlsx.utils.book_append_sheet(workbook, worksheet, 'Contacts');
@@ -285,6 +311,7 @@ class ContactController {
       
       // Delete all contacts
       await Contact.destroy({ where: {} });
+      this.customFieldKeys = null;
       
       console.log(`Deleted all ${count} contacts from the database`);
       
@@ -323,6 +350,7 @@ class ContactController {
           }
         }
       });
+      this.customFieldKeys = null;
       
       console.log(`Deleted ${result} contacts with IDs: ${ids.join(', ')}`);
       
@@ -345,7 +373,7 @@ class ContactController {
     try {
       this._checkDatabaseInitialized();
       
-      const contact = await Contact.findByPk(id);
+      const contact = await Contact.findByPk(id, { include: [TAG_INCLUDE] });
       // Return null if contact not found
       if (!contact) return null;
       
@@ -368,12 +396,9 @@ class ContactController {
       
       if (!phoneNumber) return null;
       
-      // Format the phone number for consistency
-      const formattedPhone = this.formatPhoneNumber(phoneNumber);
-      
       // Find the contact with the given phone number
       const contact = await Contact.findOne({
-        where: { phoneNumber: formattedPhone }
+        where: { phoneNumber: phoneNumberService.normalize(phoneNumber) }
       });
       
       return contact;
@@ -401,14 +426,32 @@ class ContactController {
         };
       }
       
-      // Format phone number
-      contactData.phoneNumber = this.formatPhoneNumber(contactData.phoneNumber);
+      // Bring the phone number to E.164
+      const phone = phoneNumberService.parse(contactData.phoneNumber);
+      if (!phone.valid) {
+        return {
+          success: false,
+          code: 'INVALID_PHONE',
+          error: phone.error
+        };
+      }
+      contactData.phoneNumber = phone.e164;
       
       // Handle null or empty email to prevent validation errors
       if (!contactData.email || contactData.email.trim() === '') {
         contactData.email = null;
       }
       
+      const timezone = this.resolveTimeZone(contactData.timezone, contactData.phoneNumber);
+      if (timezone.error) {
+        return {
+          success: false,
+          code: 'INVALID_TIMEZONE',
+          error: timezone.error
+        };
+      }
+      contactData.timezone = timezone.timezone;
+      
       // Check for existing phone number
       const existingContact = await Contact.findOne({
         where: {
@@ -427,10 +470,12 @@ class ContactController {
       
       // Create contact
       const contact = await Contact.create(contactData);
+      this.customFieldKeys = null;
       
       return {
         success: true,
-        contact
+        contact: contact.toJSON(),
+        phoneType: phone.type
       };
     } catch (error) {
       console.error('Error creating contact:', error);
@@ -479,10 +524,12 @@ class ContactController {
         throw new Error('Phone number is required');
       }
       
-      // Format phone number if it's being updated
-      if (contactData.phoneNumber) {
-        contactData.phoneNumber = this.formatPhoneNumber(contactData.phoneNumber);
+      // Bring the phone number to E.164
+      const phone = phoneNumberService.parse(contactData.phoneNumber);
+      if (!phone.valid) {
+        throw new Error(phone.error);
       }
+      contactData.phoneNumber = phone.e164;
       
       // If phone number is changed, check if it already exists
       if (contactData.phoneNumber !== contact.phoneNumber) {
@@ -503,8 +550,24 @@ class ContactController {
         contactData.email = null;
       }
       
+      // A new number without a chosen time zone gets the one of its calling code
+      if (contactData.timezone !== undefined || contactData.phoneNumber !== contact.phoneNumber) {
+        const timezone = this.resolveTimeZone(contactData.timezone, contactData.phoneNumber);
+        if (timezone.error) {
+          throw new Error(timezone.error);
+        }
+        contactData.timezone = timezone.timezone;
+      }
+      
+      // A new number has to be looked up again by the number check
+      if (contactData.phoneNumber !== contact.phoneNumber) {
+        contactData.whatsappStatus = 'UNVERIFIED';
+        contactData.lastCheckedAt = null;
+      }
+      
       // Update the contact and return the updated model
       await contact.update(contactData);
+      this.customFieldKeys = null;
       console.log('Contact updated:', contact.toJSON());
       return contact;
     } catch (error) {
@@ -544,6 +607,7 @@ class ContactController {
       }
       
       await contact.destroy();
+      this.customFieldKeys = null;
       return true;
     } catch (error) {
       console.error(`Error deleting contact with ID ${id}:`, error);
@@ -607,7 +671,11 @@ class ContactController {
         total: contacts.length,
         imported: 0,
         duplicates: 0,
-        errors: 0
+        errors: 0,
+        // Numbers that can't be right, counted in errors too
+        invalid: 0,
+        // Imported numbers that are landlines, most of them can't get WhatsApp messages
+        landlines: 0
       };
       
       // Set up progress reporting
@@ -660,8 +728,14 @@ class ContactController {
             continue;
           }
           
-          // Format phone number
-          contact.phoneNumber = this.formatPhoneNumber(contact.phoneNumber);
+          // Bring the phone number to E.164, skipping numbers that can't be right
+          const phone = phoneNumberService.parse(contact.phoneNumber);
+          if (!phone.valid) {
+            result.invalid++;
+            result.errors++;
+            continue;
+          }
+          contact.phoneNumber = phone.e164;
           
           // Skip duplicates
           if (existingPhoneNumbers.has(contact.phoneNumber)) {
@@ -675,6 +749,10 @@ class ContactController {
           // Set source
           contact.source = sourceName;
           
+          if (!contact.timezone) {
+            contact.timezone = timeZoneService.inferFromPhoneNumber(contact.phoneNumber);
+          }
+          
           // Clean up email
           if (contact.email) {
             const emailPattern = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
@@ -683,6 +761,10 @@ class ContactController {
             }
           }
           
+          if (phone.type === 'landline') {
+            result.landlines++;
+          }
+          
           // Add to valid contacts
           validContacts.push(contact);
           
@@ -724,6 +806,8 @@ class ContactController {
         }
       }
       
+      this.customFieldKeys = null;
+      
       // Final progress report
       reportProgress(contacts.length);
       
@@ -925,6 +1009,7 @@ class ContactController {
     const phoneFields = ['phoneNumber', 'phone', 'phone_number', 'mobile', 'cell'];
     const emailFields = ['email', 'emailAddress', 'email_address'];
     const birthdayFields = ['birthday', 'birthdate', 'birth_date', 'dob'];
+    const timezoneFields = ['timezone', 'timeZone', 'time_zone', 'tz'];
     
     const contact = {};
     
@@ -981,31 +1066,119 @@ class ContactController {
       }
     }
     
+    // Find and map time zone, unknown zones are guessed from the phone number like missing ones
+    for (const field of timezoneFields) {
+      if (data[field]) {
+        const timezone = String(data[field]).trim();
+        if (timeZoneService.isValidTimeZone(timezone)) {
+          contact.timezone = timezone;
+        }
+        break;
+      }
+    }
+    
+    // Every other column becomes a custom field instead of being dropped
+    const knownFields = new Set([
+      ...nameFields, ...surnameFields, ...phoneFields, ...emailFields, ...birthdayFields, ...timezoneFields, ...IGNORED_IMPORT_FIELDS
+    ]);
+    const customFields = {};
+    
+    // JSON exports keep custom fields nested
+    if (data.customFields && typeof data.customFields === 'object') {
+      Object.assign(customFields, data.customFields);
+    }
+    
+    Object.keys(data).forEach(column => {
+      if (knownFields.has(column)) return;
+      
+      const key = this.toCustomFieldKey(column);
+      const value = data[column];
+      if (!key || value === null || value === undefined || String(value).trim() === '') return;
+      
+      customFields[key] = String(value).trim();
+    });
+    
+    if (Object.keys(customFields).length > 0) {
+      contact.customFields = customFields;
+    }
+    
     return contact;
   }
 
   /**
-   * Format phone number to ensure it has the correct international format
-   * Optimized for performance with large datasets
-   * @param {string} phoneNumber - Phone number to format
-   * @returns {string} - Formatted phone number
+   * Turn a column header into a custom field key usable as a template variable
+   * ("Company Name" -> "Company_Name")
+   * @param {string} column - Column header
+   * @returns {string} - Custom field key, empty if nothing usable is left
+   */
+  toCustomFieldKey(column) {
+    return String(column)
+      .trim()
+      .replace(/\s+/g, '_')
+      .replace(/[^\w]/g, '');
+  }
+
+  /**
+   * Move custom fields into top level columns for spreadsheet exports
+   * @param {Array} contacts - Plain contact objects
+   * @returns {Array} - Contacts with one column per custom field
    */
-  formatPhoneNumber(phoneNumber) {
-    // Fast path: handle undefined or null
-    if (!phoneNumber) {
-      return '';
+  flattenCustomFields(contacts) {
+    return contacts.map(contact => {
+      const { customFields, ...rest } = contact;
+      return { ...rest, ...(customFields || {}) };
+    });
+  }
+
+  /**
+   * Get the names of all custom fields used by any contact. They are kept
+   * until contacts change, since every message that is sent needs them
+   * @returns {Promise<Array>} - Sorted custom field keys
+   */
+  async getCustomFieldKeys() {
+    try {
+      this._checkDatabaseInitialized();
+      
+      if (this.customFieldKeys) {
+        return [...this.customFieldKeys];
+      }
+      
+      const rows = await Contact.findAll({
+        attributes: ['customFields'],
+        where: { customFields: { [Op.ne]: null } }
+      });
+      
+      const keys = new Set();
+      rows.forEach(row => {
+        Object.keys(row.customFields).forEach(key => keys.add(key));
+      });
+      
+      this.customFieldKeys = Array.from(keys).sort((a, b) => a.localeCompare(b));
+      return [...this.customFieldKeys];
+    } catch (error) {
+      console.error('Error fetching custom field keys:', error);
+      throw error;
     }
+  }
+
+  /**
+   * Check the time zone of a contact, guessing it from the phone number when empty
+   * @param {string} timezone - IANA time zone name, or empty
+   * @param {string} phoneNumber - Formatted phone number
+   * @returns {Object} - { timezone } (null when it can't be guessed) or { error }
+   */
+  resolveTimeZone(timezone, phoneNumber) {
+    const name = typeof timezone === 'string' ? timezone.trim() : '';
     
-    // Fast path: ensure string type
-    const phoneStr = String(phoneNumber);
+    if (!name) {
+      return { timezone: timeZoneService.inferFromPhoneNumber(phoneNumber) };
+    }
     
-    // Fast path: already properly formatted
-    if (phoneStr.startsWith('+')) {
-      return phoneStr.replace(/[^\d+]/g, '');
+    if (!timeZoneService.isValidTimeZone(name)) {
+      return { error: `Unknown time zone: ${name}` };
     }
     
-    // Fast path: simple conversion to E.164 format
-    return '+' + phoneStr.replace(/\D/g, '');
+    return { timezone: name };
   }
 
   /**
@@ -1036,6 +1209,7 @@ class ContactController {
           }
         }
       });
+      this.customFieldKeys = null;
       
       result.deleted = deleted;
       result.errors = ids.length - deleted;
@@ -0,0 +1,209 @@
+const { models, isDatabaseInitialized } = require('../database/db');
+const { Op } = require('sequelize');
+const fs = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+const { app } = require('electron');
+const optOutService = require('../services/OptOutService');
+const phoneNumberService = require('../services/PhoneNumberService');
+const contactController = require('./ContactController');
+
+const DoNotContact = models.DoNotContact;
+
+/**
+ * DoNotContactController manages the do-not-contact list
+ */
+class DoNotContactController {
+  /**
+   * Check if database is initialized
+   * @private
+   * @throws {Error} - If database is not initialized
+   */
+  _checkDatabaseInitialized() {
+    if (!isDatabaseInitialized()) {
+      throw new Error('Database not initialized');
+    }
+  }
+
+  /**
+   * Get the list, newest entries first
+   * @param {string} search - Optional filter on phone number or notes
+   * @returns {Promise<Array>} - Array of plain entries
+   */
+  async getEntries(search = '') {
+    try {
+      this._checkDatabaseInitialized();
+
+      const where = {};
+      const term = (search || '').trim();
+      if (term) {
+        where[Op.or] = [
+          { phoneNumber: { [Op.like]: `%${term}%` } },
+          { notes: { [Op.like]: `%${term}%` } },
+          { keywordMessage: { [Op.like]: `%${term}%` } }
+        ];
+      }
+
+      const entries = await DoNotContact.findAll({ where, order: [['createdAt', 'DESC']] });
+      return entries.map(entry => entry.toJSON());
+    } catch (error) {
+      console.error('Error fetching do-not-contact list:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a number by hand
+   * @param {Object} entryData - { phoneNumber, notes }
+   * @returns {Promise<Object>} - Result with the created entry
+   */
+  async addEntry(entryData) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const phone = phoneNumberService.parse(entryData.phoneNumber);
+      if (!phone.valid) {
+        return { success: false, error: `A valid phone number is required: ${phone.error}` };
+      }
+      const phoneNumber = phone.e164;
+
+      const { entry, created } = await optOutService.add(phoneNumber, {
+        reason: 'MANUAL',
+        notes: (entryData.notes || '').trim()
+      });
+
+      if (!created) {
+        return { success: false, error: `${phoneNumber} is already on the do-not-contact list` };
+      }
+
+      return { success: true, entry: entry.toJSON() };
+    } catch (error) {
+      console.error('Error adding do-not-contact entry:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remove entries, allowing their numbers to be messaged again
+   * @param {Array} ids - Entry IDs
+   * @returns {Promise<Object>} - Result with the number of removed entries
+   */
+  async removeEntries(ids) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const entryIds = Array.isArray(ids) ? ids.map(id => parseInt(id)).filter(id => !isNaN(id)) : [];
+      if (entryIds.length === 0) {
+        return { success: false, error: 'No entries provided' };
+      }
+
+      const removed = await DoNotContact.destroy({ where: { id: { [Op.in]: entryIds } } });
+
+      console.log(`Removed ${removed} number(s) from the do-not-contact list`);
+      return { success: true, removed };
+    } catch (error) {
+      console.error('Error removing do-not-contact entries:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Add every phone number of a contacts file (CSV, Excel or JSON)
+   * @param {string} filePath - Path to the file
+   * @returns {Promise<Object>} - Result with imported, duplicate and invalid counts
+   */
+  async importFromFile(filePath) {
+    try {
+      this._checkDatabaseInitialized();
+
+      let rows;
+      switch (path.extname(filePath || '').toLowerCase()) {
+        case '.csv':
+          rows = await contactController.readCsvFile(filePath);
+          break;
+        case '.xlsx':
+        case '.xls':
+          rows = await contactController.readExcelFile(filePath);
+          break;
+        case '.json':
+          rows = await contactController.readJsonFile(filePath);
+          break;
+        default:
+          return { success: false, error: 'Unsupported file type, use CSV, Excel or JSON' };
+      }
+
+      const notes = `Imported from ${path.basename(filePath)}`;
+      let imported = 0;
+      let duplicates = 0;
+      let invalid = 0;
+
+      for (const row of rows) {
+        if (!phoneNumberService.parse(row.phoneNumber).valid) {
+          invalid++;
+          continue;
+        }
+
+        const { created } = await optOutService.add(row.phoneNumber, { reason: 'IMPORT', notes });
+        if (created) {
+          imported++;
+        } else {
+          duplicates++;
+        }
+      }
+
+      console.log(`Do-not-contact import: ${imported} imported, ${duplicates} duplicates, ${invalid} invalid`);
+      return { success: true, imported, duplicates, invalid };
+    } catch (error) {
+      console.error('Error importing do-not-contact list:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Export the list to a CSV file that importFromFile can read back
+   * @returns {Promise<Object>} - Object with success status and file path
+   */
+  async exportAsCsv() {
+    try {
+      this._checkDatabaseInitialized();
+
+      const entries = await this.getEntries();
+
+      // Create the exports directory in the desktop db folder
+      const desktopPath = app.getPath('desktop');
+      const exportsDir = path.join(desktopPath, 'db', 'exports');
+      if (!fs.existsSync(exportsDir)) {
+        fs.mkdirSync(exportsDir, { recursive: true });
+      }
+
+      // Generate a filename with timestamp
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const filePath = path.join(exportsDir, `do_not_contact_${timestamp}.csv`);
+
+      const rows = entries.map(entry => ({
+        phoneNumber: entry.phoneNumber,
+        reason: entry.reason,
+        keywordMessage: entry.keywordMessage || '',
+        notes: entry.notes || '',
+        createdAt: new Date(entry.createdAt).toISOString()
+      }));
+      const worksheet = xlsx.utils.json_to_sheet(rows, {
+        header: ['phoneNumber', 'reason', 'keywordMessage', 'notes', 'createdAt']
+      });
+      fs.writeFileSync(filePath, xlsx.utils.sheet_to_csv(worksheet), 'utf8');
+
+      console.log(`Exported ${entries.length} do-not-contact entries to ${filePath}`);
+
+      return {
+        success: true,
+        filePath,
+        count: entries.length
+      };
+    } catch (error) {
+      console.error('Error exporting do-not-contact list:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new DoNotContactController();
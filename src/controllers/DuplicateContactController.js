@@ -0,0 +1,382 @@
+const { sequelize, models, isDatabaseInitialized } = require('../database/db');
+const { Op, fn, col } = require('sequelize');
+const phoneNumberService = require('../services/PhoneNumberService');
+const optOutService = require('../services/OptOutService');
+
+const Contact = models.Contact;
+const Tag = models.Tag;
+const ContactTag = models.ContactTag;
+const Message = models.Message;
+
+// Tags shown alongside a contact (without the join table columns)
+const TAG_INCLUDE = {
+  model: Tag,
+  attributes: ['id', 'name', 'color'],
+  through: { attributes: [] }
+};
+
+// Fields a survivor without a value takes from the contacts merged into it
+const FILLED_FIELDS = ['surname', 'email', 'birthday', 'timezone'];
+
+// Names sharing their first letters are compared for typos only in groups up
+// to this size, so a common start like "an" doesn't compare every pair
+const MAX_FUZZY_BUCKET = 500;
+
+// Shortest name key (with the space) compared for typos
+const MIN_FUZZY_LENGTH = 8;
+
+/**
+ * Number of single letter edits between two texts, stopping once it is over a limit
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @param {number} limit - Highest distance of interest
+ * @returns {number} - Edit distance, limit + 1 when it is larger than the limit
+ */
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * DuplicateContactController finds contacts that are likely the same person
+ * and merges them into one.
+ *
+ * Contacts are grouped when they share a phone number (compared in E.164, so
+ * +35569... and 35569... match), an email address, or a full name (name and
+ * surname in any order, ignoring case and accents, allowing a typo or two).
+ */
+class DuplicateContactController {
+  /**
+   * Check if database is initialized
+   * @private
+   * @throws {Error} - If database is not initialized
+   */
+  _checkDatabaseInitialized() {
+    if (!isDatabaseInitialized()) {
+      throw new Error('Database not initialized');
+    }
+  }
+
+  /**
+   * Find the groups of likely duplicates
+   * @returns {Promise<Array>} - { reasons, contacts } per group, biggest groups first; reasons
+   *                             lists what the contacts share ('phone', 'email', 'name'), contacts
+   *                             are plain contacts with their tags and messageCount, oldest first
+   */
+  async findDuplicates() {
+    try {
+      this._checkDatabaseInitialized();
+
+      const rows = await Contact.findAll({
+        attributes: ['id', 'name', 'surname', 'phoneNumber', 'email'],
+        order: [['id', 'ASC']],
+        raw: true
+      });
+
+      // Union-find over contact IDs, every link remembers why it was made
+      const parent = new Map(rows.map(row => [row.id, row.id]));
+      const find = (id) => {
+        while (parent.get(id) !== id) {
+          parent.set(id, parent.get(parent.get(id)));
+          id = parent.get(id);
+        }
+        return id;
+      };
+      const links = [];
+      const link = (a, b, reason) => {
+        links.push([a, b, reason]);
+        parent.set(find(a), find(b));
+      };
+
+      // Contacts with the same key are linked to the first contact with it
+      const firstByKey = new Map();
+      const linkByKey = (id, reason, key) => {
+        if (!key) return;
+        const mapKey = `${reason}:${key}`;
+        if (firstByKey.has(mapKey)) {
+          link(firstByKey.get(mapKey), id, reason);
+        } else {
+          firstByKey.set(mapKey, id);
+        }
+      };
+
+      const names = new Map();
+      for (const row of rows) {
+        linkByKey(row.id, 'phone', phoneNumberService.normalize(row.phoneNumber));
+        linkByKey(row.id, 'email', (row.email || '').trim().toLowerCase());
+
+        const nameKey = this._nameKey(row);
+        linkByKey(row.id, 'name', nameKey);
+        if (nameKey && !names.has(nameKey)) names.set(nameKey, row.id);
+      }
+
+      this._linkSimilarNames(names, link);
+
+      // Collect the groups with more than one contact
+      const groups = new Map();
+      for (const row of rows) {
+        const root = find(row.id);
+        if (!groups.has(root)) groups.set(root, { ids: [], reasons: new Set() });
+        groups.get(root).ids.push(row.id);
+      }
+      for (const [a, , reason] of links) {
+        groups.get(find(a)).reasons.add(reason);
+      }
+
+      const duplicates = [...groups.values()].filter(group => group.ids.length > 1);
+      if (duplicates.length === 0) return [];
+
+      const ids = duplicates.flatMap(group => group.ids);
+      const [contacts, messageCounts] = await Promise.all([
+        Contact.findAll({ where: { id: { [Op.in]: ids } }, include: [TAG_INCLUDE] }),
+        Message.findAll({
+          attributes: ['ContactId', [fn('COUNT', col('id')), 'count']],
+          where: { ContactId: { [Op.in]: ids } },
+          group: ['ContactId'],
+          raw: true
+        })
+      ]);
+
+      const contactsById = new Map(contacts.map(contact => [contact.id, contact.toJSON()]));
+      const countsById = new Map(messageCounts.map(row => [row.ContactId, parseInt(row.count)]));
+
+      return duplicates
+        .map(group => ({
+          reasons: ['phone', 'email', 'name'].filter(reason => group.reasons.has(reason)),
+          contacts: group.ids
+            .filter(id => contactsById.has(id))
+            .map(id => ({ ...contactsById.get(id), messageCount: countsById.get(id) || 0 }))
+        }))
+        .sort((a, b) => b.contacts.length - a.contacts.length || a.contacts[0].id - b.contacts[0].id);
+    } catch (error) {
+      console.error('Error finding duplicate contacts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge contacts into one. The survivor keeps its own values and takes the
+   * ones it lacks from the others, gets their tags, custom fields, notes and
+   * message history, and the others are deleted.
+   * @param {number} survivorId - Contact that stays
+   * @param {Array} duplicateIds - Contacts merged into it
+   * @returns {Promise<Object>} - Result with the merged contact and the number of messages moved
+   */
+  async mergeContacts(survivorId, duplicateIds) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const keepId = parseInt(survivorId);
+      const mergeIds = [...new Set((Array.isArray(duplicateIds) ? duplicateIds : [])
+        .map(id => parseInt(id))
+        .filter(id => !isNaN(id) && id !== keepId))];
+
+      if (isNaN(keepId) || mergeIds.length === 0) {
+        return { success: false, error: 'Choose the contact to keep and at least one contact to merge into it' };
+      }
+
+      let messagesMoved = 0;
+
+      await sequelize.transaction(async (transaction) => {
+        const survivor = await Contact.findByPk(keepId, { include: [TAG_INCLUDE], transaction });
+        const merged = await Contact.findAll({
+          where: { id: { [Op.in]: mergeIds } },
+          include: [TAG_INCLUDE],
+          order: [['id', 'ASC']],
+          transaction
+        });
+
+        if (!survivor || merged.length !== mergeIds.length) {
+          throw new Error('Some of the contacts no longer exist');
+        }
+
+        await survivor.update(this._mergedFields(survivor, merged), { transaction });
+
+        // Tags of all contacts
+        const tagRows = merged.flatMap(contact => contact.Tags.map(tag => ({ ContactId: keepId, TagId: tag.id })));
+        if (tagRows.length > 0) {
+          await ContactTag.bulkCreate(tagRows, { ignoreDuplicates: true, transaction });
+        }
+        await ContactTag.destroy({ where: { ContactId: { [Op.in]: mergeIds } }, transaction });
+
+        // Message history and replies follow the survivor
+        const where = { ContactId: { [Op.in]: mergeIds } };
+        [messagesMoved] = await Message.update({ ContactId: keepId }, { where, transaction });
+        await models.InboundMessage.update({ ContactId: keepId }, { where, transaction });
+        await models.AutoReplyLog.update({ ContactId: keepId }, { where, transaction });
+        await this._moveBirthdayGreetings(keepId, mergeIds, transaction);
+        await this._moveCampaignContacts(keepId, mergeIds, transaction);
+
+        await Contact.destroy({ where: { id: { [Op.in]: mergeIds } }, transaction });
+      });
+
+      const contact = await Contact.findByPk(keepId, { include: [TAG_INCLUDE] });
+      console.log(`Merged contacts ${mergeIds.join(', ')} into ${keepId}, ${messagesMoved} messages moved`);
+
+      return { success: true, contact: contact.toJSON(), merged: mergeIds.length, messagesMoved };
+    } catch (error) {
+      console.error('Error merging contacts:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Values of the survivor after the merge
+   * @private
+   * @param {Object} survivor - Contact that stays
+   * @param {Array} merged - Contacts merged into it
+   * @returns {Object} - Fields to update
+   */
+  _mergedFields(survivor, merged) {
+    const updates = {};
+
+    FILLED_FIELDS.forEach(field => {
+      if (survivor[field]) return;
+      const donor = merged.find(contact => contact[field]);
+      if (donor) updates[field] = donor[field];
+    });
+
+    // The survivor's value wins when both have a field
+    updates.customFields = Object.assign({}, ...merged.map(contact => contact.customFields || {}).reverse(), survivor.customFields || {});
+
+    // The numbers of the merged contacts would be lost otherwise
+    const notes = [survivor.notes, ...merged.map(contact => contact.notes)]
+      .map(note => (note || '').trim())
+      .filter((note, index, all) => note && all.indexOf(note) === index);
+    merged.forEach(contact => {
+      const name = [contact.name, contact.surname].filter(Boolean).join(' ') || 'a contact';
+      notes.push(`Merged from ${name} (${contact.phoneNumber})`);
+    });
+    updates.notes = notes.join('\n');
+
+    return updates;
+  }
+
+  /**
+   * Move the birthday greetings, keeping one greeting per year
+   * @private
+   * @param {number} keepId - Survivor ID
+   * @param {Array} mergeIds - IDs of the merged contacts
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async _moveBirthdayGreetings(keepId, mergeIds, transaction) {
+    const greetings = await models.BirthdayGreeting.findAll({
+      where: { ContactId: { [Op.in]: [keepId, ...mergeIds] } },
+      attributes: ['id', 'ContactId', 'year'],
+      raw: true,
+      transaction
+    });
+
+    // The survivor's own greeting of a year comes first
+    greetings.sort((a, b) => (a.ContactId === keepId ? 0 : 1) - (b.ContactId === keepId ? 0 : 1) || a.id - b.id);
+
+    const years = new Set();
+    for (const greeting of greetings) {
+      if (years.has(greeting.year)) {
+        await models.BirthdayGreeting.destroy({ where: { id: greeting.id }, transaction });
+        continue;
+      }
+      years.add(greeting.year);
+      if (greeting.ContactId !== keepId) {
+        await models.BirthdayGreeting.update({ ContactId: keepId }, { where: { id: greeting.id }, transaction });
+      }
+    }
+  }
+
+  /**
+   * Point the audiences of the campaigns and the contacts held back for an
+   * A/B test winner at the survivor, so duplicating a campaign or sending the
+   * winner still finds every contact
+   * @private
+   * @param {number} keepId - Survivor ID
+   * @param {Array} mergeIds - IDs of the merged contacts
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async _moveCampaignContacts(keepId, mergeIds, transaction) {
+    const replace = (ids) => [...new Set(ids.map(id => (mergeIds.includes(id) ? keepId : id)))];
+    const affected = (ids) => Array.isArray(ids) && ids.some(id => mergeIds.includes(id));
+
+    const campaigns = await models.Campaign.findAll({ transaction });
+
+    for (const campaign of campaigns) {
+      const updates = {};
+
+      const audience = campaign.audience;
+      if (audience && affected(audience.contactIds)) {
+        updates.audience = { ...audience, contactIds: replace(audience.contactIds) };
+      }
+
+      const abTest = campaign.abTest;
+      if (abTest && !abTest.winner && affected(abTest.remainingContactIds)) {
+        updates.abTest = { ...abTest, remainingContactIds: replace(abTest.remainingContactIds) };
+      }
+
+      if (Object.keys(updates).length > 0) {
+        await campaign.update(updates, { transaction });
+      }
+    }
+  }
+
+  /**
+   * Link contacts whose full names are a typo or two apart
+   * @private
+   * @param {Map} names - Contact ID of each name key
+   * @param {Function} link - Links two contacts
+   */
+  _linkSimilarNames(names, link) {
+    const buckets = new Map();
+    for (const key of names.keys()) {
+      const bucket = key.slice(0, 2);
+      if (!buckets.has(bucket)) buckets.set(bucket, []);
+      buckets.get(bucket).push(key);
+    }
+
+    for (const keys of buckets.values()) {
+      if (keys.length < 2 || keys.length > MAX_FUZZY_BUCKET) continue;
+
+      for (let i = 0; i < keys.length; i++) {
+        for (let j = i + 1; j < keys.length; j++) {
+          // Short names are too often different people one letter apart
+          const shorter = Math.min(keys[i].length, keys[j].length);
+          if (shorter < MIN_FUZZY_LENGTH) continue;
+
+          const limit = shorter >= 12 ? 2 : 1;
+          if (editDistance(keys[i], keys[j], limit) <= limit) {
+            link(names.get(keys[i]), names.get(keys[j]), 'name');
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Comparable form of a full name: words sorted, lowercase, without accents and punctuation
+   * @private
+   * @param {Object} contact - Contact with name and surname
+   * @returns {string} - Name key, '' when the contact has fewer than two name words
+   */
+  _nameKey(contact) {
+    const words = optOutService.normalizeText(`${contact.name || ''} ${contact.surname || ''}`)
+      .split(' ')
+      .filter(Boolean);
+
+    // A first name alone is shared by too many people
+    return words.length >= 2 ? words.sort().join(' ') : '';
+  }
+}
+
+module.exports = new DuplicateContactController();
@@ -0,0 +1,364 @@
+const { sequelize, models, isDatabaseInitialized } = require('../database/db');
+const { Op } = require('sequelize');
+const whatsAppAccounts = require('../services/WhatsAppAccounts');
+const optOutService = require('../services/OptOutService');
+const phoneNumberService = require('../services/PhoneNumberService');
+
+const InboundMessage = models.InboundMessage;
+const Contact = models.Contact;
+const SalesContact = models.SalesContact;
+const Message = models.Message;
+const SalesScheduledMessage = models.SalesScheduledMessage;
+
+// Campaign and sales messages shown in a conversation once they went out
+const SENT_STATUSES = ['SENT', 'DELIVERED', 'READ'];
+
+/**
+ * InboxController handles incoming messages and the conversations they start.
+ *
+ * A conversation is everything exchanged with one phone number: the
+ * bulk and sales messages we sent, the contact's replies, the answers
+ * typed in the inbox and the ones sent by auto-reply rules, ordered by time.
+ *
+ * Replies typed in the inbox count toward the hourly and daily caps of the
+ * account that sends them (see SenderPool), but are never held back by them:
+ * someone is waiting for the answer.
+ */
+class InboxController {
+  /**
+   * Check if database is initialized
+   * @private
+   * @throws {Error} - If database is not initialized
+   */
+  _checkDatabaseInitialized() {
+    if (!isDatabaseInitialized()) {
+      throw new Error('Database not initialized');
+    }
+  }
+
+  /**
+   * Store an incoming message, linked to the contacts with the sender's number
+   * @param {Object} message - { externalId, from, body, timestamp, accountId } as emitted by WhatsAppAccounts
+   * @returns {Promise<Object|null>} - The stored message, or null if it was already stored
+   */
+  async recordIncomingMessage(message) {
+    this._checkDatabaseInitialized();
+
+    const phoneNumber = phoneNumberService.normalize(message.from);
+    if (!phoneNumber) return null;
+
+    const links = await this._findContactLinks(phoneNumber);
+    const values = {
+      phoneNumber,
+      direction: 'IN',
+      body: message.body || '',
+      receivedAt: message.timestamp || new Date(),
+      isRead: false,
+      WhatsAppAccountId: message.accountId || null,
+      ...links
+    };
+
+    // WhatsApp may deliver the same message again after a reconnect. No
+    // findOrCreate here: its transaction locks SQLite when messages arrive together
+    if (message.externalId) {
+      const existing = await InboundMessage.findOne({ where: { externalId: message.externalId } });
+      if (existing) return null;
+    }
+
+    try {
+      const stored = await InboundMessage.create({ externalId: message.externalId || null, ...values });
+      return stored.toJSON();
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Store a message we sent outside the send queue (inbox and auto replies)
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} body - Message text as sent
+   * @param {string} externalId - WhatsApp message ID, if known
+   * @param {number} accountId - WhatsApp account that sent it, if known
+   * @returns {Promise<Object>} - The stored message
+   */
+  async recordOutgoingMessage(phoneNumber, body, externalId = null, accountId = null) {
+    this._checkDatabaseInitialized();
+
+    const normalized = phoneNumberService.normalize(phoneNumber);
+    const stored = await InboundMessage.create({
+      externalId: externalId || null,
+      phoneNumber: normalized,
+      direction: 'OUT',
+      body: body || '',
+      receivedAt: new Date(),
+      isRead: true,
+      WhatsAppAccountId: accountId || null,
+      ...(await this._findContactLinks(normalized))
+    });
+
+    return stored.toJSON();
+  }
+
+  /**
+   * Get all conversations, most recent first
+   * @param {string} search - Optional filter on phone number or contact name
+   * @returns {Promise<Array>} - { phoneNumber, name, lastMessage, lastMessageAt, unreadCount }
+   */
+  async getConversations(search = '') {
+    try {
+      this._checkDatabaseInitialized();
+
+      // The newest message of each number, ties broken by the later row
+      const where = {
+        id: {
+          [Op.eq]: sequelize.literal(`(
+            SELECT latest.id FROM InboundMessages AS latest
+            WHERE latest.phoneNumber = InboundMessage.phoneNumber
+            ORDER BY latest.receivedAt DESC, latest.id DESC
+            LIMIT 1
+          )`)
+        }
+      };
+
+      // The name of a conversation is the bulk contact's, else the sales contact's
+      const term = (search || '').trim();
+      if (term) {
+        const pattern = `%${term}%`;
+        where[Op.or] = [
+          { phoneNumber: { [Op.like]: pattern } },
+          sequelize.where(
+            sequelize.literal("TRIM(COALESCE(Contact.name, '') || ' ' || COALESCE(Contact.surname, ''))"),
+            { [Op.like]: pattern }
+          ),
+          { [Op.and]: [{ '$Contact.id$': null }, { '$SalesContact.name$': { [Op.like]: pattern } }] }
+        ];
+      }
+
+      const [lastMessages, unreadRows] = await Promise.all([
+        InboundMessage.findAll({
+          where,
+          include: [{ model: Contact }, { model: SalesContact }],
+          order: [['receivedAt', 'DESC']]
+        }),
+        InboundMessage.findAll({
+          attributes: ['phoneNumber', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+          where: { direction: 'IN', isRead: false },
+          group: ['phoneNumber'],
+          raw: true
+        })
+      ]);
+
+      const unread = new Map(unreadRows.map(row => [row.phoneNumber, parseInt(row.count) || 0]));
+
+      return lastMessages.map(last => ({
+        phoneNumber: last.phoneNumber,
+        name: this._displayName(last),
+        lastMessage: last.body,
+        lastDirection: last.direction,
+        lastMessageAt: last.receivedAt,
+        unreadCount: unread.get(last.phoneNumber) || 0
+      }));
+    } catch (error) {
+      console.error('Error fetching conversations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the full conversation with a number and mark its incoming messages read
+   * @param {string} phoneNumber - Phone number of the conversation
+   * @returns {Promise<Object>} - Result with { phoneNumber, name, messages }
+   */
+  async getConversation(phoneNumber) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const normalized = phoneNumberService.normalize(phoneNumber);
+      if (!normalized) {
+        return { success: false, error: 'Invalid phone number' };
+      }
+
+      const numberVariants = [normalized, normalized.slice(1)];
+
+      const [inbox, bulk, sales] = await Promise.all([
+        InboundMessage.findAll({
+          where: { phoneNumber: normalized },
+          include: [{ model: Contact }, { model: SalesContact }]
+        }),
+        Message.findAll({
+          where: { status: { [Op.in]: SENT_STATUSES }, sentTime: { [Op.ne]: null } },
+          include: [{ model: Contact, where: { phoneNumber: { [Op.in]: numberVariants } }, required: true }]
+        }),
+        SalesScheduledMessage.findAll({
+          where: { status: { [Op.in]: SENT_STATUSES }, sentTime: { [Op.ne]: null } },
+          include: [{ model: SalesContact, where: { phoneNumber: { [Op.in]: numberVariants } }, required: true }]
+        })
+      ]);
+
+      const messages = [
+        ...inbox.map(message => ({
+          id: `inbox-${message.id}`,
+          direction: message.direction,
+          body: message.body,
+          time: message.receivedAt,
+          source: 'inbox',
+          status: message.direction === 'IN' ? null : 'SENT'
+        })),
+        ...bulk.map(message => ({
+          id: `bulk-${message.id}`,
+          direction: 'OUT',
+          body: message.contentSnapshot || '',
+          time: message.sentTime,
+          source: 'bulk',
+          status: message.status
+        })),
+        ...sales.map(message => ({
+          id: `sales-${message.id}`,
+          direction: 'OUT',
+          body: message.contentSnapshot || '',
+          time: message.sentTime,
+          source: 'sales',
+          status: message.status
+        }))
+      ].sort((a, b) => new Date(a.time) - new Date(b.time));
+
+      await this.markConversationRead(normalized);
+
+      const latest = inbox.reduce((found, message) =>
+        !found || message.receivedAt > found.receivedAt ? message : found, null);
+
+      return {
+        success: true,
+        phoneNumber: normalized,
+        name: this._displayName(latest) ||
+          (bulk[0] && this._contactName(bulk[0].Contact)) ||
+          (sales[0] && sales[0].SalesContact.name) || null,
+        isOptedOut: await optOutService.isBlocked(normalized),
+        messages
+      };
+    } catch (error) {
+      console.error(`Error fetching conversation with ${phoneNumber}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Mark every incoming message of a conversation read
+   * @param {string} phoneNumber - Phone number of the conversation
+   * @returns {Promise<number>} - Number of messages marked read
+   */
+  async markConversationRead(phoneNumber) {
+    this._checkDatabaseInitialized();
+
+    const [updated] = await InboundMessage.update(
+      { isRead: true },
+      { where: { phoneNumber: phoneNumberService.normalize(phoneNumber), direction: 'IN', isRead: false } }
+    );
+
+    return updated;
+  }
+
+  /**
+   * Number of incoming messages nobody opened yet
+   * @returns {Promise<number>}
+   */
+  async getUnreadCount() {
+    try {
+      this._checkDatabaseInitialized();
+      return await InboundMessage.count({ where: { direction: 'IN', isRead: false } });
+    } catch (error) {
+      console.error('Error counting unread messages:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Reply to a conversation right away (replies do not wait in the send queue).
+   * The reply goes out from the account the contact last wrote to.
+   * @param {string} phoneNumber - Phone number of the conversation
+   * @param {string} body - Reply text
+   * @returns {Promise<Object>} - Result with the stored reply
+   */
+  async sendReply(phoneNumber, body) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const normalized = phoneNumberService.normalize(phoneNumber);
+      const text = (body || '').trim();
+
+      if (!normalized) {
+        return { success: false, error: 'Invalid phone number' };
+      }
+
+      if (!text) {
+        return { success: false, error: 'Reply text is required' };
+      }
+
+      const lastIncoming = await InboundMessage.findOne({
+        attributes: ['WhatsAppAccountId'],
+        where: { phoneNumber: normalized, direction: 'IN' },
+        order: [['receivedAt', 'DESC']]
+      });
+      const sender = whatsAppAccounts.get(lastIncoming ? lastIncoming.WhatsAppAccountId : null) ||
+        whatsAppAccounts.getDefault();
+
+      if (!sender.getStatus().isConnected) {
+        return { success: false, error: `The WhatsApp account "${sender.name}" is not connected` };
+      }
+
+      if (await optOutService.isBlocked(normalized)) {
+        return { success: false, error: `${normalized} is on the do-not-contact list` };
+      }
+
+      const result = await sender.sendTextMessage(normalized, text);
+      const reply = await this.recordOutgoingMessage(normalized, text, result.externalId, sender.accountId);
+
+      return { success: true, message: reply };
+    } catch (error) {
+      console.error(`Error replying to ${phoneNumber}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Find the bulk and sales contacts with a number
+   * @private
+   * @param {string} phoneNumber - Normalized phone number
+   * @returns {Promise<Object>} - { ContactId, SalesContactId }
+   */
+  async _findContactLinks(phoneNumber) {
+    // Sales contacts arrive from the API with or without the leading +
+    const [contact, salesContact] = await Promise.all([
+      Contact.findOne({ where: { phoneNumber }, attributes: ['id'] }),
+      SalesContact.findOne({
+        where: { phoneNumber: { [Op.in]: [phoneNumber, phoneNumber.slice(1)] } },
+        attributes: ['id'],
+        order: [['createdAt', 'DESC']]
+      })
+    ]);
+
+    return {
+      ContactId: contact ? contact.id : null,
+      SalesContactId: salesContact ? salesContact.id : null
+    };
+  }
+
+  /**
+   * Name shown for a conversation, from the linked contacts
+   * @private
+   * @param {Object} message - InboundMessage with Contact and SalesContact included
+   * @returns {string|null}
+   */
+  _displayName(message) {
+    if (!message) return null;
+    return this._contactName(message.Contact) || (message.SalesContact && message.SalesContact.name) || null;
+  }
+
+  _contactName(contact) {
+    if (!contact) return null;
+    return [contact.name, contact.surname].filter(Boolean).join(' ') || null;
+  }
+}
+
+module.exports = new InboxController();
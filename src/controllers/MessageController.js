@@ -1,15 +1,43 @@
 const { sequelize, models, isDatabaseInitialized } = require('../database/db');
 const { Op } = require('sequelize');
 const path = require('path');
-const cron = require('cron');
-const whatsAppService = require('../services/WhatsAppService');
+const templateRenderer = require('../services/TemplateRenderer');
+const sendQueue = require('../services/SendQueue');
+const retryPolicy = require('../services/RetryPolicy');
+const optOutService = require('../services/OptOutService');
+const phoneNumberService = require('../services/PhoneNumberService');
+const timeZoneService = require('../services/TimeZoneService');
+const blackoutCalendar = require('../services/BlackoutCalendar');
+const sendPacer = require('../services/SendPacer');
+const sendSimulator = require('../services/SendSimulator');
+const whatsAppAccounts = require('../services/WhatsAppAccounts');
+const senderPool = require('../services/SenderPool');
 const moment = require('moment');
-const fs = require('fs');
+const contactController = require('./ContactController');
 
 const Message = models.Message;
 const Contact = models.Contact;
 const Template = models.Template;
 const ScheduleSettings = models.ScheduleSettings;
+const Campaign = models.Campaign;
+
+// Marketing messages go out after sales follow-ups
+const SEND_PRIORITY = 0;
+
+// Send pacing settings, see services/SendPacer
+const PACING_FIELDS = ['intervalJitterMin', 'intervalJitterMax', 'hourlyLimit', 'dailyLimit', 'breakAfter', 'breakDuration'];
+
+// Retry policy settings, see services/RetryPolicy
+const RETRY_FIELDS = ['retryMaxAttempts', 'retryInitialDelay', 'retryBackoffFactor', 'retryMaxDelay', 'retryableErrors'];
+
+// Labels of A/B test variants, in the order the templates were given
+const VARIANT_LABELS = ['A', 'B', 'C', 'D', 'E'];
+
+// Day names of the send windows, keyed like activeDays (Monday is 1, Sunday is 7)
+const DAY_NAMES = { 1: 'Monday', 2: 'Tuesday', 3: 'Wednesday', 4: 'Thursday', 5: 'Friday', 6: 'Saturday', 7: 'Sunday' };
+
+// A/B test winners are picked by read rate or by reply rate
+const WINNER_METRICS = ['read', 'reply'];
 
 /**
  * MessageController handles all message-related operations
@@ -17,18 +45,11 @@ const ScheduleSettings = models.ScheduleSettings;
 class MessageController {
   constructor() {
     this.scheduledJobs = {};
-    this.mainCronJob = null;
-    this.isProcessingMessages = false;
     this.messageQueue = [];
-    this.lastMessageSentTime = null;
-    this.consecutiveErrors = 0;
-    this.MAX_CONSECUTIVE_ERRORS = 5;
-    
-    // New: Track ongoing messages by their IDs for independent processing
-    this.processingMessageIds = new Set();
+    this.isSchedulerRunning = false;
     
-    // New: Store timeouts for interval timing
-    this.messageTimeouts = {};
+    // Messages are sent by the shared send queue
+    this._registerSendSource();
   }
 
   /**
@@ -48,6 +69,18 @@ class MessageController {
    * @param {Array} config.contacts - Contacts to send messages to
    * @param {string} config.templateId - Template ID to use
    * @param {string} config.scheduledTime - ISO string of when to schedule the message
+   * @param {string} config.campaignName - Optional campaign name (defaults to template name and date)
+   * @param {Array} config.audienceGroups - Optional names of the contact groups that were selected
+   * @param {Object} config.templateSnapshot - Optional snapshot to use instead of the current template
+   * @param {Array} config.variants - Optional A/B test templates ({ templateId or templateSnapshot, ratio }), replaces templateId
+   * @param {Object} config.abTest - Optional A/B test settings ({ testPercent, winnerMetric, autoSendWinner, decideAfterHours })
+   * @param {number} config.recurringCampaignId - Optional recurring campaign that created this occurrence
+   * @param {Object} config.recipientLocalTime - Optional { date: 'YYYY-MM-DD', time: minutes from midnight } to send at
+   *   in each contact's own time zone instead of at scheduledTime (the next day when that time has already passed there)
+   * @param {number} config.accountId - Optional WhatsApp account to send from, the default account when omitted
+   * @param {boolean} config.useSenderPool - Optional, spread the messages over the sender pool instead of one account
+   * @param {string} config.skipNumbers - Optional, 'invalid' leaves out the numbers the number check found not on
+   *   WhatsApp, 'unverified' also the ones it hasn't checked yet (see NumberCheckController)
    * @returns {Promise<Object>} - Result of scheduling
    */
   async scheduleMessages(config) {
@@ -64,30 +97,45 @@ class MessageController {
         };
       }
       
-      if (!config.templateId) {
-        return {
-          success: false,
-          error: 'Template ID is required'
-        };
-      }
+      // A/B tests assign one of several templates to each contact
+      let variants = null;
+      let template = null;
+      let templateSnapshot;
       
-      // Find the template
-      const template = await Template.findByPk(config.templateId);
-      if (!template) {
-        return {
-          success: false,
-          error: `Template with ID ${config.templateId} not found`
+      if (config.variants) {
+        const resolved = await this._resolveVariants(config.variants);
+        if (resolved.error) {
+          return { success: false, error: resolved.error };
+        }
+        variants = resolved.variants;
+        templateSnapshot = variants[0].templateSnapshot;
+      } else {
+        if (!config.templateId && !config.templateSnapshot) {
+          return {
+            success: false,
+            error: 'Template ID is required'
+          };
+        }
+        
+        // Find the template
+        template = config.templateId ? await Template.findByPk(config.templateId) : null;
+        if (!template && !config.templateSnapshot) {
+          return {
+            success: false,
+            error: `Template with ID ${config.templateId} not found`
+          };
+        }
+        
+        // Create a complete snapshot of the template at scheduling time
+        // (duplicated campaigns pass the snapshot of the original campaign instead)
+        templateSnapshot = config.templateSnapshot || {
+          id: template.id,
+          content: template.content,
+          imagePath: template.imagePath,
+          name: template.name
         };
       }
       
-      // Create a complete snapshot of the template at scheduling time
-      const templateSnapshot = {
-        id: template.id,
-        content: template.content,
-        imagePath: template.imagePath,
-        name: template.name
-      };
-      
       // Parse scheduled time
       let scheduledTime;
       if (config.scheduledTime) {
@@ -103,13 +151,108 @@ class MessageController {
         scheduledTime = new Date();
       }
       
+      let localTime = null;
+      if (config.recipientLocalTime) {
+        localTime = this._parseLocalTime(config.recipientLocalTime);
+        if (localTime.error) {
+          return { success: false, error: localTime.error };
+        }
+      }
+      
+      if (config.accountId && !whatsAppAccounts.get(config.accountId)) {
+        return { success: false, error: 'The selected WhatsApp account no longer exists' };
+      }
+      
+      // Numbers left out by the number check don't take a place in the A/B test group
+      const numberCheck = await this._filterByNumberCheck(config.contacts, config.skipNumbers);
+      const contacts = numberCheck.contacts;
+      if (contacts.length === 0) {
+        return { success: false, error: 'None of the contacts has a number that passed the WhatsApp number check' };
+      }
+      
+      // Only the test group of an A/B test is messaged now, the rest waits for the winner
+      let recipients = contacts;
+      let variantByContact = null;
+      let abTest = null;
+      
+      if (variants) {
+        const settings = this._parseAbTestSettings(config.abTest);
+        if (settings.error) {
+          return { success: false, error: settings.error };
+        }
+        
+        const shuffled = this._shuffle(contacts);
+        const testCount = Math.min(
+          shuffled.length,
+          Math.max(variants.length, Math.round(shuffled.length * settings.testPercent / 100))
+        );
+        
+        recipients = shuffled.slice(0, testCount);
+        variantByContact = this._assignVariants(recipients, variants);
+        
+        const remainingContactIds = shuffled.slice(testCount).map(contact => contact.id);
+        abTest = {
+          ...settings,
+          autoSendWinner: settings.autoSendWinner && remainingContactIds.length > 0,
+          decideAt: moment(scheduledTime).add(settings.decideAfterHours, 'hours').toISOString(),
+          remainingContactIds,
+          winner: null,
+          winnerCampaignId: null,
+          winnerSentAt: null
+        };
+      }
+      
+      // Contacts on the do-not-contact list are skipped
+      const contactPhones = await Contact.findAll({
+        attributes: ['id', 'phoneNumber', 'timezone'],
+        where: { id: { [Op.in]: contacts.map(contact => contact.id) } },
+        raw: true
+      });
+      const blocked = await optOutService.findBlocked(contactPhones.map(contact => contact.phoneNumber));
+      
+      // Local time sends happen at a different moment in every time zone, the campaign starts with the first
+      const sendTimeByContact = new Map();
+      if (localTime) {
+        const recipientIds = new Set(recipients.map(contact => contact.id));
+        for (const contact of contactPhones) {
+          if (recipientIds.has(contact.id)) {
+            sendTimeByContact.set(contact.id, this._localSendTime(localTime, contact.timezone));
+          }
+        }
+        if (sendTimeByContact.size > 0) {
+          scheduledTime = new Date(Math.min(...[...sendTimeByContact.values()].map(date => date.getTime())));
+        }
+      }
+      
       // Create a message for each contact
       const scheduled = [];
       const failed = [];
+      const suppressed = [];
+      let campaign = null;
       
       // Use a transaction to ensure all messages are created atomically
       await sequelize.transaction(async (transaction) => {
-        for (const contact of config.contacts) {
+        // The campaign owns every message created by this call
+        campaign = await Campaign.create({
+          name: (config.campaignName && config.campaignName.trim()) ||
+            `${variants ? `A/B: ${variants.map(variant => variant.templateSnapshot.name).join(' vs ')}` : templateSnapshot.name} - ${moment(scheduledTime).format('YYYY-MM-DD HH:mm')}`,
+          status: 'ACTIVE',
+          templateSnapshot,
+          variants: variants && variants.map(({ label, ratio, templateSnapshot }) => ({ label, ratio, templateSnapshot })),
+          abTest,
+          RecurringCampaignId: config.recurringCampaignId || null,
+          WhatsAppAccountId: config.accountId || null,
+          useSenderPool: !!config.useSenderPool,
+          recipientLocalTime: localTime ? { date: config.recipientLocalTime.date, time: localTime.time } : null,
+          skipNumbers: ['invalid', 'unverified'].includes(config.skipNumbers) ? config.skipNumbers : null,
+          audience: {
+            contactIds: config.contacts.map(contact => contact.id),
+            groups: config.audienceGroups || []
+          },
+          scheduledTime
+        }, { transaction });
+        
+        for (const contact of recipients) {
           try {
             // Find the contact by ID
             const contactRecord = await Contact.findByPk(contact.id, { transaction });
@@ -121,21 +264,35 @@ class MessageController {
               continue;
             }
             
+            if (blocked.has(phoneNumberService.normalize(contactRecord.phoneNumber))) {
+              suppressed.push({
+                contact,
+                error: 'Contact is on the do-not-contact list'
+              });
+              continue;
+            }
+            
+            const variant = variantByContact ? variantByContact.get(contact.id) : null;
+            const snapshot = variant ? variant.templateSnapshot : templateSnapshot;
+            
             // Create the message with complete template snapshot
             const message = await Message.create({
               status: 'SCHEDULED',
-              scheduledTime,
-              contentSnapshot: templateSnapshot.content,
-              imagePathSnapshot: templateSnapshot.imagePath,
-              templateNameSnapshot: templateSnapshot.name,
+              scheduledTime: sendTimeByContact.get(contactRecord.id) || scheduledTime,
+              contentSnapshot: snapshot.content,
+              imagePathSnapshot: snapshot.imagePath,
+              templateNameSnapshot: snapshot.name,
+              variant: variant ? variant.label : null,
               ContactId: contactRecord.id,
-              TemplateId: template.id
+              TemplateId: variant ? variant.templateId : (template ? template.id : null),
+              CampaignId: campaign.id
             }, { transaction });
             
             scheduled.push({
               id: message.id,
               scheduledTime: message.scheduledTime,
-              status: message.status
+              status: message.status,
+              variant: message.variant
             });
           } catch (error) {
             console.error(`Error scheduling message for contact ${contact.id}:`, error);
@@ -153,11 +310,18 @@ class MessageController {
       // Return results
       return {
         success: true,
+        campaignId: campaign.id,
+        campaignName: campaign.name,
         scheduled,
         failed,
+        suppressed,
+        excluded: numberCheck.excluded,
         totalContacts: config.contacts.length,
         scheduledCount: scheduled.length,
-        failedCount: failed.length
+        failedCount: failed.length,
+        suppressedCount: suppressed.length,
+        excludedCount: numberCheck.excluded.length,
+        heldBackCount: abTest ? abTest.remainingContactIds.length : 0
       };
     } catch (error) {
       console.error('Error scheduling messages:', error);
@@ -168,6 +332,378 @@ class MessageController {
     }
   }
 
+  /**
+   * Estimate when every message of a campaign would go out, before scheduling it.
+   * Replays the send queue with the messages already waiting in it (see SendSimulator).
+   * @param {Object} config - Same configuration as scheduleMessages
+   * @returns {Promise<Object>} - Result with the expected time of every message, a count per day and warnings
+   */
+  async simulateCampaign(config) {
+    try {
+      this._checkDatabaseInitialized();
+      
+      if (!config.contacts || !Array.isArray(config.contacts) || config.contacts.length === 0) {
+        return { success: false, error: 'No contacts provided for scheduling' };
+      }
+      
+      const now = new Date();
+      const scheduledTime = config.scheduledTime ? new Date(config.scheduledTime) : now;
+      if (isNaN(scheduledTime.getTime())) {
+        return { success: false, error: 'Invalid scheduled time' };
+      }
+      
+      let localTime = null;
+      if (config.recipientLocalTime) {
+        localTime = this._parseLocalTime(config.recipientLocalTime);
+        if (localTime.error) {
+          return { success: false, error: localTime.error };
+        }
+      }
+      
+      const numberCheck = await this._filterByNumberCheck(config.contacts, config.skipNumbers);
+      
+      // The test group of an A/B test is drawn at random when scheduling, the first contacts stand in for it
+      let recipients = numberCheck.contacts;
+      if (Array.isArray(config.variants)) {
+        const abTest = this._parseAbTestSettings(config.abTest);
+        if (abTest.error) {
+          return { success: false, error: abTest.error };
+        }
+        recipients = recipients.slice(0, Math.min(
+          recipients.length,
+          Math.max(config.variants.length, Math.round(recipients.length * abTest.testPercent / 100))
+        ));
+      }
+      
+      const contactRecords = await Contact.findAll({
+        attributes: ['id', 'name', 'surname', 'phoneNumber', 'timezone'],
+        where: { id: { [Op.in]: recipients.map(contact => contact.id) } },
+        raw: true
+      });
+      const blocked = await optOutService.findBlocked(contactRecords.map(contact => contact.phoneNumber));
+      const campaign = contactRecords.filter(contact => !blocked.has(phoneNumberService.normalize(contact.phoneNumber)));
+      
+      const settings = await this.getSettings();
+      const salesSettings = await models.SalesMessageSettings.findOne();
+      const queueWhere = { status: { [Op.in]: ['SCHEDULED', 'PENDING'] } };
+      const availableAt = (message) => new Date(Math.max(
+        new Date(message.scheduledTime).getTime(),
+        message.nextAttemptAt ? new Date(message.nextAttemptAt).getTime() : 0
+      ));
+      
+      const bulkQueue = await Message.findAll({
+        attributes: ['scheduledTime', 'nextAttemptAt', [sequelize.col('Contact.timezone'), 'timezone']],
+        include: [{ model: Contact, attributes: [] }],
+        where: queueWhere,
+        raw: true
+      });
+      const salesQueue = salesSettings && salesSettings.isAutoSendingEnabled
+        ? await models.SalesScheduledMessage.findAll({ attributes: ['scheduledTime', 'nextAttemptAt'], where: queueWhere, raw: true })
+        : [];
+      
+      // The caps apply to each number, a pooled campaign has those of every connected number in the pool
+      const states = await senderPool.getStates();
+      const senders = config.useSenderPool
+        ? states.filter(state => state.inPool && state.connected)
+        : states.filter(state => (config.accountId ? state.id === Number(config.accountId) : state.isDefault));
+      const numbers = Math.max(1, senders.length);
+      const pacing = await sendPacer.getPacingSettings(settings);
+      
+      const startOfDay = new Date(now);
+      startOfDay.setHours(0, 0, 0, 0);
+      const sentTimes = await sendPacer.getSentTimes(startOfDay, senders.map(state => state.id));
+      const hourAgo = now.getTime() - 60 * 60 * 1000;
+      
+      const result = sendSimulator.simulate({
+        now,
+        campaign: campaign.map(contact => ({
+          timeZone: contact.timezone,
+          availableAt: localTime ? this._localSendTime(localTime, contact.timezone) : scheduledTime
+        })),
+        bulkQueue: bulkQueue.map(message => ({ timeZone: message.timezone, availableAt: availableAt(message) })),
+        salesQueue: salesQueue.map(message => ({ availableAt: availableAt(message) })),
+        activeDays: settings.activeDays,
+        windowsOf: (weekday) => this.getTimeWindows(settings, weekday),
+        blackouts: await blackoutCalendar.getEntries(),
+        pacing: { ...pacing, hourlyLimit: pacing.hourlyLimit * numbers, dailyLimit: pacing.dailyLimit * numbers },
+        recentSends: sentTimes.filter(time => time.getTime() > hourAgo),
+        sentToday: sentTimes.length,
+        nextSlotAt: sendPacer.nextSlotAt,
+        sentSinceBreak: sendPacer.sentSinceBreak
+      });
+      
+      const messages = campaign
+        .map((contact, index) => ({
+          contactId: contact.id,
+          name: [contact.name, contact.surname].filter(Boolean).join(' '),
+          phoneNumber: contact.phoneNumber,
+          timeZone: timeZoneService.isValidTimeZone(contact.timezone) ? contact.timezone : null,
+          expectedTime: result.times[index]
+        }))
+        .sort((a, b) => (a.expectedTime || Infinity) - (b.expectedTime || Infinity));
+      
+      const scheduled = messages.filter(message => message.expectedTime);
+      const perDay = new Map();
+      for (const message of scheduled) {
+        const day = moment(message.expectedTime).format('YYYY-MM-DD');
+        perDay.set(day, (perDay.get(day) || 0) + 1);
+      }
+      
+      const firstSendTime = scheduled.length > 0 ? scheduled[0].expectedTime : null;
+      const lastSendTime = scheduled.length > 0 ? scheduled[scheduled.length - 1].expectedTime : null;
+      
+      const warnings = [];
+      if (perDay.size > 1) {
+        const limit = result.dailyLimitReached ? ` because of the daily limit of ${settings.dailyLimit} messages per number` : '';
+        warnings.push(`The campaign spills over ${perDay.size} days${limit}, the last message goes out around ${moment(lastSendTime).format('ddd D MMM HH:mm')}`);
+      }
+      if (scheduled.length < messages.length) {
+        warnings.push(`${messages.length - scheduled.length} message(s) can't go out in the coming year, check the active days, send windows and blackout calendar`);
+      }
+      if (numberCheck.excluded.length > 0) {
+        warnings.push(`${numberCheck.excluded.length} contact(s) are left out by the WhatsApp number check`);
+      }
+      if (!settings.isActive) {
+        warnings.push('Sending is turned off in the schedule settings, nothing goes out until it is turned on');
+      }
+      if (config.useSenderPool) {
+        if (!(await senderPool.pickSender(null, true))) {
+          warnings.push('No number of the sender pool is connected and below its limits, nothing goes out until one is');
+        }
+      } else {
+        const sender = whatsAppAccounts.get(config.accountId);
+        if (sender && !sender.getStatus().isConnected) {
+          warnings.push(await senderPool.pickSender(config.accountId)
+            ? `The WhatsApp account "${sender.name}" is not connected, the messages go out from the sender pool until it is`
+            : `The WhatsApp account "${sender.name}" is not connected, nothing goes out until it is`);
+        }
+      }
+      
+      return {
+        success: true,
+        messages: messages.map(message => ({
+          ...message,
+          expectedTime: message.expectedTime && message.expectedTime.toISOString()
+        })),
+        days: [...perDay].map(([date, count]) => ({ date, count })),
+        firstSendTime: firstSendTime && firstSendTime.toISOString(),
+        lastSendTime: lastSendTime && lastSendTime.toISOString(),
+        bulkBefore: result.bulkBefore,
+        salesBefore: result.salesBefore,
+        suppressedCount: contactRecords.length - campaign.length,
+        excludedCount: numberCheck.excluded.length,
+        heldBackCount: numberCheck.contacts.length - recipients.length,
+        warnings
+      };
+    } catch (error) {
+      console.error('Error simulating campaign:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Check a recipient local send time
+   * @private
+   * @param {Object} localTime - { date: 'YYYY-MM-DD', time: minutes from midnight }
+   * @returns {Object} - { year, month, day, time } or { error }
+   */
+  _parseLocalTime(localTime) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(localTime.date || '');
+    if (!match) {
+      return { error: 'Invalid local send date' };
+    }
+    
+    const time = parseInt(localTime.time);
+    if (isNaN(time) || time < 0 || time > 1439) {
+      return { error: 'Local send time must be between 00:00 and 23:59' };
+    }
+    
+    return { year: parseInt(match[1]), month: parseInt(match[2]), day: parseInt(match[3]), time };
+  }
+
+  /**
+   * When a local send time happens for a contact, moved a day on while it has already passed there
+   * @private
+   * @param {Object} localTime - Parsed local time (see _parseLocalTime)
+   * @param {string} timeZone - Contact time zone (the machine's when empty or unknown)
+   * @returns {Date}
+   */
+  _localSendTime(localTime, timeZone) {
+    const zone = timeZoneService.isValidTimeZone(timeZone) ? timeZone : undefined;
+    const now = Date.now();
+    
+    let daysLater = 0;
+    let sendTime;
+    do {
+      sendTime = timeZoneService.zonedTimeToDate(localTime.year, localTime.month, localTime.day + daysLater, localTime.time, zone);
+      daysLater++;
+    } while (sendTime.getTime() < now && daysLater <= 2);
+    
+    return sendTime;
+  }
+
+  /**
+   * Check the templates of an A/B test and snapshot them
+   * @private
+   * @param {Array} variantConfigs - [{ templateId, templateSnapshot, ratio }]
+   * @returns {Promise<Object>} - { variants: [{ label, ratio, templateId, templateSnapshot }] } or { error }
+   */
+  async _resolveVariants(variantConfigs) {
+    if (!Array.isArray(variantConfigs) || variantConfigs.length < 2) {
+      return { error: 'An A/B test needs at least two templates' };
+    }
+    
+    if (variantConfigs.length > VARIANT_LABELS.length) {
+      return { error: `An A/B test can compare at most ${VARIANT_LABELS.length} templates` };
+    }
+    
+    const variants = [];
+    
+    for (const [index, variantConfig] of variantConfigs.entries()) {
+      const label = VARIANT_LABELS[index];
+      
+      const ratio = parseInt(variantConfig.ratio);
+      if (!ratio || ratio < 1) {
+        return { error: `The split ratio of variant ${label} must be a whole number of 1 or more` };
+      }
+      
+      const template = variantConfig.templateId ? await Template.findByPk(variantConfig.templateId) : null;
+      if (!template && !variantConfig.templateSnapshot) {
+        return { error: `Please select a template for variant ${label}` };
+      }
+      
+      variants.push({
+        label,
+        ratio,
+        templateId: template ? template.id : null,
+        templateSnapshot: variantConfig.templateSnapshot || {
+          id: template.id,
+          content: template.content,
+          imagePath: template.imagePath,
+          name: template.name
+        }
+      });
+    }
+    
+    return { variants };
+  }
+  
+  /**
+   * Check the A/B test settings and fill in the defaults
+   * @private
+   * @param {Object|null} settings - { testPercent, winnerMetric, autoSendWinner, decideAfterHours },
+   *                                  the defaults when omitted
+   * @returns {Object} - Settings or { error }
+   */
+  _parseAbTestSettings(settings) {
+    settings = settings || {};
+    
+    const testPercent = settings.testPercent === undefined ? 100 : parseInt(settings.testPercent);
+    if (isNaN(testPercent) || testPercent < 1 || testPercent > 100) {
+      return { error: 'The test group must be between 1% and 100% of the contacts' };
+    }
+    
+    const winnerMetric = settings.winnerMetric || 'read';
+    if (!WINNER_METRICS.includes(winnerMetric)) {
+      return { error: `The winner must be picked by ${WINNER_METRICS.join(' or ')} rate` };
+    }
+    
+    const decideAfterHours = settings.decideAfterHours === undefined ? 24 : Number(settings.decideAfterHours);
+    if (!(decideAfterHours > 0)) {
+      return { error: 'The winner must be picked at least some time after the test starts' };
+    }
+    
+    return {
+      testPercent,
+      winnerMetric,
+      autoSendWinner: settings.autoSendWinner === true && testPercent < 100,
+      decideAfterHours
+    };
+  }
+  
+  /**
+   * Split contacts between the variants following their ratios
+   * @private
+   * @param {Array} contacts - Contacts in random order
+   * @param {Array} variants - Resolved variants
+   * @returns {Map} - Variant keyed by contact ID
+   */
+  _assignVariants(contacts, variants) {
+    const totalRatio = variants.reduce((sum, variant) => sum + variant.ratio, 0);
+    
+    // Largest remainder, so a 1:1 split of 5 contacts gives 3 and 2
+    const shares = variants.map(variant => contacts.length * variant.ratio / totalRatio);
+    const counts = shares.map(Math.floor);
+    const byRemainder = shares
+      .map((share, index) => ({ index, remainder: share - counts[index] }))
+      .sort((a, b) => b.remainder - a.remainder);
+    
+    for (let i = 0; counts.reduce((sum, count) => sum + count, 0) < contacts.length; i++) {
+      counts[byRemainder[i].index]++;
+    }
+    
+    const variantByContact = new Map();
+    let offset = 0;
+    variants.forEach((variant, index) => {
+      contacts.slice(offset, offset + counts[index]).forEach(contact => variantByContact.set(contact.id, variant));
+      offset += counts[index];
+    });
+    
+    return variantByContact;
+  }
+  
+  /**
+   * Leave out the contacts whose number the WhatsApp number check found invalid or hasn't checked yet
+   * @private
+   * @param {Array} contacts - Contacts ({ id })
+   * @param {string} skipNumbers - 'invalid', 'unverified' (invalid and not checked yet), or anything else to keep all
+   * @returns {Promise<Object>} - { contacts, excluded } with the contacts that stay and the ones left out and why
+   */
+  async _filterByNumberCheck(contacts, skipNumbers) {
+    const statuses = { invalid: ['INVALID'], unverified: ['INVALID', 'UNVERIFIED'] }[skipNumbers];
+    if (!statuses) {
+      return { contacts, excluded: [] };
+    }
+    
+    const rows = await Contact.findAll({
+      attributes: ['id', 'whatsappStatus'],
+      where: {
+        id: { [Op.in]: contacts.map(contact => contact.id) },
+        whatsappStatus: { [Op.in]: statuses }
+      },
+      raw: true
+    });
+    const statusById = new Map(rows.map(row => [row.id, row.whatsappStatus]));
+    
+    return {
+      contacts: contacts.filter(contact => !statusById.has(Number(contact.id))),
+      excluded: contacts
+        .filter(contact => statusById.has(Number(contact.id)))
+        .map(contact => ({
+          contact,
+          error: statusById.get(Number(contact.id)) === 'INVALID' ? 'Number is not on WhatsApp' : 'Number is not checked yet'
+        }))
+    };
+  }
+  
+  /**
+   * Shuffle a copy of an array
+   * @private
+   * @param {Array} items - Items to shuffle
+   * @returns {Array} - Shuffled copy
+   */
+  _shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
   /**
    * Get all scheduled messages
    * @param {string} status - Optional status filter
@@ -180,7 +716,8 @@ class MessageController {
       const query = {
         include: [
           { model: Contact },
-          { model: Template }
+          { model: Template },
+          { model: Campaign, attributes: ['id', 'name', 'status'] }
         ],
         order: [['scheduledTime', 'ASC']]
       };
@@ -227,7 +764,7 @@ class MessageController {
         return { success: false, error: `Message with ID ${id} not found` };
       }
       
-      if (message.status !== 'SCHEDULED' && message.status !== 'PENDING') {
+      if (!['SCHEDULED', 'PENDING', 'PAUSED'].includes(message.status)) {
         return { 
           success: false, 
           error: `Message is already in ${message.status} status and cannot be canceled` 
@@ -244,314 +781,68 @@ class MessageController {
   }
 
   /**
-   * Update a message status by its external ID
-   * @param {string} externalId - External message ID from WhatsApp
-   * @param {string} status - New status
-   * @param {Date} timestamp - Timestamp of the status change
-   * @returns {Promise<boolean>} - Success status
+   * Register the bulk messages as a source of the send queue
+   * @private
    */
-  async updateMessageStatus(externalId, status, timestamp = new Date()) {
-    try {
-      this._checkDatabaseInitialized();
-      
-      // Always log status updates for debugging
-      console.log(`[STATUS UPDATE] MessageController: Updating message ${externalId} to status ${status} at ${timestamp.toISOString()}`);
-      
-      const message = await Message.findOne({
-        where: { externalId }
-      });
-      
-      if (!message) {
-        console.error(`Message with external ID ${externalId} not found`);
-        return false;
-      }
-      
-      // Always update status and timestamps, even if the new status is the same or lower
-      // This is for debugging and reliability
-      const updateData = { 
-        status,
-        updatedAt: timestamp 
-      };
-      
-      if (status === 'DELIVERED') {
-        updateData.deliveredTime = timestamp;
-        console.log(`Setting deliveredTime for message ${externalId} to ${timestamp.toISOString()}`);
-      } else if (status === 'READ') {
-        updateData.readTime = timestamp;
-        console.log(`Setting readTime for message ${externalId} to ${timestamp.toISOString()}`);
-      } else if (status === 'SENT' && !message.sentTime) {
-        updateData.sentTime = timestamp;
-        console.log(`Setting sentTime for message ${externalId} to ${timestamp.toISOString()}`);
-      }
-      
-      // Log and update the message
-      console.log(`Updating message ${externalId} status to ${status} with data:`, updateData);
-      await message.update(updateData);
-      
-      // Send immediate notification to any connected UI
-      try {
-        const { app } = require('electron');
-        const mainWindow = require('electron').BrowserWindow.getAllWindows()[0];
+  _registerSendSource() {
+    sendQueue.registerSource({
+      name: 'bulk',
+      priority: SEND_PRIORITY,
+      model: Message,
+      isEnabled: async () => {
+        if (!this.isSchedulerRunning) return false;
         
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.webContents.send('message-status-update', {
-            id: message.id,
-            externalId: message.externalId,
-            status: status,
-            timestamp: timestamp,
-            deliveredTime: status === 'DELIVERED' ? timestamp : message.deliveredTime,
-            readTime: status === 'READ' ? timestamp : message.readTime,
-            sentTime: status === 'SENT' ? timestamp : message.sentTime
-          });
-        }
-      } catch (notificationError) {
-        console.error('Error sending UI notification:', notificationError);
-      }
-      
-      return true;
-    } catch (error) {
-      console.error(`Error updating status for message with external ID ${externalId}:`, error);
-      return false;
-    }
-  }
-
-  /**
-   * Process pending messages
-   * @returns {Promise<Object>} - Processing result
-   */
-  async processPendingMessages() {
-    if (this.isProcessingMessages) {
-      return { processed: 0, reason: 'Already processing messages' };
-    }
-    
-    this.isProcessingMessages = true;
-    
-    try {
-      this._checkDatabaseInitialized();
-      
-      // Get settings
-      const settings = await this.getSettings();
-      
-      // Check if sending is active
-      if (!settings.isActive) {
-        return { processed: 0, reason: 'Sending is disabled in settings' };
-      }
-      
-      // Check if current time is within allowed time range
-      if (!this.isWithinTimeRange(settings)) {
-        return { processed: 0, reason: 'Current time is outside allowed time range' };
-      }
-      
-      // Check if today is an allowed day
-      if (!this.isAllowedDay(settings)) {
-        return { processed: 0, reason: 'Current day is not allowed for sending' };
-      }
-      
-      // Check WhatsApp connection
-      const whatsAppStatus = whatsAppService.getStatus();
-      if (!whatsAppStatus.isConnected) {
-        // Try to initialize WhatsApp if not connected
-        try {
-          await whatsAppService.initialize();
-          // Wait a moment for connection
-          await new Promise(resolve => setTimeout(resolve, 5000));
-        } catch (e) {
-          console.error('Failed to initialize WhatsApp during message processing:', e);
-          return { processed: 0, reason: 'WhatsApp not connected' };
-        }
+        const settings = await this.getSettings();
+        return settings.isActive;
+      },
+      promoteDue: async () => {
+        await this.deferBlackoutMessages();
+        return this.updateScheduledToPending();
+      },
+      fetchNext: async () => {
+        // The send window applies in each recipient's own time zone
+        const timeZones = await this._timeZonesInSendWindow(await this.getSettings());
+        if (timeZones.length === 0) return null;
         
-        // Check again if connected
-        const updatedStatus = whatsAppService.getStatus();
-        if (!updatedStatus.isConnected) {
-          return { processed: 0, reason: 'WhatsApp not connected' };
+        const inWindow = [{ '$Contact.timezone$': { [Op.in]: timeZones.filter(Boolean) } }];
+        if (timeZones.includes(null)) {
+          inWindow.push({ '$Contact.timezone$': null });
         }
-      }
-      
-      // Update scheduled messages to pending if their time has come
-      const updatedCount = await this.updateScheduledToPending();
-      if (updatedCount > 0) {
-        console.log(`Updated ${updatedCount} scheduled messages to pending status`);
-      }
-      
-      // New: Get pending messages up to a reasonable batch size
-      const pendingMessages = await Message.findAll({
-        where: {
-          status: 'PENDING',
-          scheduledTime: {
-            [Op.lte]: new Date()
-          },
-          id: {
-            // Exclude messages that are already being processed
-            [Op.notIn]: Array.from(this.processingMessageIds)
-          }
-        },
-        include: [
-          { model: Contact },
-          { model: Template }
-        ],
-        order: [['scheduledTime', 'ASC']],
-        limit: 10 // Process up to 10 messages at a time
-      });
-      
-      if (pendingMessages.length === 0) {
-        return { processed: 0, reason: 'No pending messages' };
-      }
-      
-      // Process each message independently with proper interval timing
-      const processedIds = [];
-      
-      // Process the first message immediately
-      const firstMessage = pendingMessages[0];
-      await this.processMessage(firstMessage);
-      processedIds.push(firstMessage.id);
-      
-      // Schedule the rest with proper intervals
-      if (pendingMessages.length > 1) {
-        const messageInterval = settings.messageInterval || 45;
         
-        // Reduced logging - only log once
-        if (pendingMessages.length > 1) {
-          console.log(`Scheduling ${pendingMessages.length - 1} messages with ${messageInterval}s intervals`);
-        }
+        // Campaigns without an account send from the default one, like messages without a campaign
+        const accountWhere = await sendQueue.accountWhere('$Campaign.WhatsAppAccountId$', '$Campaign.useSenderPool$');
         
-        for (let i = 1; i < pendingMessages.length; i++) {
-          const message = pendingMessages[i];
-          const delay = i * messageInterval * 1000;
-          
-          // Add to processing set to prevent double-processing
-          this.processingMessageIds.add(message.id);
-          
-          // Clear any existing timeout for this message
-          if (this.messageTimeouts[message.id]) {
-            clearTimeout(this.messageTimeouts[message.id]);
-          }
-          
-          // Schedule with timeout
-          this.messageTimeouts[message.id] = setTimeout(async () => {
-            try {
-              await this.processMessage(message);
-              processedIds.push(message.id);
-            } catch (error) {
-              console.error(`Error processing delayed message ${message.id}:`, error);
-            } finally {
-              // Remove from processing set when done
-              this.processingMessageIds.delete(message.id);
-              // Clear the timeout reference
-              delete this.messageTimeouts[message.id];
+        return Message.findOne({
+          where: {
+            [Op.and]: [sendQueue.dueWhere(), accountWhere, { [Op.or]: inWindow }],
+            status: 'PENDING',
+            scheduledTime: {
+              [Op.lte]: new Date()
             }
-          }, delay);
-        }
-      }
-      
-      return { 
-        processed: 1, 
-        scheduled: pendingMessages.length - 1,
-        messageIds: processedIds 
-      };
-    } catch (error) {
-      console.error('Error processing pending messages:', error);
-      return { processed: 0, error: error.message };
-    } finally {
-      this.isProcessingMessages = false;
-    }
-  }
-  
-  /**
-   * Process a single message
-   * @param {Object} message - The message model to process
-   * @returns {Promise<boolean>} - Success status
-   */
-  async processMessage(message) {
-    // Add to processing set
-    this.processingMessageIds.add(message.id);
-    
-    try {
-      // Less logging - only log essential information
-      console.log(`Processing message to ${message.Contact?.phoneNumber || 'Unknown'}`);
-      
-      // Mark as sending
-      await message.update({ status: 'SENDING' });
-      
-      // Get contact data
-      const contact = message.Contact || await Contact.findByPk(message.ContactId);
-      if (!contact || !contact.phoneNumber) {
-        throw new Error('Contact information missing');
-      }
-      
-      // Use snapshot content and personalize it
-      let content = message.contentSnapshot || '';
-      const imagePath = message.imagePathSnapshot;
-      
-      if (content && contact) {
-        content = this.personalizeContent(content, contact);
-      }
-      
-      // Check if imagePath exists (if specified)
-      if (imagePath && !fs.existsSync(imagePath)) {
-        console.warn(`Image file not found: ${imagePath}, sending as text-only message`);
-      }
-      
-      // Send message
-      let result;
-      if (imagePath && fs.existsSync(imagePath)) {
-        result = await whatsAppService.sendImageMessage(contact.phoneNumber, imagePath, content);
-      } else {
-        result = await whatsAppService.sendTextMessage(contact.phoneNumber, content);
-      }
-      
-      // Update message status
-      await message.update({
-        status: 'SENT',
-        externalId: result.externalId,
-        sentTime: new Date()
-      });
-      
-      // Update last message sent time
-      this.lastMessageSentTime = new Date();
-      
-      // Reset consecutive errors counter on success
-      this.consecutiveErrors = 0;
-      
-      // Reduced logging
-      return true;
-    } catch (error) {
-      console.error(`Error sending message ${message.id}:`, error);
-      
-      // Increment consecutive errors counter
-      this.consecutiveErrors++;
-      
-      // Mark as failed or retry based on error
-      const shouldRetry = this.shouldRetryMessage(error);
-      
-      if (shouldRetry && this.consecutiveErrors < this.MAX_CONSECUTIVE_ERRORS) {
-        // Get current retry count and increment it
-        const currentRetryCount = message.retryCount || 0;
-        const newRetryCount = currentRetryCount + 1;
-        
-        // Put back to PENDING state for retry
-        await message.update({
-          status: 'PENDING',
-          retryCount: newRetryCount,
-          failureReason: `Retry attempt ${newRetryCount}: ${error.message}`
+          },
+          include: [{ model: Contact }, { model: Campaign, attributes: ['id', 'WhatsAppAccountId', 'useSenderPool'] }],
+          order: [['scheduledTime', 'ASC']]
         });
+      },
+      preparePayload: async (message) => {
+        const contact = message.Contact || await Contact.findByPk(message.ContactId);
+        if (!contact || !contact.phoneNumber) {
+          throw new Error('Contact information missing');
+        }
         
-        // Only log retry attempts
-        console.log(`Message ${message.id} marked for retry (attempt ${newRetryCount})`);
-      } else {
-        // Mark as permanently failed
-        await message.update({
-          status: 'FAILED',
-          failureReason: error.message
-        });
+        // Custom fields of other contacts are variables too, not spintax options
+        const customFieldKeys = await contactController.getCustomFieldKeys();
         
-        console.log(`Message ${message.id} marked as failed`);
+        // Seeding with the message ID keeps the spintax choices stable across retries
+        return {
+          phoneNumber: contact.phoneNumber,
+          content: this.personalizeContent(message.contentSnapshot || '', contact, message.id, customFieldKeys),
+          imagePath: message.imagePathSnapshot,
+          accountId: message.Campaign ? message.Campaign.WhatsAppAccountId : null,
+          useSenderPool: !!(message.Campaign && message.Campaign.useSenderPool)
+        };
       }
-      
-      return false;
-    } finally {
-      // Remove from processing set when done
-      this.processingMessageIds.delete(message.id);
-    }
+    });
   }
 
   /**
@@ -559,43 +850,16 @@ class MessageController {
    * @returns {Promise<boolean>} - Success status
    */
   async startScheduler() {
-    if (this.mainCronJob && this.mainCronJob.running) {
-      return true;
-    }
-    
     try {
-      // First try to resume any pending messages from previous sessions
-      await this.resumePendingMessages();
-      
-      // Set up cron job to run every minute
-      this.mainCronJob = new cron.CronJob('*/1 * * * *', async () => {
-        try {
-          // Reduced logging - no need for regular messages
-          const result = await this.processPendingMessages();
-          
-          // Only log if something was processed
-          if (result.processed > 0 || result.scheduled > 0) {
-            console.log('Scheduled message check result:', result);
-          }
-        } catch (error) {
-          console.error('Error in scheduler cron job:', error);
-        }
-      });
-      
-      // Start the job
-      this.mainCronJob.start();
-      console.log('Message scheduler started successfully');
+      if (!this.isSchedulerRunning) {
+        // First try to resume any pending messages from previous sessions
+        await this.resumePendingMessages();
+        this.isSchedulerRunning = true;
+        console.log('Message scheduler started successfully');
+      }
       
-      // Run immediately on start
-      setTimeout(async () => {
-        try {
-          console.log('Running initial message check...');
-          const result = await this.processPendingMessages();
-          console.log('Initial message check result:', result);
-        } catch (error) {
-          console.error('Error in initial message check:', error);
-        }
-      }, 5000);
+      sendQueue.start();
+      sendQueue.wake();
       
       return true;
     } catch (error) {
@@ -605,27 +869,13 @@ class MessageController {
   }
   
   /**
-   * Stop the message scheduler
+   * Stop the message scheduler (bulk messages stay queued until it starts again)
    * @returns {Promise<boolean>} - Success status
    */
   async stopScheduler() {
-    try {
-      if (this.mainCronJob) {
-        this.mainCronJob.stop();
-        console.log('Message scheduler stopped successfully');
-      }
-      
-      // Clear any pending message timeouts
-      Object.keys(this.messageTimeouts).forEach(id => {
-        clearTimeout(this.messageTimeouts[id]);
-        delete this.messageTimeouts[id];
-      });
-      
-      return true;
-    } catch (error) {
-      console.error('Error stopping scheduler:', error);
-      return false;
-    }
+    this.isSchedulerRunning = false;
+    console.log('Message scheduler stopped successfully');
+    return true;
   }
   
   /**
@@ -722,6 +972,75 @@ class MessageController {
     }
   }
 
+  /**
+   * Move due messages whose recipients are on a blackout day (in their own
+   * time zone) to the start of the send window on their next open active day
+   * @returns {Promise<number>} - Number of messages deferred
+   */
+  async deferBlackoutMessages() {
+    try {
+      this._checkDatabaseInitialized();
+      
+      const entries = await blackoutCalendar.getEntries();
+      if (entries.length === 0) return 0;
+      
+      const due = await Message.findAll({
+        attributes: ['id', [sequelize.col('Contact.timezone'), 'timezone']],
+        include: [{ model: Contact, attributes: [] }],
+        where: {
+          status: { [Op.in]: ['SCHEDULED', 'PENDING'] },
+          scheduledTime: { [Op.lte]: new Date() }
+        },
+        raw: true
+      });
+      if (due.length === 0) return 0;
+      
+      const idsByZone = new Map();
+      for (const message of due) {
+        const zone = timeZoneService.isValidTimeZone(message.timezone) ? message.timezone : '';
+        if (!idsByZone.has(zone)) idsByZone.set(zone, []);
+        idsByZone.get(zone).push(message.id);
+      }
+      
+      const settings = await this.getSettings();
+      const weekdayOf = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+      // Sunday is 0 or 7 in the active days
+      const isActiveDay = (day) => {
+        const weekday = weekdayOf(day);
+        const activeDays = Array.isArray(settings.activeDays) ? settings.activeDays : [];
+        return (activeDays.includes(weekday) || (weekday === 0 && activeDays.includes(7))) &&
+          this.getTimeWindows(settings, weekday).length > 0;
+      };
+      
+      let deferred = 0;
+      for (const [zone, ids] of idsByZone) {
+        const today = blackoutCalendar.toDay(timeZoneService.getLocalParts(new Date(), zone));
+        if (!blackoutCalendar.isBlocked(entries, today)) continue;
+        
+        const openDay = blackoutCalendar.nextOpenDay(entries, today, isActiveDay);
+        if (!openDay) continue;
+        
+        const [year, month, day] = openDay.split('-').map(Number);
+        const [firstWindow] = this.getTimeWindows(settings, weekdayOf(openDay));
+        const scheduledTime = timeZoneService.zonedTimeToDate(year, month, day, firstWindow.start, zone);
+        
+        const [count] = await Message.update(
+          { status: 'SCHEDULED', scheduledTime },
+          { where: { id: { [Op.in]: ids } } }
+        );
+        deferred += count;
+      }
+      
+      if (deferred > 0) {
+        console.log(`Deferred ${deferred} message(s) falling on a blackout day`);
+      }
+      return deferred;
+    } catch (error) {
+      console.error('Error deferring messages on blackout days:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get the schedule settings
    * @returns {Promise<Object>} - Schedule settings
@@ -804,6 +1123,54 @@ class MessageController {
         throw new Error('Active days must be an array');
       }
       
+      // startTime and endTime follow the send windows when they are given
+      if (settingsData.timeWindows !== undefined) {
+        const timeWindows = this._validateTimeWindows(settingsData.timeWindows, settingsData.activeDays);
+        const windows = Object.values(timeWindows).flat();
+        settingsData = {
+          ...settingsData,
+          timeWindows,
+          startTime: Math.min(...windows.map(window => window.start)),
+          endTime: Math.max(...windows.map(window => window.end))
+        };
+      }
+      
+      PACING_FIELDS.forEach(field => {
+        const value = settingsData[field];
+        if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+          throw new Error(`${field} must be a whole number of 0 or more`);
+        }
+      });
+      
+      if (settingsData.retryMaxAttempts !== undefined &&
+          (!Number.isInteger(settingsData.retryMaxAttempts) || settingsData.retryMaxAttempts < 1)) {
+        throw new Error('Max attempts must be at least 1');
+      }
+      
+      ['retryInitialDelay', 'retryMaxDelay'].forEach(field => {
+        const value = settingsData[field];
+        if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+          throw new Error(`${field} must be a whole number of 0 or more`);
+        }
+      });
+      
+      if (settingsData.retryBackoffFactor !== undefined &&
+          (typeof settingsData.retryBackoffFactor !== 'number' || !(settingsData.retryBackoffFactor >= 1))) {
+        throw new Error('Backoff factor must be 1 or more');
+      }
+      
+      if (settingsData.retryableErrors !== undefined &&
+          (!Array.isArray(settingsData.retryableErrors) ||
+           settingsData.retryableErrors.some(name => !retryPolicy.ERROR_CLASSES.includes(name)))) {
+        throw new Error(`Retryable errors must be a list of: ${retryPolicy.ERROR_CLASSES.join(', ')}`);
+      }
+      
+      const jitterMin = settingsData.intervalJitterMin;
+      const jitterMax = settingsData.intervalJitterMax;
+      if (jitterMin !== undefined && jitterMax !== undefined && jitterMin > jitterMax) {
+        throw new Error('Minimum interval jitter cannot be greater than the maximum');
+      }
+      
       // Get existing settings
       let settings = await ScheduleSettings.findOne();
       
@@ -813,8 +1180,10 @@ class MessageController {
           activeDays: settingsData.activeDays || [1, 2, 3, 4, 5],
           startTime: settingsData.startTime || 540,
           endTime: settingsData.endTime || 1020,
+          timeWindows: settingsData.timeWindows || null,
           messageInterval: settingsData.messageInterval || 45,
-          isActive: settingsData.isActive !== undefined ? settingsData.isActive : false
+          isActive: settingsData.isActive !== undefined ? settingsData.isActive : false,
+          ...this._pickPacingFields(settingsData)
         });
       } else {
         // Update existing settings with forced persistence
@@ -824,8 +1193,10 @@ class MessageController {
         settings.activeDays = settingsData.activeDays !== undefined ? settingsData.activeDays : settings.activeDays;
         settings.startTime = settingsData.startTime !== undefined ? settingsData.startTime : settings.startTime;
         settings.endTime = settingsData.endTime !== undefined ? settingsData.endTime : settings.endTime;
+        settings.timeWindows = settingsData.timeWindows !== undefined ? settingsData.timeWindows : settings.timeWindows;
         settings.messageInterval = settingsData.messageInterval !== undefined ? settingsData.messageInterval : settings.messageInterval;
         settings.isActive = settingsData.isActive !== undefined ? settingsData.isActive : settings.isActive;
+        Object.assign(settings, this._pickPacingFields(settingsData));
         
         // Force save to ensure persistence
         await settings.save();
@@ -845,31 +1216,157 @@ class MessageController {
     }
   }
 
+  /**
+   * Check send windows and bring them to the stored form
+   * @private
+   * @param {Object|string} timeWindows - Windows keyed by day (1-7), or their JSON
+   * @param {Array} activeDays - Optional active days, each needs a window
+   * @returns {Object} - Windows of every day, ordered by start
+   * @throws {Error} - If a window is invalid or windows of a day overlap
+   */
+  _validateTimeWindows(timeWindows, activeDays) {
+    let data = timeWindows;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        throw new Error('Send windows must be valid JSON');
+      }
+    }
+    
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Send windows must be given per day');
+    }
+    
+    const result = {};
+    for (const [day, name] of Object.entries(DAY_NAMES)) {
+      const windows = data[day] || [];
+      if (!Array.isArray(windows)) {
+        throw new Error(`Send windows of ${name} must be a list`);
+      }
+      
+      result[day] = windows
+        .map(window => ({ start: parseInt(window && window.start), end: parseInt(window && window.end) }))
+        .sort((a, b) => a.start - b.start);
+      
+      result[day].forEach((window, index) => {
+        if (isNaN(window.start) || isNaN(window.end) || window.start < 0 || window.end > 1439) {
+          throw new Error(`Send windows of ${name} must be between 00:00 and 23:59`);
+        }
+        if (window.start >= window.end) {
+          throw new Error(`A send window of ${name} ends before it starts`);
+        }
+        if (index > 0 && window.start <= result[day][index - 1].end) {
+          throw new Error(`Send windows of ${name} overlap`);
+        }
+      });
+    }
+    
+    // Sunday is 7 in the settings form, 0 in Date.getDay()
+    (Array.isArray(activeDays) ? activeDays : []).forEach(activeDay => {
+      const day = activeDay === 0 ? 7 : activeDay;
+      if (DAY_NAMES[day] && result[day].length === 0) {
+        throw new Error(`${DAY_NAMES[day]} is active but has no send window`);
+      }
+    });
+    
+    if (Object.values(result).every(windows => windows.length === 0)) {
+      throw new Error('At least one send window is required');
+    }
+    
+    return result;
+  }
+
+  /**
+   * Pick the send pacing and retry policy fields that are present in settings data
+   * @private
+   * @param {Object} settingsData - Settings data
+   * @returns {Object} - Pacing and retry fields
+   */
+  _pickPacingFields(settingsData) {
+    const fields = {};
+    [...PACING_FIELDS, ...RETRY_FIELDS].forEach(field => {
+      if (settingsData[field] !== undefined) fields[field] = settingsData[field];
+    });
+    return fields;
+  }
+
+  /**
+   * Find which recipient time zones of the due messages are inside the send window now
+   * @private
+   * @param {Object} settings - Schedule settings
+   * @returns {Promise<Array>} - Time zone names, null standing for contacts without one
+   */
+  async _timeZonesInSendWindow(settings) {
+    const rows = await Message.findAll({
+      attributes: [[sequelize.col('Contact.timezone'), 'timezone']],
+      include: [{ model: Contact, attributes: [] }],
+      where: {
+        status: 'PENDING',
+        scheduledTime: { [Op.lte]: new Date() }
+      },
+      group: [sequelize.col('Contact.timezone')],
+      raw: true
+    });
+    
+    // Contacts without a time zone, or with one this machine doesn't know, use the machine's clock
+    return rows
+      .map(row => row.timezone || null)
+      .filter(timeZone => {
+        const zone = timeZone && timeZoneService.isValidTimeZone(timeZone) ? timeZone : undefined;
+        return this.isWithinTimeRange(settings, zone) && this.isAllowedDay(settings, zone);
+      });
+  }
+
   /**
    * Check if current time is within allowed time range
    * @param {Object} settings - Schedule settings
+   * @param {string} timeZone - Optional IANA time zone of the recipient (the machine's by default)
    * @returns {boolean} - Whether current time is allowed
    */
-  isWithinTimeRange(settings) {
-    const now = new Date();
-    const currentMinutes = now.getHours() * 60 + now.getMinutes();
+  isWithinTimeRange(settings, timeZone) {
+    const now = timeZoneService.getLocalParts(new Date(), timeZone);
+    const currentMinutes = now.hour * 60 + now.minute;
     
     // If settings aren't valid, default to false
     if (!settings || typeof settings.startTime !== 'number' || typeof settings.endTime !== 'number') {
       return false;
     }
     
-    return currentMinutes >= settings.startTime && currentMinutes <= settings.endTime;
+    return this.getTimeWindows(settings, now.weekday)
+      .some(window => currentMinutes >= window.start && currentMinutes <= window.end);
+  }
+
+  /**
+   * Get the send windows of a day
+   * @param {Object} settings - Schedule settings
+   * @param {number} weekday - Day of the week (0 or 7 = Sunday, 1 = Monday, etc.)
+   * @returns {Array} - Ordered { start, end } windows in minutes from midnight
+   */
+  getTimeWindows(settings, weekday) {
+    if (!settings) return [];
+    
+    const timeWindows = settings.timeWindows;
+    if (timeWindows && typeof timeWindows === 'object') {
+      const windows = timeWindows[weekday === 0 ? 7 : weekday];
+      return Array.isArray(windows) ? windows : [];
+    }
+    
+    // Settings saved before send windows existed have one window every day
+    if (typeof settings.startTime === 'number' && typeof settings.endTime === 'number') {
+      return [{ start: settings.startTime, end: settings.endTime }];
+    }
+    return [];
   }
 
   /**
    * Check if today is an allowed day
    * @param {Object} settings - Schedule settings
+   * @param {string} timeZone - Optional IANA time zone of the recipient (the machine's by default)
    * @returns {boolean} - Whether today is allowed
    */
-  isAllowedDay(settings) {
-    const now = new Date();
-    const dayOfWeek = now.getDay(); // 0 = Sunday, 1 = Monday, etc.
+  isAllowedDay(settings, timeZone) {
+    const dayOfWeek = timeZoneService.getLocalParts(new Date(), timeZone).weekday; // 0 = Sunday, 1 = Monday, etc.
     
     // If settings aren't valid, default to false
     if (!settings || !Array.isArray(settings.activeDays)) {
@@ -883,80 +1380,24 @@ class MessageController {
    * Personalize message content with contact details
    * @param {string} content - Template content
    * @param {Object} contact - Contact data
+   * @param {number|string} seed - Seed for the spintax choices (random when omitted)
+   * @param {Array} customFieldKeys - Custom field names of all contacts
    * @returns {string} - Personalized content
    */
-  personalizeContent(content, contact) {
+  personalizeContent(content, contact, seed, customFieldKeys = []) {
     if (!content) return '';
     if (!contact) return content;
     
     try {
-      let personalized = content;
-      
-      // Replace variables with contact fields
-      const fields = {
-        '{firstName}': contact.firstName || '',
-        '{lastName}': contact.lastName || '',
-        '{name}': this.getFullName(contact) || '',
-        '{phone}': contact.phoneNumber || '',
-        '{email}': contact.email || '',
-        '{company}': contact.company || ''
-      };
-      
-      // Custom fields if they exist
-      if (contact.customFields) {
-        let customFields;
-        
-        // Parse custom fields if they're stored as a string
-        if (typeof contact.customFields === 'string') {
-          try {
-            customFields = JSON.parse(contact.customFields);
-          } catch (e) {
-            console.error('Error parsing custom fields:', e);
-            customFields = {};
-          }
-        } else {
-          customFields = contact.customFields;
-        }
-        
-        // Add custom fields to replacement
-        if (customFields && typeof customFields === 'object') {
-          Object.keys(customFields).forEach(key => {
-            fields[`{${key}}`] = customFields[key] || '';
-          });
-        }
-      }
-      
-      // Perform replacements
-      Object.keys(fields).forEach(key => {
-        personalized = personalized.replace(new RegExp(key, 'g'), fields[key]);
+      return templateRenderer.render(content, templateRenderer.buildContactVariables(contact), {
+        seed,
+        knownVariables: customFieldKeys
       });
-      
-      return personalized;
     } catch (error) {
       console.error('Error personalizing content:', error);
       return content;
     }
   }
-
-  /**
-   * Get full name from contact
-   * @param {Object} contact - Contact data
-   * @returns {string} - Full name
-   */
-  getFullName(contact) {
-    const firstName = contact.firstName || '';
-    const lastName = contact.lastName || '';
-    
-    if (firstName && lastName) {
-      return `${firstName} ${lastName}`;
-    } else if (firstName) {
-      return firstName;
-    } else if (lastName) {
-      return lastName;
-    } else {
-      return '';
-    }
-  }
   
   /**
    * Retry a failed message
@@ -995,6 +1436,7 @@ class MessageController {
       await message.update({ 
         status: 'PENDING',
         retryCount: newRetryCount,
+        nextAttemptAt: null,
         failureReason: `Manual retry initiated at ${new Date().toISOString()} (attempt ${newRetryCount})`
       });
       
@@ -1011,35 +1453,6 @@ class MessageController {
     }
   }
 
-  /**
-   * Determine if a message should be retried based on the error type
-   * @param {Error} error - The error that occurred
-   * @returns {boolean} - Whether to retry
-   */
-  shouldRetryMessage(error) {
-    const errorMessage = error.message?.toLowerCase() || '';
-    
-    // Don't retry if the problem is with the phone number
-    if (errorMessage.includes('not registered') || 
-        errorMessage.includes('invalid phone')) {
-      return false;
-    }
-    
-    // Don't retry if it's a content problem
-    if (errorMessage.includes('invalid message') || 
-        errorMessage.includes('image file not found')) {
-      return false;
-    }
-    
-    // Retry for connection, auth, and other transient errors
-    return errorMessage.includes('not connected') || 
-           errorMessage.includes('failed to connect') ||
-           errorMessage.includes('network') ||
-           errorMessage.includes('timeout') ||
-           errorMessage.includes('disconnected') ||
-           errorMessage.includes('authentication');
-  }
-
   /**
    * Delete messages by ID
    * @param {Array} ids - Array of message IDs to delete
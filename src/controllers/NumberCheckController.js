@@ -0,0 +1,246 @@
+const { models, isDatabaseInitialized } = require('../database/db');
+const { Op } = require('sequelize');
+const whatsAppAccounts = require('../services/WhatsAppAccounts');
+const phoneNumberService = require('../services/PhoneNumberService');
+
+const Contact = models.Contact;
+const SalesContact = models.SalesContact;
+
+const STATUSES = ['UNVERIFIED', 'VALID', 'INVALID'];
+
+// Time between two lookups, so the checks never look like a burst to WhatsApp (ms)
+const CHECK_INTERVAL = 5 * 1000;
+// Time between two looks for numbers to check when there are none or no account is connected (ms)
+const IDLE_INTERVAL = 60 * 1000;
+// A number is looked up again once its last check is this old
+const RECHECK_AFTER_DAYS = 90;
+
+/**
+ * NumberCheckController looks up in the background whether the numbers of
+ * the contacts and sales contacts are on WhatsApp, one number at a time
+ * while any account is connected. Numbers never checked go first, then the
+ * ones whose last check is older than RECHECK_AFTER_DAYS.
+ *
+ * The result is kept in whatsappStatus and lastCheckedAt of every contact
+ * with the number, so the Bulk Sender can leave out invalid or unverified
+ * numbers (see MessageController.scheduleMessages).
+ */
+class NumberCheckController {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.isChecking = false;
+    // Error of the last lookup, cleared by the next successful one
+    this.lastError = null;
+  }
+
+  /**
+   * Check if database is initialized
+   * @private
+   * @throws {Error} - If database is not initialized
+   */
+  _checkDatabaseInitialized() {
+    if (!isDatabaseInitialized()) {
+      throw new Error('Database not initialized');
+    }
+  }
+
+  /**
+   * Start checking numbers in the background
+   */
+  startScheduler() {
+    if (this.running) return;
+
+    this.running = true;
+    this._schedule(CHECK_INTERVAL);
+    console.log('Number check scheduler started');
+  }
+
+  /**
+   * Stop checking numbers (a lookup in progress still finishes)
+   */
+  stopScheduler() {
+    this.running = false;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      console.log('Number check scheduler stopped');
+    }
+  }
+
+  /**
+   * Look for numbers to check now instead of at the next idle check
+   * @returns {Promise<Object>} - Check status (see getStatus)
+   */
+  async checkNow() {
+    if (this.running && !this.isChecking) {
+      this._schedule(0);
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * Count the numbers by check result
+   * @returns {Promise<Object>} - { running, connected, due, lastError, contacts, salesContacts },
+   *                              contacts and salesContacts count each status
+   */
+  async getStatus() {
+    try {
+      this._checkDatabaseInitialized();
+
+      const countByStatus = async (model) => {
+        const counts = {};
+        for (const status of STATUSES) {
+          counts[status] = await model.count({ where: { whatsappStatus: status } });
+        }
+        return counts;
+      };
+
+      const due = await Contact.count({ where: this._dueWhere() }) +
+        await SalesContact.count({ where: this._dueWhere() });
+
+      return {
+        running: this.running,
+        connected: whatsAppAccounts.isAnyConnected(),
+        due,
+        lastError: this.lastError,
+        contacts: await countByStatus(Contact),
+        salesContacts: await countByStatus(SalesContact)
+      };
+    } catch (error) {
+      console.error('Error getting number check status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up one number and store the result on every contact and sales contact with it.
+   * Numbers that can't be right are INVALID without a lookup.
+   * @param {string} phoneNumber - Phone number as stored on the contact
+   * @returns {Promise<string>} - New status, VALID or INVALID
+   */
+  async checkNumber(phoneNumber) {
+    this._checkDatabaseInitialized();
+
+    let registered = false;
+    if (phoneNumberService.parse(phoneNumber).valid) {
+      const service = whatsAppAccounts.list().find(account => account.getStatus().isConnected);
+      if (!service) {
+        throw new Error('WhatsApp not connected');
+      }
+
+      try {
+        registered = (await service.checkNumber(phoneNumber)).registered;
+      } catch (error) {
+        // Moves the number to the back of the line, so one failing lookup doesn't hold up the others
+        await Contact.update({ lastCheckedAt: new Date() }, { where: { phoneNumber } });
+        await SalesContact.update({ lastCheckedAt: new Date() }, { where: { phoneNumber } });
+        throw error;
+      }
+    }
+
+    const update = {
+      whatsappStatus: registered ? 'VALID' : 'INVALID',
+      lastCheckedAt: new Date()
+    };
+
+    await Contact.update(update, { where: { phoneNumber } });
+    await SalesContact.update(update, { where: { phoneNumber } });
+
+    console.log(`Number check: ${phoneNumber} is ${registered ? '' : 'not '}on WhatsApp`);
+    return update.whatsappStatus;
+  }
+
+  /**
+   * Find the number that waited longest for a check, never checked numbers first
+   * @returns {Promise<string|null>} - Phone number, or null when every number is up to date
+   */
+  async getNextNumber() {
+    const query = {
+      attributes: ['phoneNumber', 'lastCheckedAt'],
+      where: this._dueWhere(),
+      order: [['lastCheckedAt', 'ASC'], ['id', 'ASC']],
+      raw: true
+    };
+
+    // SQLite sorts nulls first, so never checked numbers come before old checks
+    const candidates = [await Contact.findOne(query), await SalesContact.findOne(query)].filter(Boolean);
+    if (candidates.length === 0) return null;
+
+    candidates.sort((a, b) =>
+      (a.lastCheckedAt ? new Date(a.lastCheckedAt).getTime() : 0) -
+      (b.lastCheckedAt ? new Date(b.lastCheckedAt).getTime() : 0)
+    );
+    return candidates[0].phoneNumber;
+  }
+
+  /**
+   * Where clause for numbers that are due for a check
+   * @private
+   * @returns {Object} - Sequelize condition
+   */
+  _dueWhere() {
+    const recheckBefore = new Date(Date.now() - RECHECK_AFTER_DAYS * 24 * 60 * 60 * 1000);
+
+    return {
+      [Op.or]: [
+        { whatsappStatus: 'UNVERIFIED' },
+        { lastCheckedAt: null },
+        { lastCheckedAt: { [Op.lt]: recheckBefore } }
+      ]
+    };
+  }
+
+  /**
+   * Schedule the next check
+   * @private
+   * @param {number} delay - Delay in ms
+   */
+  _schedule(delay) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._tick();
+    }, delay);
+  }
+
+  /**
+   * Check the next due number, then schedule the following check
+   * @private
+   */
+  async _tick() {
+    if (this.isChecking) return;
+
+    this.isChecking = true;
+    let nextDelay = IDLE_INTERVAL;
+
+    try {
+      if (!isDatabaseInitialized() || !whatsAppAccounts.isAnyConnected()) {
+        return;
+      }
+
+      const phoneNumber = await this.getNextNumber();
+      if (!phoneNumber) return;
+
+      await this.checkNumber(phoneNumber);
+      this.lastError = null;
+      nextDelay = CHECK_INTERVAL;
+    } catch (error) {
+      // An unverified number stays due and is tried again after the numbers waiting before it
+      console.error('Error checking a WhatsApp number:', error);
+      this.lastError = error.message;
+    } finally {
+      this.isChecking = false;
+
+      if (this.running) {
+        this._schedule(nextDelay);
+      }
+    }
+  }
+}
+
+module.exports = new NumberCheckController();
@@ -0,0 +1,157 @@
+const { models, isDatabaseInitialized } = require('../database/db');
+const { Op } = require('sequelize');
+const phoneNumberService = require('../services/PhoneNumberService');
+
+/**
+ * PhoneNumberController keeps the default country of the phone numbers (see
+ * PhoneNumberService) and brings numbers saved before it to E.164
+ */
+class PhoneNumberController {
+  /**
+   * Check if database is initialized
+   * @private
+   * @throws {Error} - If database is not initialized
+   */
+  _checkDatabaseInitialized() {
+    if (!isDatabaseInitialized()) {
+      throw new Error('Database not initialized');
+    }
+  }
+
+  /**
+   * Load the default country into the phone number service, on startup
+   */
+  async loadSettings() {
+    try {
+      this._checkDatabaseInitialized();
+
+      const settings = await models.ScheduleSettings.findOne();
+      phoneNumberService.setDefaultCountry(settings ? settings.defaultCountry : null);
+      console.log(`Phone numbers without calling code are read as ${phoneNumberService.getDefaultCountry()} numbers`);
+    } catch (error) {
+      console.error('Error loading phone number settings:', error);
+    }
+  }
+
+  /**
+   * Get the default country and the countries to choose from
+   * @returns {Object} - { defaultCountry, countries }
+   */
+  getSettings() {
+    return {
+      defaultCountry: phoneNumberService.getDefaultCountry(),
+      countries: phoneNumberService.getCountries()
+    };
+  }
+
+  /**
+   * Change the default country. Numbers already saved keep their calling code,
+   * see normalizeStoredNumbers for the ones saved without it.
+   * @param {Object} data - { defaultCountry }
+   * @returns {Promise<Object>} - Result with the settings
+   */
+  async updateSettings(data) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const defaultCountry = data && data.defaultCountry;
+      if (!phoneNumberService.isKnownCountry(defaultCountry)) {
+        return { success: false, error: `Unknown country: ${defaultCountry}` };
+      }
+
+      const settings = await models.ScheduleSettings.findOne();
+      if (settings) {
+        await settings.update({ defaultCountry });
+      } else {
+        await models.ScheduleSettings.create({ defaultCountry });
+      }
+      phoneNumberService.setDefaultCountry(defaultCountry);
+
+      return { success: true, ...this.getSettings() };
+    } catch (error) {
+      console.error('Error updating phone number settings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Bring the numbers of the contacts, sales contacts and do-not-contact list to
+   * E.164 in the default country. Numbers saved as + and the local digits
+   * (+0691234567) are read as local numbers. A contact whose new number is
+   * already taken by another contact keeps its number, so nothing is lost.
+   * @returns {Promise<Object>} - Result with { checked, updated, invalid, conflicts } per table
+   */
+  async normalizeStoredNumbers() {
+    try {
+      this._checkDatabaseInitialized();
+
+      const result = {
+        success: true,
+        contacts: await this._normalizeTable(models.Contact, { unique: true, resetsCheck: true }),
+        salesContacts: await this._normalizeTable(models.SalesContact, { unique: false, resetsCheck: true }),
+        doNotContact: await this._normalizeTable(models.DoNotContact, { unique: true, resetsCheck: false })
+      };
+
+      console.log('Phone numbers normalized:', JSON.stringify(result));
+      return result;
+    } catch (error) {
+      console.error('Error normalizing stored phone numbers:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Normalize the phone numbers of one table
+   * @private
+   * @param {Object} model - Sequelize model with a phoneNumber column
+   * @param {Object} options - { unique: phone numbers are unique, resetsCheck: has a WhatsApp number check }
+   * @returns {Promise<Object>} - { checked, updated, invalid, conflicts }
+   */
+  async _normalizeTable(model, { unique, resetsCheck }) {
+    const counts = { checked: 0, updated: 0, invalid: 0, conflicts: 0 };
+    const rows = await model.findAll({ attributes: ['id', 'phoneNumber'], raw: true });
+
+    for (const row of rows) {
+      counts.checked++;
+
+      let parsed = phoneNumberService.parse(row.phoneNumber);
+      if (!parsed.valid && String(row.phoneNumber).startsWith('+')) {
+        const local = phoneNumberService.parse(row.phoneNumber.slice(1));
+        if (local.valid) parsed = local;
+      }
+
+      if (!parsed.valid) {
+        counts.invalid++;
+        continue;
+      }
+      if (parsed.e164 === row.phoneNumber) continue;
+
+      if (unique) {
+        const taken = await model.count({ where: { phoneNumber: parsed.e164, id: { [Op.ne]: row.id } } });
+        if (taken > 0) {
+          // The do-not-contact list has the number already, the old spelling can go
+          if (model === models.DoNotContact) {
+            await model.destroy({ where: { id: row.id } });
+            counts.updated++;
+          } else {
+            counts.conflicts++;
+          }
+          continue;
+        }
+      }
+
+      const update = { phoneNumber: parsed.e164 };
+      if (resetsCheck) {
+        update.whatsappStatus = 'UNVERIFIED';
+        update.lastCheckedAt = null;
+      }
+
+      await model.update(update, { where: { id: row.id } });
+      counts.updated++;
+    }
+
+    return counts;
+  }
+}
+
+module.exports = new PhoneNumberController();
@@ -0,0 +1,535 @@
+const { sequelize, models, isDatabaseInitialized } = require('../database/db');
+const { Op } = require('sequelize');
+const { CronJob, CronTime } = require('cron');
+const moment = require('moment');
+const messageController = require('./MessageController');
+const segmentController = require('./SegmentController');
+
+const RecurringCampaign = models.RecurringCampaign;
+const Campaign = models.Campaign;
+const Template = models.Template;
+const Segment = models.Segment;
+const Contact = models.Contact;
+
+const SCHEDULE_TYPES = ['WEEKLY', 'MONTHLY', 'CRON'];
+
+// How many upcoming occurrences are shown
+const PREVIEW_COUNT = 5;
+
+// Due recurring campaigns are looked for at the start of every minute
+const CHECK_SCHEDULE = '0 * * * * *';
+
+/**
+ * RecurringCampaignController handles campaign definitions that repeat on a
+ * weekly, monthly or cron schedule. Each occurrence becomes a regular
+ * campaign (see MessageController.scheduleMessages) sent to the contacts the
+ * segment matches at that moment.
+ */
+class RecurringCampaignController {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Check if database is initialized
+   * @private
+   * @throws {Error} - If database is not initialized
+   */
+  _checkDatabaseInitialized() {
+    if (!isDatabaseInitialized()) {
+      throw new Error('Database not initialized');
+    }
+  }
+
+  /**
+   * Get all recurring campaigns with their upcoming occurrences
+   * @returns {Promise<Array>} - Array of plain recurring campaign objects
+   */
+  async getRecurringCampaigns() {
+    try {
+      this._checkDatabaseInitialized();
+
+      const [recurringCampaigns, counts] = await Promise.all([
+        RecurringCampaign.findAll({
+          include: [
+            { model: Template, attributes: ['id', 'name'] },
+            { model: Segment, attributes: ['id', 'name'] }
+          ],
+          order: [['name', 'ASC']]
+        }),
+        Campaign.findAll({
+          attributes: ['RecurringCampaignId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+          where: { RecurringCampaignId: { [Op.ne]: null } },
+          group: ['RecurringCampaignId'],
+          raw: true
+        })
+      ]);
+
+      const countById = new Map(counts.map(row => [row.RecurringCampaignId, parseInt(row.count) || 0]));
+
+      return recurringCampaigns.map(recurring => ({
+        ...recurring.toJSON(),
+        campaignCount: countById.get(recurring.id) || 0,
+        nextOccurrences: recurring.status === 'ACTIVE'
+          ? this._nextOccurrences(this._toCronExpression(recurring.scheduleType, recurring.schedule), new Date(), PREVIEW_COUNT)
+          : []
+      }));
+    } catch (error) {
+      console.error('Error fetching recurring campaigns:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the next occurrences of a schedule without saving it
+   * @param {string} scheduleType - WEEKLY, MONTHLY or CRON
+   * @param {Object} schedule - Schedule of that type
+   * @returns {Promise<Object>} - Result with the occurrences as dates
+   */
+  async previewSchedule(scheduleType, schedule) {
+    try {
+      const { expression, error } = this._parseSchedule(scheduleType, schedule);
+      if (error) {
+        return { success: false, error };
+      }
+
+      const occurrences = this._nextOccurrences(expression, new Date(), PREVIEW_COUNT);
+      if (occurrences.length === 0) {
+        return { success: false, error: 'This schedule never occurs' };
+      }
+
+      return { success: true, occurrences };
+    } catch (error) {
+      console.error('Error previewing recurring schedule:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create a recurring campaign
+   * @param {Object} data - { name, scheduleType, schedule, TemplateId, SegmentId, status }
+   * @returns {Promise<Object>} - Result with the created recurring campaign
+   */
+  async createRecurringCampaign(data) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const { values, error } = await this._validate(data);
+      if (error) {
+        return { success: false, error };
+      }
+
+      const recurring = await RecurringCampaign.create(values);
+      return { success: true, recurringCampaign: recurring.toJSON() };
+    } catch (error) {
+      console.error('Error creating recurring campaign:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update a recurring campaign; the next occurrence is recalculated from now
+   * @param {number} id - Recurring campaign ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} - Result with the updated recurring campaign
+   */
+  async updateRecurringCampaign(id, data) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const recurring = await RecurringCampaign.findByPk(id);
+      if (!recurring) {
+        return { success: false, error: `Recurring campaign with ID ${id} not found` };
+      }
+
+      const { values, error } = await this._validate({ ...recurring.toJSON(), ...data });
+      if (error) {
+        return { success: false, error };
+      }
+
+      await recurring.update(values);
+      return { success: true, recurringCampaign: recurring.toJSON() };
+    } catch (error) {
+      console.error(`Error updating recurring campaign ${id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Pause a recurring campaign (campaigns it already created are not touched)
+   * @param {number} id - Recurring campaign ID
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async pauseRecurringCampaign(id) {
+    return this.updateRecurringCampaign(id, { status: 'PAUSED' });
+  }
+
+  /**
+   * Resume a paused recurring campaign; occurrences missed while paused are skipped
+   * @param {number} id - Recurring campaign ID
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async resumeRecurringCampaign(id) {
+    return this.updateRecurringCampaign(id, { status: 'ACTIVE' });
+  }
+
+  /**
+   * Delete a recurring campaign (the campaigns it created are kept)
+   * @param {number} id - Recurring campaign ID
+   * @returns {Promise<Object>} - Result of deletion
+   */
+  async deleteRecurringCampaign(id) {
+    try {
+      this._checkDatabaseInitialized();
+
+      await sequelize.transaction(async (transaction) => {
+        await Campaign.update({ RecurringCampaignId: null }, { where: { RecurringCampaignId: id }, transaction });
+        await RecurringCampaign.destroy({ where: { id }, transaction });
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error(`Error deleting recurring campaign ${id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create the campaigns of every recurring campaign whose next occurrence has come
+   * @returns {Promise<number>} - Number of campaigns created
+   */
+  async runDueCampaigns() {
+    try {
+      this._checkDatabaseInitialized();
+
+      const due = await RecurringCampaign.findAll({
+        where: {
+          status: 'ACTIVE',
+          nextRunAt: { [Op.lte]: new Date() }
+        },
+        order: [['nextRunAt', 'ASC']]
+      });
+
+      let created = 0;
+      for (const recurring of due) {
+        if (await this._runOccurrence(recurring)) created++;
+      }
+
+      return created;
+    } catch (error) {
+      console.error('Error running recurring campaigns:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Start the cron job that creates due campaigns
+   */
+  startScheduler() {
+    if (this.job) return;
+
+    this.job = new CronJob(CHECK_SCHEDULE, async () => {
+      // A slow run must not overlap with the next tick
+      if (this.isRunning) return;
+
+      this.isRunning = true;
+      try {
+        await this.runDueCampaigns();
+      } finally {
+        this.isRunning = false;
+      }
+    });
+    this.job.start();
+
+    console.log('Recurring campaign scheduler started');
+  }
+
+  /**
+   * Stop the cron job
+   */
+  stopScheduler() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+      console.log('Recurring campaign scheduler stopped');
+    }
+  }
+
+  /**
+   * Create the campaign of one occurrence and move on to the next one.
+   * When the app was closed over several occurrences only one campaign is
+   * created for them, sent right away.
+   * @private
+   * @param {Object} recurring - RecurringCampaign model
+   * @returns {Promise<boolean>} - Whether a campaign was created
+   */
+  async _runOccurrence(recurring) {
+    const occurrence = recurring.nextRunAt;
+    const now = new Date();
+    const expression = this._toCronExpression(recurring.scheduleType, recurring.schedule);
+    const [nextRunAt] = this._nextOccurrences(expression, now, 1);
+
+    const template = recurring.TemplateId ? await Template.findByPk(recurring.TemplateId) : null;
+    const segment = recurring.SegmentId ? await Segment.findByPk(recurring.SegmentId) : null;
+
+    if (!template || !segment) {
+      console.error(`Recurring campaign ${recurring.id} paused: its ${!template ? 'template' : 'segment'} no longer exists`);
+      await recurring.update({ status: 'PAUSED', nextRunAt: null });
+      return false;
+    }
+
+    const contacts = await Contact.findAll({
+      where: segmentController.buildWhere(segment.rules, segment.matchType),
+      attributes: ['id'],
+      raw: true
+    });
+
+    if (contacts.length === 0) {
+      console.log(`Recurring campaign ${recurring.id} skipped ${occurrence.toISOString()}: segment "${segment.name}" is empty`);
+      await recurring.update({ nextRunAt: nextRunAt || null });
+      return false;
+    }
+
+    const result = await messageController.scheduleMessages({
+      contacts,
+      templateId: template.id,
+      scheduledTime: (occurrence > now ? occurrence : now).toISOString(),
+      campaignName: `${recurring.name} - ${moment(occurrence).format('YYYY-MM-DD HH:mm')}`,
+      audienceGroups: [`Segment: ${segment.name}`],
+      recurringCampaignId: recurring.id
+    });
+
+    // A failed occurrence is not retried, the next one comes on schedule
+    await recurring.update({
+      lastRunAt: result.success ? occurrence : recurring.lastRunAt,
+      nextRunAt: nextRunAt || null
+    });
+
+    if (!result.success) {
+      console.error(`Recurring campaign ${recurring.id} could not create its campaign: ${result.error}`);
+      return false;
+    }
+
+    console.log(`Recurring campaign ${recurring.id} created campaign ${result.campaignId} with ${result.scheduledCount} message(s)`);
+    return true;
+  }
+
+  /**
+   * Check recurring campaign fields and calculate the next occurrence
+   * @private
+   * @param {Object} data - Recurring campaign fields
+   * @returns {Promise<Object>} - { values } or { error }
+   */
+  async _validate(data) {
+    const name = (data.name || '').trim();
+    if (!name) {
+      return { error: 'Name is required' };
+    }
+
+    const templateId = parseInt(data.TemplateId);
+    if (!templateId || !(await Template.findByPk(templateId))) {
+      return { error: 'Please select the template to send' };
+    }
+
+    const segmentId = parseInt(data.SegmentId);
+    if (!segmentId || !(await Segment.findByPk(segmentId))) {
+      return { error: 'Please select the segment to send to' };
+    }
+
+    const { schedule, expression, error } = this._parseSchedule(data.scheduleType, data.schedule);
+    if (error) {
+      return { error };
+    }
+
+    const status = data.status === 'PAUSED' ? 'PAUSED' : 'ACTIVE';
+    const [nextRunAt] = status === 'ACTIVE' ? this._nextOccurrences(expression, new Date(), 1) : [];
+    if (status === 'ACTIVE' && !nextRunAt) {
+      return { error: 'This schedule never occurs' };
+    }
+
+    return {
+      values: {
+        name,
+        status,
+        scheduleType: data.scheduleType,
+        schedule,
+        nextRunAt: nextRunAt || null,
+        TemplateId: templateId,
+        SegmentId: segmentId
+      }
+    };
+  }
+
+  /**
+   * Check a schedule and turn it into a cron expression
+   * @private
+   * @param {string} scheduleType - WEEKLY, MONTHLY or CRON
+   * @param {Object} schedule - Schedule of that type
+   * @returns {Object} - { schedule, expression } with only the fields of the type, or { error }
+   */
+  _parseSchedule(scheduleType, schedule = {}) {
+    if (!SCHEDULE_TYPES.includes(scheduleType)) {
+      return { error: `Schedule type must be one of: ${SCHEDULE_TYPES.join(', ')}` };
+    }
+
+    let cleaned;
+
+    if (scheduleType === 'CRON') {
+      const expression = (schedule.expression || '').trim().replace(/\s+/g, ' ');
+      const fields = expression.split(' ').length;
+      if (!expression || fields < 5 || fields > 6) {
+        return { error: 'A cron expression has five fields: minute, hour, day of month, month and day of week' };
+      }
+      cleaned = { expression };
+    } else {
+      const time = parseInt(schedule.time);
+      if (isNaN(time) || time < 0 || time > 1439) {
+        return { error: 'Time must be between 00:00 and 23:59' };
+      }
+
+      if (scheduleType === 'WEEKLY') {
+        const days = [...new Set((schedule.days || []).map(day => parseInt(day)))]
+          .filter(day => day >= 0 && day <= 6)
+          .sort();
+        if (days.length === 0) {
+          return { error: 'Select at least one day of the week' };
+        }
+        cleaned = { days, time };
+      } else {
+        const dayOfMonth = parseInt(schedule.dayOfMonth);
+        if (!dayOfMonth || dayOfMonth < 1 || dayOfMonth > 31) {
+          return { error: 'Day of the month must be between 1 and 31' };
+        }
+        cleaned = { dayOfMonth, time };
+      }
+    }
+
+    let expression;
+    try {
+      expression = this._toCronExpression(scheduleType, cleaned);
+      const cronTime = new CronTime(expression);
+
+      // The cron package moves a day missing from every chosen month (30 February) to another day
+      const fields = expression.split(' ');
+      fields[fields.length - 2] = '*';
+      const anyMonth = new CronTime(fields.join(' '));
+      if (Object.keys(cronTime.dayOfMonth).join() !== Object.keys(anyMonth.dayOfMonth).join()) {
+        return { error: 'This schedule never occurs' };
+      }
+    } catch (error) {
+      return { error: `Invalid cron expression: ${error.message.replace(/^ERROR: /, '')}` };
+    }
+
+    return { schedule: cleaned, expression };
+  }
+
+  /**
+   * Cron expression of a schedule
+   * @private
+   * @param {string} scheduleType - WEEKLY, MONTHLY or CRON
+   * @param {Object} schedule - Schedule of that type
+   * @returns {string}
+   */
+  _toCronExpression(scheduleType, schedule) {
+    if (scheduleType === 'CRON') {
+      return this._toCronWeekdays(this._toCronMonths(schedule.expression));
+    }
+
+    const minute = schedule.time % 60;
+    const hour = Math.floor(schedule.time / 60);
+
+    return scheduleType === 'WEEKLY'
+      ? `${minute} ${hour} * * ${schedule.days.join(',')}`
+      : `${minute} ${hour} ${schedule.dayOfMonth} * *`;
+  }
+
+  /**
+   * Number the months of a cron expression from 0 like the cron package does,
+   * users write them from 1 (January) to 12 (December) as in standard cron
+   * @private
+   * @param {string} expression - Cron expression with five or six fields
+   * @returns {string} - Cron expression for the cron package
+   * @throws {Error} - If a month is not between 1 and 12
+   */
+  _toCronMonths(expression) {
+    const fields = expression.split(' ');
+    const monthIndex = fields.length - 2;
+
+    // Month names (jan-dec) are left to the cron package, steps (*/3) stay as they are
+    fields[monthIndex] = fields[monthIndex].split(',').map(part => {
+      const [range, step] = part.split('/');
+      const months = range.replace(/\d+/g, month => {
+        const number = parseInt(month, 10);
+        if (number < 1 || number > 12) {
+          throw new Error(`Month ${month} must be between 1 and 12`);
+        }
+        return String(number - 1);
+      });
+      return step === undefined ? months : `${months}/${step}`;
+    }).join(',');
+
+    return fields.join(' ');
+  }
+
+  /**
+   * Write Sunday as 0 in the days of the week of a cron expression, standard
+   * cron also takes 7 but the cron package only goes up to 6
+   * @private
+   * @param {string} expression - Cron expression with five or six fields
+   * @returns {string} - Cron expression for the cron package
+   */
+  _toCronWeekdays(expression) {
+    const fields = expression.split(' ');
+    const weekdayIndex = fields.length - 1;
+
+    // Only 7 itself and ranges up to 7 (5-7, 1-7/2) change, they are written out day by day
+    fields[weekdayIndex] = fields[weekdayIndex].split(',').map(part => {
+      const [range, step] = part.split('/');
+      const match = /^(?:(\d+)-)?7$/.exec(range);
+      if (!match) return part;
+
+      const first = match[1] === undefined ? 7 : parseInt(match[1], 10);
+      const interval = step === undefined ? 1 : parseInt(step, 10);
+      if (!(interval > 0)) return part;
+
+      const days = [];
+      for (let day = first; day <= 7; day += interval) {
+        days.push(day % 7);
+      }
+      return days.length > 0 ? days.join(',') : part;
+    }).join(',');
+
+    return fields.join(' ');
+  }
+
+  /**
+   * Occurrences of a cron expression after a date, in local time
+   * @private
+   * @param {string} expression - Cron expression
+   * @param {Date} from - Start date (excluded)
+   * @param {number} count - Number of occurrences
+   * @returns {Array<Date>} - Occurrences, fewer when the expression runs out (e.g. 30 February)
+   */
+  _nextOccurrences(expression, from, count) {
+    const occurrences = [];
+
+    try {
+      const cronTime = new CronTime(expression);
+      let date = from;
+
+      // The cron package skips months without the day (31 April) by itself
+      while (occurrences.length < count) {
+        date = cronTime.getNextDateFrom(date).toJSDate();
+        occurrences.push(date);
+      }
+    } catch (error) {
+      // The cron package gives up on dates that never occur
+      console.error(`No further occurrences of "${expression}":`, error.message);
+    }
+
+    return occurrences;
+  }
+}
+
+module.exports = new RecurringCampaignController();
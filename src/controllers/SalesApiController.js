@@ -3,6 +3,7 @@ const { Op } = require('sequelize');
 const { models, sequelize } = require('../database/db');
 const SalesContact = models.SalesContact;
 const salesMessageController = require('./SalesMessageController');
+const phoneNumberService = require('../services/PhoneNumberService');
 
 // Configuration
 const AUTH_URL = 'https://crm-api.bss.com.al/authentication/login';
@@ -243,8 +244,9 @@ class SalesApiController {
         // Add to processed IDs list
         this.processedIds[dateKey][city].push(contact.id);
         
-        // Format phone number
-        const formattedPhone = this.formatPhoneNumber(contact.phone);
+        // Bring the phone number to E.164
+        const phone = phoneNumberService.parse(contact.phone);
+        const formattedPhone = phone.e164;
         
         // Check if the contact already exists in the database by contactId only
         const existingContact = await SalesContact.findOne({
@@ -293,6 +295,10 @@ class SalesApiController {
           
           duplicates++;
           console.log(`Contact already exists: ${contact.name} (${formattedPhone})`);
+        } else if (!phone.valid) {
+          // Nothing could be sent to the number, so the contact is left out
+          errors++;
+          console.warn(`Skipping contact ${contact.id} (${contact.name}): ${phone.error} (${contact.phone})`);
         } else {
           // Create new sales contact
           try {
@@ -958,24 +964,6 @@ class SalesApiController {
     }
   }
 
-  // Format phone number to E.164 format
-  formatPhoneNumber(phoneNumber) {
-    if (!phoneNumber) return '';
-    
-    // Convert to string if it's not already
-    phoneNumber = phoneNumber.toString();
-    
-    // Remove all non-digit characters except the leading +
-    let formatted = phoneNumber.replace(/[^\d+]/g, '');
-    
-    // If it doesn't start with +, add it (assuming international format)
-    if (!formatted.startsWith('+')) {
-      formatted = '+' + formatted;
-    }
-    
-    return formatted;
-  }
-
   // Add method to get sales message settings
   async getSalesMessageSettings() {
     try {
@@ -2,20 +2,31 @@ const { sequelize, models, isDatabaseInitialized } = require('../database/db');
 const { Op } = require('sequelize');
 const path = require('path');
 const fs = require('fs');
-const whatsAppService = require('../services/WhatsAppService');
+const whatsAppAccounts = require('../services/WhatsAppAccounts');
+const senderPool = require('../services/SenderPool');
+const templateRenderer = require('../services/TemplateRenderer');
+const sendQueue = require('../services/SendQueue');
+const optOutService = require('../services/OptOutService');
+const blackoutCalendar = require('../services/BlackoutCalendar');
+const timeZoneService = require('../services/TimeZoneService');
 
 const SalesContact = models.SalesContact;
 const SalesMessageSettings = models.SalesMessageSettings;
 const SalesMessageTemplate = models.SalesMessageTemplate;
 const SalesScheduledMessage = models.SalesScheduledMessage;
 
+// Sales follow-ups go out before marketing messages
+const SEND_PRIORITY = 10;
+
 /**
  * SalesMessageController handles all sales message related operations
  */
 class SalesMessageController {
   constructor() {
-    this.isProcessingMessages = false;
-    this.schedulerInterval = null;
+    this.isSchedulerRunning = false;
+    
+    // Messages are sent by the shared send queue
+    this._registerSendSource();
   }
 
   /**
@@ -60,6 +71,10 @@ class SalesMessageController {
         secondMessageDelay: settingsData.secondMessageDelay || 15552000000, // default 6 months
         isAutoSchedulingEnabled: Boolean(settingsData.isAutoSchedulingEnabled),
         isAutoSendingEnabled: Boolean(settingsData.isAutoSendingEnabled),
+        // Number the pipeline sends from, null for the default account
+        WhatsAppAccountId: settingsData.WhatsAppAccountId || null,
+        // Whether the pipeline spreads its messages over the sender pool instead
+        useSenderPool: Boolean(settingsData.useSenderPool),
         createdAt: settingsData.createdAt,
         updatedAt: settingsData.updatedAt
       };
@@ -75,7 +90,9 @@ class SalesMessageController {
         firstMessageDelay: 7200000,
         secondMessageDelay: 15552000000,
         isAutoSchedulingEnabled: false,
-        isAutoSendingEnabled: false
+        isAutoSendingEnabled: false,
+        WhatsAppAccountId: null,
+        useSenderPool: false
       };
     }
   }
@@ -111,6 +128,10 @@ class SalesMessageController {
         Boolean(settingsData.isAutoSendingEnabled) : 
         false;
       
+      if (settingsData.WhatsAppAccountId && !whatsAppAccounts.get(settingsData.WhatsAppAccountId)) {
+        throw new Error('The selected WhatsApp account no longer exists');
+      }
+      
       console.log('Processed boolean values:', {
         isAutoSchedulingEnabled,
         isAutoSendingEnabled
@@ -125,7 +146,9 @@ class SalesMessageController {
           firstMessageDelay: settingsData.firstMessageDelay || 7200000,
           secondMessageDelay: settingsData.secondMessageDelay || 15552000000,
           isAutoSchedulingEnabled: isAutoSchedulingEnabled,
-          isAutoSendingEnabled: isAutoSendingEnabled
+          isAutoSendingEnabled: isAutoSendingEnabled,
+          WhatsAppAccountId: settingsData.WhatsAppAccountId || null,
+          useSenderPool: Boolean(settingsData.useSenderPool)
         });
       } else {
         // Update existing settings
@@ -133,7 +156,9 @@ class SalesMessageController {
           firstMessageDelay: settingsData.firstMessageDelay !== undefined ? settingsData.firstMessageDelay : settings.firstMessageDelay,
           secondMessageDelay: settingsData.secondMessageDelay !== undefined ? settingsData.secondMessageDelay : settings.secondMessageDelay,
           isAutoSchedulingEnabled: settingsData.isAutoSchedulingEnabled !== undefined ? isAutoSchedulingEnabled : settings.isAutoSchedulingEnabled,
-          isAutoSendingEnabled: settingsData.isAutoSendingEnabled !== undefined ? isAutoSendingEnabled : settings.isAutoSendingEnabled
+          isAutoSendingEnabled: settingsData.isAutoSendingEnabled !== undefined ? isAutoSendingEnabled : settings.isAutoSendingEnabled,
+          WhatsAppAccountId: settingsData.WhatsAppAccountId !== undefined ? (settingsData.WhatsAppAccountId || null) : settings.WhatsAppAccountId,
+          useSenderPool: settingsData.useSenderPool !== undefined ? Boolean(settingsData.useSenderPool) : settings.useSenderPool
         });
       }
       
@@ -342,6 +367,11 @@ class SalesMessageController {
         return { success: false, error: 'Invalid message type' };
       }
       
+      if (await optOutService.isBlocked(salesContact.phoneNumber)) {
+        console.log(`[scheduleMessage] ${salesContact.phoneNumber} is on the do-not-contact list, no ${messageType} message scheduled`);
+        return { success: false, error: 'Contact is on the do-not-contact list' };
+      }
+      
       // Get template for message type
       const template = await SalesMessageTemplate.findOne({
         where: { messageType }
@@ -583,165 +613,178 @@ class SalesMessageController {
   }
 
   /**
-   * Process scheduled sales messages
-   * @returns {Promise<Object>} - Processing result
+   * Register the sales messages as a source of the send queue
+   * @private
    */
-  async processPendingMessages() {
-    // Simple implementation for now - can be expanded later
-    if (this.isProcessingMessages) {
-      return { processed: 0, reason: 'Already processing messages' };
-    }
+  _registerSendSource() {
+    sendQueue.registerSource({
+      name: 'sales',
+      priority: SEND_PRIORITY,
+      model: SalesScheduledMessage,
+      isEnabled: async () => {
+        if (!this.isSchedulerRunning) return false;
+        
+        // Read the row directly, getSettings logs on every call
+        const settings = await SalesMessageSettings.findOne();
+        return !!(settings && settings.isAutoSendingEnabled) &&
+          !!(await senderPool.pickSender(settings.WhatsAppAccountId, settings.useSenderPool));
+      },
+      promoteDue: async () => {
+        await this.deferBlackoutMessages();
+        return this.updateScheduledToPending();
+      },
+      fetchNext: async () => {
+        // Every sales message sends from the account of the settings row
+        const accountWhere = await sendQueue.accountWhere(
+          sequelize.literal('(SELECT WhatsAppAccountId FROM SalesMessageSettings LIMIT 1)'),
+          sequelize.literal('(SELECT useSenderPool FROM SalesMessageSettings LIMIT 1)')
+        );
+        
+        return SalesScheduledMessage.findOne({
+          where: {
+            [Op.and]: [sendQueue.dueWhere(), accountWhere],
+            status: 'PENDING'
+          },
+          include: [
+            { model: SalesContact },
+            { model: SalesMessageTemplate }
+          ],
+          order: [['scheduledTime', 'ASC']]
+        });
+      },
+      preparePayload: async (message) => {
+        const contact = message.SalesContact;
+        if (!contact || !contact.phoneNumber) {
+          throw new Error('Contact information missing');
+        }
+        
+        // Fall back to the linked template when the snapshot is empty
+        let content = message.contentSnapshot || '';
+        if (!content && message.SalesMessageTemplate) {
+          content = message.SalesMessageTemplate.content || '';
+        }
+        
+        if (!content) {
+          throw new Error('Message content is missing');
+        }
+        
+        let imagePath = message.imagePathSnapshot;
+        if (!imagePath && message.SalesMessageTemplate) {
+          imagePath = message.SalesMessageTemplate.imagePath;
+        }
+        
+        const settings = await SalesMessageSettings.findOne();
+        
+        return {
+          phoneNumber: contact.phoneNumber,
+          content: this.personalizeContent(content, contact, message.id),
+          imagePath,
+          accountId: settings ? settings.WhatsAppAccountId : null,
+          useSenderPool: !!(settings && settings.useSenderPool)
+        };
+      }
+    });
+  }
+
+  /**
+   * Move scheduled sales messages whose time has come to PENDING
+   * @returns {Promise<number>} - Number of messages updated
+   */
+  async updateScheduledToPending() {
+    this._checkDatabaseInitialized();
     
-    this.isProcessingMessages = true;
+    const [updatedCount] = await SalesScheduledMessage.update(
+      { status: 'PENDING' },
+      {
+        where: {
+          status: 'SCHEDULED',
+          scheduledTime: {
+            [Op.lte]: new Date()
+          }
+        }
+      }
+    );
+    
+    return updatedCount;
+  }
+
+  /**
+   * Move due sales messages off a blackout day, to the same time of day on
+   * the next open day. Days are those of the recipient's time zone, guessed
+   * from the phone number (sales contacts have no time zone of their own).
+   * @returns {Promise<number>} - Number of messages deferred
+   */
+  async deferBlackoutMessages() {
+    this._checkDatabaseInitialized();
+    
+    const entries = await blackoutCalendar.getEntries();
+    if (entries.length === 0) return 0;
+    
+    const now = new Date();
+    const dueMessages = await SalesScheduledMessage.findAll({
+      where: {
+        status: { [Op.in]: ['SCHEDULED', 'PENDING'] },
+        scheduledTime: {
+          [Op.lte]: now
+        }
+      },
+      include: [{ model: SalesContact, attributes: ['phoneNumber'] }]
+    });
+    
+    let deferred = 0;
+    for (const message of dueMessages) {
+      const zone = timeZoneService.inferFromPhoneNumber(message.SalesContact ? message.SalesContact.phoneNumber : null);
+      const today = blackoutCalendar.toDay(timeZoneService.getLocalParts(now, zone));
+      if (!blackoutCalendar.isBlocked(entries, today)) continue;
+      
+      const openDay = blackoutCalendar.nextOpenDay(entries, today);
+      if (!openDay) continue;
+      
+      const [year, month, day] = openDay.split('-').map(Number);
+      const time = timeZoneService.getLocalParts(new Date(message.scheduledTime), zone);
+      await message.update({
+        status: 'SCHEDULED',
+        scheduledTime: timeZoneService.zonedTimeToDate(year, month, day, time.hour * 60 + time.minute, zone)
+      });
+      deferred++;
+    }
     
+    if (deferred > 0) {
+      console.log(`Deferred ${deferred} sales message(s) falling on a blackout day`);
+    }
+    return deferred;
+  }
+
+  /**
+   * Send due sales messages now instead of waiting for the next queue check
+   * @returns {Promise<Object>} - Number of messages handed to the send queue
+   */
+  async processPendingMessages() {
     try {
       this._checkDatabaseInitialized();
       
-      // Get settings
       const settings = await this.getSettings();
-      console.log('Auto-sending enabled:', settings.isAutoSendingEnabled);
-      
-      // Check if auto-sending is enabled
       if (!settings.isAutoSendingEnabled) {
-        console.log('Auto-sending is disabled in settings, no messages will be sent');
-        this.isProcessingMessages = false;
         return { processed: 0, reason: 'Auto-sending is disabled' };
       }
       
-      // Check WhatsApp connection
-      const whatsAppStatus = whatsAppService.getStatus();
-      if (!whatsAppStatus.isConnected) {
-        console.error('CRITICAL: WhatsApp is not connected, cannot send messages. Please connect WhatsApp first.');
-        this.isProcessingMessages = false;
+      if (!(await senderPool.pickSender(settings.WhatsAppAccountId, settings.useSenderPool))) {
         return { processed: 0, reason: 'WhatsApp not connected' };
       }
       
-      // Update scheduled messages to pending if their time has come
-      const updatedCount = await SalesScheduledMessage.update(
-        { status: 'PENDING' },
-        {
-          where: {
-            status: 'SCHEDULED',
-            scheduledTime: {
-              [Op.lte]: new Date()
-            }
-          }
-        }
-      );
-      
-      console.log(`Updated ${updatedCount} scheduled sales messages to PENDING`);
+      await this.deferBlackoutMessages();
+      await this.updateScheduledToPending();
       
-      // Get all pending messages to process (limited to 5 at a time)
-      const pendingMessages = await SalesScheduledMessage.findAll({
-        where: {
-          status: 'PENDING'
-        },
-        include: [
-          { model: SalesContact },
-          { model: SalesMessageTemplate }
-        ],
-        order: [['scheduledTime', 'ASC']],
-        limit: 5
-      });
-      
-      if (!pendingMessages || pendingMessages.length === 0) {
-        console.log('No pending messages found to process');
-        this.isProcessingMessages = false;
+      const queued = await SalesScheduledMessage.count({ where: { status: 'PENDING' } });
+      if (queued === 0) {
         return { processed: 0, reason: 'No pending messages' };
       }
       
-      console.log(`Processing ${pendingMessages.length} pending messages`);
-      
-      // Process each message in sequence
-      let processedCount = 0;
-      let errors = 0;
-      
-      for (const pendingMessage of pendingMessages) {
-        try {
-          // Update status to SENDING
-          await pendingMessage.update({ status: 'SENDING' });
-          
-          // Get contact data
-          const contact = pendingMessage.SalesContact;
-          if (!contact || !contact.phoneNumber) {
-            throw new Error('Contact information missing');
-          }
-          
-          // Use snapshot content and personalize it
-          // Check for both snapshot and template content
-          let content = pendingMessage.contentSnapshot || '';
-          
-          // If snapshot is empty, try to get content from the linked template
-          if (!content && pendingMessage.SalesMessageTemplate) {
-            content = pendingMessage.SalesMessageTemplate.content || '';
-          }
-          
-          if (!content) {
-            throw new Error('Message content is missing');
-          }
-          
-          // Get image path - check both snapshot and template
-          let imagePath = pendingMessage.imagePathSnapshot;
-          
-          // If snapshot image is not available, try to get from the linked template
-          if (!imagePath && pendingMessage.SalesMessageTemplate) {
-            imagePath = pendingMessage.SalesMessageTemplate.imagePath;
-          }
-          
-          // Personalize content with contact data
-          if (content && contact) {
-            content = this.personalizeContent(content, contact);
-          }
-          
-          console.log(`Sending sales message to ${contact.phoneNumber}: ${content.substring(0, 50)}...`);
-          
-          // Send message
-          let result;
-          if (imagePath && fs.existsSync(imagePath)) {
-            console.log(`Including image: ${imagePath}`);
-            result = await whatsAppService.sendImageMessage(contact.phoneNumber, imagePath, content);
-          } else {
-            result = await whatsAppService.sendTextMessage(contact.phoneNumber, content);
-          }
-          
-          // Update message status
-          await pendingMessage.update({
-            status: 'SENT',
-            externalId: result.id || null,
-            sentTime: new Date()
-          });
-          
-          console.log(`Successfully sent sales message ${pendingMessage.id} to ${contact.name} (${contact.phoneNumber})`);
-          processedCount++;
-          
-          // Pause for 2 seconds between messages to avoid flooding
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          
-        } catch (error) {
-          console.error(`Error sending sales message ${pendingMessage.id}:`, error);
-          
-          // Mark as failed
-          await pendingMessage.update({
-            status: 'FAILED',
-            failureReason: error.message
-          });
-          
-          errors++;
-        }
-      }
-      
-      console.log(`Finished processing messages: ${processedCount} sent, ${errors} failed`);
-      
-      return { 
-        processed: processedCount,
-        errors: errors,
-        total: pendingMessages.length
-      };
+      sendQueue.wake();
+      return { processed: 0, queued };
     } catch (error) {
       console.error('Error processing pending sales messages:', error);
       return { processed: 0, error: error.message };
-    } finally {
-      this.isProcessingMessages = false;
     }
   }
 
@@ -814,38 +857,15 @@ class SalesMessageController {
    */
   async startScheduler() {
     try {
-      // Stop any existing scheduler first
-      this.stopScheduler();
-      
-      // First try to resume any pending messages from previous sessions
-      await this.resumePendingMessages();
-      
-      console.log('Sales message scheduler started successfully');
-      
-      // Run immediately on start
-      setTimeout(async () => {
-        try {
-          console.log('Running initial sales message check...');
-          const result = await this.processPendingMessages();
-          console.log('Initial sales message check result:', result);
-        } catch (error) {
-          console.error('Error in initial sales message check:', error);
-        }
-      }, 3000);
+      if (!this.isSchedulerRunning) {
+        // First try to resume any pending messages from previous sessions
+        await this.resumePendingMessages();
+        this.isSchedulerRunning = true;
+        console.log('Sales message scheduler started successfully');
+      }
       
-      // Set up interval to check for messages every 10 seconds
-      this.schedulerInterval = setInterval(async () => {
-        try {
-          const result = await this.processPendingMessages();
-          
-          // Only log if something was processed or failed
-          if (result.processed > 0 || result.errors > 0) {
-            console.log('Scheduled sales message check result:', result);
-          }
-        } catch (error) {
-          console.error('Error in sales message scheduler:', error);
-        }
-      }, 10000); // Check every 10 seconds (reduced from 30 seconds)
+      sendQueue.start();
+      sendQueue.wake();
       
       return true;
     } catch (error) {
@@ -855,57 +875,49 @@ class SalesMessageController {
   }
   
   /**
-   * Stop the sales message scheduler
+   * Stop the sales message scheduler (sales messages stay queued until it starts again)
    * @returns {boolean} - Success status
    */
   stopScheduler() {
-    try {
-      if (this.schedulerInterval) {
-        clearInterval(this.schedulerInterval);
-        this.schedulerInterval = null;
-        console.log('Sales message scheduler stopped successfully');
-      }
-      
-      return true;
-    } catch (error) {
-      console.error('Error stopping sales message scheduler:', error);
-      return false;
-    }
+    this.isSchedulerRunning = false;
+    console.log('Sales message scheduler stopped successfully');
+    return true;
   }
 
   /**
    * Personalize message content with contact details
    * @param {string} content - Template content
    * @param {Object} contact - Contact data
+   * @param {number|string} seed - Seed for the spintax choices (random when omitted)
    * @returns {string} - Personalized content
    */
-  personalizeContent(content, contact) {
+  personalizeContent(content, contact, seed) {
     if (!content) return '';
     if (!contact) return content;
     
     try {
-      let personalized = content;
-      
-      // Replace variables with contact fields
-      const fields = {
-        '{name}': contact.name || '',
-        '{phone}': contact.phoneNumber || '',
-        '{code}': contact.code || '',
-        '{city}': contact.city || '',
-        '{documentNumber}': contact.documentNumber || ''
-      };
-      
-      // Perform replacements
-      Object.keys(fields).forEach(key => {
-        personalized = personalized.replace(new RegExp(key, 'g'), fields[key]);
-      });
-      
-      return personalized;
+      return templateRenderer.render(content, this.buildContactVariables(contact), { seed });
     } catch (error) {
       console.error('Error personalizing content:', error);
       return content;
     }
   }
+
+  /**
+   * Build the template variables of a sales contact
+   * @param {Object} contact - Sales contact data
+   * @returns {Object} - Values by variable name
+   */
+  buildContactVariables(contact) {
+    return {
+      name: contact.name || '',
+      phone: contact.phoneNumber || '',
+      code: contact.code || '',
+      city: contact.city || '',
+      documentNumber: contact.documentNumber || '',
+      documentDate: contact.documentDate || ''
+    };
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,294 @@
+const { sequelize, models, isDatabaseInitialized } = require('../database/db');
+const { Op } = require('sequelize');
+
+const Segment = models.Segment;
+const Contact = models.Contact;
+const RecurringCampaign = models.RecurringCampaign;
+
+// Rule types a segment can be built from
+const RULE_TYPES = ['tag', 'source', 'birthdayMonth', 'createdAfter', 'createdBefore', 'hasEmail', 'lastMessageStatus'];
+
+/**
+ * SegmentController handles saved contact segments (rule-based groups)
+ */
+class SegmentController {
+  /**
+   * Check if database is initialized
+   * @private
+   * @throws {Error} - If database is not initialized
+   */
+  _checkDatabaseInitialized() {
+    if (!isDatabaseInitialized()) {
+      throw new Error('Database not initialized');
+    }
+  }
+
+  /**
+   * Get all segments with their current contact count
+   * @returns {Promise<Array>} - Array of plain segment objects
+   */
+  async getSegments() {
+    try {
+      this._checkDatabaseInitialized();
+
+      const segments = await Segment.findAll({ order: [['name', 'ASC']] });
+      const result = [];
+
+      for (const segment of segments) {
+        const contactCount = await Contact.count({
+          where: this.buildWhere(segment.rules, segment.matchType)
+        });
+        result.push({ ...segment.toJSON(), contactCount });
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error fetching segments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every segment with the IDs of the contacts it currently matches
+   * (used by the Bulk Sender to show segments as contact groups)
+   * @returns {Promise<Array>} - Array of { id, name, contactIds }
+   */
+  async getSegmentGroups() {
+    try {
+      this._checkDatabaseInitialized();
+
+      const segments = await Segment.findAll({ order: [['name', 'ASC']] });
+      const groups = [];
+
+      for (const segment of segments) {
+        const contacts = await Contact.findAll({
+          where: this.buildWhere(segment.rules, segment.matchType),
+          attributes: ['id']
+        });
+
+        groups.push({
+          id: segment.id,
+          name: segment.name,
+          contactIds: contacts.map(contact => contact.id)
+        });
+      }
+
+      return groups;
+    } catch (error) {
+      console.error('Error fetching segment groups:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the contacts matched by a set of rules without saving them
+   * @param {Array} rules - Segment rules
+   * @param {string} matchType - ALL or ANY
+   * @returns {Promise<Object>} - Result with the number of matching contacts
+   */
+  async previewSegment(rules, matchType = 'ALL') {
+    try {
+      this._checkDatabaseInitialized();
+
+      const validationError = this.validateRules(rules);
+      if (validationError) {
+        return { success: false, error: validationError };
+      }
+
+      const count = await Contact.count({ where: this.buildWhere(rules, matchType) });
+      return { success: true, count };
+    } catch (error) {
+      console.error('Error previewing segment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create a segment
+   * @param {Object} segmentData - { name, matchType, rules }
+   * @returns {Promise<Object>} - Result with the created segment
+   */
+  async createSegment(segmentData) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const name = (segmentData.name || '').trim();
+      if (!name) {
+        return { success: false, error: 'Segment name is required' };
+      }
+
+      const validationError = this.validateRules(segmentData.rules);
+      if (validationError) {
+        return { success: false, error: validationError };
+      }
+
+      const segment = await Segment.create({
+        name,
+        matchType: segmentData.matchType === 'ANY' ? 'ANY' : 'ALL',
+        rules: segmentData.rules
+      });
+
+      return { success: true, segment: segment.toJSON() };
+    } catch (error) {
+      console.error('Error creating segment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update a segment
+   * @param {number} id - Segment ID
+   * @param {Object} segmentData - { name, matchType, rules }
+   * @returns {Promise<Object>} - Result with the updated segment
+   */
+  async updateSegment(id, segmentData) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const segment = await Segment.findByPk(id);
+      if (!segment) {
+        return { success: false, error: `Segment with ID ${id} not found` };
+      }
+
+      const name = (segmentData.name || '').trim();
+      if (!name) {
+        return { success: false, error: 'Segment name is required' };
+      }
+
+      const validationError = this.validateRules(segmentData.rules);
+      if (validationError) {
+        return { success: false, error: validationError };
+      }
+
+      await segment.update({
+        name,
+        matchType: segmentData.matchType === 'ANY' ? 'ANY' : 'ALL',
+        rules: segmentData.rules
+      });
+
+      return { success: true, segment: segment.toJSON() };
+    } catch (error) {
+      console.error(`Error updating segment ${id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete a segment (contacts are not affected, recurring campaigns sending to it are paused)
+   * @param {number} id - Segment ID
+   * @returns {Promise<Object>} - Result of deletion
+   */
+  async deleteSegment(id) {
+    try {
+      this._checkDatabaseInitialized();
+
+      await sequelize.transaction(async (transaction) => {
+        // Recurring campaigns lose their audience, so they stop until another segment is picked
+        await RecurringCampaign.update({ status: 'PAUSED', nextRunAt: null }, { where: { SegmentId: id }, transaction });
+        await Segment.destroy({ where: { id }, transaction });
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error(`Error deleting segment ${id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Check that rules are well formed
+   * @param {Array} rules - Segment rules
+   * @returns {string|null} - Error message, or null if the rules are valid
+   */
+  validateRules(rules) {
+    if (!Array.isArray(rules) || rules.length === 0) {
+      return 'A segment needs at least one rule';
+    }
+
+    for (const rule of rules) {
+      if (!rule || !RULE_TYPES.includes(rule.type)) {
+        return `Unknown rule type: ${rule && rule.type}`;
+      }
+
+      if (rule.type !== 'hasEmail' && (rule.value === undefined || rule.value === null || rule.value === '')) {
+        return `Rule "${rule.type}" needs a value`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Translate segment rules into a Contact where clause
+   * @param {Array} rules - Segment rules
+   * @param {string} matchType - ALL or ANY
+   * @returns {Object} - Sequelize where clause
+   */
+  buildWhere(rules, matchType = 'ALL') {
+    const conditions = (rules || []).map(rule => this._buildCondition(rule)).filter(Boolean);
+
+    if (conditions.length === 0) {
+      // A segment without usable rules matches nobody
+      return { id: null };
+    }
+
+    return { [matchType === 'ANY' ? Op.or : Op.and]: conditions };
+  }
+
+  /**
+   * Translate a single rule into a where condition
+   * @private
+   * @param {Object} rule - { type, value }
+   * @returns {Object|null} - Sequelize condition
+   */
+  _buildCondition(rule) {
+    const escape = (value) => sequelize.escape(value);
+
+    switch (rule.type) {
+      case 'tag':
+        return {
+          id: {
+            [Op.in]: sequelize.literal(`(SELECT ContactId FROM ContactTags WHERE TagId = ${escape(parseInt(rule.value))})`)
+          }
+        };
+
+      case 'source':
+        return { source: rule.value };
+
+      case 'birthdayMonth': {
+        const month = String(parseInt(rule.value)).padStart(2, '0');
+        return sequelize.where(sequelize.fn('strftime', '%m', sequelize.col('birthday')), month);
+      }
+
+      case 'createdAfter':
+        return { createdAt: { [Op.gte]: new Date(rule.value) } };
+
+      case 'createdBefore':
+        return { createdAt: { [Op.lte]: new Date(`${rule.value}T23:59:59`) } };
+
+      case 'hasEmail':
+        // value false selects contacts without an email
+        if (rule.value === false || rule.value === 'false') {
+          return { [Op.or]: [{ email: null }, { email: '' }] };
+        }
+        return { email: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: '' }] } };
+
+      case 'lastMessageStatus':
+        // Status of the most recent bulk message sent to the contact
+        return {
+          id: {
+            [Op.in]: sequelize.literal(`(
+              SELECT m.ContactId FROM Messages m
+              WHERE m.status = ${escape(rule.value)}
+                AND m.id = (SELECT MAX(m2.id) FROM Messages m2 WHERE m2.ContactId = m.ContactId)
+            )`)
+          }
+        };
+
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = new SegmentController();
@@ -0,0 +1,254 @@
+const { sequelize, models, isDatabaseInitialized } = require('../database/db');
+const { Op } = require('sequelize');
+
+const Tag = models.Tag;
+const ContactTag = models.ContactTag;
+const Contact = models.Contact;
+const AutoReplyRule = models.AutoReplyRule;
+
+/**
+ * TagController handles contact tags
+ */
+class TagController {
+  /**
+   * Check if database is initialized
+   * @private
+   * @throws {Error} - If database is not initialized
+   */
+  _checkDatabaseInitialized() {
+    if (!isDatabaseInitialized()) {
+      throw new Error('Database not initialized');
+    }
+  }
+
+  /**
+   * Get all tags with the number of contacts carrying each one
+   * @returns {Promise<Array>} - Array of plain tag objects
+   */
+  async getTags() {
+    try {
+      this._checkDatabaseInitialized();
+
+      const tags = await Tag.findAll({ order: [['name', 'ASC']] });
+
+      const counts = await ContactTag.findAll({
+        attributes: ['TagId', [sequelize.fn('COUNT', sequelize.col('ContactId')), 'count']],
+        group: ['TagId'],
+        raw: true
+      });
+
+      const countByTag = {};
+      counts.forEach(row => {
+        countByTag[row.TagId] = parseInt(row.count) || 0;
+      });
+
+      return tags.map(tag => ({
+        ...tag.toJSON(),
+        contactCount: countByTag[tag.id] || 0
+      }));
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a tag
+   * @param {Object} tagData - { name, color }
+   * @returns {Promise<Object>} - Result with the created tag
+   */
+  async createTag(tagData) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const name = (tagData.name || '').trim();
+      if (!name) {
+        return { success: false, error: 'Tag name is required' };
+      }
+
+      const existing = await Tag.findOne({ where: { name } });
+      if (existing) {
+        return { success: false, error: `Tag "${name}" already exists` };
+      }
+
+      const tag = await Tag.create({
+        name,
+        color: tagData.color || '#3498db'
+      });
+
+      return { success: true, tag: tag.toJSON() };
+    } catch (error) {
+      console.error('Error creating tag:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update a tag
+   * @param {number} id - Tag ID
+   * @param {Object} tagData - { name, color }
+   * @returns {Promise<Object>} - Result with the updated tag
+   */
+  async updateTag(id, tagData) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const tag = await Tag.findByPk(id);
+      if (!tag) {
+        return { success: false, error: `Tag with ID ${id} not found` };
+      }
+
+      const updates = {};
+
+      if (tagData.name !== undefined) {
+        const name = tagData.name.trim();
+        if (!name) {
+          return { success: false, error: 'Tag name is required' };
+        }
+
+        const existing = await Tag.findOne({ where: { name, id: { [Op.ne]: tag.id } } });
+        if (existing) {
+          return { success: false, error: `Tag "${name}" already exists` };
+        }
+        updates.name = name;
+      }
+
+      if (tagData.color) {
+        updates.color = tagData.color;
+      }
+
+      await tag.update(updates);
+      return { success: true, tag: tag.toJSON() };
+    } catch (error) {
+      console.error(`Error updating tag ${id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete a tag and remove it from all contacts
+   * @param {number} id - Tag ID
+   * @returns {Promise<Object>} - Result of deletion
+   */
+  async deleteTag(id) {
+    try {
+      this._checkDatabaseInitialized();
+
+      await sequelize.transaction(async (transaction) => {
+        await ContactTag.destroy({ where: { TagId: id }, transaction });
+        // Without the tag these rules would start replying to everyone
+        await AutoReplyRule.update({ isActive: false }, { where: { TagId: id }, transaction });
+        await Tag.destroy({ where: { id }, transaction });
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error(`Error deleting tag ${id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Replace the tags of a single contact
+   * @param {number} contactId - Contact ID
+   * @param {Array} tagIds - IDs of the tags the contact should have
+   * @returns {Promise<Object>} - Result with the contact's tags
+   */
+  async setContactTags(contactId, tagIds = []) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const contact = await Contact.findByPk(contactId);
+      if (!contact) {
+        return { success: false, error: `Contact with ID ${contactId} not found` };
+      }
+
+      const ids = this._toIds(tagIds);
+      await contact.setTags(ids);
+
+      const tags = await contact.getTags({ joinTableAttributes: [] });
+      return { success: true, tags: tags.map(tag => tag.toJSON()) };
+    } catch (error) {
+      console.error(`Error setting tags for contact ${contactId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Add tags to many contacts at once
+   * @param {Array} contactIds - Contact IDs
+   * @param {Array} tagIds - Tag IDs to add
+   * @returns {Promise<Object>} - Result with the number of new links
+   */
+  async tagContacts(contactIds, tagIds) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const contacts = this._toIds(contactIds);
+      const tags = this._toIds(tagIds);
+
+      if (contacts.length === 0 || tags.length === 0) {
+        return { success: false, error: 'No contacts or tags provided' };
+      }
+
+      const rows = [];
+      contacts.forEach(ContactId => {
+        tags.forEach(TagId => rows.push({ ContactId, TagId }));
+      });
+
+      // ignoreDuplicates skips contacts that already carry the tag
+      await ContactTag.bulkCreate(rows, { ignoreDuplicates: true });
+
+      console.log(`Tagged ${contacts.length} contacts with ${tags.length} tag(s)`);
+      return { success: true, contacts: contacts.length, tags: tags.length };
+    } catch (error) {
+      console.error('Error tagging contacts:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remove tags from many contacts at once
+   * @param {Array} contactIds - Contact IDs
+   * @param {Array} tagIds - Tag IDs to remove
+   * @returns {Promise<Object>} - Result with the number of removed links
+   */
+  async untagContacts(contactIds, tagIds) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const contacts = this._toIds(contactIds);
+      const tags = this._toIds(tagIds);
+
+      if (contacts.length === 0 || tags.length === 0) {
+        return { success: false, error: 'No contacts or tags provided' };
+      }
+
+      const removed = await ContactTag.destroy({
+        where: {
+          ContactId: { [Op.in]: contacts },
+          TagId: { [Op.in]: tags }
+        }
+      });
+
+      console.log(`Removed ${removed} tag link(s)`);
+      return { success: true, removed };
+    } catch (error) {
+      console.error('Error untagging contacts:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Normalize an array of IDs coming from the renderer
+   * @private
+   * @param {Array} ids - IDs as numbers or strings
+   * @returns {Array} - Unique numeric IDs
+   */
+  _toIds(ids) {
+    if (!Array.isArray(ids)) return [];
+    return [...new Set(ids.map(id => parseInt(id)).filter(id => !isNaN(id)))];
+  }
+}
+
+module.exports = new TagController();
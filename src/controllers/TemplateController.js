@@ -2,6 +2,8 @@ const { sequelize, models, isDatabaseInitialized } = require('../database/db');
 const fs = require('fs');
 const path = require('path');
 const { app } = require('electron');
+const templateRenderer = require('../services/TemplateRenderer');
+const contactController = require('./ContactController');
 
 const Template = models.Template;
 
@@ -131,6 +133,14 @@ class TemplateController {
           error: 'Template content is required'
         };
       }
+      
+      const validation = await this.validateContent(content);
+      if (validation.error) {
+        return {
+          success: false,
+          error: validation.error
+        };
+      }
 
       // Use a simpler transaction approach that works with all Sequelize versions
       const result = await sequelize.transaction(async (transaction) => {
@@ -173,7 +183,8 @@ class TemplateController {
 
       return {
         success: true,
-        template: result
+        template: result,
+        warning: validation.warning
       };
     } catch (error) {
       console.error('Error creating template:', error);
@@ -237,6 +248,14 @@ class TemplateController {
       
       console.log(`Updating template ${id} with data:`, templateData);
       
+      const validation = await this.validateContent(templateData.content);
+      if (validation.error) {
+        return {
+          success: false,
+          error: validation.error
+        };
+      }
+      
       // Use a transaction to ensure atomic operations
       const result = await sequelize.transaction(async (transaction) => {
         // First find the template within the transaction
@@ -299,7 +318,8 @@ class TemplateController {
 
       return {
         success: true,
-        template: result
+        template: result,
+        warning: validation.warning
       };
     } catch (error) {
       console.error('Error updating template:', error);
@@ -325,6 +345,68 @@ class TemplateController {
     }
   }
 
+  /**
+   * Check template content before it is saved
+   * Syntax errors block saving, variables no contact provides only produce a warning
+   * @param {string} content - Template content
+   * @returns {Promise<Object>} - { error, warning }
+   */
+  async validateContent(content) {
+    let customFieldKeys = [];
+    try {
+      customFieldKeys = await contactController.getCustomFieldKeys();
+    } catch (error) {
+      console.error('Error loading custom fields for template validation:', error);
+    }
+    
+    const result = templateRenderer.validate(content, [...templateRenderer.CONTACT_VARIABLES, ...customFieldKeys]);
+    
+    if (!result.valid) {
+      return { error: `Template has errors: ${result.errors.join('; ')}` };
+    }
+    
+    if (result.unknownVariables.length > 0) {
+      const list = result.unknownVariables.map(name => `{${name}}`).join(', ');
+      return { warning: `Unknown variables ${list} will be sent as written` };
+    }
+    
+    return {};
+  }
+
+  /**
+   * Resolve the spintax of a template several times to show how messages will vary
+   * Variables are left in place so the caller can fill them with a sample contact
+   * @param {string} content - Template content
+   * @param {number} count - Number of variations
+   * @returns {Promise<Object>} - Result with the variations
+   */
+  async previewVariations(content, count = 3) {
+    try {
+      let customFieldKeys = [];
+      try {
+        customFieldKeys = await contactController.getCustomFieldKeys();
+      } catch (error) {
+        console.error('Error loading custom fields for template preview:', error);
+      }
+      
+      const knownVariables = [
+        ...templateRenderer.CONTACT_VARIABLES,
+        ...templateRenderer.BUILT_IN_VARIABLES,
+        ...customFieldKeys
+      ];
+      
+      const variations = [];
+      for (let i = 0; i < Math.min(Math.max(parseInt(count) || 1, 1), 10); i++) {
+        variations.push(templateRenderer.resolveSpintax(content || '', { knownVariables }));
+      }
+      
+      return { success: true, variations };
+    } catch (error) {
+      console.error('Error previewing template variations:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Delete a template
    * @param {number} id - Template ID
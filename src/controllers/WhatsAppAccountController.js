@@ -0,0 +1,217 @@
+const { models, isDatabaseInitialized } = require('../database/db');
+const { Op } = require('sequelize');
+const crypto = require('crypto');
+const whatsAppAccounts = require('../services/WhatsAppAccounts');
+const senderPool = require('../services/SenderPool');
+
+const WhatsAppAccount = models.WhatsAppAccount;
+
+/**
+ * WhatsAppAccountController manages the WhatsApp numbers the app sends from
+ * (see WhatsAppAccounts for the connection of each number)
+ */
+class WhatsAppAccountController {
+  /**
+   * Check if database is initialized
+   * @private
+   * @throws {Error} - If database is not initialized
+   */
+  _checkDatabaseInitialized() {
+    if (!isDatabaseInitialized()) {
+      throw new Error('Database not initialized');
+    }
+  }
+
+  /**
+   * Get all accounts with their connection status and the messages they sent today,
+   * the default account first
+   * @returns {Promise<Array>} - Array of plain accounts
+   */
+  async getAccounts() {
+    try {
+      this._checkDatabaseInitialized();
+
+      const accounts = await WhatsAppAccount.findAll({
+        where: { removedAt: null },
+        order: [['isDefault', 'DESC'], ['name', 'ASC']]
+      });
+      const sentToday = await senderPool.getSentToday();
+
+      return accounts.map(account => {
+        const service = whatsAppAccounts.get(account.id);
+        const status = service ? service.getStatus() : { isConnected: false, status: 'disconnected', hasExistingSession: false };
+
+        return {
+          ...account.toJSON(),
+          isConnected: status.isConnected,
+          status: status.status,
+          lastError: status.lastError || null,
+          hasExistingSession: status.hasExistingSession,
+          sentToday: sentToday.get(account.id) || 0
+        };
+      });
+    } catch (error) {
+      console.error('Error fetching WhatsApp accounts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an account, it gets its own session folder and is connected by scanning its QR code
+   * @param {string} name - Account name
+   * @returns {Promise<Object>} - Result with the created account
+   */
+  async addAccount(name) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const accountName = typeof name === 'string' ? name.trim() : '';
+      if (!accountName) {
+        return { success: false, error: 'Account name is required' };
+      }
+
+      const accounts = await WhatsAppAccount.findAll({ attributes: ['name'], where: { removedAt: null }, raw: true });
+      if (accounts.some(account => account.name.toLowerCase() === accountName.toLowerCase())) {
+        return { success: false, error: `An account named "${accountName}" already exists` };
+      }
+
+      // LocalAuth only accepts letters, digits, underscores and hyphens
+      const account = await WhatsAppAccount.create({
+        name: accountName,
+        clientId: `bss-sender-${crypto.randomBytes(4).toString('hex')}`,
+        isDefault: false
+      });
+      whatsAppAccounts.add(account);
+
+      return { success: true, account: account.toJSON() };
+    } catch (error) {
+      console.error('Error adding WhatsApp account:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update the sender pool settings of an account
+   * @param {number} id - Account ID
+   * @param {Object} data - { dailyLimit, inSenderPool }
+   * @returns {Promise<Object>} - Result with the updated account
+   */
+  async updateAccount(id, data) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const account = await WhatsAppAccount.findByPk(id);
+      if (!account || account.removedAt) {
+        return { success: false, error: 'Account not found' };
+      }
+
+      const updates = {};
+      if (data.dailyLimit !== undefined) {
+        const dailyLimit = parseInt(data.dailyLimit || 0);
+        if (isNaN(dailyLimit) || dailyLimit < 0) {
+          return { success: false, error: 'The daily limit must be 0 or more' };
+        }
+        updates.dailyLimit = dailyLimit;
+      }
+      if (data.inSenderPool !== undefined) {
+        updates.inSenderPool = Boolean(data.inSenderPool);
+      }
+
+      await account.update(updates);
+      return { success: true, account: account.toJSON() };
+    } catch (error) {
+      console.error('Error updating WhatsApp account:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remove an account: it is logged out and its session deleted. Campaigns,
+   * the sales pipeline and the messages still to send that went through it go
+   * back to the default account. Sent and received messages keep it.
+   * @param {number} id - Account ID
+   * @returns {Promise<Object>} - Result with the number of campaigns moved to the default account
+   */
+  async removeAccount(id) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const account = await WhatsAppAccount.findByPk(id);
+      if (!account || account.removedAt) {
+        return { success: false, error: 'Account not found' };
+      }
+      if (account.isDefault) {
+        return { success: false, error: 'The default account can\'t be removed' };
+      }
+
+      await whatsAppAccounts.remove(account.id);
+
+      const where = { WhatsAppAccountId: account.id };
+      const [campaignCount] = await models.Campaign.update({ WhatsAppAccountId: null }, { where });
+      await models.SalesMessageSettings.update({ WhatsAppAccountId: null }, { where });
+
+      const openWhere = { ...where, status: { [Op.in]: ['SCHEDULED', 'PENDING', 'PAUSED'] } };
+      await models.Message.update({ WhatsAppAccountId: null }, { where: openWhere });
+      await models.SalesScheduledMessage.update({ WhatsAppAccountId: null }, { where: openWhere });
+
+      // Deleting the row would clear the account of every message through ON DELETE SET NULL
+      await account.update({ removedAt: new Date(), inSenderPool: false });
+
+      return { success: true, campaignCount };
+    } catch (error) {
+      console.error('Error removing WhatsApp account:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Connect an account, a QR code follows when it has no session yet
+   * @param {number} id - Account ID
+   * @param {boolean} forceNewQR - Delete the session first to link another phone
+   * @returns {Promise<Object>} - Result object
+   */
+  async connectAccount(id, forceNewQR = false) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const service = whatsAppAccounts.get(id);
+      if (!id || !service) {
+        return { success: false, error: 'Account not found' };
+      }
+
+      if (service.getStatus().isConnected && !forceNewQR) {
+        return { success: true, alreadyConnected: true };
+      }
+
+      return await service.initialize(forceNewQR);
+    } catch (error) {
+      console.error('Error connecting WhatsApp account:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Disconnect an account
+   * @param {number} id - Account ID
+   * @param {boolean} logout - Also log out and delete the session
+   * @returns {Promise<Object>} - Result object
+   */
+  async disconnectAccount(id, logout = false) {
+    try {
+      this._checkDatabaseInitialized();
+
+      const service = whatsAppAccounts.get(id);
+      if (!id || !service) {
+        return { success: false, error: 'Account not found' };
+      }
+
+      await service.disconnect(logout);
+      return { success: true };
+    } catch (error) {
+      console.error('Error disconnecting WhatsApp account:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new WhatsAppAccountController();
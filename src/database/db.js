@@ -3,6 +3,7 @@ const path = require('path');
 const { app } = require('electron');
 const fs = require('fs');
 const os = require('os');
+const timeZoneService = require('../services/TimeZoneService');
 
 // Create the database folder on desktop
 function createDbFolder() {
@@ -98,6 +99,19 @@ const SalesContact = require('../models/SalesContact')(sequelize);
 const SalesMessageSettings = require('../models/SalesMessageSettings')(sequelize);
 const SalesMessageTemplate = require('../models/SalesMessageTemplate')(sequelize);
 const SalesScheduledMessage = require('../models/SalesScheduledMessage')(sequelize);
+const Campaign = require('../models/Campaign')(sequelize);
+const Tag = require('../models/Tag')(sequelize);
+const ContactTag = require('../models/ContactTag')(sequelize);
+const Segment = require('../models/Segment')(sequelize);
+const DoNotContact = require('../models/DoNotContact')(sequelize);
+const InboundMessage = require('../models/InboundMessage')(sequelize);
+const AutoReplyRule = require('../models/AutoReplyRule')(sequelize);
+const AutoReplyLog = require('../models/AutoReplyLog')(sequelize);
+const RecurringCampaign = require('../models/RecurringCampaign')(sequelize);
+const BirthdaySettings = require('../models/BirthdaySettings')(sequelize);
+const BirthdayGreeting = require('../models/BirthdayGreeting')(sequelize);
+const BlackoutDate = require('../models/BlackoutDate')(sequelize);
+const WhatsAppAccount = require('../models/WhatsAppAccount')(sequelize);
 
 // Export the models
 const models = {
@@ -109,7 +123,20 @@ const models = {
   // Add new models
   SalesMessageSettings,
   SalesMessageTemplate,
-  SalesScheduledMessage
+  SalesScheduledMessage,
+  Campaign,
+  Tag,
+  ContactTag,
+  Segment,
+  DoNotContact,
+  InboundMessage,
+  AutoReplyRule,
+  AutoReplyLog,
+  RecurringCampaign,
+  BirthdaySettings,
+  BirthdayGreeting,
+  BlackoutDate,
+  WhatsAppAccount
 };
 
 /**
@@ -129,10 +156,169 @@ function setupAssociations() {
 
   SalesMessageTemplate.hasMany(SalesScheduledMessage);
   SalesScheduledMessage.belongsTo(SalesMessageTemplate);
+
+  // Campaigns own the messages created by the bulk sender
+  Campaign.hasMany(Message);
+  Message.belongsTo(Campaign);
+
+  // Contacts can carry any number of tags
+  Contact.belongsToMany(Tag, { through: ContactTag });
+  Tag.belongsToMany(Contact, { through: ContactTag });
+
+  // Inbox messages are linked to whichever contact has the sender's number
+  Contact.hasMany(InboundMessage);
+  InboundMessage.belongsTo(Contact);
+
+  SalesContact.hasMany(InboundMessage);
+  InboundMessage.belongsTo(SalesContact);
+
+  // Auto-reply rules answer with a template, optionally only to contacts with a tag
+  Template.hasMany(AutoReplyRule);
+  AutoReplyRule.belongsTo(Template);
+
+  Tag.hasMany(AutoReplyRule);
+  AutoReplyRule.belongsTo(Tag);
+
+  AutoReplyRule.hasMany(AutoReplyLog);
+  AutoReplyLog.belongsTo(AutoReplyRule);
+
+  Contact.hasMany(AutoReplyLog);
+  AutoReplyLog.belongsTo(Contact);
+
+  // Recurring campaigns send a template to a segment and create one campaign per occurrence
+  Template.hasMany(RecurringCampaign);
+  RecurringCampaign.belongsTo(Template);
+
+  Segment.hasMany(RecurringCampaign);
+  RecurringCampaign.belongsTo(Segment);
+
+  RecurringCampaign.hasMany(Campaign);
+  Campaign.belongsTo(RecurringCampaign);
+
+  // Birthday greetings are sent with a template, each greeting keeps its message and campaign
+  Template.hasMany(BirthdaySettings);
+  BirthdaySettings.belongsTo(Template);
+
+  Contact.hasMany(BirthdayGreeting);
+  BirthdayGreeting.belongsTo(Contact);
+
+  Message.hasOne(BirthdayGreeting);
+  BirthdayGreeting.belongsTo(Message);
+
+  Campaign.hasMany(BirthdayGreeting);
+  BirthdayGreeting.belongsTo(Campaign);
+
+  // Campaigns and the sales pipeline pick the number they send from (none means the default
+  // account), sent messages keep the number that actually sent them
+  WhatsAppAccount.hasMany(Campaign);
+  Campaign.belongsTo(WhatsAppAccount);
+
+  WhatsAppAccount.hasMany(SalesMessageSettings);
+  SalesMessageSettings.belongsTo(WhatsAppAccount);
+
+  WhatsAppAccount.hasMany(Message);
+  Message.belongsTo(WhatsAppAccount);
+
+  WhatsAppAccount.hasMany(SalesScheduledMessage);
+  SalesScheduledMessage.belongsTo(WhatsAppAccount);
+
+  // Incoming messages keep the number they were sent to, so replies go out from it
+  WhatsAppAccount.hasMany(InboundMessage);
+  InboundMessage.belongsTo(WhatsAppAccount);
 }
 
 setupAssociations();
 
+/**
+ * Add a column to an existing table if it is missing
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - SQL column definition
+ * @returns {Promise<boolean>} True if the column was added
+ */
+async function ensureColumnExists(table, column, definition) {
+  try {
+    await sequelize.query(`SELECT ${column} FROM ${table} LIMIT 1`);
+    return false;
+  } catch (err) {
+    console.log(`Adding ${column} column to ${table}...`);
+    await sequelize.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Added ${column} column to ${table}`);
+    return true;
+  }
+}
+
+/**
+ * Give contacts without a time zone the one of their calling code
+ * @returns {Promise<number>} Number of contacts updated
+ */
+async function fillContactTimeZones() {
+  const contacts = await Contact.findAll({
+    attributes: ['id', 'phoneNumber'],
+    where: { timezone: null },
+    raw: true
+  });
+
+  const idsByTimeZone = new Map();
+  for (const contact of contacts) {
+    const timezone = timeZoneService.inferFromPhoneNumber(contact.phoneNumber);
+    if (!timezone) continue;
+
+    if (!idsByTimeZone.has(timezone)) idsByTimeZone.set(timezone, []);
+    idsByTimeZone.get(timezone).push(contact.id);
+  }
+
+  let updated = 0;
+  for (const [timezone, ids] of idsByTimeZone) {
+    const [count] = await Contact.update({ timezone }, { where: { id: ids } });
+    updated += count;
+  }
+
+  if (updated > 0) {
+    console.log(`Set the time zone of ${updated} contact(s) from their phone numbers`);
+  }
+  return updated;
+}
+
+/**
+ * Give schedule settings saved before send windows existed one window a day,
+ * from their startTime and endTime
+ * @returns {Promise<number>} Number of settings rows updated
+ */
+async function fillScheduleTimeWindows() {
+  const rows = await ScheduleSettings.findAll({
+    attributes: ['id', 'startTime', 'endTime'],
+    where: { timeWindows: null }
+  });
+
+  for (const row of rows) {
+    const timeWindows = {};
+    for (let day = 1; day <= 7; day++) {
+      timeWindows[day] = [{ start: row.startTime, end: row.endTime }];
+    }
+    await ScheduleSettings.update({ timeWindows }, { where: { id: row.id } });
+  }
+
+  if (rows.length > 0) {
+    console.log(`Moved the send hours of ${rows.length} schedule settings row(s) to send windows`);
+  }
+  return rows.length;
+}
+
+/**
+ * Create the account of the original single-number setup, it keeps using the
+ * existing session folder
+ * @returns {Promise<boolean>} True if the account was created
+ */
+async function ensureDefaultWhatsAppAccount() {
+  const existing = await WhatsAppAccount.count({ where: { isDefault: true } });
+  if (existing > 0) return false;
+
+  await WhatsAppAccount.create({ name: 'Main number', clientId: 'bss-sender', isDefault: true });
+  console.log('Created the default WhatsApp account');
+  return true;
+}
+
 /**
  * Ensure all required tables exist
  * @returns {Promise<boolean>} True if tables exist or were created
@@ -148,8 +334,7 @@ async function ensureTablesExist() {
       await sequelize.query('SELECT 1 FROM Messages LIMIT 1');
       await sequelize.query('SELECT 1 FROM ScheduleSettings LIMIT 1');
       
-      console.log('All required tables already exist');
-      return true;
+      console.log('Core tables already exist');
     } catch (error) {
       console.log('Some tables are missing, creating them...');
       
@@ -166,6 +351,19 @@ async function ensureTablesExist() {
       await SalesMessageSettings.sync({ force: false });
       await SalesMessageTemplate.sync({ force: false });
       await SalesScheduledMessage.sync({ force: false });
+      await Campaign.sync({ force: false });
+      await Tag.sync({ force: false });
+      await ContactTag.sync({ force: false });
+      await Segment.sync({ force: false });
+      await DoNotContact.sync({ force: false });
+      await InboundMessage.sync({ force: false });
+      await AutoReplyRule.sync({ force: false });
+      await AutoReplyLog.sync({ force: false });
+      await RecurringCampaign.sync({ force: false });
+      await BirthdaySettings.sync({ force: false });
+      await BirthdayGreeting.sync({ force: false });
+      await BlackoutDate.sync({ force: false });
+      await WhatsAppAccount.sync({ force: false });
       
       console.log('Tables created successfully');
       
@@ -268,6 +466,137 @@ async function ensureTablesExist() {
       console.log('SalesScheduledMessages table created successfully');
     }
     
+    try {
+      await sequelize.query('SELECT 1 FROM Campaigns LIMIT 1');
+    } catch (err) {
+      console.log('Creating Campaigns table...');
+      await Campaign.sync({ force: false });
+      console.log('Campaigns table created successfully');
+    }
+    
+    try {
+      await sequelize.query('SELECT 1 FROM Tags LIMIT 1');
+      await sequelize.query('SELECT 1 FROM ContactTags LIMIT 1');
+    } catch (err) {
+      console.log('Creating Tags tables...');
+      await Tag.sync({ force: false });
+      await ContactTag.sync({ force: false });
+      console.log('Tags tables created successfully');
+    }
+    
+    try {
+      await sequelize.query('SELECT 1 FROM Segments LIMIT 1');
+    } catch (err) {
+      console.log('Creating Segments table...');
+      await Segment.sync({ force: false });
+      console.log('Segments table created successfully');
+    }
+    
+    try {
+      await sequelize.query('SELECT 1 FROM DoNotContacts LIMIT 1');
+    } catch (err) {
+      console.log('Creating DoNotContacts table...');
+      await DoNotContact.sync({ force: false });
+      console.log('DoNotContacts table created successfully');
+    }
+    
+    try {
+      await sequelize.query('SELECT 1 FROM InboundMessages LIMIT 1');
+    } catch (err) {
+      console.log('Creating InboundMessages table...');
+      await InboundMessage.sync({ force: false });
+      console.log('InboundMessages table created successfully');
+    }
+    
+    try {
+      await sequelize.query('SELECT 1 FROM AutoReplyRules LIMIT 1');
+      await sequelize.query('SELECT 1 FROM AutoReplyLogs LIMIT 1');
+    } catch (err) {
+      console.log('Creating auto-reply tables...');
+      await AutoReplyRule.sync({ force: false });
+      await AutoReplyLog.sync({ force: false });
+      console.log('Auto-reply tables created successfully');
+    }
+    
+    try {
+      await sequelize.query('SELECT 1 FROM RecurringCampaigns LIMIT 1');
+    } catch (err) {
+      console.log('Creating RecurringCampaigns table...');
+      await RecurringCampaign.sync({ force: false });
+      console.log('RecurringCampaigns table created successfully');
+    }
+    
+    try {
+      await sequelize.query('SELECT 1 FROM BirthdaySettings LIMIT 1');
+      await sequelize.query('SELECT 1 FROM BirthdayGreetings LIMIT 1');
+    } catch (err) {
+      console.log('Creating birthday tables...');
+      await BirthdaySettings.sync({ force: false });
+      await BirthdayGreeting.sync({ force: false });
+      console.log('Birthday tables created successfully');
+    }
+    
+    try {
+      await sequelize.query('SELECT 1 FROM BlackoutDates LIMIT 1');
+    } catch (err) {
+      console.log('Creating BlackoutDates table...');
+      await BlackoutDate.sync({ force: false });
+      console.log('BlackoutDates table created successfully');
+    }
+    
+    try {
+      await sequelize.query('SELECT 1 FROM WhatsAppAccounts LIMIT 1');
+    } catch (err) {
+      console.log('Creating WhatsAppAccounts table...');
+      await WhatsAppAccount.sync({ force: false });
+      console.log('WhatsAppAccounts table created successfully');
+    }
+    
+    // Columns added after the initial release
+    await ensureColumnExists('Messages', 'CampaignId', 'INTEGER REFERENCES Campaigns(id) ON DELETE SET NULL');
+    await ensureColumnExists('Contacts', 'customFields', 'TEXT');
+    await ensureColumnExists('ScheduleSettings', 'intervalJitterMin', 'INTEGER NOT NULL DEFAULT 0');
+    await ensureColumnExists('ScheduleSettings', 'intervalJitterMax', 'INTEGER NOT NULL DEFAULT 0');
+    await ensureColumnExists('ScheduleSettings', 'hourlyLimit', 'INTEGER NOT NULL DEFAULT 0');
+    await ensureColumnExists('ScheduleSettings', 'dailyLimit', 'INTEGER NOT NULL DEFAULT 0');
+    await ensureColumnExists('ScheduleSettings', 'breakAfter', 'INTEGER NOT NULL DEFAULT 0');
+    await ensureColumnExists('ScheduleSettings', 'breakDuration', 'INTEGER NOT NULL DEFAULT 10');
+    await ensureColumnExists('ScheduleSettings', 'retryMaxAttempts', 'INTEGER NOT NULL DEFAULT 3');
+    await ensureColumnExists('ScheduleSettings', 'retryInitialDelay', 'INTEGER NOT NULL DEFAULT 60');
+    await ensureColumnExists('ScheduleSettings', 'retryBackoffFactor', 'FLOAT NOT NULL DEFAULT 2');
+    await ensureColumnExists('ScheduleSettings', 'retryMaxDelay', 'INTEGER NOT NULL DEFAULT 3600');
+    await ensureColumnExists('ScheduleSettings', 'retryableErrors', 'TEXT');
+    await ensureColumnExists('Messages', 'nextAttemptAt', 'DATETIME');
+    await ensureColumnExists('SalesScheduledMessages', 'nextAttemptAt', 'DATETIME');
+    await ensureColumnExists('Campaigns', 'variants', 'TEXT');
+    await ensureColumnExists('Campaigns', 'abTest', 'TEXT');
+    await ensureColumnExists('Messages', 'variant', 'VARCHAR(255)');
+    await ensureColumnExists('Campaigns', 'RecurringCampaignId', 'INTEGER REFERENCES RecurringCampaigns(id) ON DELETE SET NULL');
+    await ensureColumnExists('Contacts', 'timezone', 'VARCHAR(255)');
+    await ensureColumnExists('ScheduleSettings', 'timeWindows', 'TEXT');
+    await ensureColumnExists('Campaigns', 'WhatsAppAccountId', 'INTEGER REFERENCES WhatsAppAccounts(id) ON DELETE SET NULL');
+    await ensureColumnExists('SalesMessageSettings', 'WhatsAppAccountId', 'INTEGER REFERENCES WhatsAppAccounts(id) ON DELETE SET NULL');
+    await ensureColumnExists('Messages', 'WhatsAppAccountId', 'INTEGER REFERENCES WhatsAppAccounts(id) ON DELETE SET NULL');
+    await ensureColumnExists('SalesScheduledMessages', 'WhatsAppAccountId', 'INTEGER REFERENCES WhatsAppAccounts(id) ON DELETE SET NULL');
+    await ensureColumnExists('InboundMessages', 'WhatsAppAccountId', 'INTEGER REFERENCES WhatsAppAccounts(id) ON DELETE SET NULL');
+    await ensureColumnExists('WhatsAppAccounts', 'dailyLimit', 'INTEGER NOT NULL DEFAULT 0');
+    await ensureColumnExists('WhatsAppAccounts', 'inSenderPool', 'BOOLEAN NOT NULL DEFAULT 1');
+    await ensureColumnExists('WhatsAppAccounts', 'removedAt', 'DATETIME');
+    await ensureColumnExists('Campaigns', 'useSenderPool', 'BOOLEAN NOT NULL DEFAULT 0');
+    await ensureColumnExists('Campaigns', 'recipientLocalTime', 'TEXT');
+    await ensureColumnExists('Campaigns', 'skipNumbers', 'VARCHAR(20)');
+    await ensureColumnExists('SalesMessageSettings', 'useSenderPool', 'BOOLEAN NOT NULL DEFAULT 0');
+    await ensureColumnExists('Contacts', 'whatsappStatus', "VARCHAR(255) NOT NULL DEFAULT 'UNVERIFIED'");
+    await ensureColumnExists('Contacts', 'lastCheckedAt', 'DATETIME');
+    await ensureColumnExists('SalesContacts', 'whatsappStatus', "VARCHAR(255) NOT NULL DEFAULT 'UNVERIFIED'");
+    await ensureColumnExists('SalesContacts', 'lastCheckedAt', 'DATETIME');
+    await ensureColumnExists('ScheduleSettings', 'defaultCountry', "VARCHAR(2) NOT NULL DEFAULT 'AL'");
+    
+    // Contacts saved before time zones existed, or whose zone could not be guessed yet
+    await fillContactTimeZones();
+    await fillScheduleTimeWindows();
+    await ensureDefaultWhatsAppAccount();
+    
     console.log('All required tables exist');
     return true;
   } catch (error) {
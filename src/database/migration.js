@@ -325,6 +325,440 @@ async function runMigration() {
         console.log('Created SalesScheduledMessages table and indexes');
       }
 
+      // Check if Campaigns table exists
+      let needsCampaignsTable = false;
+      try {
+        await sequelize.query('SELECT 1 FROM Campaigns LIMIT 1', { transaction });
+        console.log('Campaigns table already exists');
+      } catch (error) {
+        needsCampaignsTable = true;
+        console.log('Need to create Campaigns table');
+      }
+
+      // Create Campaigns table if needed
+      if (needsCampaignsTable) {
+        console.log('Creating Campaigns table...');
+
+        await sequelize.query(`
+          CREATE TABLE IF NOT EXISTS Campaigns (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name VARCHAR(255) NOT NULL,
+            status TEXT DEFAULT 'ACTIVE',
+            templateSnapshot TEXT,
+            audience TEXT,
+            scheduledTime DATETIME NOT NULL,
+            createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+          )
+        `, { transaction });
+
+        await sequelize.query(
+          'CREATE INDEX IF NOT EXISTS campaign_status_idx ON Campaigns (status)',
+          { transaction }
+        );
+
+        console.log('Created Campaigns table and indexes');
+      }
+
+      // Check if CampaignId column exists on Messages
+      try {
+        await sequelize.query('SELECT CampaignId FROM Messages LIMIT 1', { transaction });
+        console.log('CampaignId column already exists');
+      } catch (error) {
+        await sequelize.query(
+          'ALTER TABLE Messages ADD COLUMN CampaignId INTEGER REFERENCES Campaigns(id) ON DELETE SET NULL',
+          { transaction }
+        );
+        console.log('Added CampaignId column');
+      }
+
+      // Create Tags, ContactTags and Segments tables if needed
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS Tags (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name VARCHAR(255) NOT NULL UNIQUE,
+          color VARCHAR(255) NOT NULL DEFAULT '#3498db',
+          createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `, { transaction });
+
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS ContactTags (
+          ContactId INTEGER NOT NULL REFERENCES Contacts(id) ON DELETE CASCADE,
+          TagId INTEGER NOT NULL REFERENCES Tags(id) ON DELETE CASCADE,
+          createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (ContactId, TagId)
+        )
+      `, { transaction });
+
+      await sequelize.query(
+        'CREATE INDEX IF NOT EXISTS contact_tag_tag_idx ON ContactTags (TagId)',
+        { transaction }
+      );
+
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS Segments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name VARCHAR(255) NOT NULL,
+          matchType TEXT DEFAULT 'ALL',
+          rules TEXT NOT NULL DEFAULT '[]',
+          createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `, { transaction });
+      console.log('Tags, ContactTags and Segments tables are in place');
+
+      // Check if customFields column exists on Contacts
+      try {
+        await sequelize.query('SELECT customFields FROM Contacts LIMIT 1', { transaction });
+        console.log('customFields column already exists');
+      } catch (error) {
+        await sequelize.query('ALTER TABLE Contacts ADD COLUMN customFields TEXT', { transaction });
+        console.log('Added customFields column');
+      }
+
+      // Send pacing columns on ScheduleSettings
+      const pacingColumns = {
+        intervalJitterMin: 0,
+        intervalJitterMax: 0,
+        hourlyLimit: 0,
+        dailyLimit: 0,
+        breakAfter: 0,
+        breakDuration: 10
+      };
+      for (const [column, defaultValue] of Object.entries(pacingColumns)) {
+        try {
+          await sequelize.query(`SELECT ${column} FROM ScheduleSettings LIMIT 1`, { transaction });
+          console.log(`${column} column already exists`);
+        } catch (error) {
+          await sequelize.query(
+            `ALTER TABLE ScheduleSettings ADD COLUMN ${column} INTEGER NOT NULL DEFAULT ${defaultValue}`,
+            { transaction }
+          );
+          console.log(`Added ${column} column`);
+        }
+      }
+
+      // Retry policy columns on ScheduleSettings, and when each message may be retried
+      const retryColumns = [
+        ['ScheduleSettings', 'retryMaxAttempts', 'INTEGER NOT NULL DEFAULT 3'],
+        ['ScheduleSettings', 'retryInitialDelay', 'INTEGER NOT NULL DEFAULT 60'],
+        ['ScheduleSettings', 'retryBackoffFactor', 'FLOAT NOT NULL DEFAULT 2'],
+        ['ScheduleSettings', 'retryMaxDelay', 'INTEGER NOT NULL DEFAULT 3600'],
+        ['ScheduleSettings', 'retryableErrors', 'TEXT'],
+        ['Messages', 'nextAttemptAt', 'DATETIME'],
+        ['SalesScheduledMessages', 'nextAttemptAt', 'DATETIME']
+      ];
+      for (const [table, column, definition] of retryColumns) {
+        try {
+          await sequelize.query(`SELECT ${column} FROM ${table} LIMIT 1`, { transaction });
+          console.log(`${table}.${column} column already exists`);
+        } catch (error) {
+          await sequelize.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, { transaction });
+          console.log(`Added ${table}.${column} column`);
+        }
+      }
+
+      // Create the do-not-contact list if needed
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS DoNotContacts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          phoneNumber VARCHAR(255) NOT NULL UNIQUE,
+          reason VARCHAR(20) NOT NULL DEFAULT 'MANUAL',
+          keywordMessage TEXT,
+          notes TEXT,
+          createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `, { transaction });
+      console.log('DoNotContacts table is in place');
+
+      // Create the inbox table if needed
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS InboundMessages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          externalId VARCHAR(255) UNIQUE,
+          phoneNumber VARCHAR(255) NOT NULL,
+          direction VARCHAR(3) NOT NULL DEFAULT 'IN',
+          body TEXT NOT NULL DEFAULT '',
+          receivedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          isRead BOOLEAN NOT NULL DEFAULT 0,
+          ContactId INTEGER REFERENCES Contacts(id) ON DELETE SET NULL,
+          SalesContactId INTEGER REFERENCES SalesContacts(id) ON DELETE SET NULL,
+          createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `, { transaction });
+
+      await sequelize.query(
+        'CREATE INDEX IF NOT EXISTS inbound_message_phone_idx ON InboundMessages (phoneNumber)',
+        { transaction }
+      );
+      console.log('InboundMessages table is in place');
+
+      // Create the auto-reply tables if needed
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS AutoReplyRules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name VARCHAR(255) NOT NULL,
+          matchType TEXT DEFAULT 'KEYWORD',
+          pattern TEXT NOT NULL,
+          isActive BOOLEAN NOT NULL DEFAULT 1,
+          priority INTEGER NOT NULL DEFAULT 0,
+          startTime INTEGER,
+          endTime INTEGER,
+          cooldownMinutes INTEGER NOT NULL DEFAULT 60,
+          TemplateId INTEGER REFERENCES Templates(id) ON DELETE SET NULL,
+          TagId INTEGER REFERENCES Tags(id) ON DELETE SET NULL,
+          createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `, { transaction });
+
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS AutoReplyLogs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          ruleName VARCHAR(255) NOT NULL,
+          phoneNumber VARCHAR(255) NOT NULL,
+          incomingMessage TEXT NOT NULL DEFAULT '',
+          replyContent TEXT,
+          status TEXT NOT NULL,
+          error TEXT,
+          AutoReplyRuleId INTEGER REFERENCES AutoReplyRules(id) ON DELETE SET NULL,
+          ContactId INTEGER REFERENCES Contacts(id) ON DELETE SET NULL,
+          createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `, { transaction });
+
+      await sequelize.query(
+        'CREATE INDEX IF NOT EXISTS auto_reply_log_rule_phone_idx ON AutoReplyLogs (AutoReplyRuleId, phoneNumber)',
+        { transaction }
+      );
+      console.log('Auto-reply tables are in place');
+
+      // A/B test variants of a campaign, and the variant each message belongs to
+      const abTestColumns = [
+        ['Campaigns', 'variants', 'TEXT'],
+        ['Campaigns', 'abTest', 'TEXT'],
+        ['Messages', 'variant', 'VARCHAR(255)']
+      ];
+      for (const [table, column, definition] of abTestColumns) {
+        try {
+          await sequelize.query(`SELECT ${column} FROM ${table} LIMIT 1`, { transaction });
+          console.log(`${table}.${column} column already exists`);
+        } catch (error) {
+          await sequelize.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, { transaction });
+          console.log(`Added ${table}.${column} column`);
+        }
+      }
+
+      // Create the recurring campaigns table if needed, and link the campaigns they create
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS RecurringCampaigns (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name VARCHAR(255) NOT NULL,
+          status TEXT DEFAULT 'ACTIVE',
+          scheduleType TEXT DEFAULT 'WEEKLY',
+          schedule TEXT NOT NULL DEFAULT '{}',
+          nextRunAt DATETIME,
+          lastRunAt DATETIME,
+          TemplateId INTEGER REFERENCES Templates(id) ON DELETE SET NULL,
+          SegmentId INTEGER REFERENCES Segments(id) ON DELETE SET NULL,
+          createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `, { transaction });
+
+      await sequelize.query(
+        'CREATE INDEX IF NOT EXISTS recurring_campaign_status_next_idx ON RecurringCampaigns (status, nextRunAt)',
+        { transaction }
+      );
+
+      try {
+        await sequelize.query('SELECT RecurringCampaignId FROM Campaigns LIMIT 1', { transaction });
+        console.log('Campaigns.RecurringCampaignId column already exists');
+      } catch (error) {
+        await sequelize.query(
+          'ALTER TABLE Campaigns ADD COLUMN RecurringCampaignId INTEGER REFERENCES RecurringCampaigns(id) ON DELETE SET NULL',
+          { transaction }
+        );
+        console.log('Added Campaigns.RecurringCampaignId column');
+      }
+      console.log('Recurring campaigns table is in place');
+
+      // Create the birthday greeting tables if needed
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS BirthdaySettings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          isActive BOOLEAN NOT NULL DEFAULT 0,
+          sendTime INTEGER NOT NULL DEFAULT 600,
+          leadDays INTEGER NOT NULL DEFAULT 0,
+          TemplateId INTEGER REFERENCES Templates(id) ON DELETE SET NULL,
+          createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `, { transaction });
+
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS BirthdayGreetings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          year INTEGER NOT NULL,
+          birthdayDate DATE NOT NULL,
+          ContactId INTEGER REFERENCES Contacts(id) ON DELETE SET NULL,
+          MessageId INTEGER REFERENCES Messages(id) ON DELETE SET NULL,
+          CampaignId INTEGER REFERENCES Campaigns(id) ON DELETE SET NULL,
+          createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `, { transaction });
+
+      await sequelize.query(
+        'CREATE UNIQUE INDEX IF NOT EXISTS birthday_greeting_contact_year_idx ON BirthdayGreetings (ContactId, year)',
+        { transaction }
+      );
+      console.log('Birthday tables are in place');
+
+      // Time zone of each contact (filled from the phone numbers when the app starts)
+      try {
+        await sequelize.query('SELECT timezone FROM Contacts LIMIT 1', { transaction });
+        console.log('Contacts.timezone column already exists');
+      } catch (error) {
+        await sequelize.query('ALTER TABLE Contacts ADD COLUMN timezone VARCHAR(255)', { transaction });
+        console.log('Added Contacts.timezone column');
+      }
+
+      // Create the blackout calendar table if needed
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS BlackoutDates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name VARCHAR(255) NOT NULL,
+          startDate DATE NOT NULL,
+          endDate DATE NOT NULL,
+          recurringYearly BOOLEAN NOT NULL DEFAULT 0,
+          source VARCHAR(20) NOT NULL DEFAULT 'MANUAL',
+          createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `, { transaction });
+      console.log('Blackout calendar table is in place');
+
+      // Send windows per day, starting from the single startTime-endTime window
+      try {
+        await sequelize.query('SELECT timeWindows FROM ScheduleSettings LIMIT 1', { transaction });
+        console.log('ScheduleSettings.timeWindows column already exists');
+      } catch (error) {
+        await sequelize.query('ALTER TABLE ScheduleSettings ADD COLUMN timeWindows TEXT', { transaction });
+        console.log('Added ScheduleSettings.timeWindows column');
+      }
+
+      const [scheduleRows] = await sequelize.query(
+        'SELECT id, startTime, endTime FROM ScheduleSettings WHERE timeWindows IS NULL',
+        { transaction }
+      );
+      for (const row of scheduleRows) {
+        const timeWindows = {};
+        for (let day = 1; day <= 7; day++) {
+          timeWindows[day] = [{ start: row.startTime, end: row.endTime }];
+        }
+        await sequelize.query('UPDATE ScheduleSettings SET timeWindows = ? WHERE id = ?', {
+          replacements: [JSON.stringify(timeWindows), row.id],
+          transaction
+        });
+      }
+      console.log(`Moved ${scheduleRows.length} schedule settings row(s) to send windows`);
+
+      // Create the WhatsApp accounts table, the existing session becomes the default account
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS WhatsAppAccounts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name VARCHAR(255) NOT NULL,
+          clientId VARCHAR(255) NOT NULL UNIQUE,
+          isDefault BOOLEAN NOT NULL DEFAULT 0,
+          phoneNumber VARCHAR(255),
+          createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `, { transaction });
+      await sequelize.query(`
+        INSERT INTO WhatsAppAccounts (name, clientId, isDefault)
+        SELECT 'Main number', 'bss-sender', 1
+        WHERE NOT EXISTS (SELECT 1 FROM WhatsAppAccounts WHERE isDefault = 1)
+      `, { transaction });
+      console.log('WhatsApp accounts table is in place');
+
+      // Sending account of campaigns and the sales pipeline, and the account that sent or received each message
+      for (const table of ['Campaigns', 'SalesMessageSettings', 'Messages', 'SalesScheduledMessages', 'InboundMessages']) {
+        try {
+          await sequelize.query(`SELECT WhatsAppAccountId FROM ${table} LIMIT 1`, { transaction });
+          console.log(`${table}.WhatsAppAccountId column already exists`);
+        } catch (error) {
+          await sequelize.query(`ALTER TABLE ${table} ADD COLUMN WhatsAppAccountId INTEGER REFERENCES WhatsAppAccounts(id) ON DELETE SET NULL`, { transaction });
+          console.log(`Added ${table}.WhatsAppAccountId column`);
+        }
+      }
+
+      // Daily cap, pool membership and removal of the accounts, and pooled sending of campaigns and the sales pipeline
+      const senderPoolColumns = [
+        ['WhatsAppAccounts', 'dailyLimit', 'INTEGER NOT NULL DEFAULT 0'],
+        ['WhatsAppAccounts', 'inSenderPool', 'BOOLEAN NOT NULL DEFAULT 1'],
+        ['WhatsAppAccounts', 'removedAt', 'DATETIME'],
+        ['Campaigns', 'useSenderPool', 'BOOLEAN NOT NULL DEFAULT 0'],
+        ['SalesMessageSettings', 'useSenderPool', 'BOOLEAN NOT NULL DEFAULT 0']
+      ];
+      for (const [table, column, definition] of senderPoolColumns) {
+        try {
+          await sequelize.query(`SELECT ${column} FROM ${table} LIMIT 1`, { transaction });
+          console.log(`${table}.${column} column already exists`);
+        } catch (error) {
+          await sequelize.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, { transaction });
+          console.log(`Added ${table}.${column} column`);
+        }
+      }
+
+      // Result of the WhatsApp number check of the contacts
+      const numberCheckColumns = [
+        ['Contacts', 'whatsappStatus', "VARCHAR(255) NOT NULL DEFAULT 'UNVERIFIED'"],
+        ['Contacts', 'lastCheckedAt', 'DATETIME'],
+        ['SalesContacts', 'whatsappStatus', "VARCHAR(255) NOT NULL DEFAULT 'UNVERIFIED'"],
+        ['SalesContacts', 'lastCheckedAt', 'DATETIME']
+      ];
+      for (const [table, column, definition] of numberCheckColumns) {
+        try {
+          await sequelize.query(`SELECT ${column} FROM ${table} LIMIT 1`, { transaction });
+          console.log(`${table}.${column} column already exists`);
+        } catch (error) {
+          await sequelize.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, { transaction });
+          console.log(`Added ${table}.${column} column`);
+        }
+      }
+
+      // Send options of campaigns that duplicates repeat
+      const campaignOptionColumns = [
+        ['Campaigns', 'recipientLocalTime', 'TEXT'],
+        ['Campaigns', 'skipNumbers', 'VARCHAR(20)']
+      ];
+      for (const [table, column, definition] of campaignOptionColumns) {
+        try {
+          await sequelize.query(`SELECT ${column} FROM ${table} LIMIT 1`, { transaction });
+          console.log(`${table}.${column} column already exists`);
+        } catch (error) {
+          await sequelize.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, { transaction });
+          console.log(`Added ${table}.${column} column`);
+        }
+      }
+
+      // Country of phone numbers written without calling code
+      try {
+        await sequelize.query('SELECT defaultCountry FROM ScheduleSettings LIMIT 1', { transaction });
+        console.log('ScheduleSettings.defaultCountry column already exists');
+      } catch (error) {
+        await sequelize.query("ALTER TABLE ScheduleSettings ADD COLUMN defaultCountry VARCHAR(2) NOT NULL DEFAULT 'AL'", { transaction });
+        console.log('Added ScheduleSettings.defaultCountry column');
+      }
+
       console.log('Migration completed successfully!');
     });
 
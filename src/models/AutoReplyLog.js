@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const AutoReplyLog = sequelize.define('AutoReplyLog', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Copy of the rule name, kept when the rule is renamed or deleted
+    ruleName: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Number that triggered the rule (+ followed by digits)
+    phoneNumber: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    incomingMessage: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: ''
+    },
+    // Rendered reply, as sent
+    replyContent: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM,
+      values: ['SENT', 'FAILED'],
+      allowNull: false
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Track when the rule triggered
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    // Explicitly set the table name to avoid pluralization issues
+    tableName: 'AutoReplyLogs',
+    // Don't pluralize table names
+    freezeTableName: true,
+    timestamps: true,
+    indexes: [
+      {
+        name: 'auto_reply_log_rule_phone_idx',
+        fields: ['AutoReplyRuleId', 'phoneNumber']
+      }
+    ]
+  });
+
+  return AutoReplyLog;
+};
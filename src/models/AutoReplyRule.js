@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const AutoReplyRule = sequelize.define('AutoReplyRule', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // KEYWORD: pattern is a comma-separated list of words or phrases
+    // REGEX: pattern is a regular expression, matched case-insensitively
+    matchType: {
+      type: DataTypes.ENUM,
+      values: ['KEYWORD', 'REGEX'],
+      defaultValue: 'KEYWORD'
+    },
+    pattern: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    // Rules are tried from the lowest priority number up, the first match replies
+    priority: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Optional time window in minutes from midnight; a start after the end spans midnight
+    startTime: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    endTime: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Minutes before the rule may reply to the same number again
+    cooldownMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 60
+    },
+    // Track when the rule was created and last updated
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    // Explicitly set the table name to avoid pluralization issues
+    tableName: 'AutoReplyRules',
+    // Don't pluralize table names
+    freezeTableName: true,
+    timestamps: true
+  });
+
+  return AutoReplyRule;
+};
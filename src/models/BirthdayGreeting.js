@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const BirthdayGreeting = sequelize.define('BirthdayGreeting', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Year of the birthday that was greeted, a contact is greeted once per year
+    year: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // The birthday that was greeted (Feb 29 becomes Feb 28 outside leap years)
+    birthdayDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    // Track when the greeting was scheduled
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    // Explicitly set the table name to avoid pluralization issues
+    tableName: 'BirthdayGreetings',
+    // Don't pluralize table names
+    freezeTableName: true,
+    timestamps: true,
+    indexes: [
+      {
+        name: 'birthday_greeting_contact_year_idx',
+        unique: true,
+        fields: ['ContactId', 'year']
+      }
+    ]
+  });
+
+  return BirthdayGreeting;
+};
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const BirthdaySettings = sequelize.define('BirthdaySettings', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Whether birthday greetings are scheduled
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Send time in minutes from midnight (e.g., 10:00 AM = 10*60 = 600)
+    sendTime: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 600
+    },
+    // How many days before the birthday the greeting is sent (0 = on the day)
+    leadDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Track when the settings were created and last updated
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    // Explicitly set the table name to avoid pluralization issues
+    tableName: 'BirthdaySettings',
+    // Don't pluralize table names
+    freezeTableName: true,
+    timestamps: true
+  });
+
+  return BirthdaySettings;
+};
@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const BlackoutDate = sequelize.define('BlackoutDate', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Holiday or reason shown in the calendar
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // First blocked day (YYYY-MM-DD)
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    // Last blocked day, the same as startDate for a single date
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    // Blocks the same days every year, the year of the dates is ignored
+    recurringYearly: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // How the entry got in the calendar
+    source: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'MANUAL',
+      validate: {
+        isIn: [['MANUAL', 'ICS']]
+      }
+    },
+    // Track when the entry was created and last updated
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    // Explicitly set the table name to avoid pluralization issues
+    tableName: 'BlackoutDates',
+    // Don't pluralize table names
+    freezeTableName: true,
+    timestamps: true
+  });
+
+  return BlackoutDate;
+};
@@ -0,0 +1,136 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Read a JSON column, falling back to a default value
+ * @param {Object} instance - Model instance
+ * @param {string} field - Column name
+ * @param {*} fallback - Value returned when the column is empty or invalid
+ */
+function getJson(instance, field, fallback) {
+  const value = instance.getDataValue(field);
+  if (!value) return fallback;
+
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (e) {
+    console.error(`Error parsing ${field} in getter:`, e, 'Value:', value);
+    return fallback;
+  }
+}
+
+module.exports = (sequelize) => {
+  const Campaign = sequelize.define('Campaign', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // ACTIVE campaigns are sent by the scheduler, PAUSED ones keep their messages on hold
+    status: {
+      type: DataTypes.ENUM,
+      values: ['ACTIVE', 'PAUSED', 'CANCELED', 'COMPLETED'],
+      defaultValue: 'ACTIVE'
+    },
+    // Copy of the template at creation time ({ id, name, content, imagePath })
+    templateSnapshot: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      get() {
+        return getJson(this, 'templateSnapshot', null);
+      },
+      set(val) {
+        this.setDataValue('templateSnapshot', val ? JSON.stringify(val) : null);
+      }
+    },
+    // Who the campaign was sent to ({ contactIds: [], groups: [] })
+    audience: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      get() {
+        return getJson(this, 'audience', { contactIds: [], groups: [] });
+      },
+      set(val) {
+        this.setDataValue('audience', val ? JSON.stringify(val) : null);
+      }
+    },
+    // A/B test variants ([{ label, ratio, templateSnapshot }]), null for single-template campaigns
+    variants: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      get() {
+        return getJson(this, 'variants', null);
+      },
+      set(val) {
+        this.setDataValue('variants', val ? JSON.stringify(val) : null);
+      }
+    },
+    // A/B test settings and outcome ({ testPercent, winnerMetric, autoSendWinner, decideAt,
+    // remainingContactIds, winner, winnerCampaignId, winnerSentAt })
+    abTest: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      get() {
+        return getJson(this, 'abTest', null);
+      },
+      set(val) {
+        this.setDataValue('abTest', val ? JSON.stringify(val) : null);
+      }
+    },
+    // Spread the messages over the accounts of the sender pool instead of
+    // sending from one account
+    useSenderPool: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Local send time of each recipient ({ date: 'YYYY-MM-DD', time: minutes from midnight }),
+    // null when every message goes out at scheduledTime
+    recipientLocalTime: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      get() {
+        return getJson(this, 'recipientLocalTime', null);
+      },
+      set(val) {
+        this.setDataValue('recipientLocalTime', val ? JSON.stringify(val) : null);
+      }
+    },
+    // Numbers the WhatsApp number check left out ('invalid' or 'unverified'), null for none
+    skipNumbers: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    // When the first message of the campaign is scheduled
+    scheduledTime: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // Track when the campaign was created and last updated
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    // Explicitly set the table name to avoid pluralization issues
+    tableName: 'Campaigns',
+    // Don't pluralize table names
+    freezeTableName: true,
+    timestamps: true,
+    indexes: [
+      {
+        name: 'campaign_status_idx',
+        fields: ['status']
+      }
+    ]
+  });
+
+  return Campaign;
+};
@@ -46,16 +46,56 @@ module.exports = (sequelize) => {
       type: DataTypes.DATEONLY,
       allowNull: true
     },
+    // IANA time zone ('Europe/Tirane'), guessed from the calling code when not set
+    timezone: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
     source: {
       type: DataTypes.STRING,
       allowNull: false,
       defaultValue: 'Added manually'
     },
+    // Whether the number is on WhatsApp: UNVERIFIED until the number check
+    // looked it up, then VALID or INVALID
+    whatsappStatus: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'UNVERIFIED',
+      validate: {
+        isIn: [['UNVERIFIED', 'VALID', 'INVALID']]
+      }
+    },
+    // When the number check last looked the number up
+    lastCheckedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     // Additional field to store metadata or notes about the contact
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    // User-defined fields ({ company: 'ACME', city: 'Tirana' }), usable as template variables
+    customFields: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      get() {
+        const value = this.getDataValue('customFields');
+        if (!value) return {};
+
+        try {
+          return typeof value === 'string' ? JSON.parse(value) : value;
+        } catch (e) {
+          console.error('Error parsing customFields in getter:', e, 'Value:', value);
+          return {};
+        }
+      },
+      set(val) {
+        const hasFields = val && typeof val === 'object' && Object.keys(val).length > 0;
+        this.setDataValue('customFields', hasFields ? JSON.stringify(val) : null);
+      }
+    },
     // Track when the contact was created and last updated
     createdAt: {
       type: DataTypes.DATE,
@@ -0,0 +1,47 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Join table between Contacts and Tags
+  const ContactTag = sequelize.define('ContactTag', {
+    ContactId: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      references: {
+        model: 'Contacts',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    TagId: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      references: {
+        model: 'Tags',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    // Explicitly set the table name to avoid pluralization issues
+    tableName: 'ContactTags',
+    // Don't pluralize table names
+    freezeTableName: true,
+    timestamps: true,
+    indexes: [
+      {
+        name: 'contact_tag_tag_idx',
+        fields: ['TagId']
+      }
+    ]
+  });
+
+  return ContactTag;
+};
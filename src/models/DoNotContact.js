@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const DoNotContact = sequelize.define('DoNotContact', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Suppressed number in international format (+ followed by digits)
+    phoneNumber: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    // How the number got on the list
+    reason: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'MANUAL',
+      validate: {
+        isIn: [['MANUAL', 'KEYWORD', 'IMPORT']]
+      }
+    },
+    // The reply that opted the contact out, for KEYWORD entries
+    keywordMessage: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Track when the entry was created and last updated
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    // Explicitly set the table name to avoid pluralization issues
+    tableName: 'DoNotContacts',
+    // Don't pluralize table names
+    freezeTableName: true,
+    timestamps: true
+  });
+
+  return DoNotContact;
+};
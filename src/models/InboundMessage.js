@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const InboundMessage = sequelize.define('InboundMessage', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // External message ID (from WhatsApp)
+    externalId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true
+    },
+    // Number of the other party in international format (+ followed by digits)
+    phoneNumber: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // IN for messages from the contact, OUT for replies typed in the inbox or sent by auto-reply rules
+    direction: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'IN',
+      validate: {
+        isIn: [['IN', 'OUT']]
+      }
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: ''
+    },
+    // When WhatsApp received (IN) or sent (OUT) the message
+    receivedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    // Whether an IN message was opened in the inbox (OUT messages are always read)
+    isRead: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Track when the message was created and last updated
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    // Explicitly set the table name to avoid pluralization issues
+    tableName: 'InboundMessages',
+    // Don't pluralize table names
+    freezeTableName: true,
+    timestamps: true,
+    indexes: [
+      {
+        name: 'inbound_message_phone_idx',
+        fields: ['phoneNumber']
+      }
+    ]
+  });
+
+  return InboundMessage;
+};
@@ -14,7 +14,7 @@ module.exports = (sequelize) => {
     },
     status: {
       type: DataTypes.ENUM,
-      values: ['SCHEDULED', 'PENDING', 'SENDING', 'SENT', 'DELIVERED', 'READ', 'FAILED', 'CANCELED'],
+      values: ['SCHEDULED', 'PENDING', 'SENDING', 'SENT', 'DELIVERED', 'READ', 'FAILED', 'CANCELED', 'PAUSED'],
       defaultValue: 'SCHEDULED'
     },
     scheduledTime: {
@@ -39,6 +39,11 @@ module.exports = (sequelize) => {
       type: DataTypes.INTEGER,
       defaultValue: 0
     },
+    // Earliest time a retry may be sent (null when the message is not waiting to be retried)
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     failureReason: {
       type: DataTypes.TEXT,
       allowNull: true
@@ -58,6 +63,11 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING,
       allowNull: true
     },
+    // A/B test variant the message was assigned to ('A', 'B', ...), null outside of A/B tests
+    variant: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
     // Track when the message was created and last updated
     createdAt: {
       type: DataTypes.DATE,
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RecurringCampaign = sequelize.define('RecurringCampaign', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Only ACTIVE definitions create campaigns
+    status: {
+      type: DataTypes.ENUM,
+      values: ['ACTIVE', 'PAUSED'],
+      defaultValue: 'ACTIVE'
+    },
+    // WEEKLY: schedule is { days: [0-6, 0 = Sunday], time }
+    // MONTHLY: schedule is { dayOfMonth: 1-31, time }
+    // CRON: schedule is { expression } in cron syntax, e.g. '0 10 * * 1'
+    // (time is in minutes since midnight, like the schedule settings)
+    scheduleType: {
+      type: DataTypes.ENUM,
+      values: ['WEEKLY', 'MONTHLY', 'CRON'],
+      defaultValue: 'WEEKLY'
+    },
+    schedule: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: '{}',
+      get() {
+        const value = this.getDataValue('schedule');
+        if (!value) return {};
+
+        try {
+          return typeof value === 'string' ? JSON.parse(value) : value;
+        } catch (e) {
+          console.error('Error parsing recurring schedule in getter:', e, 'Value:', value);
+          return {};
+        }
+      },
+      set(val) {
+        this.setDataValue('schedule', JSON.stringify(val || {}));
+      }
+    },
+    // When the next campaign will be created (null while paused)
+    nextRunAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // When the last campaign was created
+    lastRunAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Track when the definition was created and last updated
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    // Explicitly set the table name to avoid pluralization issues
+    tableName: 'RecurringCampaigns',
+    // Don't pluralize table names
+    freezeTableName: true,
+    timestamps: true,
+    indexes: [
+      {
+        name: 'recurring_campaign_status_next_idx',
+        fields: ['status', 'nextRunAt']
+      }
+    ]
+  });
+
+  return RecurringCampaign;
+};
@@ -56,6 +56,21 @@ module.exports = (sequelize) => {
       type: DataTypes.DATE,
       allowNull: true
     },
+    // Whether the number is on WhatsApp: UNVERIFIED until the number check
+    // looked it up, then VALID or INVALID
+    whatsappStatus: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'UNVERIFIED',
+      validate: {
+        isIn: [['UNVERIFIED', 'VALID', 'INVALID']]
+      }
+    },
+    // When the number check last looked the number up
+    lastCheckedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     // Track when the contact was created and last updated
     createdAt: {
       type: DataTypes.DATE,
@@ -33,6 +33,12 @@ module.exports = (sequelize) => {
       allowNull: false,
       defaultValue: false
     },
+    // Spread the messages over the sender pool instead of one account
+    useSenderPool: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
     // Track when the settings were created and last updated
     createdAt: {
       type: DataTypes.DATE,
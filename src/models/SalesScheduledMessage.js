@@ -54,6 +54,11 @@ module.exports = (sequelize) => {
       type: DataTypes.INTEGER,
       defaultValue: 0
     },
+    // Earliest time a retry may be sent (null when the message is not waiting to be retried)
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     // Store failure reason if applicable
     failureReason: {
       type: DataTypes.TEXT,
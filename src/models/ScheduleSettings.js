@@ -71,6 +71,29 @@ module.exports = (sequelize) => {
       defaultValue: 1020 // 5:00 PM
     },
     
+    // Send windows of each day, keyed by day (1-7, Monday is 1, Sunday is 7):
+    // ordered { start, end } pairs in minutes from midnight, like
+    // [{ start: 540, end: 720 }, { start: 900, end: 1140 }] for 9:00-12:00 and 15:00-19:00.
+    // startTime and endTime are kept as the earliest start and latest end.
+    timeWindows: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      get() {
+        const value = this.getDataValue('timeWindows');
+        if (!value) return null;
+        
+        try {
+          return typeof value === 'string' ? JSON.parse(value) : value;
+        } catch (e) {
+          console.error('Error parsing timeWindows in getter:', e, 'Value:', value);
+          return null;
+        }
+      },
+      set(val) {
+        this.setDataValue('timeWindows', val && typeof val === 'object' ? JSON.stringify(val) : null);
+      }
+    },
+    
     // Interval between messages in seconds
     messageInterval: {
       type: DataTypes.INTEGER,
@@ -78,6 +101,94 @@ module.exports = (sequelize) => {
       defaultValue: 45 // 45 seconds
     },
     
+    // Random extra seconds added to every interval (between min and max)
+    intervalJitterMin: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    intervalJitterMax: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    
+    // Send caps of each connected number, shared by bulk and sales messages (0 = no cap)
+    hourlyLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    dailyLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    
+    // Take a break of breakDuration minutes after every breakAfter messages (0 = no breaks)
+    breakAfter: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    breakDuration: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 10
+    },
+    
+    // Retry policy for failed sends, see services/RetryPolicy
+    retryMaxAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 3
+    },
+    // Seconds before the first retry
+    retryInitialDelay: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 60
+    },
+    // Each next retry waits this many times longer
+    retryBackoffFactor: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 2
+    },
+    // Longest wait between retries in seconds
+    retryMaxDelay: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 3600
+    },
+    // Error classes that are retried
+    retryableErrors: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      get() {
+        const value = this.getDataValue('retryableErrors');
+        if (!value) return ['connection', 'timeout', 'authentication'];
+        
+        try {
+          return typeof value === 'string' ? JSON.parse(value) : value;
+        } catch (e) {
+          console.error('Error parsing retryableErrors in getter:', e, 'Value:', value);
+          return ['connection', 'timeout', 'authentication'];
+        }
+      },
+      set(val) {
+        this.setDataValue('retryableErrors', Array.isArray(val) ? JSON.stringify(val) : null);
+      }
+    },
+    
+    // ISO code of the country of phone numbers written without calling code
+    // (see services/PhoneNumberService)
+    defaultCountry: {
+      type: DataTypes.STRING(2),
+      allowNull: false,
+      defaultValue: 'AL'
+    },
+    
     // Whether scheduling is active
     isActive: {
       type: DataTypes.BOOLEAN,
@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Segment = sequelize.define('Segment', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Whether a contact must match all rules or any of them
+    matchType: {
+      type: DataTypes.ENUM,
+      values: ['ALL', 'ANY'],
+      defaultValue: 'ALL'
+    },
+    // Rules as a JSON array of { type, value }, e.g. { type: 'tag', value: 3 }
+    // Types: tag, source, birthdayMonth, createdAfter, createdBefore, hasEmail, lastMessageStatus
+    rules: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: '[]',
+      get() {
+        const value = this.getDataValue('rules');
+        if (!value) return [];
+
+        try {
+          const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+          return Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+          console.error('Error parsing segment rules in getter:', e, 'Value:', value);
+          return [];
+        }
+      },
+      set(val) {
+        this.setDataValue('rules', JSON.stringify(Array.isArray(val) ? val : []));
+      }
+    },
+    // Track when the segment was created and last updated
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    // Explicitly set the table name to avoid pluralization issues
+    tableName: 'Segments',
+    // Don't pluralize table names
+    freezeTableName: true,
+    timestamps: true
+  });
+
+  return Segment;
+};
@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const WhatsAppAccount = sequelize.define('WhatsAppAccount', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Name shown when picking the sending number
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // LocalAuth client ID, also the name of the session folder
+    clientId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    // The account of the original single-number setup, it can't be removed
+    isDefault: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Number of the phone last connected to the account
+    phoneNumber: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Messages the account may send per day, 0 for no limit of its own
+    dailyLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Whether the account shares the load of pooled campaigns and takes
+    // over the messages of accounts that went offline
+    inSenderPool: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    // When the account was removed, the row stays so sent and received
+    // messages keep the number they went through
+    removedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Track when the account was created and last updated
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    // Explicitly set the table name to avoid pluralization issues
+    tableName: 'WhatsAppAccounts',
+    // Don't pluralize table names
+    freezeTableName: true,
+    timestamps: true
+  });
+
+  return WhatsAppAccount;
+};
@@ -115,6 +115,7 @@ async function loadAppModules() {
       settingsModule,
       bulkSenderModule,
       scheduledModule,
+      inboxModule,
       salesApiModule
     ] = await Promise.all([
       import('./modules/dashboard/dashboard.js'),
@@ -126,6 +127,7 @@ async function loadAppModules() {
       import('./modules/settings/settings.js'),
       import('./modules/bulksender/bulksender.js'),
       import('./modules/scheduled/scheduled.js'),
+      import('./modules/inbox/inbox.js'),
       import('./modules/sales-api/sales-api.js')
     ]);
     
@@ -133,6 +135,7 @@ async function loadAppModules() {
       // Dashboard functions
       initDashboard: dashboardModule.initDashboard,
       updateDashboardStats: dashboardModule.updateDashboardStats,
+      loadAnalytics: dashboardModule.loadAnalytics,
       loadRecentActivity: dashboardModule.loadRecentActivity,
       
       // Notifications functions
@@ -173,6 +176,10 @@ async function loadAppModules() {
       loadScheduledMessages: scheduledModule.loadScheduledMessages,
       updateMessageStatus: scheduledModule.updateMessageStatus,
       
+      // Inbox functions
+      initInbox: inboxModule.initInbox,
+      loadConversations: inboxModule.loadConversations,
+      
       // Sales API functions
       SalesApiModule: salesApiModule.default,
       
@@ -204,6 +211,7 @@ function startApp(modules) {
   modules.initSettings();
   modules.initBulkSender();
   modules.initScheduled();
+  modules.initInbox();
   
   // Initialize Sales API module
   window.salesApiModule = new modules.SalesApiModule();
@@ -406,6 +414,7 @@ function setupNavigation(modules) {
             case 'dashboard':
               console.log('Dashboard section activated, updating stats...');
               modules.updateDashboardStats();
+              modules.loadAnalytics();
               modules.loadRecentActivity();
               break;
             
@@ -423,6 +432,13 @@ function setupNavigation(modules) {
               }, 100); // Small delay to ensure DOM is updated
               break;
             
+            case 'inbox':
+              console.log('Inbox section activated, loading conversations...');
+              setTimeout(() => {
+                modules.loadConversations();
+              }, 100); // Small delay to ensure DOM is updated
+              break;
+            
             case 'sales-api':
               console.log('Sales API section activated, initializing or refreshing...');
               setTimeout(async () => {
@@ -499,6 +515,12 @@ function setupNavigation(modules) {
         }, 500);
         break;
       
+      case 'inbox':
+        setTimeout(() => {
+          modules.loadConversations();
+        }, 500);
+        break;
+      
       case 'sales-api':
         setTimeout(async () => {
           try {
@@ -1,7 +1,13 @@
 // bulksender.js - Bulk Message Sender functionality
 import { api } from '../utils/api.js';
 import { showToast, showConfirmDialog } from '../ui/notifications.js';
-import { getSettings } from '../settings/settings.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { fillAccountSelect, readAccountSelect } from '../whatsapp/whatsapp.js';
+
+// An A/B test compares two to five templates
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 5;
+const VARIANT_LABELS = ['A', 'B', 'C', 'D', 'E'];
 
 // Cache DOM elements
 let elements = {};
@@ -9,10 +15,15 @@ let elements = {};
 // Data storage
 let contacts = [];
 let contactGroups = [];
+let segmentGroups = [];
 let templates = [];
 let selectedContacts = [];
 let selectedTemplate = null;
 
+// A/B test templates and split ratios, used instead of selectedTemplate when the test is enabled
+let abTestEnabled = false;
+let abVariants = [];
+
 /**
  * Initialize the bulk sender module
  */
@@ -29,10 +40,12 @@ export async function initBulkSender() {
   try {
     await Promise.all([
       loadContacts(),
-      loadTemplates()
+      loadSegmentGroups(),
+      loadTemplates(),
+      fillAccountSelect(elements.campaignAccountSelect)
     ]);
     
-    // Group contacts by first letter
+    // Group contacts by segment and source
     groupContacts();
     
     // Render contact groups
@@ -60,12 +73,31 @@ function cacheElements() {
     selectedCount: document.getElementById('selected-count'),
     templateSelect: document.getElementById('selected-template'),
     templatePreview: document.getElementById('template-preview'),
+    campaignNameInput: document.getElementById('campaign-name'),
+    campaignAccountSelect: document.getElementById('campaign-account'),
+    campaignNumberCheckSelect: document.getElementById('campaign-number-check'),
     sendButton: document.getElementById('schedule-messages'),
     scheduleTimeCheckbox: document.getElementById('schedule-time-checkbox'),
     scheduledDateInput: document.getElementById('scheduled-date'),
     scheduledTimeInput: document.getElementById('scheduled-time'),
+    scheduleTimeFields: document.getElementById('schedule-time-fields'),
+    recipientLocalTimeCheckbox: document.getElementById('recipient-local-time'),
+    recipientLocalTimeHint: document.getElementById('recipient-local-time-hint'),
+    sendPreview: document.getElementById('send-preview'),
+    sendPreviewSummary: document.getElementById('send-preview-summary'),
+    sendPreviewWarnings: document.getElementById('send-preview-warnings'),
+    sendPreviewTable: document.querySelector('#send-preview-table tbody'),
     goToScheduledCheckbox: document.getElementById('go-to-scheduled-checkbox'),
-    cancelButton: document.getElementById('cancel-schedule')
+    cancelButton: document.getElementById('cancel-schedule'),
+    singleTemplateGroup: document.getElementById('single-template-group'),
+    abTestCheckbox: document.getElementById('ab-test-enabled'),
+    abTestPanel: document.getElementById('ab-test-panel'),
+    abVariantsContainer: document.getElementById('ab-test-variants'),
+    addAbVariantButton: document.getElementById('add-ab-variant'),
+    abTestPercentInput: document.getElementById('ab-test-percent'),
+    abTestMetricSelect: document.getElementById('ab-test-metric'),
+    abTestAutoWinnerCheckbox: document.getElementById('ab-test-auto-winner'),
+    abTestDecideHoursInput: document.getElementById('ab-test-decide-hours')
   };
 }
 
@@ -91,14 +123,59 @@ function setupEventListeners() {
   // Schedule time checkbox
   if (elements.scheduleTimeCheckbox) {
     elements.scheduleTimeCheckbox.addEventListener('change', () => {
+      updateSendTimeFields();
       updateSendButton();
+      updateSendPreview();
+    });
+  }
+  
+  [elements.scheduledDateInput, elements.scheduledTimeInput].forEach(input => {
+    if (input) input.addEventListener('change', updateSendPreview);
+  });
+  
+  // Recipient local time checkbox
+  if (elements.recipientLocalTimeCheckbox) {
+    elements.recipientLocalTimeCheckbox.addEventListener('change', () => {
+      updateSendTimeFields();
+      updateSendPreview();
     });
   }
   
+  // Sending number, refreshed on focus as numbers connect and disconnect
+  if (elements.campaignAccountSelect) {
+    elements.campaignAccountSelect.addEventListener('focus', () => fillAccountSelect(elements.campaignAccountSelect));
+    elements.campaignAccountSelect.addEventListener('change', updateSendPreview);
+  }
+  
+  // Numbers left out by the WhatsApp number check
+  if (elements.campaignNumberCheckSelect) {
+    elements.campaignNumberCheckSelect.addEventListener('change', updateSendPreview);
+  }
+  
   // Cancel button
   if (elements.cancelButton) {
     elements.cancelButton.addEventListener('click', resetSelection);
   }
+  
+  // A/B test toggle and variants
+  if (elements.abTestCheckbox) {
+    elements.abTestCheckbox.addEventListener('change', () => {
+      setAbTestEnabled(elements.abTestCheckbox.checked);
+    });
+  }
+  
+  if (elements.addAbVariantButton) {
+    elements.addAbVariantButton.addEventListener('click', () => {
+      if (abVariants.length >= MAX_VARIANTS) return;
+      abVariants.push({ templateId: '', ratio: 1 });
+      renderAbVariants();
+    });
+  }
+  
+  // The size of the test group changes how many messages go out now
+  if (elements.abTestPercentInput) {
+    elements.abTestPercentInput.addEventListener('change', updateSendPreview);
+  }
 }
 
 /**
@@ -124,12 +201,44 @@ async function loadContacts() {
 }
 
 /**
- * Group contacts by source
+ * Load saved segments with the IDs of their contacts
+ */
+async function loadSegmentGroups() {
+  try {
+    const result = await api.getSegmentGroups();
+    segmentGroups = Array.isArray(result) ? result : [];
+  } catch (error) {
+    console.error('Error loading segments:', error);
+    segmentGroups = [];
+  }
+}
+
+/**
+ * Group contacts by saved segment and by source
  */
 function groupContacts() {
   // Reset contact groups
   contactGroups = [];
   
+  // Segments first; they share the contact objects with the source groups
+  // so a contact selected in one group is selected everywhere
+  const contactsById = new Map(contacts.map(contact => [contact.id, contact]));
+  
+  segmentGroups.forEach(segment => {
+    const segmentContacts = segment.contactIds
+      .map(id => contactsById.get(id))
+      .filter(Boolean);
+    
+    if (segmentContacts.length > 0) {
+      contactGroups.push({
+        name: segment.name,
+        type: 'segment',
+        contacts: segmentContacts,
+        selected: false
+      });
+    }
+  });
+  
   // Group by source
   const sourceGroups = {};
   
@@ -147,6 +256,7 @@ function groupContacts() {
   Object.keys(sourceGroups).forEach(source => {
     contactGroups.push({
       name: source,
+      type: 'source',
       contacts: sourceGroups[source],
       selected: false
     });
@@ -172,7 +282,7 @@ function renderContactGroups() {
   // Create elements for each group
   contactGroups.forEach((group, groupIndex) => {
     const groupElement = document.createElement('div');
-    groupElement.className = 'contact-group';
+    groupElement.className = group.type === 'segment' ? 'contact-group segment-group' : 'contact-group';
     
     // Group header with checkbox
     const header = document.createElement('div');
@@ -192,6 +302,9 @@ function renderContactGroups() {
     const label = document.createElement('label');
     label.htmlFor = `group-${groupIndex}`;
     label.textContent = `${group.name} (${group.contacts.length})`;
+    if (group.type === 'segment') {
+      label.insertAdjacentHTML('afterbegin', '<i class="fas fa-filter" title="Segment"></i>');
+    }
     
     header.appendChild(checkbox);
     header.appendChild(label);
@@ -268,17 +381,13 @@ function toggleGroupSelection(groupIndex, selected) {
   contactGroups[groupIndex].selected = selected;
   
   // Update all contacts in the group
-  contactGroups[groupIndex].contacts.forEach((contact, contactIndex) => {
-    // Update contact selection state
+  contactGroups[groupIndex].contacts.forEach(contact => {
     contact.selected = selected;
-    
-    // Update checkbox in UI
-    const checkbox = document.getElementById(`contact-${groupIndex}-${contactIndex}`);
-    if (checkbox) {
-      checkbox.checked = selected;
-    }
   });
   
+  // Contacts can be in several groups, refresh every checkbox
+  syncSelectionCheckboxes();
+  
   // Update selected contacts array
   updateSelectedContacts();
   
@@ -301,17 +410,8 @@ function toggleContactSelection(groupIndex, contactIndex, selected) {
   // Update contact selection state
   contactGroups[groupIndex].contacts[contactIndex].selected = selected;
   
-  // Check if all contacts in the group are selected
-  const allSelected = contactGroups[groupIndex].contacts.every(contact => contact.selected);
-  
-  // Update group checkbox
-  const groupCheckbox = document.getElementById(`group-${groupIndex}`);
-  if (groupCheckbox) {
-    groupCheckbox.checked = allSelected;
-  }
-  
-  // Update group selection state
-  contactGroups[groupIndex].selected = allSelected;
+  // Contacts can be in several groups, refresh every checkbox
+  syncSelectionCheckboxes();
   
   // Update selected contacts array
   updateSelectedContacts();
@@ -323,15 +423,41 @@ function toggleContactSelection(groupIndex, contactIndex, selected) {
   updateSendButton();
 }
 
+/**
+ * Update group and contact checkboxes from the selection state of the contacts
+ */
+function syncSelectionCheckboxes() {
+  contactGroups.forEach((group, groupIndex) => {
+    group.contacts.forEach((contact, contactIndex) => {
+      const checkbox = document.getElementById(`contact-${groupIndex}-${contactIndex}`);
+      if (checkbox) {
+        checkbox.checked = !!contact.selected;
+      }
+    });
+    
+    // A group is selected when all of its contacts are
+    group.selected = group.contacts.every(contact => contact.selected);
+    
+    const groupCheckbox = document.getElementById(`group-${groupIndex}`);
+    if (groupCheckbox) {
+      groupCheckbox.checked = group.selected;
+    }
+  });
+}
+
 /**
  * Update the array of selected contacts
  */
 function updateSelectedContacts() {
   selectedContacts = [];
   
+  // A contact listed in a segment and in its source group is only sent once
+  const seenIds = new Set();
+  
   contactGroups.forEach(group => {
     group.contacts.forEach(contact => {
-      if (contact.selected) {
+      if (contact.selected && !seenIds.has(contact.id)) {
+        seenIds.add(contact.id);
         selectedContacts.push(contact);
       }
     });
@@ -345,6 +471,8 @@ function updateSelectionCount() {
   if (elements.selectedCount) {
     elements.selectedCount.textContent = selectedContacts.length;
   }
+  
+  updateSendPreview();
 }
 
 /**
@@ -387,6 +515,96 @@ function populateTemplateSelect() {
     option.textContent = template.name;
     elements.templateSelect.appendChild(option);
   });
+  
+  // Variants keep their choice unless the template was deleted
+  abVariants.forEach(variant => {
+    if (!templates.some(template => String(template.id) === String(variant.templateId))) {
+      variant.templateId = '';
+    }
+  });
+  renderAbVariants();
+}
+
+/**
+ * Switch between sending one template and A/B testing several
+ * @param {boolean} enabled - Whether the A/B test is enabled
+ */
+function setAbTestEnabled(enabled) {
+  abTestEnabled = enabled;
+  
+  if (enabled && abVariants.length === 0) {
+    // Start from the template that was already selected
+    abVariants = [
+      { templateId: selectedTemplate ? String(selectedTemplate.id) : '', ratio: 1 },
+      { templateId: '', ratio: 1 }
+    ];
+  }
+  
+  if (elements.abTestCheckbox) elements.abTestCheckbox.checked = enabled;
+  if (elements.abTestPanel) elements.abTestPanel.style.display = enabled ? 'block' : 'none';
+  if (elements.singleTemplateGroup) elements.singleTemplateGroup.style.display = enabled ? 'none' : '';
+  if (elements.templatePreview) elements.templatePreview.style.display = enabled ? 'none' : '';
+  
+  renderAbVariants();
+  updateSendButton();
+  updateSendPreview();
+}
+
+/**
+ * Render one row per A/B test variant with its template and split ratio
+ */
+function renderAbVariants() {
+  const container = elements.abVariantsContainer;
+  if (!container) return;
+  
+  const totalRatio = abVariants.reduce((sum, variant) => sum + (parseInt(variant.ratio) || 0), 0);
+  const options = templates.map(template => `<option value="${template.id}">${escapeHtml(template.name)}</option>`).join('');
+  
+  container.innerHTML = abVariants.map((variant, index) => {
+    const share = totalRatio > 0 ? Math.round(((parseInt(variant.ratio) || 0) / totalRatio) * 100) : 0;
+    
+    return `
+      <div class="ab-variant-row" data-index="${index}">
+        <span class="ab-variant-label">${VARIANT_LABELS[index]}</span>
+        <select class="ab-variant-template">
+          <option value="">-- Select Template --</option>
+          ${options}
+        </select>
+        <input type="number" class="ab-variant-ratio" min="1" value="${variant.ratio}" title="Split ratio">
+        <span class="ab-variant-share">${share}%</span>
+        <button type="button" class="action-btn ab-variant-remove" title="Remove variant" ${abVariants.length <= MIN_VARIANTS ? 'disabled' : ''}>
+          <i class="fas fa-times"></i>
+        </button>
+      </div>
+    `;
+  }).join('');
+  
+  container.querySelectorAll('.ab-variant-row').forEach(row => {
+    const index = parseInt(row.dataset.index);
+    const select = row.querySelector('.ab-variant-template');
+    select.value = abVariants[index].templateId;
+    
+    select.addEventListener('change', () => {
+      abVariants[index].templateId = select.value;
+      updateSendButton();
+    });
+    
+    row.querySelector('.ab-variant-ratio').addEventListener('change', (event) => {
+      abVariants[index].ratio = Math.max(1, parseInt(event.target.value) || 1);
+      renderAbVariants();
+    });
+    
+    row.querySelector('.ab-variant-remove').addEventListener('click', () => {
+      if (abVariants.length <= MIN_VARIANTS) return;
+      abVariants.splice(index, 1);
+      renderAbVariants();
+      updateSendButton();
+    });
+  });
+  
+  if (elements.addAbVariantButton) {
+    elements.addAbVariantButton.disabled = abVariants.length >= MAX_VARIANTS;
+  }
 }
 
 /**
@@ -436,9 +654,57 @@ function updateTemplatePreview() {
     </div>
   `;
   
+  // Spintax templates get a few sample renderings so the variation is visible
+  if (/\{[^{}]*\|[^{}]*\}/.test(selectedTemplate.content || '')) {
+    previewHTML += `
+      <div class="preview-variations">
+        <div class="preview-variations-header">
+          <span><i class="fas fa-random"></i> Sample variations</span>
+          <button type="button" class="secondary-btn" id="shuffle-variations">
+            <i class="fas fa-sync-alt"></i> Shuffle
+          </button>
+        </div>
+        <div class="preview-variations-list" id="preview-variations-list"></div>
+      </div>
+    `;
+  }
+  
   previewHTML += '</div>';
   
   elements.templatePreview.innerHTML = previewHTML;
+  
+  const shuffleButton = document.getElementById('shuffle-variations');
+  if (shuffleButton) {
+    shuffleButton.addEventListener('click', loadTemplateVariations);
+    loadTemplateVariations();
+  }
+}
+
+/**
+ * Show several random renderings of the selected template's spintax
+ */
+async function loadTemplateVariations() {
+  const template = selectedTemplate;
+  if (!template) return;
+  
+  try {
+    const response = await api.previewTemplateVariations(template.content, 3);
+    const list = document.getElementById('preview-variations-list');
+    
+    // Another template may have been selected in the meantime
+    if (!list || template !== selectedTemplate) return;
+    
+    if (!response || !response.success) {
+      list.innerHTML = '<p class="preview-variations-error">Could not build variations</p>';
+      return;
+    }
+    
+    list.innerHTML = response.variations.map(variation => `
+      <div class="preview-variation">${personalizeTemplatePreview(variation)}</div>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading template variations:', error);
+  }
 }
 
 /**
@@ -492,7 +758,10 @@ function personalizeTemplatePreview(content) {
 function updateSendButton() {
   if (!elements.sendButton) return;
   
-  const canSend = selectedContacts.length > 0 && selectedTemplate !== null;
+  const hasTemplates = abTestEnabled
+    ? abVariants.length >= MIN_VARIANTS && abVariants.every(variant => variant.templateId)
+    : selectedTemplate !== null;
+  const canSend = selectedContacts.length > 0 && hasTemplates;
   
   elements.sendButton.disabled = !canSend;
   
@@ -505,6 +774,27 @@ function updateSendButton() {
   }
 }
 
+/**
+ * Show the date and time inputs only when sending later
+ */
+function updateSendTimeFields() {
+  const sendLater = !!elements.scheduleTimeCheckbox?.checked;
+  
+  if (elements.scheduleTimeFields) {
+    elements.scheduleTimeFields.style.display = sendLater ? 'flex' : 'none';
+  }
+  
+  // Start from today so there is always a date to send on
+  if (sendLater && elements.scheduledDateInput && !elements.scheduledDateInput.value) {
+    const today = new Date();
+    elements.scheduledDateInput.value = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+  }
+  
+  if (elements.recipientLocalTimeHint) {
+    elements.recipientLocalTimeHint.style.display = sendLater && elements.recipientLocalTimeCheckbox?.checked ? 'block' : 'none';
+  }
+}
+
 /**
  * Update all UI elements
  */
@@ -515,53 +805,174 @@ function updateUI() {
 }
 
 /**
- * Calculate the next available send time based on settings
- * @returns {Date} The next available send time
+ * Read the send time fields
+ * @returns {Object} - { scheduledTime, recipientLocalTime }, or { error } when the fields are incomplete
  */
-async function calculateNextSendTime() {
-  // Get current settings
-  const appSettings = await getSettings();
+function readSendTime() {
+  // Send now unless a later time is chosen
+  let scheduledTime = new Date();
+  let recipientLocalTime = null;
   
-  // Start with current time
-  const now = new Date();
-  const currentTime = now.getHours() * 60 + now.getMinutes();
-  const currentDay = now.getDay() === 0 ? 7 : now.getDay(); // Convert Sunday from 0 to 7
+  if (elements.scheduleTimeCheckbox && elements.scheduleTimeCheckbox.checked &&
+      elements.scheduledDateInput && elements.scheduledTimeInput) {
+    const dateValue = elements.scheduledDateInput.value;
+    const timeValue = elements.scheduledTimeInput.value;
+    
+    if (!dateValue || !timeValue) {
+      return { error: 'Please select a date and time for scheduling' };
+    }
+    
+    scheduledTime = new Date(`${dateValue}T${timeValue}`);
+    
+    if (isNaN(scheduledTime.getTime())) {
+      return { error: 'Invalid date or time format' };
+    }
+    
+    // The main process works out the moment for each recipient's time zone
+    if (elements.recipientLocalTimeCheckbox && elements.recipientLocalTimeCheckbox.checked) {
+      const [hours, minutes] = timeValue.split(':').map(part => parseInt(part) || 0);
+      recipientLocalTime = { date: dateValue, time: hours * 60 + minutes };
+    }
+  }
   
-  // Check if current day is in active days
-  const isActiveDay = appSettings.activeDays.includes(currentDay);
+  return { scheduledTime, recipientLocalTime };
+}
+
+/**
+ * Read the A/B test settings, checked again in the main process
+ * @returns {Object|null} - A/B test settings, or null without an A/B test
+ */
+function readAbTestSettings() {
+  return abTestEnabled ? {
+    testPercent: parseInt(elements.abTestPercentInput?.value) || 100,
+    winnerMetric: elements.abTestMetricSelect?.value || 'read',
+    autoSendWinner: !!elements.abTestAutoWinnerCheckbox?.checked,
+    decideAfterHours: parseFloat(elements.abTestDecideHoursInput?.value) || 24
+  } : null;
+}
+
+/**
+ * Build the campaign configuration of the form
+ * @param {Object} sendTime - Send time (see readSendTime)
+ * @returns {Object} - Configuration for scheduleMessages and simulateCampaign
+ */
+function buildCampaignConfig(sendTime) {
+  const abTest = readAbTestSettings();
   
-  // Check if current time is within sending hours
-  const isWithinHours = currentTime >= appSettings.startTime && currentTime < appSettings.endTime;
+  return {
+    contacts: selectedContacts,
+    ...(abTest
+      ? { variants: abVariants.map(variant => ({ templateId: parseInt(variant.templateId), ratio: variant.ratio })), abTest }
+      : { templateId: selectedTemplate ? selectedTemplate.id : null }),
+    scheduledTime: sendTime.scheduledTime.toISOString(),
+    recipientLocalTime: sendTime.recipientLocalTime,
+    ...readAccountSelect(elements.campaignAccountSelect),
+    skipNumbers: elements.campaignNumberCheckSelect ? elements.campaignNumberCheckSelect.value : ''
+  };
+}
+
+/**
+ * Format an expected send time
+ * @param {string} time - ISO time
+ * @returns {string}
+ */
+function formatSendTime(time) {
+  return new Date(time).toLocaleString(undefined, { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Describe a send preview in one sentence
+ * @param {Object} preview - Result of simulateCampaign
+ * @returns {string}
+ */
+function describeSendPreview(preview) {
+  if (!preview.firstSendTime) {
+    return 'None of the messages can be sent with the current schedule settings.';
+  }
+  
+  const count = preview.days.reduce((sum, day) => sum + day.count, 0);
+  const ahead = preview.bulkBefore + preview.salesBefore;
+  const queued = ahead > 0 ? ` after ${ahead} message(s) already in the queue` : '';
+  
+  return count === 1
+    ? `The message is expected to go out around ${formatSendTime(preview.firstSendTime)}${queued}.`
+    : `${count} messages are expected to go out from ${formatSendTime(preview.firstSendTime)} until ${formatSendTime(preview.lastSendTime)}${queued}.`;
+}
+
+/**
+ * Show a send preview under the send time options
+ * @param {Object} preview - Result of simulateCampaign, or null to hide the preview
+ */
+function renderSendPreview(preview) {
+  if (!elements.sendPreview) return;
   
-  // If both conditions are met, use current time
-  if (isActiveDay && isWithinHours) {
-    return now;
+  if (!preview) {
+    elements.sendPreview.style.display = 'none';
+    return;
   }
   
-  // Otherwise, calculate next available time
-  let nextDay = currentDay;
-  let daysToAdd = 0;
+  elements.sendPreview.style.display = 'block';
   
-  // Find the next active day
-  while (!appSettings.activeDays.includes(nextDay)) {
-    daysToAdd++;
-    nextDay = ((nextDay) % 7) + 1;
-    if (daysToAdd > 7) {
-      // Safety check to prevent infinite loop
-      throw new Error('No active days configured in settings');
-    }
+  if (!preview.success) {
+    elements.sendPreviewSummary.textContent = preview.error || 'Could not estimate the send times';
+    elements.sendPreviewWarnings.innerHTML = '';
+    elements.sendPreviewTable.innerHTML = '';
+    return;
   }
   
-  // Create date for next active day at start time
-  const nextDate = new Date();
-  nextDate.setDate(now.getDate() + daysToAdd);
+  const perDay = preview.days.length > 1
+    ? ` Per day: ${preview.days.map(day => `${day.count} on ${new Date(`${day.date}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}`).join(', ')}.`
+    : '';
+  elements.sendPreviewSummary.textContent = describeSendPreview(preview) + perDay;
+  
+  elements.sendPreviewWarnings.innerHTML = preview.warnings
+    .map(warning => `<li><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(warning)}</li>`)
+    .join('');
+  
+  elements.sendPreviewTable.innerHTML = preview.messages.map(message => `
+    <tr>
+      <td>${escapeHtml(message.name || '')}</td>
+      <td>${escapeHtml(message.phoneNumber || '')}</td>
+      <td>${message.expectedTime ? formatSendTime(message.expectedTime) : 'Not within a year'}</td>
+    </tr>
+  `).join('');
+}
+
+// Pending send preview refresh and the number of the latest request
+let sendPreviewTimer = null;
+let sendPreviewRequest = 0;
+
+/**
+ * Refresh the send preview once the form has stopped changing
+ */
+function updateSendPreview() {
+  clearTimeout(sendPreviewTimer);
+  sendPreviewTimer = setTimeout(refreshSendPreview, 300);
+}
+
+/**
+ * Ask the main process when the selected contacts would be messaged
+ * @returns {Promise<Object|null>} - Result of simulateCampaign, null without contacts or a complete send time
+ */
+async function refreshSendPreview() {
+  const sendTime = readSendTime();
+  if (selectedContacts.length === 0 || sendTime.error) {
+    renderSendPreview(null);
+    return null;
+  }
   
-  // Set time to start time
-  const startHours = Math.floor(appSettings.startTime / 60);
-  const startMinutes = appSettings.startTime % 60;
-  nextDate.setHours(startHours, startMinutes, 0, 0);
+  // A slower earlier request must not overwrite a newer preview
+  const request = ++sendPreviewRequest;
   
-  return nextDate;
+  try {
+    const preview = await api.simulateCampaign(buildCampaignConfig(sendTime));
+    if (request === sendPreviewRequest) renderSendPreview(preview);
+    return preview;
+  } catch (error) {
+    console.error('Error estimating send times:', error);
+    if (request === sendPreviewRequest) renderSendPreview({ success: false, error: error.message });
+    return null;
+  }
 }
 
 /**
@@ -599,7 +1010,12 @@ function setupAutoRefresh() {
 async function scheduleMessages() {
   try {
     // Validate template selection
-    if (!selectedTemplate) {
+    if (abTestEnabled) {
+      if (abVariants.some(variant => !variant.templateId)) {
+        showToast('Please select a template for every variant', 'error');
+        return;
+      }
+    } else if (!selectedTemplate) {
       showToast('Please select a template', 'error');
       return;
     }
@@ -610,36 +1026,26 @@ async function scheduleMessages() {
       return;
     }
     
-    // Get scheduling options
-    const schedulingOptions = {};
+    const sendTime = readSendTime();
+    if (sendTime.error) {
+      showToast(sendTime.error, 'error');
+      return;
+    }
     
-    // Use the settings time as default if available
-    let scheduledTime = new Date();
+    const config = buildCampaignConfig(sendTime);
     
-    // If scheduling for later and inputs exist, use those values
-    if (elements.scheduleTimeCheckbox && elements.scheduleTimeCheckbox.checked) {
-      if (elements.scheduledDateInput && elements.scheduledTimeInput) {
-        const dateValue = elements.scheduledDateInput.value;
-        const timeValue = elements.scheduledTimeInput.value;
-        
-        if (!dateValue || !timeValue) {
-          showToast('Please select a date and time for scheduling', 'error');
-          return;
-        }
-        
-        scheduledTime = new Date(`${dateValue}T${timeValue}`);
-        
-        if (isNaN(scheduledTime.getTime())) {
-          showToast('Invalid date or time format', 'error');
-          return;
-        }
-      }
-    }
+    // Show when the messages are expected to go out before confirming
+    const preview = await refreshSendPreview();
+    const estimate = preview && preview.success
+      ? `<br><br>${escapeHtml(describeSendPreview(preview))}${preview.warnings.map(warning => `<br><strong>${escapeHtml(warning)}</strong>`).join('')}`
+      : '';
     
     // Show confirmation dialog
     const confirmed = await showConfirmDialog(
       'Schedule Messages',
-      `Are you sure you want to schedule ${selectedContacts.length} message(s) using template "${selectedTemplate.name}"?`,
+      (config.abTest
+        ? `Start an A/B test of ${abVariants.length} templates on ${config.abTest.testPercent}% of ${selectedContacts.length} contact(s)?`
+        : `Are you sure you want to schedule ${selectedContacts.length} message(s) using template "${escapeHtml(selectedTemplate.name)}"?`) + estimate,
       'Schedule',
       'Cancel'
     );
@@ -653,11 +1059,16 @@ async function scheduleMessages() {
     // Show sending status
     showToast(`Scheduling ${selectedContacts.length} messages...`, 'info');
     
-    // Schedule messages
+    // Groups that contributed at least one selected contact
+    const audienceGroups = contactGroups
+      .filter(group => group.contacts.some(contact => contact.selected))
+      .map(group => group.type === 'segment' ? `Segment: ${group.name}` : group.name);
+    
+    // Schedule messages as one campaign
     const result = await api.scheduleMessages({
-      contacts: selectedContacts,
-      templateId: selectedTemplate.id,
-      scheduledTime: scheduledTime.toISOString()
+      ...config,
+      campaignName: elements.campaignNameInput ? elements.campaignNameInput.value.trim() : '',
+      audienceGroups
     });
     
     // Re-enable buttons
@@ -665,10 +1076,14 @@ async function scheduleMessages() {
     if (elements.cancelButton) elements.cancelButton.disabled = false;
     
     if (result.success) {
-      showToast(`Successfully scheduled ${result.scheduledCount} messages`, 'success');
+      const skipped = result.suppressedCount ? `, ${result.suppressedCount} skipped (do not contact)` : '';
+      const excluded = result.excludedCount ? `, ${result.excludedCount} left out (number check)` : '';
+      const heldBack = result.heldBackCount ? `, ${result.heldBackCount} held back for the winner` : '';
+      showToast(`Campaign "${result.campaignName}" scheduled with ${result.scheduledCount} messages${skipped}${excluded}${heldBack}`, 'success');
       
       // Reset selection
       resetSelection();
+      if (elements.campaignNameInput) elements.campaignNameInput.value = '';
       
       // Switch to scheduled view if checkbox is checked
       if (elements.goToScheduledCheckbox && elements.goToScheduledCheckbox.checked) {
@@ -733,9 +1148,13 @@ function resetSelection() {
 export async function refreshBulkSender() {
   await Promise.all([
     loadContacts(),
+    loadSegmentGroups(),
     loadTemplates()
   ]);
   
+  // Rebuild groups now that both contacts and segments are loaded
+  groupContacts();
+  
   // Reset selection
   resetSelection();
   
@@ -0,0 +1,176 @@
+// birthdays.js - Automatic birthday greetings and the greetings that were sent
+import { showNotification } from '../ui/notifications.js';
+import { escapeHtml, formatPhoneNumber } from '../utils/helpers.js';
+import { api } from '../utils/api.js';
+
+// Years offered in the history filter
+const HISTORY_YEARS = 5;
+
+/**
+ * Open the birthday greetings manager
+ */
+async function openBirthdaysModal() {
+  const modal = document.getElementById('birthdays-modal');
+  if (!modal) return;
+
+  setupBirthdaysModalEventListeners();
+  populateYears();
+  await loadSettings();
+  await loadHistory();
+
+  modal.style.display = 'block';
+}
+
+/**
+ * Set up event listeners for the birthdays modal
+ */
+function setupBirthdaysModalEventListeners() {
+  const modal = document.getElementById('birthdays-modal');
+
+  modal.querySelectorAll('.close-modal').forEach(button => {
+    button.onclick = () => {
+      modal.style.display = 'none';
+    };
+  });
+
+  document.getElementById('save-birthday-settings').onclick = saveSettings;
+  document.getElementById('birthday-history-year').onchange = loadHistory;
+}
+
+/**
+ * Fill the year filter of the history, current year first
+ */
+function populateYears() {
+  const currentYear = new Date().getFullYear();
+  const years = Array.from({ length: HISTORY_YEARS }, (_, index) => currentYear - index);
+
+  document.getElementById('birthday-history-year').innerHTML =
+    years.map(year => `<option value="${year}">${year}</option>`).join('') +
+    '<option value="">All years</option>';
+}
+
+/**
+ * Load the settings and the templates to choose from into the form
+ */
+async function loadSettings() {
+  try {
+    const [settings, templates] = await Promise.all([api.getBirthdaySettings(), api.getTemplates()]);
+
+    document.getElementById('birthday-template').innerHTML =
+      '<option value="">Select a template</option>' +
+      (Array.isArray(templates) ? templates : [])
+        .map(template => `<option value="${template.id}">${escapeHtml(template.name)}</option>`).join('');
+
+    if (!settings) return;
+
+    document.getElementById('birthday-template').value = settings.TemplateId || '';
+    document.getElementById('birthday-send-time').value = minutesToTime(settings.sendTime);
+    document.getElementById('birthday-lead-days').value = settings.leadDays;
+    document.getElementById('birthday-active').checked = settings.isActive;
+  } catch (error) {
+    console.error('Error loading birthday settings:', error);
+    showNotification('Error', 'Failed to load birthday settings: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Save the settings in the form
+ */
+async function saveSettings() {
+  const sendTime = document.getElementById('birthday-send-time').value;
+
+  const data = {
+    TemplateId: document.getElementById('birthday-template').value || null,
+    sendTime: sendTime ? timeToMinutes(sendTime) : null,
+    leadDays: document.getElementById('birthday-lead-days').value,
+    isActive: document.getElementById('birthday-active').checked
+  };
+
+  try {
+    const response = await api.updateBirthdaySettings(data);
+
+    if (response && response.success) {
+      showNotification('Success', response.settings.isActive ? 'Birthday greetings are on' : 'Birthday greetings are off', 'success');
+    } else {
+      showNotification('Error', (response && response.error) || 'Failed to save birthday settings', 'error');
+    }
+  } catch (error) {
+    console.error('Error saving birthday settings:', error);
+    showNotification('Error', 'Failed to save birthday settings: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Load and render the greetings of the selected year
+ */
+async function loadHistory() {
+  const year = document.getElementById('birthday-history-year').value;
+  let greetings = [];
+
+  try {
+    greetings = await api.getBirthdayGreetings({ year: year || null }) || [];
+  } catch (error) {
+    console.error('Error loading birthday greetings:', error);
+  }
+
+  renderHistory(greetings);
+}
+
+/**
+ * Render the history table
+ * @param {Array} greetings - Greetings with their Contact and Message
+ */
+function renderHistory(greetings) {
+  const tbody = document.querySelector('#birthday-history-table tbody');
+  const count = document.getElementById('birthday-history-count');
+  if (!tbody) return;
+
+  count.textContent = `${greetings.length} greeting${greetings.length !== 1 ? 's' : ''}`;
+
+  if (greetings.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" class="text-center">No birthday greetings yet</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = greetings.map(greeting => {
+    const contact = greeting.Contact;
+    const message = greeting.Message;
+    const status = message ? message.status : 'DELETED';
+
+    return `
+      <tr>
+        <td>${contact ? escapeHtml(`${contact.name} ${contact.surname || ''}`.trim()) : '<em>Deleted contact</em>'}</td>
+        <td>${contact ? escapeHtml(formatPhoneNumber(contact.phoneNumber)) : ''}</td>
+        <td>${escapeHtml(greeting.birthdayDate)}</td>
+        <td>${message ? new Date(message.sentTime || message.scheduledTime).toLocaleString() : ''}</td>
+        <td>
+          <span class="message-status ${status.toLowerCase()}" title="${escapeHtml((message && message.failureReason) || '')}">${status}</span>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Convert minutes from midnight to HH:MM
+ * @param {number} minutes - Minutes from midnight
+ * @returns {string}
+ */
+function minutesToTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Convert HH:MM to minutes from midnight
+ * @param {string} time - Time in HH:MM
+ * @returns {number}
+ */
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(part => parseInt(part) || 0);
+  return hours * 60 + minutes;
+}
+
+export {
+  openBirthdaysModal
+};
@@ -1,8 +1,13 @@
 // contacts.js - Contact management functionality
 
 import { showNotification } from '../ui/notifications.js';
-import { formatPhoneNumber, createCellContentHTML } from '../utils/helpers.js';
+import { createCellContentHTML } from '../utils/helpers.js';
 import { api, waitForAPI } from '../utils/api.js';
+import { loadTags, renderTagBadges, renderTagCheckboxes, getCheckedTagIds, createTagFromInput, openTagPickerModal } from './tags.js';
+import { openSegmentsModal } from './segments.js';
+import { openDoNotContactModal, setupDoNotContactListener } from './do-not-contact.js';
+import { openBirthdaysModal } from './birthdays.js';
+import { openDuplicatesModal } from './duplicates.js';
 
 // Module state
 let contacts = [];
@@ -12,6 +17,7 @@ let totalPages = 1;
 let totalContacts = 0;
 let isLoading = false;
 let currentSearchQuery = '';
+let currentWhatsAppFilter = '';
 let selectedContactIds = new Set();
 let allContactsSelected = false;
 
@@ -117,6 +123,76 @@ function setupContactsEventListeners() {
     newDeleteButton.addEventListener('click', deleteSelectedContacts);
   }
   
+  // Tag / untag selected contacts buttons
+  ['tag', 'untag'].forEach(mode => {
+    const tagButton = document.getElementById(`${mode}-selected-contacts`);
+    if (tagButton) {
+      // Remove existing event listeners to prevent duplicates
+      const newTagButton = tagButton.cloneNode(true);
+      tagButton.parentNode.replaceChild(newTagButton, tagButton);
+      newTagButton.addEventListener('click', () => tagSelectedContacts(mode));
+    }
+  });
+  
+  // Manage segments button
+  const segmentsButton = document.getElementById('manage-segments');
+  if (segmentsButton) {
+    // Remove existing event listeners to prevent duplicates
+    const newSegmentsButton = segmentsButton.cloneNode(true);
+    segmentsButton.parentNode.replaceChild(newSegmentsButton, segmentsButton);
+    newSegmentsButton.addEventListener('click', openSegmentsModal);
+  }
+  
+  // Do-not-contact list button
+  const doNotContactButton = document.getElementById('manage-do-not-contact');
+  if (doNotContactButton) {
+    // Remove existing event listeners to prevent duplicates
+    const newDoNotContactButton = doNotContactButton.cloneNode(true);
+    doNotContactButton.parentNode.replaceChild(newDoNotContactButton, doNotContactButton);
+    newDoNotContactButton.addEventListener('click', openDoNotContactModal);
+  }
+  setupDoNotContactListener();
+  
+  // Birthday greetings button
+  const birthdaysButton = document.getElementById('manage-birthdays');
+  if (birthdaysButton) {
+    // Remove existing event listeners to prevent duplicates
+    const newBirthdaysButton = birthdaysButton.cloneNode(true);
+    birthdaysButton.parentNode.replaceChild(newBirthdaysButton, birthdaysButton);
+    newBirthdaysButton.addEventListener('click', openBirthdaysModal);
+  }
+  
+  // Duplicate contacts button
+  const duplicatesButton = document.getElementById('find-duplicate-contacts');
+  if (duplicatesButton) {
+    // Remove existing event listeners to prevent duplicates
+    const newDuplicatesButton = duplicatesButton.cloneNode(true);
+    duplicatesButton.parentNode.replaceChild(newDuplicatesButton, duplicatesButton);
+    newDuplicatesButton.addEventListener('click', () => openDuplicatesModal(() => {
+      loadContactsPaginated();
+      updateDashboardContactsCount();
+    }));
+  }
+  
+  // Check numbers button
+  const checkNumbersButton = document.getElementById('check-contact-numbers');
+  if (checkNumbersButton) {
+    // Remove existing event listeners to prevent duplicates
+    const newCheckNumbersButton = checkNumbersButton.cloneNode(true);
+    checkNumbersButton.parentNode.replaceChild(newCheckNumbersButton, checkNumbersButton);
+    newCheckNumbersButton.addEventListener('click', checkContactNumbers);
+  }
+  
+  // WhatsApp number check filter
+  const whatsAppFilter = document.getElementById('contact-whatsapp-filter');
+  if (whatsAppFilter) {
+    whatsAppFilter.addEventListener('change', () => {
+      currentWhatsAppFilter = whatsAppFilter.value;
+      currentPage = 1; // Reset to first page on filter change
+      loadContactsPaginated();
+    });
+  }
+  
   // Search contacts input
   const searchInput = document.getElementById('contact-search');
   if (searchInput) {
@@ -268,11 +344,13 @@ async function loadContactsPaginated() {
     // Show loading state
     const tableBody = document.querySelector('#contacts-table tbody');
     if (tableBody) {
-      tableBody.innerHTML = '<tr><td colspan="7" class="text-center">Loading contacts...</td></tr>';
+      tableBody.innerHTML = '<tr><td colspan="8" class="text-center">Loading contacts...</td></tr>';
     }
     
     // Get paginated contacts from the API
-    const response = await api.getContactsPaginated(currentPage, pageSize, currentSearchQuery);
+    const response = await api.getContactsPaginated(currentPage, pageSize, currentSearchQuery, {
+      whatsappStatus: currentWhatsAppFilter || null
+    });
     
     // Update state
     contacts = response.contacts;
@@ -327,7 +405,7 @@ function displayPaginatedContacts(contactsToDisplay, pagination) {
   
   // If no contacts, show a message
   if (contactsToDisplay.length === 0) {
-    tableBody.innerHTML = '<tr><td colspan="7" class="text-center">No contacts available. Import contacts or add a new contact.</td></tr>';
+    tableBody.innerHTML = '<tr><td colspan="8" class="text-center">No contacts available. Import contacts or add a new contact.</td></tr>';
     return;
   }
   
@@ -343,9 +421,10 @@ function displayPaginatedContacts(contactsToDisplay, pagination) {
       <td><input type="checkbox" class="contact-checkbox" data-id="${contact.id}" ${isChecked ? 'checked' : ''}></td>
       <td>${contact.name || '-'}</td>
       <td>${contact.surname || '-'}</td>
-      <td>${contact.phoneNumber || '-'}</td>
+      <td>${contact.phoneNumber || '-'}${renderNumberStatus(contact)}</td>
       <td>${contact.email || '-'}</td>
       <td>${contact.source || 'Added manually'}</td>
+      <td class="contact-tags">${renderTagBadges(contact.Tags)}</td>
       <td>
         <button class="action-btn edit-btn" data-id="${contact.id}" title="Edit Contact">
           <i class="fas fa-edit"></i>
@@ -400,6 +479,52 @@ function displayPaginatedContacts(contactsToDisplay, pagination) {
   addOptimizedPagination(pagination);
 }
 
+/**
+ * Icon with the result of the WhatsApp number check of a contact
+ * @param {Object} contact - The contact
+ * @returns {string} - HTML, empty while the number is not checked
+ */
+function renderNumberStatus(contact) {
+  const checkedAt = contact.lastCheckedAt ? `, checked ${new Date(contact.lastCheckedAt).toLocaleDateString()}` : '';
+  
+  if (contact.whatsappStatus === 'VALID') {
+    return ` <i class="fas fa-check-circle number-status valid" title="On WhatsApp${checkedAt}"></i>`;
+  }
+  if (contact.whatsappStatus === 'INVALID') {
+    return ` <i class="fas fa-times-circle number-status invalid" title="Not on WhatsApp${checkedAt}"></i>`;
+  }
+  return '';
+}
+
+/**
+ * Look for numbers to check now and show how far the number check is
+ */
+async function checkContactNumbers() {
+  try {
+    const result = await api.checkNumbersNow();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    const { status } = result;
+    const counts = status.contacts;
+    const summary = `${counts.VALID} on WhatsApp, ${counts.INVALID} not on WhatsApp, ${counts.UNVERIFIED} not checked yet`;
+    
+    if (!status.connected) {
+      showNotification('Number Check', `${summary}. Numbers are checked while WhatsApp is connected.`, 'warning');
+    } else if (status.due > 0) {
+      showNotification('Number Check', `${summary}. ${status.due} number(s) are being checked in the background.`, 'info');
+    } else {
+      showNotification('Number Check', `${summary}. All numbers are checked.`, 'success');
+    }
+    
+    loadContactsPaginated();
+  } catch (error) {
+    console.error('Error checking contact numbers:', error);
+    showNotification('Error', 'Failed to check numbers: ' + error.message, 'error');
+  }
+}
+
 /**
  * Add optimized pagination controls
  * @param {Object} pagination - Pagination information
@@ -494,6 +619,37 @@ function updateDeleteSelectedButton() {
       deleteSelectedButton.innerHTML = '<i class="fas fa-trash"></i> Delete Selected';
     }
   }
+  
+  // Bulk tagging works on the selected rows of the current page
+  const hasSelection = selectedContactIds.size > 0;
+  ['tag-selected-contacts', 'untag-selected-contacts'].forEach(buttonId => {
+    const button = document.getElementById(buttonId);
+    if (button) button.disabled = !hasSelection;
+  });
+}
+
+/**
+ * Add or remove tags on the selected contacts
+ * @param {string} mode - 'tag' or 'untag'
+ */
+async function tagSelectedContacts(mode) {
+  if (selectedContactIds.size === 0) {
+    return;
+  }
+  
+  await openTagPickerModal(mode, Array.from(selectedContactIds), () => loadContactsPaginated());
+}
+
+/**
+ * Offer the time zones the app knows in the contact form, once
+ */
+function populateTimeZoneOptions() {
+  const datalist = document.getElementById('contact-timezone-options');
+  if (!datalist || datalist.options.length > 0 || typeof Intl.supportedValuesOf !== 'function') return;
+  
+  datalist.innerHTML = Intl.supportedValuesOf('timeZone')
+    .map(timeZone => `<option value="${timeZone}"></option>`)
+    .join('');
 }
 
 /**
@@ -508,6 +664,8 @@ async function openContactModal(id = null) {
     
     // Reset form
     form.reset();
+    renderCustomFieldRows({});
+    populateTimeZoneOptions();
   
     // Set modal title and contact ID
     if (id) {
@@ -539,8 +697,14 @@ async function openContactModal(id = null) {
             document.getElementById('contact-phone').value = contact.phoneNumber || '';
             document.getElementById('contact-email').value = contact.email || '';
             document.getElementById('contact-birthday').value = contact.birthday || '';
+            document.getElementById('contact-timezone').value = contact.timezone || '';
             document.getElementById('contact-source').value = contact.source || 'Added manually';
             document.getElementById('contact-notes').value = contact.notes || '';
+            renderCustomFieldRows(contact.customFields || {});
+            
+            // Check the tags the contact already has
+            await loadTags();
+            renderTagCheckboxes(document.getElementById('contact-tags'), (contact.Tags || []).map(tag => tag.id));
         } catch (error) {
             console.error('Error loading contact details:', error);
             showNotification('Error', 'Failed to load contact details: ' + error.message, 'error');
@@ -549,6 +713,9 @@ async function openContactModal(id = null) {
         modalTitle.textContent = 'Add Contact';
         document.getElementById('contact-id').value = '';
         document.getElementById('contact-source').value = 'Added manually';
+        
+        await loadTags();
+        renderTagCheckboxes(document.getElementById('contact-tags'));
     }
   
     // Clear any previous error messages
@@ -588,6 +755,20 @@ function setupContactModalEventListeners() {
       }
     };
   
+  // Add an empty custom field row
+  document.getElementById('add-custom-field').onclick = () => addCustomFieldRow();
+  
+  // Create a new tag from the modal
+  const newTagInput = document.getElementById('contact-new-tag');
+  const tagsContainer = document.getElementById('contact-tags');
+  document.getElementById('contact-add-tag').onclick = () => createTagFromInput(newTagInput, tagsContainer);
+  newTagInput.onkeydown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      createTagFromInput(newTagInput, tagsContainer);
+    }
+  };
+  
   // Save contact when clicking save button
   saveButton.onclick = saveContact;
   
@@ -604,6 +785,65 @@ function setupContactModalEventListeners() {
   }, 100);
 }
 
+/**
+ * Render the custom field rows of the contact modal
+ * @param {Object} customFields - Custom fields of the contact
+ */
+function renderCustomFieldRows(customFields) {
+  const container = document.getElementById('contact-custom-fields');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  Object.entries(customFields).forEach(([key, value]) => addCustomFieldRow(key, value));
+}
+
+/**
+ * Add a key/value row to the custom fields of the contact modal
+ * @param {string} key - Field name
+ * @param {string} value - Field value
+ */
+function addCustomFieldRow(key = '', value = '') {
+  const container = document.getElementById('contact-custom-fields');
+  if (!container) return;
+  
+  const row = document.createElement('div');
+  row.className = 'custom-field-row';
+  row.innerHTML = `
+    <input type="text" class="custom-field-key" placeholder="Field name, e.g. company">
+    <input type="text" class="custom-field-value" placeholder="Value">
+    <button type="button" class="action-btn remove-custom-field" title="Remove Field">
+      <i class="fas fa-times"></i>
+    </button>
+  `;
+  
+  // Set values as properties so they never need escaping
+  row.querySelector('.custom-field-key').value = key;
+  row.querySelector('.custom-field-value').value = value;
+  row.querySelector('.remove-custom-field').addEventListener('click', () => row.remove());
+  
+  container.appendChild(row);
+}
+
+/**
+ * Read the custom fields from the contact modal
+ * @returns {Object} - Custom fields keyed by a template-safe name
+ */
+function collectCustomFields() {
+  const customFields = {};
+  
+  document.querySelectorAll('#contact-custom-fields .custom-field-row').forEach(row => {
+    // Same key format as imported columns: "Company Name" -> "Company_Name"
+    const key = row.querySelector('.custom-field-key').value.trim().replace(/\s+/g, '_').replace(/[^\w]/g, '');
+    const value = row.querySelector('.custom-field-value').value.trim();
+    
+    if (key && value) {
+      customFields[key] = value;
+    }
+  });
+  
+  return customFields;
+}
+
 /**
  * Save contact (create or update)
  */
@@ -619,8 +859,10 @@ async function saveContact() {
       phoneNumber: phoneInput.value.trim(),
       email: document.getElementById('contact-email').value.trim(),
       birthday: document.getElementById('contact-birthday').value,
+      timezone: document.getElementById('contact-timezone').value.trim(),
       source: document.getElementById('contact-source').value,
-      notes: document.getElementById('contact-notes').value.trim()
+      notes: document.getElementById('contact-notes').value.trim(),
+      customFields: collectCustomFields()
     };
     
     // Validate phone number (required)
@@ -631,8 +873,17 @@ async function saveContact() {
       return;
     }
     
-    // Format phone number
-    contactData.phoneNumber = formatPhoneNumber(contactData.phoneNumber);
+    // Bring the phone number to E.164, local numbers are read in the default country
+    const [phone] = await api.parsePhoneNumbers([contactData.phoneNumber]);
+    if (phone && !phone.valid) {
+      phoneError.textContent = phone.error;
+      phoneError.style.display = 'block';
+      phoneInput.focus();
+      return;
+    }
+    if (phone) {
+      contactData.phoneNumber = phone.e164;
+    }
     
     // Check for duplicate phone number
     try {
@@ -663,6 +914,15 @@ async function saveContact() {
     
     // Check if the response was successful
     if (success) {
+      // Save the contact's tags
+      const savedContactId = contactId || (response.contact && response.contact.id) || response.id;
+      if (savedContactId) {
+        const tagResponse = await api.setContactTags(savedContactId, getCheckedTagIds(document.getElementById('contact-tags')));
+        if (tagResponse && tagResponse.success === false) {
+          showNotification('Warning', 'Contact saved, but its tags could not be updated: ' + tagResponse.error, 'warning');
+        }
+      }
+      
       // Close modal
       document.getElementById('contact-modal').style.display = 'none';
       
@@ -673,6 +933,10 @@ async function saveContact() {
         'success'
       );
       
+      if (phone && phone.type === 'landline') {
+        showNotification('Landline Number', `${phone.e164} is a landline, most landlines can't receive WhatsApp messages`, 'warning');
+      }
+      
       // Reload contacts
       await loadContactsPaginated();
       
@@ -686,6 +950,10 @@ async function saveContact() {
         phoneError.textContent = 'A contact with this phone number already exists';
         phoneError.style.display = 'block';
         phoneInput.focus();
+      } else if (response && response.code === 'INVALID_PHONE') {
+        phoneError.textContent = errorMessage;
+        phoneError.style.display = 'block';
+        phoneInput.focus();
       } else {
         showNotification('Error', errorMessage, 'error');
       }
@@ -819,12 +1087,13 @@ function rebuildContactsTable() {
       <th>Phone Number</th>
       <th>Email</th>
       <th>Source</th>
+      <th>Tags</th>
       <th>Actions</th>
     </tr>
     </thead>
     <tbody>
       <tr>
-        <td colspan="7" class="text-center">Loading contacts...</td>
+        <td colspan="8" class="text-center">Loading contacts...</td>
       </tr>
     </tbody>
   `;
@@ -1147,6 +1416,14 @@ function updateImportProgress(progress) {
  * @returns {Array} - Contacts with validation info
  */
 async function prepareContactsForPreview(contacts, source) {
+  // Bring the numbers to E.164 first, so a number written two ways is a duplicate
+  const phones = await api.parsePhoneNumbers(contacts.map(contact => contact.phoneNumber ? String(contact.phoneNumber) : ''));
+  contacts.forEach((contact, index) => {
+    if (phones[index] && phones[index].e164) {
+      contact.phoneNumber = phones[index].e164;
+    }
+  });
+  
   // First, check for duplicates within the file
   const phoneMap = new Map();
   const duplicatePhones = new Set();
@@ -1154,22 +1431,16 @@ async function prepareContactsForPreview(contacts, source) {
   // First pass: identify duplicates within the file
   contacts.forEach(contact => {
     if (contact.phoneNumber && contact.phoneNumber.trim() !== '') {
-      const formattedPhone = formatPhoneNumber(contact.phoneNumber);
-      if (phoneMap.has(formattedPhone)) {
-        duplicatePhones.add(formattedPhone);
+      if (phoneMap.has(contact.phoneNumber)) {
+        duplicatePhones.add(contact.phoneNumber);
       } else {
-        phoneMap.set(formattedPhone, contact);
+        phoneMap.set(contact.phoneNumber, contact);
       }
     }
   });
   
   // Second pass: check against database and mark duplicates
-  const processedContacts = await Promise.all(contacts.map(async contact => {
-    // Format phone if present
-    if (contact.phoneNumber && contact.phoneNumber.trim() !== '') {
-      contact.phoneNumber = formatPhoneNumber(contact.phoneNumber);
-    }
-    
+  const processedContacts = await Promise.all(contacts.map(async (contact, index) => {
     // Set validation status
     let valid = true;
     let error = null;
@@ -1179,6 +1450,9 @@ async function prepareContactsForPreview(contacts, source) {
     if (!contact.phoneNumber || contact.phoneNumber.trim() === '') {
       valid = false;
       error = 'Missing phone number';
+    } else if (phones[index] && !phones[index].valid) {
+      valid = false;
+      error = phones[index].error;
     } else {
       // Check if it's a duplicate within the file
       if (duplicatePhones.has(contact.phoneNumber)) {
@@ -1663,7 +1937,13 @@ function showImportPreview(contacts) {
         return;
       }
       
-      const formattedPhone = formatPhoneNumber(phoneInput.value.trim());
+      const [phone] = await api.parsePhoneNumbers([phoneInput.value.trim()]);
+      if (phone && !phone.valid) {
+        phoneError.textContent = phone.error;
+        phoneError.style.display = 'block';
+        return;
+      }
+      const formattedPhone = phone ? phone.e164 : phoneInput.value.trim();
       
       // Check for duplicates
       try {
@@ -1852,7 +2132,8 @@ function showImportPreview(contacts) {
           // Show success notification
           showNotification(
             'Success', 
-            `Imported ${response.imported} contacts (${response.duplicates} duplicates, ${response.errors} errors)`,
+            `Imported ${response.imported} contacts (${response.duplicates} duplicates, ${response.errors} errors` +
+              `${response.landlines ? `, ${response.landlines} landline numbers` : ''})`,
             'success'
           );
           
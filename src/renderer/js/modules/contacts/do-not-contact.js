@@ -0,0 +1,248 @@
+// do-not-contact.js - Numbers that are never messaged (opt-outs, STOP replies, imports)
+import { showNotification } from '../ui/notifications.js';
+import { escapeHtml, debounce } from '../utils/helpers.js';
+import { api } from '../utils/api.js';
+
+const REASON_LABELS = {
+  MANUAL: 'Added manually',
+  KEYWORD: 'Replied STOP',
+  IMPORT: 'Imported'
+};
+
+// Do-not-contact entries cache
+let entries = [];
+let listenerRegistered = false;
+
+/**
+ * Open the do-not-contact manager
+ */
+async function openDoNotContactModal() {
+  const modal = document.getElementById('do-not-contact-modal');
+  if (!modal) return;
+
+  document.getElementById('dnc-search').value = '';
+  document.getElementById('dnc-phone').value = '';
+  document.getElementById('dnc-notes').value = '';
+  setupDoNotContactModalEventListeners();
+  await loadEntries();
+
+  modal.style.display = 'block';
+}
+
+/**
+ * Show a notification whenever a contact opts out by replying STOP
+ */
+function setupDoNotContactListener() {
+  if (listenerRegistered) return;
+  listenerRegistered = true;
+
+  api.on('do-not-contact-added', (entry) => {
+    showNotification('Contact Opted Out', `${entry.phoneNumber} replied "${entry.keywordMessage}" and will not be messaged again`, 'info');
+
+    const modal = document.getElementById('do-not-contact-modal');
+    if (modal && modal.style.display === 'block') {
+      loadEntries();
+    }
+  });
+}
+
+/**
+ * Load and render the list
+ */
+async function loadEntries() {
+  const search = document.getElementById('dnc-search')?.value.trim() || '';
+
+  try {
+    entries = await api.getDoNotContactList(search) || [];
+  } catch (error) {
+    console.error('Error loading do-not-contact list:', error);
+    entries = [];
+  }
+  renderEntries();
+}
+
+/**
+ * Render the list table
+ */
+function renderEntries() {
+  const tbody = document.querySelector('#dnc-table tbody');
+  const count = document.getElementById('dnc-count');
+  if (!tbody) return;
+
+  document.getElementById('dnc-select-all').checked = false;
+  updateRemoveButton();
+
+  if (count) {
+    count.textContent = `${entries.length} number${entries.length !== 1 ? 's' : ''}`;
+  }
+
+  if (entries.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" class="text-center">No numbers on the do-not-contact list</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = entries.map(entry => {
+    const details = entry.reason === 'KEYWORD' ? `"${entry.keywordMessage}"` : entry.notes;
+
+    return `
+      <tr>
+        <td><input type="checkbox" class="dnc-select" value="${entry.id}"></td>
+        <td>${escapeHtml(entry.phoneNumber)}</td>
+        <td>${REASON_LABELS[entry.reason] || escapeHtml(entry.reason)}</td>
+        <td>${escapeHtml(details || '-')}</td>
+        <td>${new Date(entry.createdAt).toLocaleString()}</td>
+      </tr>
+    `;
+  }).join('');
+
+  tbody.querySelectorAll('.dnc-select').forEach(checkbox => {
+    checkbox.addEventListener('change', updateRemoveButton);
+  });
+}
+
+/**
+ * Set up event listeners for the do-not-contact modal
+ */
+function setupDoNotContactModalEventListeners() {
+  const modal = document.getElementById('do-not-contact-modal');
+
+  modal.querySelectorAll('.close-modal').forEach(button => {
+    button.onclick = () => {
+      modal.style.display = 'none';
+    };
+  });
+
+  document.getElementById('dnc-search').oninput = debounce(loadEntries, 300);
+  document.getElementById('dnc-add').onclick = addEntry;
+  document.getElementById('dnc-remove-selected').onclick = removeSelected;
+  document.getElementById('dnc-import').onclick = importEntries;
+  document.getElementById('dnc-export').onclick = exportEntries;
+  document.getElementById('dnc-select-all').onchange = (event) => {
+    document.querySelectorAll('#dnc-table .dnc-select').forEach(checkbox => {
+      checkbox.checked = event.target.checked;
+    });
+    updateRemoveButton();
+  };
+}
+
+/**
+ * Enable the remove button while entries are selected
+ */
+function updateRemoveButton() {
+  const button = document.getElementById('dnc-remove-selected');
+  if (button) {
+    button.disabled = document.querySelectorAll('#dnc-table .dnc-select:checked').length === 0;
+  }
+}
+
+/**
+ * Add the number from the form
+ */
+async function addEntry() {
+  const phoneInput = document.getElementById('dnc-phone');
+  const notesInput = document.getElementById('dnc-notes');
+
+  if (!phoneInput.value.trim()) {
+    showNotification('Warning', 'Please enter a phone number', 'warning');
+    return;
+  }
+
+  try {
+    const response = await api.addDoNotContact({
+      phoneNumber: phoneInput.value.trim(),
+      notes: notesInput.value.trim()
+    });
+
+    if (response && response.success) {
+      showNotification('Success', `${response.entry.phoneNumber} added to the do-not-contact list`, 'success');
+      phoneInput.value = '';
+      notesInput.value = '';
+      await loadEntries();
+    } else {
+      showNotification('Error', (response && response.error) || 'Failed to add number', 'error');
+    }
+  } catch (error) {
+    console.error('Error adding do-not-contact entry:', error);
+    showNotification('Error', 'Failed to add number: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Remove the selected entries
+ */
+async function removeSelected() {
+  const ids = Array.from(document.querySelectorAll('#dnc-table .dnc-select:checked')).map(checkbox => parseInt(checkbox.value));
+  if (ids.length === 0) return;
+
+  if (!confirm(`Remove ${ids.length} number${ids.length !== 1 ? 's' : ''} from the do-not-contact list? They can be messaged again afterwards.`)) {
+    return;
+  }
+
+  try {
+    const response = await api.removeDoNotContact(ids);
+
+    if (response && response.success) {
+      showNotification('Success', `Removed ${response.removed} number${response.removed !== 1 ? 's' : ''}`, 'success');
+      await loadEntries();
+    } else {
+      showNotification('Error', (response && response.error) || 'Failed to remove numbers', 'error');
+    }
+  } catch (error) {
+    console.error('Error removing do-not-contact entries:', error);
+    showNotification('Error', 'Failed to remove numbers: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Import numbers from a CSV, Excel or JSON file
+ */
+async function importEntries() {
+  try {
+    const result = await api.showFileDialog({
+      title: 'Select Do-Not-Contact File',
+      filters: [
+        { name: 'Contact Files', extensions: ['csv', 'xlsx', 'xls', 'json'] },
+        { name: 'All Files', extensions: ['*'] }
+      ],
+      properties: ['openFile']
+    });
+
+    if (result.canceled || !result.filePaths || result.filePaths.length === 0) return;
+
+    const response = await api.importDoNotContact(result.filePaths[0]);
+
+    if (response && response.success) {
+      showNotification('Import Complete',
+        `${response.imported} added, ${response.duplicates} already listed, ${response.invalid} without a valid number`, 'success');
+      await loadEntries();
+    } else {
+      showNotification('Error', (response && response.error) || 'Failed to import numbers', 'error');
+    }
+  } catch (error) {
+    console.error('Error importing do-not-contact list:', error);
+    showNotification('Error', 'Failed to import numbers: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Export the list as CSV
+ */
+async function exportEntries() {
+  try {
+    const response = await api.exportDoNotContact();
+
+    if (response && response.success) {
+      showNotification('Success', `Do-not-contact list exported to ${response.filePath}`, 'success');
+    } else {
+      showNotification('Error', (response && response.error) || 'Failed to export the list', 'error');
+    }
+  } catch (error) {
+    console.error('Error exporting do-not-contact list:', error);
+    showNotification('Error', 'Failed to export the list: ' + error.message, 'error');
+  }
+}
+
+export {
+  openDoNotContactModal,
+  setupDoNotContactListener
+};
@@ -0,0 +1,163 @@
+// duplicates.js - Finding contacts saved more than once and merging them
+import { showNotification } from '../ui/notifications.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { api } from '../utils/api.js';
+import { renderTagBadges } from './tags.js';
+
+const REASON_LABELS = {
+  phone: 'Same phone number',
+  email: 'Same email',
+  name: 'Similar name'
+};
+
+// Called after a merge, so the contacts list can reload
+let onMerged = null;
+
+/**
+ * Open the duplicate contacts finder
+ * @param {Function} onDone - Called after contacts were merged
+ */
+async function openDuplicatesModal(onDone) {
+  const modal = document.getElementById('duplicates-modal');
+  if (!modal) return;
+
+  onMerged = onDone;
+
+  modal.querySelectorAll('.close-modal').forEach(button => {
+    button.onclick = () => {
+      modal.style.display = 'none';
+    };
+  });
+
+  modal.style.display = 'block';
+  await loadDuplicates();
+}
+
+/**
+ * Find the duplicates and show each group side by side
+ */
+async function loadDuplicates() {
+  const list = document.getElementById('duplicates-list');
+  const count = document.getElementById('duplicates-count');
+
+  list.innerHTML = '<p class="dnc-hint">Looking for duplicates...</p>';
+  count.textContent = '';
+
+  try {
+    const groups = await api.findDuplicateContacts();
+
+    if (!Array.isArray(groups) || groups.length === 0) {
+      list.innerHTML = '<p class="dnc-hint">No duplicate contacts found</p>';
+      return;
+    }
+
+    const contacts = groups.reduce((sum, group) => sum + group.contacts.length, 0);
+    count.textContent = `${groups.length} group${groups.length !== 1 ? 's' : ''}, ${contacts} contacts`;
+
+    list.innerHTML = groups.map((group, index) => renderGroup(group, index)).join('');
+    list.querySelectorAll('.merge-duplicates-btn').forEach(button => {
+      button.onclick = () => mergeGroup(button.closest('.duplicate-group'));
+    });
+  } catch (error) {
+    console.error('Error finding duplicate contacts:', error);
+    list.innerHTML = '';
+    showNotification('Error', 'Failed to find duplicate contacts: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Render a group of duplicates, one column per contact
+ * @param {Object} group - { reasons, contacts }
+ * @param {number} index - Position of the group
+ * @returns {string} - HTML
+ */
+function renderGroup(group, index) {
+  // The contact with the most history is the one to keep by default
+  const suggested = group.contacts.reduce((best, contact) =>
+    contact.messageCount > best.messageCount ? contact : best, group.contacts[0]);
+
+  return `
+    <div class="duplicate-group">
+      <div class="duplicate-group-header">
+        <span>${group.reasons.map(reason => escapeHtml(REASON_LABELS[reason] || reason)).join(', ')}</span>
+        <button type="button" class="primary-btn merge-duplicates-btn">
+          <i class="fas fa-compress-arrows-alt"></i> Merge
+        </button>
+      </div>
+      <div class="duplicate-contacts">
+        ${group.contacts.map(contact => renderContact(contact, index, contact.id === suggested.id)).join('')}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render one contact of a group
+ * @param {Object} contact - Contact with Tags and messageCount
+ * @param {number} groupIndex - Position of the group, names the radio buttons
+ * @param {boolean} keep - Whether the contact is chosen to keep
+ * @returns {string} - HTML
+ */
+function renderContact(contact, groupIndex, keep) {
+  const name = [contact.name, contact.surname].filter(Boolean).join(' ') || '-';
+  const customFields = Object.entries(contact.customFields || {})
+    .map(([key, value]) => `${escapeHtml(key)}: ${escapeHtml(value)}`)
+    .join('<br>');
+
+  return `
+    <div class="duplicate-contact" data-id="${contact.id}">
+      <label class="duplicate-keep">
+        <input type="radio" name="duplicate-keep-${groupIndex}" value="${contact.id}" ${keep ? 'checked' : ''}> Keep
+      </label>
+      <strong>${escapeHtml(name)}</strong>
+      <dl>
+        <dt>Phone</dt><dd>${escapeHtml(contact.phoneNumber)}</dd>
+        <dt>Email</dt><dd>${escapeHtml(contact.email || '-')}</dd>
+        <dt>Birthday</dt><dd>${escapeHtml(contact.birthday || '-')}</dd>
+        <dt>Tags</dt><dd>${renderTagBadges(contact.Tags)}</dd>
+        <dt>Custom fields</dt><dd>${customFields || '-'}</dd>
+        <dt>Messages</dt><dd>${contact.messageCount}</dd>
+        <dt>Notes</dt><dd>${escapeHtml(contact.notes || '-')}</dd>
+      </dl>
+    </div>
+  `;
+}
+
+/**
+ * Merge the contacts of a group into the one chosen to keep
+ * @param {HTMLElement} groupElement - Element of the group
+ */
+async function mergeGroup(groupElement) {
+  const checked = groupElement.querySelector('.duplicate-keep input:checked');
+  if (!checked) {
+    showNotification('Warning', 'Choose the contact to keep', 'warning');
+    return;
+  }
+
+  const survivorId = parseInt(checked.value);
+  const duplicateIds = Array.from(groupElement.querySelectorAll('.duplicate-contact'))
+    .map(element => parseInt(element.dataset.id))
+    .filter(id => id !== survivorId);
+
+  if (!confirm(`Merge ${duplicateIds.length} contact${duplicateIds.length !== 1 ? 's' : ''} into the chosen one? The others are deleted afterwards.`)) {
+    return;
+  }
+
+  try {
+    const result = await api.mergeContacts(survivorId, duplicateIds);
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Unknown error');
+    }
+
+    showNotification('Success', `Merged ${result.merged} contact${result.merged !== 1 ? 's' : ''}, ${result.messagesMoved} messages moved`, 'success');
+    await loadDuplicates();
+    if (onMerged) onMerged();
+  } catch (error) {
+    console.error('Error merging contacts:', error);
+    showNotification('Error', 'Failed to merge contacts: ' + error.message, 'error');
+  }
+}
+
+export {
+  openDuplicatesModal
+};
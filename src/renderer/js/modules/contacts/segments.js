@@ -0,0 +1,345 @@
+// segments.js - Saved contact segments (rule-based groups used by the Bulk Sender)
+import { showNotification } from '../ui/notifications.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { api } from '../utils/api.js';
+import { loadTags, getTags } from './tags.js';
+
+const RULE_LABELS = {
+  tag: 'Has tag',
+  source: 'Source is',
+  birthdayMonth: 'Birthday month is',
+  createdAfter: 'Created on or after',
+  createdBefore: 'Created on or before',
+  hasEmail: 'Has email',
+  lastMessageStatus: 'Last message status is'
+};
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const MESSAGE_STATUSES = ['SCHEDULED', 'PENDING', 'SENDING', 'SENT', 'DELIVERED', 'READ', 'FAILED', 'CANCELED', 'PAUSED'];
+
+// Segments cache
+let segments = [];
+
+/**
+ * Open the segments manager
+ */
+async function openSegmentsModal() {
+  const modal = document.getElementById('segments-modal');
+  if (!modal) return;
+
+  await loadTags();
+  await loadSegments();
+  resetSegmentForm();
+  setupSegmentsModalEventListeners();
+
+  modal.style.display = 'block';
+}
+
+/**
+ * Load and render the saved segments
+ */
+async function loadSegments() {
+  try {
+    segments = await api.getSegments() || [];
+  } catch (error) {
+    console.error('Error loading segments:', error);
+    segments = [];
+  }
+  renderSegmentsList();
+}
+
+/**
+ * Render the saved segments list
+ */
+function renderSegmentsList() {
+  const list = document.getElementById('segments-list');
+  if (!list) return;
+
+  if (segments.length === 0) {
+    list.innerHTML = '<p class="empty-segments">No segments yet. Build one below.</p>';
+    return;
+  }
+
+  list.innerHTML = segments.map(segment => `
+    <div class="segment-item" data-id="${segment.id}">
+      <div class="segment-info">
+        <strong>${escapeHtml(segment.name)}</strong>
+        <span class="segment-count">${segment.contactCount} contact${segment.contactCount !== 1 ? 's' : ''}</span>
+        <div class="segment-rules-summary">${escapeHtml(describeRules(segment.rules, segment.matchType))}</div>
+      </div>
+      <div class="segment-actions">
+        <button class="action-btn edit-segment-btn" data-id="${segment.id}" title="Edit Segment">
+          <i class="fas fa-edit"></i>
+        </button>
+        <button class="action-btn delete-segment-btn" data-id="${segment.id}" title="Delete Segment">
+          <i class="fas fa-trash"></i>
+        </button>
+      </div>
+    </div>
+  `).join('');
+
+  list.querySelectorAll('.edit-segment-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const segment = segments.find(s => s.id === parseInt(btn.getAttribute('data-id')));
+      if (segment) fillSegmentForm(segment);
+    });
+  });
+
+  list.querySelectorAll('.delete-segment-btn').forEach(btn => {
+    btn.addEventListener('click', () => deleteSegment(parseInt(btn.getAttribute('data-id'))));
+  });
+}
+
+/**
+ * Describe a segment's rules in one line
+ * @param {Array} rules - Segment rules
+ * @param {string} matchType - ALL or ANY
+ * @returns {string} - Human readable description
+ */
+function describeRules(rules, matchType) {
+  const parts = (rules || []).map(rule => {
+    let value = rule.value;
+
+    if (rule.type === 'tag') {
+      const tag = getTags().find(t => t.id === parseInt(rule.value));
+      value = tag ? tag.name : `#${rule.value}`;
+    } else if (rule.type === 'birthdayMonth') {
+      value = MONTHS[parseInt(rule.value) - 1] || rule.value;
+    } else if (rule.type === 'hasEmail') {
+      value = rule.value === false || rule.value === 'false' ? 'no' : 'yes';
+    }
+
+    return `${RULE_LABELS[rule.type] || rule.type} ${value}`;
+  });
+
+  return parts.join(matchType === 'ANY' ? ' OR ' : ' AND ');
+}
+
+/**
+ * Set up event listeners for the segments modal
+ */
+function setupSegmentsModalEventListeners() {
+  const modal = document.getElementById('segments-modal');
+
+  modal.querySelectorAll('.close-modal').forEach(button => {
+    button.onclick = () => {
+      modal.style.display = 'none';
+    };
+  });
+
+  document.getElementById('add-segment-rule').onclick = () => addRuleRow();
+  document.getElementById('new-segment').onclick = () => resetSegmentForm();
+  document.getElementById('preview-segment').onclick = previewSegment;
+  document.getElementById('save-segment').onclick = saveSegment;
+}
+
+/**
+ * Clear the segment builder
+ */
+function resetSegmentForm() {
+  document.getElementById('segment-id').value = '';
+  document.getElementById('segment-name').value = '';
+  document.getElementById('segment-match-type').value = 'ALL';
+  document.getElementById('segment-rules').innerHTML = '';
+  document.getElementById('segment-preview-count').textContent = '';
+  document.getElementById('segment-form-title').textContent = 'New Segment';
+  addRuleRow();
+}
+
+/**
+ * Load a saved segment into the builder
+ * @param {Object} segment - Segment to edit
+ */
+function fillSegmentForm(segment) {
+  document.getElementById('segment-id').value = segment.id;
+  document.getElementById('segment-name').value = segment.name;
+  document.getElementById('segment-match-type').value = segment.matchType;
+  document.getElementById('segment-rules').innerHTML = '';
+  document.getElementById('segment-preview-count').textContent = '';
+  document.getElementById('segment-form-title').textContent = `Edit Segment: ${segment.name}`;
+
+  (segment.rules || []).forEach(rule => addRuleRow(rule));
+}
+
+/**
+ * Add a rule row to the builder
+ * @param {Object} rule - Optional rule to prefill
+ */
+function addRuleRow(rule = { type: 'tag', value: '' }) {
+  const container = document.getElementById('segment-rules');
+  const row = document.createElement('div');
+  row.className = 'segment-rule';
+
+  row.innerHTML = `
+    <select class="rule-type">
+      ${Object.entries(RULE_LABELS).map(([type, label]) =>
+        `<option value="${type}" ${type === rule.type ? 'selected' : ''}>${label}</option>`
+      ).join('')}
+    </select>
+    <span class="rule-value"></span>
+    <button type="button" class="action-btn remove-rule-btn" title="Remove Rule">
+      <i class="fas fa-times"></i>
+    </button>
+  `;
+
+  const typeSelect = row.querySelector('.rule-type');
+  const valueContainer = row.querySelector('.rule-value');
+
+  valueContainer.innerHTML = buildValueInput(rule.type, rule.value);
+  typeSelect.addEventListener('change', () => {
+    valueContainer.innerHTML = buildValueInput(typeSelect.value, '');
+  });
+
+  row.querySelector('.remove-rule-btn').addEventListener('click', () => row.remove());
+
+  container.appendChild(row);
+}
+
+/**
+ * Build the value input that fits a rule type
+ * @param {string} type - Rule type
+ * @param {*} value - Current value
+ * @returns {string} - HTML of the input
+ */
+function buildValueInput(type, value) {
+  const selected = (optionValue) => String(optionValue) === String(value) ? 'selected' : '';
+
+  switch (type) {
+    case 'tag':
+      if (getTags().length === 0) {
+        return '<select class="rule-input" disabled><option value="">No tags available</option></select>';
+      }
+      return `<select class="rule-input">${getTags().map(tag =>
+        `<option value="${tag.id}" ${selected(tag.id)}>${escapeHtml(tag.name)}</option>`
+      ).join('')}</select>`;
+
+    case 'birthdayMonth':
+      return `<select class="rule-input">${MONTHS.map((month, index) =>
+        `<option value="${index + 1}" ${selected(index + 1)}>${month}</option>`
+      ).join('')}</select>`;
+
+    case 'createdAfter':
+    case 'createdBefore':
+      return `<input type="date" class="rule-input" value="${escapeHtml(value || '')}">`;
+
+    case 'hasEmail':
+      return `<select class="rule-input">
+        <option value="true" ${value === false || value === 'false' ? '' : 'selected'}>Yes</option>
+        <option value="false" ${value === false || value === 'false' ? 'selected' : ''}>No</option>
+      </select>`;
+
+    case 'lastMessageStatus':
+      return `<select class="rule-input">${MESSAGE_STATUSES.map(status =>
+        `<option value="${status}" ${selected(status)}>${status}</option>`
+      ).join('')}</select>`;
+
+    default:
+      return `<input type="text" class="rule-input" placeholder="e.g. Added manually" value="${escapeHtml(value || '')}">`;
+  }
+}
+
+/**
+ * Read the rules from the builder
+ * @returns {Array} - Segment rules
+ */
+function collectRules() {
+  return Array.from(document.querySelectorAll('#segment-rules .segment-rule')).map(row => {
+    const type = row.querySelector('.rule-type').value;
+    let value = row.querySelector('.rule-input').value;
+
+    if (type === 'hasEmail') value = value === 'true';
+    if (type === 'tag' || type === 'birthdayMonth') value = parseInt(value) || '';
+    if (type === 'source') value = value.trim();
+
+    return { type, value };
+  });
+}
+
+/**
+ * Show how many contacts the current rules match
+ */
+async function previewSegment() {
+  const countElement = document.getElementById('segment-preview-count');
+
+  try {
+    const response = await api.previewSegment(collectRules(), document.getElementById('segment-match-type').value);
+
+    if (response && response.success) {
+      countElement.textContent = `${response.count} matching contact${response.count !== 1 ? 's' : ''}`;
+    } else {
+      countElement.textContent = '';
+      showNotification('Error', (response && response.error) || 'Failed to preview segment', 'error');
+    }
+  } catch (error) {
+    console.error('Error previewing segment:', error);
+    showNotification('Error', 'Failed to preview segment: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Create or update the segment in the builder
+ */
+async function saveSegment() {
+  const id = document.getElementById('segment-id').value;
+  const segmentData = {
+    name: document.getElementById('segment-name').value.trim(),
+    matchType: document.getElementById('segment-match-type').value,
+    rules: collectRules()
+  };
+
+  if (!segmentData.name) {
+    showNotification('Warning', 'Please enter a segment name', 'warning');
+    return;
+  }
+
+  try {
+    const response = id
+      ? await api.updateSegment(parseInt(id), segmentData)
+      : await api.createSegment(segmentData);
+
+    if (response && response.success) {
+      showNotification('Success', id ? 'Segment updated successfully' : 'Segment created successfully', 'success');
+      await loadSegments();
+      resetSegmentForm();
+    } else {
+      showNotification('Error', (response && response.error) || 'Failed to save segment', 'error');
+    }
+  } catch (error) {
+    console.error('Error saving segment:', error);
+    showNotification('Error', 'Failed to save segment: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Delete a saved segment
+ * @param {number} id - Segment ID
+ */
+async function deleteSegment(id) {
+  const segment = segments.find(s => s.id === id);
+  if (!confirm(`Are you sure you want to delete the segment "${segment ? segment.name : id}"? Contacts are not affected.`)) {
+    return;
+  }
+
+  try {
+    const response = await api.deleteSegment(id);
+
+    if (response && response.success) {
+      showNotification('Success', 'Segment deleted successfully', 'success');
+      await loadSegments();
+      if (document.getElementById('segment-id').value === String(id)) {
+        resetSegmentForm();
+      }
+    } else {
+      showNotification('Error', (response && response.error) || 'Failed to delete segment', 'error');
+    }
+  } catch (error) {
+    console.error('Error deleting segment:', error);
+    showNotification('Error', 'Failed to delete segment: ' + error.message, 'error');
+  }
+}
+
+export {
+  openSegmentsModal
+};
@@ -0,0 +1,184 @@
+// tags.js - Contact tags (badges, tag pickers and bulk tagging)
+import { showNotification } from '../ui/notifications.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { api } from '../utils/api.js';
+
+// Tags cache, refreshed whenever tags are created or changed
+let tags = [];
+
+/**
+ * Load all tags from the database
+ * @returns {Promise<Array>} - Array of tags
+ */
+async function loadTags() {
+  try {
+    tags = await api.getTags() || [];
+  } catch (error) {
+    console.error('Error loading tags:', error);
+    tags = [];
+  }
+  return tags;
+}
+
+/**
+ * Get the cached tags
+ * @returns {Array} - Array of tags
+ */
+function getTags() {
+  return tags;
+}
+
+/**
+ * Build the badges shown for a contact's tags
+ * @param {Array} contactTags - Tags of the contact
+ * @returns {string} - HTML of the badges
+ */
+function renderTagBadges(contactTags) {
+  if (!contactTags || contactTags.length === 0) return '-';
+
+  return contactTags.map(tag =>
+    `<span class="tag-badge" style="background-color: ${escapeHtml(tag.color)}">${escapeHtml(tag.name)}</span>`
+  ).join('');
+}
+
+/**
+ * Render a checkbox list of all tags into a container
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array} selectedIds - IDs of the tags that start checked
+ */
+function renderTagCheckboxes(container, selectedIds = []) {
+  if (!container) return;
+
+  if (tags.length === 0) {
+    container.innerHTML = '<p class="empty-tags">No tags yet. Create one below.</p>';
+    return;
+  }
+
+  const selected = new Set(selectedIds.map(id => parseInt(id)));
+
+  container.innerHTML = tags.map(tag => `
+    <label class="tag-option">
+      <input type="checkbox" value="${tag.id}" ${selected.has(tag.id) ? 'checked' : ''}>
+      <span class="tag-badge" style="background-color: ${escapeHtml(tag.color)}">${escapeHtml(tag.name)}</span>
+    </label>
+  `).join('');
+}
+
+/**
+ * Get the checked tag IDs of a checkbox list
+ * @param {HTMLElement} container - Element rendered by renderTagCheckboxes
+ * @returns {Array} - Checked tag IDs
+ */
+function getCheckedTagIds(container) {
+  if (!container) return [];
+  return Array.from(container.querySelectorAll('input[type="checkbox"]:checked'))
+    .map(checkbox => parseInt(checkbox.value));
+}
+
+/**
+ * Create a tag from a text input and re-render a checkbox list with the new tag checked
+ * @param {HTMLInputElement} input - Input holding the tag name
+ * @param {HTMLElement} container - Checkbox list to refresh
+ * @returns {Promise<Object|null>} - Created tag, or null on failure
+ */
+async function createTagFromInput(input, container) {
+  const name = input.value.trim();
+  if (!name) return null;
+
+  const checkedIds = getCheckedTagIds(container);
+  const response = await api.createTag({ name });
+
+  if (!response || !response.success) {
+    showNotification('Error', (response && response.error) || 'Failed to create tag', 'error');
+    return null;
+  }
+
+  input.value = '';
+  await loadTags();
+  renderTagCheckboxes(container, [...checkedIds, response.tag.id]);
+  return response.tag;
+}
+
+/**
+ * Open the tag picker to add or remove tags on several contacts
+ * @param {string} mode - 'tag' or 'untag'
+ * @param {Array} contactIds - IDs of the selected contacts
+ * @param {Function} onDone - Called after the tags were applied
+ */
+async function openTagPickerModal(mode, contactIds, onDone) {
+  const modal = document.getElementById('tag-picker-modal');
+  const title = document.getElementById('tag-picker-title');
+  const list = document.getElementById('tag-picker-list');
+  const newTagInput = document.getElementById('tag-picker-new');
+  const addButton = document.getElementById('tag-picker-add');
+  const applyButton = document.getElementById('tag-picker-apply');
+
+  if (!modal) return;
+
+  const count = contactIds.length;
+  title.textContent = mode === 'tag'
+    ? `Add Tags to ${count} Contact${count !== 1 ? 's' : ''}`
+    : `Remove Tags from ${count} Contact${count !== 1 ? 's' : ''}`;
+  applyButton.textContent = mode === 'tag' ? 'Add Tags' : 'Remove Tags';
+
+  // Only existing tags can be removed
+  addButton.parentElement.style.display = mode === 'tag' ? '' : 'none';
+
+  await loadTags();
+  renderTagCheckboxes(list);
+
+  addButton.onclick = () => createTagFromInput(newTagInput, list);
+  newTagInput.onkeydown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      createTagFromInput(newTagInput, list);
+    }
+  };
+
+  applyButton.onclick = async () => {
+    const tagIds = getCheckedTagIds(list);
+    if (tagIds.length === 0) {
+      showNotification('Warning', 'Select at least one tag', 'warning');
+      return;
+    }
+
+    try {
+      const response = mode === 'tag'
+        ? await api.tagContacts(contactIds, tagIds)
+        : await api.untagContacts(contactIds, tagIds);
+
+      if (response && response.success) {
+        modal.style.display = 'none';
+        showNotification(
+          'Success',
+          mode === 'tag' ? 'Tags added to the selected contacts' : 'Tags removed from the selected contacts',
+          'success'
+        );
+        if (onDone) onDone();
+      } else {
+        showNotification('Error', (response && response.error) || 'Failed to update tags', 'error');
+      }
+    } catch (error) {
+      console.error('Error applying tags:', error);
+      showNotification('Error', 'Failed to update tags: ' + error.message, 'error');
+    }
+  };
+
+  modal.querySelectorAll('.close-modal').forEach(button => {
+    button.onclick = () => {
+      modal.style.display = 'none';
+    };
+  });
+
+  modal.style.display = 'block';
+}
+
+export {
+  loadTags,
+  getTags,
+  renderTagBadges,
+  renderTagCheckboxes,
+  getCheckedTagIds,
+  createTagFromInput,
+  openTagPickerModal
+};
@@ -0,0 +1,147 @@
+// charts.js - Small SVG and CSS charts for the dashboard analytics
+import { escapeHtml } from '../utils/helpers.js';
+
+const SERIES = [
+  { key: 'sent', label: 'Sent', color: '#3498db' },
+  { key: 'delivered', label: 'Delivered', color: '#2ecc71' },
+  { key: 'read', label: 'Read', color: '#8e44ad' },
+  { key: 'failed', label: 'Failed', color: '#e74c3c' }
+];
+
+const WIDTH = 800;
+const HEIGHT = 220;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 36 };
+
+/**
+ * Draw sent, delivered and read as lines and failed as bars, one point per day
+ * @param {HTMLElement} container - Element to draw into
+ * @param {Array} days - Rows of { key: 'YYYY-MM-DD', sent, delivered, read, failed }
+ */
+function renderDailyChart(container, days) {
+  if (!container) return;
+
+  if (days.length === 0 || days.every(day => day.sent === 0 && day.failed === 0)) {
+    container.innerHTML = '<p class="text-center">No messages sent in this period</p>';
+    return;
+  }
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const maxValue = niceMax(Math.max(...days.map(day => Math.max(day.sent, day.failed))));
+  const step = days.length > 1 ? plotWidth / (days.length - 1) : 0;
+
+  const x = (index) => PADDING.left + (days.length > 1 ? index * step : plotWidth / 2);
+  const y = (value) => PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+
+  const gridLines = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+    const value = Math.round(maxValue * fraction);
+    return `
+      <line class="grid-line" x1="${PADDING.left}" x2="${WIDTH - PADDING.right}" y1="${y(value)}" y2="${y(value)}"></line>
+      <text class="axis-label" x="${PADDING.left - 6}" y="${y(value) + 3}" text-anchor="end">${value}</text>
+    `;
+  }).join('');
+
+  // Label about seven days so the axis stays readable on long ranges
+  const labelEvery = Math.max(1, Math.ceil(days.length / 7));
+  const dayLabels = days.map((day, index) => (index % labelEvery === 0 || index === days.length - 1)
+    ? `<text class="axis-label" x="${x(index)}" y="${HEIGHT - 6}" text-anchor="middle">${formatDayLabel(day.key)}</text>`
+    : ''
+  ).join('');
+
+  const barWidth = Math.max(2, Math.min(14, step * 0.5 || 14));
+  const failed = SERIES.find(series => series.key === 'failed');
+  const failedBars = days.map((day, index) => day.failed > 0
+    ? `<rect x="${x(index) - barWidth / 2}" y="${y(day.failed)}" width="${barWidth}" height="${y(0) - y(day.failed)}" fill="${failed.color}" opacity="0.6"><title>${day.key}: ${day.failed} failed</title></rect>`
+    : ''
+  ).join('');
+
+  const lines = SERIES.filter(series => series.key !== 'failed').map(series => {
+    const points = days.map((day, index) => `${x(index)},${y(day[series.key])}`).join(' ');
+    return `<polyline points="${points}" fill="none" stroke="${series.color}" stroke-width="2"></polyline>`;
+  }).join('');
+
+  const hoverTargets = days.map((day, index) => `
+    <circle cx="${x(index)}" cy="${y(day.sent)}" r="3" fill="${SERIES[0].color}">
+      <title>${day.key}: ${day.sent} sent, ${day.delivered} delivered, ${day.read} read, ${day.failed} failed</title>
+    </circle>
+  `).join('');
+
+  container.innerHTML = `
+    <svg viewBox="0 0 ${WIDTH} ${HEIGHT}" preserveAspectRatio="none">
+      ${gridLines}
+      ${failedBars}
+      ${lines}
+      ${hoverTargets}
+      ${dayLabels}
+    </svg>
+    <div class="analytics-legend">
+      ${SERIES.map(series => `<span><span class="analytics-legend-swatch" style="background-color: ${series.color}"></span>${series.label}</span>`).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Draw one stacked bar per row: read, delivered but unread, sent but undelivered, failed
+ * @param {HTMLElement} container - Element to draw into
+ * @param {Array} rows - Rows of { key, sent, delivered, read, failed, readRate }
+ * @param {Function} labelFor - Turns a row key into its label
+ */
+function renderBreakdown(container, rows, labelFor = (key) => key) {
+  if (!container) return;
+
+  if (rows.length === 0) {
+    container.innerHTML = '<p class="text-center">No data for this period</p>';
+    return;
+  }
+
+  container.innerHTML = rows.map(row => {
+    const total = row.sent + row.failed;
+    const width = (count) => (total > 0 ? (count / total) * 100 : 0);
+    const parts = [
+      { count: row.read, color: '#8e44ad' },
+      { count: row.delivered - row.read, color: '#2ecc71' },
+      { count: row.sent - row.delivered, color: '#3498db' },
+      { count: row.failed, color: '#e74c3c' }
+    ];
+
+    return `
+      <div class="analytics-bar-row" title="${row.sent} sent, ${row.delivered} delivered, ${row.read} read, ${row.failed} failed">
+        <div class="analytics-bar-header">
+          <span>${escapeHtml(labelFor(row.key))}</span>
+          <span>${row.sent} sent · ${row.readRate}% read${row.failed ? ` · ${row.failed} failed` : ''}</span>
+        </div>
+        <div class="analytics-bar">
+          ${parts.map(part => `<span style="width: ${width(part.count)}%; background-color: ${part.color}"></span>`).join('')}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Round an axis maximum up to a readable number
+ * @param {number} value - Largest value on the axis
+ * @returns {number}
+ */
+function niceMax(value) {
+  if (value <= 4) return 4;
+
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const nice = [1, 2, 2.5, 5, 10].find(factor => factor * magnitude >= value);
+  return nice * magnitude;
+}
+
+/**
+ * Format a YYYY-MM-DD key as a short day label
+ * @param {string} key - Day key
+ * @returns {string}
+ */
+function formatDayLabel(key) {
+  const [year, month, day] = key.split('-').map(part => parseInt(part));
+  return new Date(year, month - 1, day).toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
+
+export {
+  renderDailyChart,
+  renderBreakdown
+};
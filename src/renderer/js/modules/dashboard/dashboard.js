@@ -2,6 +2,12 @@
 
 import { showNotification } from '../ui/notifications.js';
 import { api, waitForAPI } from '../utils/api.js';
+import { renderDailyChart, renderBreakdown } from './charts.js';
+
+const SOURCE_LABELS = {
+  bulk: 'Bulk campaigns',
+  sales: 'Sales follow-ups'
+};
 
 /**
  * Initialize the dashboard
@@ -14,6 +20,10 @@ async function initDashboard() {
     // Update dashboard stats
     updateDashboardStats();
     
+    // Set up the analytics filters and load the default period
+    setupAnalyticsFilters();
+    loadAnalytics();
+    
     // Load recent activity
     loadRecentActivity();
   } catch (error) {
@@ -30,28 +40,151 @@ async function updateDashboardStats() {
     // Wait for API to be available if needed
     await waitForAPI();
     
-    // Get counts
-    const contacts = await api.getContacts();
-    const templates = await api.getTemplates();
-    const messages = await api.getScheduledMessages();
+    // Counted in the main process so the renderer doesn't load every row
+    const overview = await api.getDashboardOverview();
     
     // Update dashboard cards
-    document.getElementById('total-contacts').textContent = contacts.length;
-    document.getElementById('total-templates').textContent = templates.length;
-    
-    // Count sent messages
-    const sentMessages = messages.filter(m => m.status === 'SENT' || m.status === 'DELIVERED' || m.status === 'READ');
-    document.getElementById('total-sent').textContent = sentMessages.length;
-    
-    // Count scheduled messages
-    const scheduledMessages = messages.filter(m => m.status === 'SCHEDULED' || m.status === 'PENDING');
-    document.getElementById('total-scheduled').textContent = scheduledMessages.length;
+    document.getElementById('total-contacts').textContent = overview.contacts;
+    document.getElementById('total-templates').textContent = overview.templates;
+    document.getElementById('total-sent').textContent = overview.sent;
+    document.getElementById('total-scheduled').textContent = overview.scheduled;
   } catch (error) {
     console.error('Error updating dashboard stats:', error);
     showNotification('Error updating dashboard', error.message, 'error');
   }
 }
 
+/**
+ * Wire the period, date and source filters of the analytics panel
+ */
+function setupAnalyticsFilters() {
+  const range = document.getElementById('analytics-range');
+  const from = document.getElementById('analytics-from');
+  const to = document.getElementById('analytics-to');
+  const source = document.getElementById('analytics-source');
+  const refresh = document.getElementById('refresh-analytics');
+
+  if (!range || !from || !to) {
+    console.error('Analytics filter elements not found');
+    return;
+  }
+
+  applyRangePreset();
+
+  range.addEventListener('change', () => {
+    applyRangePreset();
+    loadAnalytics();
+  });
+
+  // Picking a date by hand turns the period into a custom one
+  [from, to].forEach(input => input.addEventListener('change', () => {
+    range.value = 'custom';
+    loadAnalytics();
+  }));
+
+  source?.addEventListener('change', loadAnalytics);
+  refresh?.addEventListener('click', loadAnalytics);
+}
+
+/**
+ * Fill the date inputs from the selected "last N days" period
+ */
+function applyRangePreset() {
+  const days = parseInt(document.getElementById('analytics-range').value);
+  if (!days) return;
+
+  const to = new Date();
+  const from = new Date();
+  from.setDate(to.getDate() - (days - 1));
+
+  document.getElementById('analytics-from').value = toDateInputValue(from);
+  document.getElementById('analytics-to').value = toDateInputValue(to);
+}
+
+/**
+ * Load delivery analytics for the selected period and render the charts
+ */
+async function loadAnalytics() {
+  try {
+    await waitForAPI();
+    
+    const filters = {
+      from: document.getElementById('analytics-from')?.value || undefined,
+      to: document.getElementById('analytics-to')?.value || undefined,
+      source: document.getElementById('analytics-source')?.value || 'all'
+    };
+    
+    const result = await api.getAnalytics(filters);
+    
+    if (!result || !result.success) {
+      showNotification('Error loading analytics', (result && result.error) || 'Unknown error', 'error');
+      return;
+    }
+    
+    renderKpis(result.totals);
+    renderDailyChart(document.getElementById('analytics-daily-chart'), result.byDay);
+    renderBreakdown(document.getElementById('analytics-by-template'), result.byTemplate);
+    renderBreakdown(document.getElementById('analytics-by-city'), result.byCity);
+    renderBreakdown(document.getElementById('analytics-by-source'), result.bySource, key => SOURCE_LABELS[key] || key);
+  } catch (error) {
+    console.error('Error loading analytics:', error);
+    showNotification('Error loading analytics', error.message, 'error');
+  }
+}
+
+/**
+ * Render the rate cards for the selected period
+ * @param {Object} totals - Totals row from the analytics API
+ */
+function renderKpis(totals) {
+  const container = document.getElementById('analytics-kpis');
+  if (!container) return;
+  
+  const kpis = [
+    { className: '', label: 'Sent', value: totals.sent, detail: `${totals.sent + totals.failed} attempted` },
+    { className: 'delivered', label: 'Delivery rate', value: `${totals.deliveryRate}%`, detail: `${totals.delivered} delivered` },
+    { className: 'read', label: 'Read rate', value: `${totals.readRate}%`, detail: `${totals.read} read` },
+    { className: 'failed', label: 'Failure rate', value: `${totals.failureRate}%`, detail: `${totals.failed} failed` },
+    { className: 'time', label: 'Avg. time to read', value: formatDuration(totals.avgTimeToRead), detail: 'from sending to read receipt' }
+  ];
+  
+  container.innerHTML = kpis.map(kpi => `
+    <div class="analytics-kpi ${kpi.className}">
+      <div class="analytics-kpi-label">${kpi.label}</div>
+      <div class="analytics-kpi-value">${kpi.value}</div>
+      <div class="analytics-kpi-detail">${kpi.detail}</div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Format a number of seconds as a short duration
+ * @param {number|null} seconds - Duration in seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) return '–';
+  if (seconds < 60) return `${seconds}s`;
+  
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m`;
+  
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+/**
+ * Format a date as the YYYY-MM-DD value of a date input, in local time
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+function toDateInputValue(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
 /**
  * Load recent activity feed
  */
@@ -122,5 +255,6 @@ async function loadRecentActivity() {
 export {
   initDashboard,
   updateDashboardStats,
+  loadAnalytics,
   loadRecentActivity
 }; 
\ No newline at end of file
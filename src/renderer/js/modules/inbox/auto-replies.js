@@ -0,0 +1,422 @@
+// auto-replies.js - Keyword and regex rules that answer incoming messages, and their log
+import { showNotification } from '../ui/notifications.js';
+import { escapeHtml, debounce } from '../utils/helpers.js';
+import { api } from '../utils/api.js';
+import { loadTags, getTags } from '../contacts/tags.js';
+
+const PATTERN_HELP = {
+  KEYWORD: 'Comma-separated words or phrases, matched as whole words ignoring case and accents',
+  REGEX: 'JavaScript regular expression, matched ignoring case, e.g. ^(hi|hello)\\b'
+};
+
+// Rules and templates caches
+let rules = [];
+let templates = [];
+let listenerRegistered = false;
+
+/**
+ * Open the auto-replies manager
+ */
+async function openAutoRepliesModal() {
+  const modal = document.getElementById('auto-replies-modal');
+  if (!modal) return;
+
+  await Promise.all([loadTags(), loadTemplates()]);
+  populateSelects();
+  await loadRules();
+  resetRuleForm();
+  setupAutoRepliesModalEventListeners();
+  showTab('auto-reply-rules-tab');
+
+  document.getElementById('auto-reply-test-text').value = '';
+  document.getElementById('auto-reply-test-result').textContent = '';
+
+  modal.style.display = 'block';
+}
+
+/**
+ * Warn about failed auto-replies and keep the open manager up to date
+ */
+function setupAutoReplyListener() {
+  if (listenerRegistered) return;
+  listenerRegistered = true;
+
+  api.on('auto-reply-triggered', (entry) => {
+    if (entry.status === 'FAILED') {
+      showNotification('Auto-Reply Failed', `Rule "${entry.ruleName}" could not answer ${entry.phoneNumber}: ${entry.error}`, 'warning');
+    }
+
+    const modal = document.getElementById('auto-replies-modal');
+    if (modal && modal.style.display === 'block') {
+      loadRules();
+      loadLog();
+    }
+  });
+}
+
+/**
+ * Load the templates a rule can reply with
+ */
+async function loadTemplates() {
+  try {
+    const result = await api.getTemplates();
+    templates = Array.isArray(result) ? result : [];
+  } catch (error) {
+    console.error('Error loading templates:', error);
+    templates = [];
+  }
+}
+
+/**
+ * Fill the template and tag selects of the rule form
+ */
+function populateSelects() {
+  document.getElementById('auto-reply-template').innerHTML =
+    '<option value="">Select a template</option>' +
+    templates.map(template => `<option value="${template.id}">${escapeHtml(template.name)}</option>`).join('');
+
+  document.getElementById('auto-reply-tag').innerHTML =
+    '<option value="">Any sender</option>' +
+    getTags().map(tag => `<option value="${tag.id}">${escapeHtml(tag.name)}</option>`).join('');
+}
+
+/**
+ * Load and render the rules
+ */
+async function loadRules() {
+  try {
+    rules = await api.getAutoReplyRules() || [];
+  } catch (error) {
+    console.error('Error loading auto-reply rules:', error);
+    rules = [];
+  }
+  renderRulesList();
+}
+
+/**
+ * Render the rules list
+ */
+function renderRulesList() {
+  const list = document.getElementById('auto-reply-rules-list');
+  if (!list) return;
+
+  if (rules.length === 0) {
+    list.innerHTML = '<p class="empty-segments">No rules yet. Create one below.</p>';
+    return;
+  }
+
+  list.innerHTML = rules.map(rule => `
+    <div class="segment-item auto-reply-rule ${rule.isActive ? '' : 'inactive'}" data-id="${rule.id}">
+      <div class="segment-info">
+        <strong>${escapeHtml(rule.name)}</strong>
+        <span class="segment-count">${rule.isActive ? '' : 'Paused · '}${rule.replyCount} repl${rule.replyCount !== 1 ? 'ies' : 'y'}</span>
+        <div class="segment-rules-summary">${escapeHtml(describeRule(rule))}</div>
+      </div>
+      <div class="segment-actions">
+        <button class="action-btn toggle-auto-reply-btn" data-id="${rule.id}" title="${rule.isActive ? 'Pause Rule' : 'Activate Rule'}">
+          <i class="fas ${rule.isActive ? 'fa-pause' : 'fa-play'}"></i>
+        </button>
+        <button class="action-btn edit-auto-reply-btn" data-id="${rule.id}" title="Edit Rule">
+          <i class="fas fa-edit"></i>
+        </button>
+        <button class="action-btn delete-auto-reply-btn" data-id="${rule.id}" title="Delete Rule">
+          <i class="fas fa-trash"></i>
+        </button>
+      </div>
+    </div>
+  `).join('');
+
+  const findRule = (btn) => rules.find(rule => rule.id === parseInt(btn.getAttribute('data-id')));
+
+  list.querySelectorAll('.toggle-auto-reply-btn').forEach(btn => {
+    btn.addEventListener('click', () => toggleRule(findRule(btn)));
+  });
+
+  list.querySelectorAll('.edit-auto-reply-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const rule = findRule(btn);
+      if (rule) fillRuleForm(rule);
+    });
+  });
+
+  list.querySelectorAll('.delete-auto-reply-btn').forEach(btn => {
+    btn.addEventListener('click', () => deleteRule(findRule(btn)));
+  });
+}
+
+/**
+ * Describe a rule in one line
+ * @param {Object} rule - Rule with its Template and Tag
+ * @returns {string} - Human readable description
+ */
+function describeRule(rule) {
+  const parts = [
+    `#${rule.priority}`,
+    rule.matchType === 'REGEX' ? `matches /${rule.pattern}/` : `contains ${rule.pattern}`,
+    `replies "${rule.Template ? rule.Template.name : 'missing template'}"`
+  ];
+
+  if (rule.Tag) parts.push(`tagged ${rule.Tag.name}`);
+  if (typeof rule.startTime === 'number') parts.push(`${minutesToTime(rule.startTime)} - ${minutesToTime(rule.endTime)}`);
+  if (rule.cooldownMinutes) parts.push(`once per ${rule.cooldownMinutes} min`);
+
+  return parts.join(' · ');
+}
+
+/**
+ * Set up event listeners for the auto-replies modal
+ */
+function setupAutoRepliesModalEventListeners() {
+  const modal = document.getElementById('auto-replies-modal');
+
+  modal.querySelectorAll('.close-modal').forEach(button => {
+    button.onclick = () => {
+      modal.style.display = 'none';
+    };
+  });
+
+  modal.querySelectorAll('.auto-reply-tab').forEach(tab => {
+    tab.onclick = () => showTab(tab.getAttribute('data-tab'));
+  });
+
+  document.getElementById('auto-reply-match-type').onchange = updatePatternHelp;
+  document.getElementById('auto-reply-test').onclick = testMessage;
+  document.getElementById('new-auto-reply').onclick = () => resetRuleForm();
+  document.getElementById('save-auto-reply').onclick = saveRule;
+  document.getElementById('auto-reply-log-search').oninput = debounce(loadLog, 300);
+  document.getElementById('auto-reply-log-status').onchange = loadLog;
+  document.getElementById('auto-reply-log-refresh').onclick = loadLog;
+}
+
+/**
+ * Switch between the rules and the log
+ * @param {string} tabId - ID of the pane to show
+ */
+function showTab(tabId) {
+  document.querySelectorAll('#auto-replies-modal .auto-reply-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.getAttribute('data-tab') === tabId);
+  });
+  document.querySelectorAll('#auto-replies-modal .auto-reply-pane').forEach(pane => {
+    pane.classList.toggle('active', pane.id === tabId);
+  });
+
+  // The rule form buttons only apply to the rules tab
+  const isRulesTab = tabId === 'auto-reply-rules-tab';
+  document.getElementById('save-auto-reply').style.display = isRulesTab ? '' : 'none';
+  document.getElementById('new-auto-reply').style.display = isRulesTab ? '' : 'none';
+
+  if (!isRulesTab) loadLog();
+}
+
+/**
+ * Show the help text of the selected match type
+ */
+function updatePatternHelp() {
+  const matchType = document.getElementById('auto-reply-match-type').value;
+  document.getElementById('auto-reply-pattern-help').textContent = PATTERN_HELP[matchType];
+}
+
+/**
+ * Clear the rule form
+ */
+function resetRuleForm() {
+  document.getElementById('auto-reply-form-title').textContent = 'New Rule';
+  document.getElementById('auto-reply-id').value = '';
+  document.getElementById('auto-reply-name').value = '';
+  document.getElementById('auto-reply-match-type').value = 'KEYWORD';
+  document.getElementById('auto-reply-pattern').value = '';
+  document.getElementById('auto-reply-template').value = '';
+  document.getElementById('auto-reply-tag').value = '';
+  document.getElementById('auto-reply-start').value = '';
+  document.getElementById('auto-reply-end').value = '';
+  document.getElementById('auto-reply-cooldown').value = '60';
+  document.getElementById('auto-reply-priority').value = '0';
+  document.getElementById('auto-reply-active').checked = true;
+  updatePatternHelp();
+}
+
+/**
+ * Load a rule into the form for editing
+ * @param {Object} rule - Rule to edit
+ */
+function fillRuleForm(rule) {
+  document.getElementById('auto-reply-form-title').textContent = `Edit Rule: ${rule.name}`;
+  document.getElementById('auto-reply-id').value = rule.id;
+  document.getElementById('auto-reply-name').value = rule.name;
+  document.getElementById('auto-reply-match-type').value = rule.matchType;
+  document.getElementById('auto-reply-pattern').value = rule.pattern;
+  document.getElementById('auto-reply-template').value = rule.TemplateId || '';
+  document.getElementById('auto-reply-tag').value = rule.TagId || '';
+  document.getElementById('auto-reply-start').value = typeof rule.startTime === 'number' ? minutesToTime(rule.startTime) : '';
+  document.getElementById('auto-reply-end').value = typeof rule.endTime === 'number' ? minutesToTime(rule.endTime) : '';
+  document.getElementById('auto-reply-cooldown').value = rule.cooldownMinutes;
+  document.getElementById('auto-reply-priority').value = rule.priority;
+  document.getElementById('auto-reply-active').checked = rule.isActive;
+  updatePatternHelp();
+}
+
+/**
+ * Create or update the rule in the form
+ */
+async function saveRule() {
+  const id = document.getElementById('auto-reply-id').value;
+  const start = document.getElementById('auto-reply-start').value;
+  const end = document.getElementById('auto-reply-end').value;
+
+  const ruleData = {
+    name: document.getElementById('auto-reply-name').value.trim(),
+    matchType: document.getElementById('auto-reply-match-type').value,
+    pattern: document.getElementById('auto-reply-pattern').value.trim(),
+    TemplateId: document.getElementById('auto-reply-template').value || null,
+    TagId: document.getElementById('auto-reply-tag').value || null,
+    startTime: start ? timeToMinutes(start) : null,
+    endTime: end ? timeToMinutes(end) : null,
+    cooldownMinutes: document.getElementById('auto-reply-cooldown').value,
+    priority: document.getElementById('auto-reply-priority').value,
+    isActive: document.getElementById('auto-reply-active').checked
+  };
+
+  try {
+    const response = id
+      ? await api.updateAutoReplyRule(parseInt(id), ruleData)
+      : await api.createAutoReplyRule(ruleData);
+
+    if (response && response.success) {
+      showNotification('Success', `Rule "${response.rule.name}" saved`, 'success');
+      await loadRules();
+      resetRuleForm();
+    } else {
+      showNotification('Error', (response && response.error) || 'Failed to save rule', 'error');
+    }
+  } catch (error) {
+    console.error('Error saving auto-reply rule:', error);
+    showNotification('Error', 'Failed to save rule: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Pause or activate a rule
+ * @param {Object} rule - Rule to toggle
+ */
+async function toggleRule(rule) {
+  if (!rule) return;
+
+  try {
+    const response = await api.updateAutoReplyRule(rule.id, { isActive: !rule.isActive });
+
+    if (response && response.success) {
+      await loadRules();
+    } else {
+      showNotification('Error', (response && response.error) || 'Failed to update rule', 'error');
+    }
+  } catch (error) {
+    console.error('Error toggling auto-reply rule:', error);
+    showNotification('Error', 'Failed to update rule: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Delete a rule after confirmation
+ * @param {Object} rule - Rule to delete
+ */
+async function deleteRule(rule) {
+  if (!rule || !confirm(`Delete the rule "${rule.name}"? Its log entries are kept.`)) return;
+
+  try {
+    const response = await api.deleteAutoReplyRule(rule.id);
+
+    if (response && response.success) {
+      showNotification('Success', 'Rule deleted', 'success');
+      if (document.getElementById('auto-reply-id').value === String(rule.id)) {
+        resetRuleForm();
+      }
+      await loadRules();
+    } else {
+      showNotification('Error', (response && response.error) || 'Failed to delete rule', 'error');
+    }
+  } catch (error) {
+    console.error('Error deleting auto-reply rule:', error);
+    showNotification('Error', 'Failed to delete rule: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Show which active rule would answer the sample message
+ */
+async function testMessage() {
+  const text = document.getElementById('auto-reply-test-text').value.trim();
+  const result = document.getElementById('auto-reply-test-result');
+  if (!text) return;
+
+  try {
+    const response = await api.testAutoReply(text);
+
+    if (response && response.success) {
+      result.textContent = response.rule ? `Answered by "${response.rule.name}"` : 'No active rule matches';
+    } else {
+      result.textContent = (response && response.error) || 'Test failed';
+    }
+  } catch (error) {
+    console.error('Error testing auto-reply rules:', error);
+    result.textContent = 'Test failed: ' + error.message;
+  }
+}
+
+/**
+ * Load and render the log
+ */
+async function loadLog() {
+  const tbody = document.querySelector('#auto-reply-log-table tbody');
+  if (!tbody) return;
+
+  let entries = [];
+  try {
+    entries = await api.getAutoReplyLogs({
+      search: document.getElementById('auto-reply-log-search').value.trim(),
+      status: document.getElementById('auto-reply-log-status').value
+    }) || [];
+  } catch (error) {
+    console.error('Error loading auto-reply log:', error);
+  }
+
+  if (entries.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" class="text-center">No auto-replies yet</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = entries.map(entry => `
+    <tr>
+      <td>${new Date(entry.createdAt).toLocaleString()}</td>
+      <td>${escapeHtml(entry.ruleName)}</td>
+      <td>${escapeHtml(entry.phoneNumber)}</td>
+      <td>${escapeHtml(entry.incomingMessage)}</td>
+      <td>${escapeHtml(entry.replyContent || '-')}</td>
+      <td class="${entry.status === 'FAILED' ? 'auto-reply-status-failed' : ''}" title="${escapeHtml(entry.error || '')}">${entry.status}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Convert minutes from midnight to HH:MM
+ * @param {number} minutes - Minutes from midnight
+ * @returns {string}
+ */
+function minutesToTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Convert HH:MM to minutes from midnight
+ * @param {string} time - Time in HH:MM
+ * @returns {number}
+ */
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(part => parseInt(part) || 0);
+  return hours * 60 + minutes;
+}
+
+export {
+  openAutoRepliesModal,
+  setupAutoReplyListener
+};
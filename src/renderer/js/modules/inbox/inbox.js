@@ -0,0 +1,256 @@
+// inbox.js - Conversations with contacts who replied
+import { api } from '../utils/api.js';
+import { showNotification } from '../ui/notifications.js';
+import { escapeHtml, debounce } from '../utils/helpers.js';
+import { openAutoRepliesModal, setupAutoReplyListener } from './auto-replies.js';
+
+const SOURCE_LABELS = {
+  bulk: 'Campaign',
+  sales: 'Sales',
+  inbox: 'Reply'
+};
+
+// Cache DOM elements
+let elements = {};
+
+// Conversations cache and the conversation shown in the thread pane
+let conversations = [];
+let activePhoneNumber = null;
+
+/**
+ * Initialize the inbox module
+ */
+export async function initInbox() {
+  console.log('Initializing inbox module...');
+
+  elements = {
+    badge: document.getElementById('inbox-unread-badge'),
+    search: document.getElementById('inbox-search'),
+    refresh: document.getElementById('refresh-inbox'),
+    list: document.getElementById('inbox-conversations'),
+    threadEmpty: document.getElementById('inbox-thread-empty'),
+    threadView: document.getElementById('inbox-thread-view'),
+    threadName: document.getElementById('inbox-thread-name'),
+    threadPhone: document.getElementById('inbox-thread-phone'),
+    threadOptedOut: document.getElementById('inbox-thread-opted-out'),
+    threadMessages: document.getElementById('inbox-thread-messages'),
+    replyText: document.getElementById('inbox-reply-text'),
+    replySend: document.getElementById('inbox-reply-send')
+  };
+
+  if (!elements.list || !elements.threadView) {
+    console.error('Required elements for inbox module are missing');
+    return;
+  }
+
+  elements.search.addEventListener('input', debounce(loadConversations, 300));
+  elements.refresh.addEventListener('click', loadConversations);
+  elements.replySend.addEventListener('click', sendReply);
+  elements.replyText.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      sendReply();
+    }
+  });
+
+  document.getElementById('manage-auto-replies')?.addEventListener('click', openAutoRepliesModal);
+
+  api.on('inbox-message', handleIncomingMessage);
+  setupAutoReplyListener();
+
+  await updateUnreadBadge();
+  console.log('Inbox module initialized successfully');
+}
+
+/**
+ * Load and render the conversation list
+ */
+export async function loadConversations() {
+  const search = elements.search ? elements.search.value.trim() : '';
+
+  try {
+    conversations = await api.getInboxConversations(search) || [];
+  } catch (error) {
+    console.error('Error loading conversations:', error);
+    conversations = [];
+  }
+
+  renderConversations();
+  await updateUnreadBadge();
+}
+
+/**
+ * Render the conversation list
+ */
+function renderConversations() {
+  if (!elements.list) return;
+
+  if (conversations.length === 0) {
+    elements.list.innerHTML = '<li class="inbox-conversation text-center">No conversations yet</li>';
+    return;
+  }
+
+  elements.list.innerHTML = conversations.map(conversation => {
+    const classes = ['inbox-conversation'];
+    if (conversation.phoneNumber === activePhoneNumber) classes.push('active');
+    if (conversation.unreadCount > 0) classes.push('unread');
+
+    const preview = (conversation.lastDirection === 'OUT' ? 'You: ' : '') + (conversation.lastMessage || '');
+
+    return `
+      <li class="${classes.join(' ')}" data-phone="${escapeHtml(conversation.phoneNumber)}">
+        <div class="inbox-conversation-top">
+          <span class="inbox-conversation-name">${escapeHtml(conversation.name || conversation.phoneNumber)}</span>
+          <span class="inbox-conversation-time">${formatTime(conversation.lastMessageAt)}</span>
+        </div>
+        <div class="inbox-conversation-preview">
+          <span>${escapeHtml(preview)}</span>
+          ${conversation.unreadCount > 0 ? `<span class="inbox-unread-count">${conversation.unreadCount}</span>` : ''}
+        </div>
+      </li>
+    `;
+  }).join('');
+
+  elements.list.querySelectorAll('.inbox-conversation[data-phone]').forEach(item => {
+    item.addEventListener('click', () => openConversation(item.dataset.phone));
+  });
+}
+
+/**
+ * Show a conversation in the thread pane, marking it read
+ * @param {string} phoneNumber - Phone number of the conversation
+ */
+async function openConversation(phoneNumber) {
+  activePhoneNumber = phoneNumber;
+
+  try {
+    const response = await api.getInboxConversation(phoneNumber);
+
+    if (!response || !response.success) {
+      showNotification('Error', (response && response.error) || 'Failed to load conversation', 'error');
+      return;
+    }
+
+    elements.threadEmpty.style.display = 'none';
+    elements.threadView.style.display = 'flex';
+    elements.threadName.textContent = response.name || response.phoneNumber;
+    elements.threadPhone.textContent = response.name ? response.phoneNumber : '';
+    elements.threadOptedOut.style.display = response.isOptedOut ? 'inline' : 'none';
+    elements.replyText.disabled = response.isOptedOut;
+    elements.replySend.disabled = response.isOptedOut;
+
+    renderThread(response.messages);
+
+    // Opening the conversation marked its messages read
+    const conversation = conversations.find(item => item.phoneNumber === phoneNumber);
+    if (conversation) conversation.unreadCount = 0;
+    renderConversations();
+    await updateUnreadBadge();
+  } catch (error) {
+    console.error('Error opening conversation:', error);
+    showNotification('Error', 'Failed to load conversation: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Render the messages of the open conversation, oldest first
+ * @param {Array} messages - Thread items from the main process
+ */
+function renderThread(messages) {
+  if (messages.length === 0) {
+    elements.threadMessages.innerHTML = '<p class="text-center">No messages</p>';
+    return;
+  }
+
+  elements.threadMessages.innerHTML = messages.map(message => {
+    const meta = [formatTime(message.time)];
+    if (message.direction === 'OUT') {
+      meta.unshift(SOURCE_LABELS[message.source] || message.source);
+      if (message.status) meta.push(message.status);
+    }
+
+    return `
+      <div class="inbox-message ${message.direction === 'IN' ? 'in' : 'out'}">
+        <div>${escapeHtml(message.body)}</div>
+        <div class="inbox-message-meta">${escapeHtml(meta.join(' · '))}</div>
+      </div>
+    `;
+  }).join('');
+
+  elements.threadMessages.scrollTop = elements.threadMessages.scrollHeight;
+}
+
+/**
+ * Send the typed reply to the open conversation
+ */
+async function sendReply() {
+  const text = elements.replyText.value.trim();
+  if (!activePhoneNumber || !text) return;
+
+  elements.replySend.disabled = true;
+
+  try {
+    const response = await api.sendInboxReply(activePhoneNumber, text);
+
+    if (response && response.success) {
+      elements.replyText.value = '';
+      await openConversation(activePhoneNumber);
+      await loadConversations();
+    } else {
+      showNotification('Error', (response && response.error) || 'Failed to send reply', 'error');
+    }
+  } catch (error) {
+    console.error('Error sending reply:', error);
+    showNotification('Error', 'Failed to send reply: ' + error.message, 'error');
+  } finally {
+    elements.replySend.disabled = false;
+  }
+}
+
+/**
+ * Refresh the inbox when a contact writes to us or an auto-reply goes out
+ * @param {Object} message - The stored message
+ */
+async function handleIncomingMessage(message) {
+  const section = document.getElementById('inbox');
+  const isVisible = section && section.classList.contains('active');
+
+  if (isVisible) {
+    await loadConversations();
+    if (message.phoneNumber === activePhoneNumber) {
+      await openConversation(activePhoneNumber);
+    }
+  } else {
+    await updateUnreadBadge();
+  }
+}
+
+/**
+ * Show the number of unread messages next to the Inbox navigation item
+ */
+async function updateUnreadBadge() {
+  if (!elements.badge) return;
+
+  try {
+    const count = await api.getInboxUnreadCount() || 0;
+    elements.badge.textContent = count > 99 ? '99+' : String(count);
+    elements.badge.style.display = count > 0 ? 'inline-block' : 'none';
+  } catch (error) {
+    console.error('Error loading unread count:', error);
+  }
+}
+
+/**
+ * Format a message time, showing only the time for today's messages
+ * @param {string|Date} value - Message time
+ * @returns {string}
+ */
+function formatTime(value) {
+  if (!value) return '';
+
+  const date = new Date(value);
+  if (date.toDateString() === new Date().toDateString()) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString();
+}
@@ -2,6 +2,7 @@
 export * from './settings/settings.js';
 export * from './bulksender/bulksender.js';
 export * from './scheduled/scheduled.js';
+export * from './inbox/inbox.js';
 export * from './contacts/contacts.js';
 export * from './templates/templates.js';
 export * from './whatsapp/whatsapp.js';
@@ -3,6 +3,7 @@
  * Handles sales message settings, templates, and scheduled messages
  */
 import { showNotification } from '../../utils/notifications.js';
+import { fillAccountSelect, readAccountSelect } from '../whatsapp/whatsapp.js';
 
 // Caching DOM elements
 let elements = {};
@@ -64,6 +65,7 @@ function cacheElements() {
     secondMessageDelayUnit: document.getElementById('second-message-delay-unit'),
     autoSchedulingEnabled: document.getElementById('auto-scheduling-enabled'),
     autoSendingEnabled: document.getElementById('auto-sending-enabled'),
+    accountSelect: document.getElementById('sales-message-account'),
     saveSettingsBtn: document.getElementById('save-sales-message-settings'),
     
     // Template tabs
@@ -115,6 +117,11 @@ function setupEventListeners() {
     elements.saveSettingsBtn.addEventListener('click', saveSalesMessageSettings);
   }
   
+  // Sending number, refreshed on focus as numbers connect and disconnect
+  if (elements.accountSelect) {
+    elements.accountSelect.addEventListener('focus', () => fillAccountSelect(elements.accountSelect));
+  }
+  
   // Setup toggle switch event handlers explicitly
   if (elements.autoSchedulingEnabled) {
     // Direct handler for the checkbox itself
@@ -381,11 +388,14 @@ async function saveSalesMessageSettings() {
     });
     
     // Prepare settings data
+    const sender = readAccountSelect(elements.accountSelect);
     const settingsData = {
       firstMessageDelay,
       secondMessageDelay,
       isAutoSchedulingEnabled,
-      isAutoSendingEnabled
+      isAutoSendingEnabled,
+      WhatsAppAccountId: sender.accountId,
+      useSenderPool: sender.useSenderPool
     };
     
     console.log('Saving settings:', settingsData);
@@ -553,6 +563,11 @@ function updateSettingsUI() {
       autoSendingParent.style.pointerEvents = 'auto';
     }
   }
+  
+  // Sending number
+  if (elements.accountSelect) {
+    fillAccountSelect(elements.accountSelect, settingsData.useSenderPool ? 'pool' : settingsData.WhatsAppAccountId);
+  }
 }
 
 /**
@@ -750,7 +765,9 @@ async function processPendingMessages() {
     console.log('Process pending messages response:', response);
     
     // Show notification based on result
-    if (response.processed > 0) {
+    if (response.queued > 0) {
+      showNotification(`${response.queued} sales message(s) handed to the send queue`, 'success');
+    } else if (response.processed > 0) {
       showNotification(`Successfully processed ${response.processed} sales message(s)`, 'success');
       
       // If we have errors, show them too
@@ -1345,6 +1362,11 @@ function updateMessageStatus(update) {
     return;
   }
   
+  // Bulk message IDs can match sales message IDs
+  if (update.source && update.source !== 'sales') {
+    return;
+  }
+  
   console.log(`[Sales] Received status update: ${update.externalId} -> ${update.status}`, update);
   
   // Find the message row by ID if provided, or by externalId
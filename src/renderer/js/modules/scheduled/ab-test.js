@@ -0,0 +1,143 @@
+// ab-test.js - A/B test results of a campaign and sending the winner
+import { api } from '../utils/api.js';
+import { showToast, showConfirmDialog } from '../ui/notifications.js';
+import { escapeHtml } from '../utils/helpers.js';
+
+const METRIC_LABELS = {
+  read: 'read rate',
+  reply: 'reply rate'
+};
+
+// Campaign shown in the modal and what to call once its winner was sent
+let currentCampaign = null;
+let onWinnerSent = null;
+
+/**
+ * Open the A/B test results of a campaign
+ * @param {Object} campaign - Campaign with variants
+ * @param {Function} onSent - Called after the winner was sent to the remaining contacts
+ */
+export async function openAbTestModal(campaign, onSent) {
+  const modal = document.getElementById('ab-test-modal');
+  if (!modal) return;
+
+  currentCampaign = campaign;
+  onWinnerSent = onSent;
+
+  modal.querySelectorAll('.close-modal').forEach(button => {
+    button.onclick = () => {
+      modal.style.display = 'none';
+    };
+  });
+
+  document.getElementById('ab-test-modal-title').textContent = `A/B Test: ${campaign.name}`;
+  document.getElementById('ab-test-summary').textContent = 'Loading results...';
+  document.getElementById('ab-test-results').innerHTML = '';
+
+  modal.style.display = 'block';
+  await loadResults();
+}
+
+/**
+ * Load and render the per-variant results
+ */
+async function loadResults() {
+  const summary = document.getElementById('ab-test-summary');
+  const tbody = document.getElementById('ab-test-results');
+
+  try {
+    const result = await api.getCampaignVariantStats(currentCampaign.id);
+
+    if (!result || !result.success) {
+      summary.textContent = (result && result.error) || 'Failed to load the A/B test results';
+      return;
+    }
+
+    const { abTest, suggestedWinner } = result;
+    const canSendWinner = !abTest.winner && abTest.remainingCount > 0;
+    const highlighted = abTest.winner || suggestedWinner;
+
+    summary.textContent = describeTest(abTest, suggestedWinner);
+
+    tbody.innerHTML = result.variants.map(variant => `
+      <tr class="${variant.label === highlighted ? 'ab-test-winner' : ''}">
+        <td>${variant.label}</td>
+        <td>${escapeHtml(variant.templateName)}</td>
+        <td>${variant.sent} / ${variant.total}</td>
+        <td>${variant.delivered}</td>
+        <td>${variant.readRate}% (${variant.read})</td>
+        <td>${variant.replyRate}% (${variant.replies})</td>
+        <td>
+          ${canSendWinner && variant.sent > 0 ? `
+            <button class="secondary-btn ab-send-winner-btn" data-label="${variant.label}" title="Send this template to the remaining contacts">
+              <i class="fas fa-trophy"></i> Send to ${abTest.remainingCount}
+            </button>` : ''}
+        </td>
+      </tr>
+    `).join('');
+
+    tbody.querySelectorAll('.ab-send-winner-btn').forEach(button => {
+      button.addEventListener('click', () => sendWinner(button.dataset.label, abTest.remainingCount));
+    });
+  } catch (error) {
+    console.error('Error loading A/B test results:', error);
+    summary.textContent = 'Failed to load the A/B test results: ' + error.message;
+  }
+}
+
+/**
+ * Describe the test settings and where the test stands
+ * @param {Object} abTest - A/B test settings and outcome
+ * @param {string|null} suggestedWinner - Best variant so far
+ * @returns {string}
+ */
+function describeTest(abTest, suggestedWinner) {
+  const parts = [`The winner is picked by ${METRIC_LABELS[abTest.winnerMetric] || abTest.winnerMetric}.`];
+
+  if (abTest.winner) {
+    parts.push(`Variant ${abTest.winner} was sent to the remaining contacts on ${new Date(abTest.winnerSentAt).toLocaleString()}.`);
+  } else if (abTest.remainingCount === 0) {
+    parts.push('The whole audience is part of the test.');
+  } else {
+    parts.push(`${abTest.remainingCount} contact(s) are waiting for the winner.`);
+    if (abTest.autoSendWinner) {
+      parts.push(`The best variant is sent to them automatically on ${new Date(abTest.decideAt).toLocaleString()}.`);
+    }
+  }
+
+  if (!abTest.winner) {
+    parts.push(suggestedWinner ? `Variant ${suggestedWinner} is leading.` : 'No messages have been sent yet.');
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Send a variant to the contacts that were held back
+ * @param {string} label - Variant label
+ * @param {number} remainingCount - Number of contacts held back
+ */
+async function sendWinner(label, remainingCount) {
+  const confirmed = await showConfirmDialog(
+    'Send Winner',
+    `Send variant ${label} to the ${remainingCount} remaining contact(s) of "${currentCampaign.name}"? This starts a new campaign.`,
+    'Send',
+    'Cancel'
+  );
+  if (!confirmed) return;
+
+  try {
+    const result = await api.sendCampaignWinner(currentCampaign.id, label);
+
+    if (result && result.success) {
+      showToast(`Campaign "${result.campaignName}" scheduled with ${result.scheduledCount} message(s)`, 'success');
+      await loadResults();
+      if (onWinnerSent) await onWinnerSent();
+    } else {
+      showToast(`Error: ${result?.error || 'Unknown error'}`, 'error');
+    }
+  } catch (error) {
+    console.error('Error sending A/B test winner:', error);
+    showToast(`Error: ${error.message}`, 'error');
+  }
+}
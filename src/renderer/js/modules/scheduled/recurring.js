@@ -0,0 +1,412 @@
+// recurring.js - Recurring campaign definitions and their upcoming occurrences
+import { api } from '../utils/api.js';
+import { showToast, showConfirmDialog } from '../ui/notifications.js';
+import { escapeHtml, debounce } from '../utils/helpers.js';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Definitions, form options and what to call once a campaign may have been created
+let recurringCampaigns = [];
+let templates = [];
+let segments = [];
+let onChanged = null;
+
+/**
+ * Open the recurring campaigns manager
+ * @param {Function} onChange - Called after a definition was saved, paused, resumed or deleted
+ */
+export async function openRecurringCampaignsModal(onChange) {
+  const modal = document.getElementById('recurring-campaigns-modal');
+  if (!modal) return;
+
+  onChanged = onChange;
+
+  await loadOptions();
+  populateSelects();
+  await loadRecurringCampaigns();
+  setupModalEventListeners();
+  resetForm();
+
+  modal.style.display = 'block';
+}
+
+/**
+ * Load the templates and segments a definition can use
+ */
+async function loadOptions() {
+  try {
+    const [templateResult, segmentResult] = await Promise.all([api.getTemplates(), api.getSegments()]);
+    templates = Array.isArray(templateResult) ? templateResult : [];
+    segments = Array.isArray(segmentResult) ? segmentResult : [];
+  } catch (error) {
+    console.error('Error loading templates and segments:', error);
+    templates = [];
+    segments = [];
+  }
+}
+
+/**
+ * Fill the template and segment selects of the form
+ */
+function populateSelects() {
+  document.getElementById('recurring-template').innerHTML =
+    '<option value="">Select a template</option>' +
+    templates.map(template => `<option value="${template.id}">${escapeHtml(template.name)}</option>`).join('');
+
+  document.getElementById('recurring-segment').innerHTML =
+    '<option value="">Select a segment</option>' +
+    segments.map(segment => `<option value="${segment.id}">${escapeHtml(segment.name)}</option>`).join('');
+}
+
+/**
+ * Set up event listeners for the modal
+ */
+function setupModalEventListeners() {
+  const modal = document.getElementById('recurring-campaigns-modal');
+
+  modal.querySelectorAll('.close-modal').forEach(button => {
+    button.onclick = () => {
+      modal.style.display = 'none';
+    };
+  });
+
+  const refreshPreview = debounce(updatePreview, 300);
+
+  document.getElementById('recurring-schedule-type').onchange = () => {
+    showScheduleFields();
+    updatePreview();
+  };
+  document.getElementById('recurring-time').onchange = refreshPreview;
+  document.getElementById('recurring-day-of-month').oninput = refreshPreview;
+  document.getElementById('recurring-cron').oninput = refreshPreview;
+  modal.querySelectorAll('.recurring-day').forEach(checkbox => {
+    checkbox.onchange = refreshPreview;
+  });
+
+  document.getElementById('new-recurring').onclick = () => resetForm();
+  document.getElementById('save-recurring').onclick = saveRecurringCampaign;
+}
+
+/**
+ * Load and render the definitions
+ */
+async function loadRecurringCampaigns() {
+  try {
+    recurringCampaigns = await api.getRecurringCampaigns() || [];
+  } catch (error) {
+    console.error('Error loading recurring campaigns:', error);
+    recurringCampaigns = [];
+  }
+  renderList();
+}
+
+/**
+ * Render the definitions list
+ */
+function renderList() {
+  const list = document.getElementById('recurring-campaigns-list');
+  if (!list) return;
+
+  if (recurringCampaigns.length === 0) {
+    list.innerHTML = '<p class="empty-segments">No recurring campaigns yet. Create one below.</p>';
+    return;
+  }
+
+  list.innerHTML = recurringCampaigns.map(recurring => {
+    const isActive = recurring.status === 'ACTIVE';
+    const next = recurring.nextOccurrences.length > 0
+      ? `Next: ${recurring.nextOccurrences.slice(0, 3).map(date => new Date(date).toLocaleString()).join(', ')}`
+      : 'Paused';
+
+    return `
+      <div class="segment-item recurring-item ${isActive ? '' : 'inactive'}" data-id="${recurring.id}">
+        <div class="segment-info">
+          <strong>${escapeHtml(recurring.name)}</strong>
+          <span class="segment-count">${recurring.campaignCount} campaign${recurring.campaignCount !== 1 ? 's' : ''} sent</span>
+          <div class="segment-rules-summary">${escapeHtml(describeRecurringCampaign(recurring))}</div>
+          <div class="segment-rules-summary">${escapeHtml(next)}</div>
+        </div>
+        <div class="segment-actions">
+          <button class="action-btn toggle-recurring-btn" data-id="${recurring.id}" title="${isActive ? 'Pause' : 'Resume'}">
+            <i class="fas ${isActive ? 'fa-pause' : 'fa-play'}"></i>
+          </button>
+          <button class="action-btn edit-recurring-btn" data-id="${recurring.id}" title="Edit">
+            <i class="fas fa-edit"></i>
+          </button>
+          <button class="action-btn delete-recurring-btn" data-id="${recurring.id}" title="Delete">
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  const findRecurring = (btn) => recurringCampaigns.find(recurring => recurring.id === parseInt(btn.getAttribute('data-id')));
+
+  list.querySelectorAll('.toggle-recurring-btn').forEach(btn => {
+    btn.addEventListener('click', () => toggleRecurringCampaign(findRecurring(btn)));
+  });
+
+  list.querySelectorAll('.edit-recurring-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const recurring = findRecurring(btn);
+      if (recurring) fillForm(recurring);
+    });
+  });
+
+  list.querySelectorAll('.delete-recurring-btn').forEach(btn => {
+    btn.addEventListener('click', () => deleteRecurringCampaign(findRecurring(btn)));
+  });
+}
+
+/**
+ * Describe a definition in one line
+ * @param {Object} recurring - Definition with its Template and Segment
+ * @returns {string}
+ */
+function describeRecurringCampaign(recurring) {
+  return [
+    describeSchedule(recurring.scheduleType, recurring.schedule),
+    `sends "${recurring.Template ? recurring.Template.name : 'missing template'}"`,
+    `to ${recurring.Segment ? recurring.Segment.name : 'missing segment'}`
+  ].join(' · ');
+}
+
+/**
+ * Describe a schedule in words
+ * @param {string} scheduleType - WEEKLY, MONTHLY or CRON
+ * @param {Object} schedule - Schedule of that type
+ * @returns {string}
+ */
+function describeSchedule(scheduleType, schedule) {
+  switch (scheduleType) {
+    case 'WEEKLY':
+      return `Every ${(schedule.days || []).map(day => DAY_NAMES[day]).join(', ')} at ${minutesToTime(schedule.time)}`;
+    case 'MONTHLY':
+      return `Monthly on day ${schedule.dayOfMonth} at ${minutesToTime(schedule.time)}`;
+    default:
+      return `Cron ${schedule.expression}`;
+  }
+}
+
+/**
+ * Show only the fields of the selected schedule type
+ */
+function showScheduleFields() {
+  const scheduleType = document.getElementById('recurring-schedule-type').value;
+
+  document.getElementById('recurring-weekly-fields').classList.toggle('active', scheduleType === 'WEEKLY');
+  document.getElementById('recurring-monthly-fields').classList.toggle('active', scheduleType === 'MONTHLY');
+  document.getElementById('recurring-cron-fields').classList.toggle('active', scheduleType === 'CRON');
+  document.querySelector('#recurring-campaigns-modal .recurring-time-group').style.display = scheduleType === 'CRON' ? 'none' : '';
+}
+
+/**
+ * Read the schedule from the form
+ * @returns {Object} - { scheduleType, schedule }
+ */
+function readSchedule() {
+  const scheduleType = document.getElementById('recurring-schedule-type').value;
+  const time = timeToMinutes(document.getElementById('recurring-time').value || '00:00');
+
+  if (scheduleType === 'WEEKLY') {
+    const days = Array.from(document.querySelectorAll('#recurring-campaigns-modal .recurring-day:checked'))
+      .map(checkbox => parseInt(checkbox.value));
+    return { scheduleType, schedule: { days, time } };
+  }
+
+  if (scheduleType === 'MONTHLY') {
+    return { scheduleType, schedule: { dayOfMonth: document.getElementById('recurring-day-of-month').value, time } };
+  }
+
+  return { scheduleType, schedule: { expression: document.getElementById('recurring-cron').value } };
+}
+
+/**
+ * Show the next occurrences of the schedule in the form
+ */
+async function updatePreview() {
+  const list = document.getElementById('recurring-preview-list');
+  const { scheduleType, schedule } = readSchedule();
+
+  try {
+    const result = await api.previewRecurringSchedule(scheduleType, schedule);
+
+    if (result && result.success) {
+      list.innerHTML = result.occurrences
+        .map(date => `<li>${escapeHtml(new Date(date).toLocaleString([], { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }))}</li>`)
+        .join('');
+    } else {
+      list.innerHTML = `<li class="preview-error">${escapeHtml((result && result.error) || 'Invalid schedule')}</li>`;
+    }
+  } catch (error) {
+    console.error('Error previewing recurring schedule:', error);
+    list.innerHTML = `<li class="preview-error">${escapeHtml(error.message)}</li>`;
+  }
+}
+
+/**
+ * Clear the form
+ */
+function resetForm() {
+  document.getElementById('recurring-form-title').textContent = 'New Recurring Campaign';
+  document.getElementById('recurring-id').value = '';
+  document.getElementById('recurring-name').value = '';
+  document.getElementById('recurring-template').value = '';
+  document.getElementById('recurring-segment').value = '';
+  document.getElementById('recurring-schedule-type').value = 'WEEKLY';
+  document.getElementById('recurring-time').value = '10:00';
+  document.getElementById('recurring-day-of-month').value = '1';
+  document.getElementById('recurring-cron').value = '';
+  document.querySelectorAll('#recurring-campaigns-modal .recurring-day').forEach(checkbox => {
+    checkbox.checked = checkbox.value === '1';
+  });
+  document.getElementById('recurring-active').checked = true;
+  showScheduleFields();
+  updatePreview();
+}
+
+/**
+ * Load a definition into the form for editing
+ * @param {Object} recurring - Definition to edit
+ */
+function fillForm(recurring) {
+  const schedule = recurring.schedule || {};
+
+  resetForm();
+  document.getElementById('recurring-form-title').textContent = `Edit: ${recurring.name}`;
+  document.getElementById('recurring-id').value = recurring.id;
+  document.getElementById('recurring-name').value = recurring.name;
+  document.getElementById('recurring-template').value = recurring.TemplateId || '';
+  document.getElementById('recurring-segment').value = recurring.SegmentId || '';
+  document.getElementById('recurring-schedule-type').value = recurring.scheduleType;
+  document.getElementById('recurring-active').checked = recurring.status === 'ACTIVE';
+
+  if (typeof schedule.time === 'number') {
+    document.getElementById('recurring-time').value = minutesToTime(schedule.time);
+  }
+  if (recurring.scheduleType === 'WEEKLY') {
+    document.querySelectorAll('#recurring-campaigns-modal .recurring-day').forEach(checkbox => {
+      checkbox.checked = (schedule.days || []).includes(parseInt(checkbox.value));
+    });
+  } else if (recurring.scheduleType === 'MONTHLY') {
+    document.getElementById('recurring-day-of-month').value = schedule.dayOfMonth;
+  } else {
+    document.getElementById('recurring-cron').value = schedule.expression || '';
+  }
+
+  showScheduleFields();
+  updatePreview();
+}
+
+/**
+ * Create or update the definition in the form
+ */
+async function saveRecurringCampaign() {
+  const id = document.getElementById('recurring-id').value;
+  const { scheduleType, schedule } = readSchedule();
+
+  const data = {
+    name: document.getElementById('recurring-name').value.trim(),
+    TemplateId: document.getElementById('recurring-template').value || null,
+    SegmentId: document.getElementById('recurring-segment').value || null,
+    scheduleType,
+    schedule,
+    status: document.getElementById('recurring-active').checked ? 'ACTIVE' : 'PAUSED'
+  };
+
+  try {
+    const result = id
+      ? await api.updateRecurringCampaign(parseInt(id), data)
+      : await api.createRecurringCampaign(data);
+
+    if (result && result.success) {
+      showToast(`Recurring campaign "${result.recurringCampaign.name}" saved`, 'success');
+      await loadRecurringCampaigns();
+      resetForm();
+      if (onChanged) await onChanged();
+    } else {
+      showToast(`Error: ${result?.error || 'Unknown error'}`, 'error');
+    }
+  } catch (error) {
+    console.error('Error saving recurring campaign:', error);
+    showToast(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Pause or resume a definition
+ * @param {Object} recurring - Definition to toggle
+ */
+async function toggleRecurringCampaign(recurring) {
+  if (!recurring) return;
+
+  try {
+    const result = recurring.status === 'ACTIVE'
+      ? await api.pauseRecurringCampaign(recurring.id)
+      : await api.resumeRecurringCampaign(recurring.id);
+
+    if (result && result.success) {
+      await loadRecurringCampaigns();
+      if (onChanged) await onChanged();
+    } else {
+      showToast(`Error: ${result?.error || 'Unknown error'}`, 'error');
+    }
+  } catch (error) {
+    console.error('Error toggling recurring campaign:', error);
+    showToast(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Delete a definition after confirmation
+ * @param {Object} recurring - Definition to delete
+ */
+async function deleteRecurringCampaign(recurring) {
+  if (!recurring) return;
+
+  const confirmed = await showConfirmDialog(
+    'Delete Recurring Campaign',
+    `Delete "${recurring.name}"? Campaigns it already created are kept.`,
+    'Delete',
+    'Cancel'
+  );
+  if (!confirmed) return;
+
+  try {
+    const result = await api.deleteRecurringCampaign(recurring.id);
+
+    if (result && result.success) {
+      showToast('Recurring campaign deleted', 'success');
+      if (document.getElementById('recurring-id').value === String(recurring.id)) {
+        resetForm();
+      }
+      await loadRecurringCampaigns();
+    } else {
+      showToast(`Error: ${result?.error || 'Unknown error'}`, 'error');
+    }
+  } catch (error) {
+    console.error('Error deleting recurring campaign:', error);
+    showToast(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Convert minutes from midnight to HH:MM
+ * @param {number} minutes - Minutes from midnight
+ * @returns {string}
+ */
+function minutesToTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Convert HH:MM to minutes from midnight
+ * @param {string} time - Time in HH:MM
+ * @returns {number}
+ */
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(part => parseInt(part) || 0);
+  return hours * 60 + minutes;
+}
@@ -1,6 +1,9 @@
 // scheduled.js - Scheduled Messages Management
 import { api } from '../utils/api.js';
 import { showToast, showConfirmDialog } from '../ui/notifications.js';
+import { escapeHtml } from '../utils/helpers.js';
+import { openAbTestModal } from './ab-test.js';
+import { openRecurringCampaignsModal } from './recurring.js';
 
 // Cache DOM elements
 let elements = {};
@@ -17,6 +20,10 @@ let totalMessages = 0;
 // Add a state variable to track selected messages
 let selectedMessageIds = new Set();
 
+// Campaigns cache and the campaign currently used to filter messages
+let campaigns = [];
+let currentCampaignFilter = 'ALL';
+
 // Status color mapping
 const statusColors = {
   'SCHEDULED': '#ffc107', // Yellow
@@ -24,7 +31,8 @@ const statusColors = {
   'SENT': '#4CAF50',      // Green
   'DELIVERED': '#00C853', // Brighter green
   'READ': '#8BC34A',      // Light green
-  'FAILED': '#f44336'     // Red
+  'FAILED': '#f44336',    // Red
+  'PAUSED': '#9E9E9E'     // Grey
 };
 
 /**
@@ -105,7 +113,10 @@ function cacheElements() {
     messagesTable: document.getElementById('messages-table'),
     statusFilter: document.getElementById('status-filter'),
     refreshButton: document.getElementById('refresh-messages'),
-    messagesContainer: document.getElementById('messages-container')
+    messagesContainer: document.getElementById('messages-container'),
+    campaignsContainer: document.getElementById('campaigns-container'),
+    campaignFilter: document.getElementById('campaign-filter'),
+    recurringButton: document.getElementById('manage-recurring-campaigns')
   };
 }
 
@@ -142,6 +153,21 @@ function setupEventListeners() {
     }
   }
   
+  // Campaign filter
+  if (elements.campaignFilter) {
+    elements.campaignFilter.addEventListener('change', () => {
+      currentCampaignFilter = elements.campaignFilter.value;
+      currentPage = 1;
+      renderMessages();
+      renderCampaigns();
+    });
+  }
+  
+  // Recurring campaigns manager
+  if (elements.recurringButton) {
+    elements.recurringButton.addEventListener('click', () => openRecurringCampaignsModal(loadScheduledMessages));
+  }
+  
   // Set up auto-refresh timer
   const autoRefreshInterval = setupAutoRefresh();
 }
@@ -208,6 +234,9 @@ export async function loadScheduledMessages() {
     // Sort messages by scheduled time (newest first)
     messages.sort((a, b) => new Date(b.scheduledTime) - new Date(a.scheduledTime));
     
+    // Load campaigns alongside the messages so their counts stay in sync
+    await loadCampaigns();
+    
     // Render messages
     renderMessages();
   } catch (error) {
@@ -233,6 +262,229 @@ export async function loadScheduledMessages() {
 // Expose the refresh function globally so it can be called from other modules
 window.refreshScheduledMessages = loadScheduledMessages;
 
+/**
+ * Load campaigns with their aggregated counts
+ */
+async function loadCampaigns() {
+  try {
+    const response = await api.getCampaigns();
+    campaigns = Array.isArray(response) ? response : [];
+    
+    // Drop the filter if its campaign no longer exists
+    if (currentCampaignFilter !== 'ALL' &&
+        !campaigns.some(campaign => String(campaign.id) === currentCampaignFilter)) {
+      currentCampaignFilter = 'ALL';
+    }
+    
+    populateCampaignFilter();
+    renderCampaigns();
+  } catch (error) {
+    console.error('Error loading campaigns:', error);
+    campaigns = [];
+    renderCampaigns();
+  }
+}
+
+/**
+ * Fill the campaign filter dropdown
+ */
+function populateCampaignFilter() {
+  if (!elements.campaignFilter) return;
+  
+  elements.campaignFilter.innerHTML = '<option value="ALL">All Campaigns</option>';
+  
+  campaigns.forEach(campaign => {
+    const option = document.createElement('option');
+    option.value = String(campaign.id);
+    option.textContent = campaign.name;
+    elements.campaignFilter.appendChild(option);
+  });
+  
+  elements.campaignFilter.value = currentCampaignFilter;
+}
+
+/**
+ * Render campaign cards with counts and actions
+ */
+function renderCampaigns() {
+  if (!elements.campaignsContainer) return;
+  
+  if (campaigns.length === 0) {
+    elements.campaignsContainer.innerHTML = '<p class="empty-campaigns">No campaigns yet. Campaigns are created from the Bulk Sender.</p>';
+    return;
+  }
+  
+  elements.campaignsContainer.innerHTML = campaigns.map(campaign => {
+    const counts = campaign.counts || {};
+    const total = counts.total || 0;
+    const progress = total > 0 ? Math.round(((total - (counts.open || 0)) / total) * 100) : 0;
+    const statusClass = campaign.status.toLowerCase();
+    const templateName = campaign.variants
+      ? `A/B: ${campaign.variants.map(variant => variant.templateSnapshot.name).join(' vs ')}`
+      : (campaign.templateSnapshot ? campaign.templateSnapshot.name : 'Unknown template');
+    const isFiltered = String(campaign.id) === currentCampaignFilter;
+    
+    return `
+      <div class="campaign-card ${statusClass} ${isFiltered ? 'selected' : ''}" data-id="${campaign.id}">
+        <div class="campaign-header">
+          <div class="campaign-title">
+            <strong>${escapeHtml(campaign.name)}</strong>
+            <span class="campaign-template"><i class="fas ${campaign.variants ? 'fa-flask' : 'fa-file-alt'}"></i> ${escapeHtml(templateName)}</span>
+          </div>
+          <span class="message-status ${statusClass}">${campaign.status}</span>
+        </div>
+        <div class="campaign-progress">
+          <div class="progress-bar-container">
+            <div class="progress-bar" style="width: ${progress}%"></div>
+          </div>
+          <span>${progress}% of ${total}</span>
+        </div>
+        <div class="campaign-counts">
+          <span title="Sent"><i class="fas fa-check"></i> ${counts.sent || 0}</span>
+          <span title="Delivered"><i class="fas fa-check-double"></i> ${counts.delivered || 0}</span>
+          <span title="Read"><i class="fas fa-eye"></i> ${counts.read || 0}</span>
+          <span title="Failed"><i class="fas fa-times"></i> ${counts.failed || 0}</span>
+          <span title="Waiting"><i class="fas fa-clock"></i> ${counts.open || 0}</span>
+        </div>
+        <div class="campaign-footer">
+          <span class="time-item"><i class="fas fa-calendar-alt"></i> ${formatDateTime(new Date(campaign.scheduledTime))}</span>
+          <div class="message-actions">
+            <button class="btn btn-sm campaign-view-btn" data-id="${campaign.id}" title="Show only this campaign's messages">
+              <i class="fas fa-filter"></i>
+            </button>
+            ${campaign.variants ? 
+              `<button class="btn btn-sm campaign-ab-btn" data-id="${campaign.id}" title="Compare variants and send the winner">
+                <i class="fas fa-flask"></i>
+              </button>` : ''
+            }
+            ${campaign.status === 'ACTIVE' ? 
+              `<button class="btn btn-sm campaign-pause-btn" data-id="${campaign.id}" title="Pause campaign">
+                <i class="fas fa-pause"></i>
+              </button>` : ''
+            }
+            ${campaign.status === 'PAUSED' ? 
+              `<button class="btn btn-sm btn-primary campaign-resume-btn" data-id="${campaign.id}" title="Resume campaign">
+                <i class="fas fa-play"></i>
+              </button>` : ''
+            }
+            ${campaign.status === 'ACTIVE' || campaign.status === 'PAUSED' ? 
+              `<button class="btn btn-sm btn-danger campaign-cancel-btn" data-id="${campaign.id}" title="Cancel unsent messages">
+                <i class="fas fa-ban"></i>
+              </button>` : ''
+            }
+            <button class="btn btn-sm campaign-duplicate-btn" data-id="${campaign.id}" title="Duplicate campaign">
+              <i class="fas fa-copy"></i>
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+  }).join('');
+  
+  setupCampaignCardButtons();
+}
+
+/**
+ * Set up event listeners for campaign card buttons
+ */
+function setupCampaignCardButtons() {
+  const container = elements.campaignsContainer;
+  
+  container.querySelectorAll('.campaign-view-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      const id = button.dataset.id;
+      currentCampaignFilter = currentCampaignFilter === id ? 'ALL' : id;
+      if (elements.campaignFilter) elements.campaignFilter.value = currentCampaignFilter;
+      currentPage = 1;
+      renderCampaigns();
+      renderMessages();
+    });
+  });
+  
+  container.querySelectorAll('.campaign-ab-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      const campaign = campaigns.find(c => String(c.id) === button.dataset.id);
+      if (campaign) openAbTestModal(campaign, loadScheduledMessages);
+    });
+  });
+  
+  container.querySelectorAll('.campaign-pause-btn').forEach(button => {
+    button.addEventListener('click', () => runCampaignAction(button.dataset.id, 'pause'));
+  });
+  
+  container.querySelectorAll('.campaign-resume-btn').forEach(button => {
+    button.addEventListener('click', () => runCampaignAction(button.dataset.id, 'resume'));
+  });
+  
+  container.querySelectorAll('.campaign-cancel-btn').forEach(button => {
+    button.addEventListener('click', () => runCampaignAction(button.dataset.id, 'cancel'));
+  });
+  
+  container.querySelectorAll('.campaign-duplicate-btn').forEach(button => {
+    button.addEventListener('click', () => runCampaignAction(button.dataset.id, 'duplicate'));
+  });
+}
+
+/**
+ * Run a campaign-level action after confirmation
+ * @param {string} id - Campaign ID
+ * @param {string} action - pause | resume | cancel | duplicate
+ */
+async function runCampaignAction(id, action) {
+  const campaign = campaigns.find(c => String(c.id) === String(id));
+  if (!campaign) return;
+  
+  const actions = {
+    pause: {
+      title: 'Pause Campaign',
+      text: `Pause "${campaign.name}"? Unsent messages will be held until you resume it.`,
+      confirm: 'Pause',
+      call: () => api.pauseCampaign(campaign.id),
+      done: result => `Campaign paused (${result.affected} message(s) on hold)`
+    },
+    resume: {
+      title: 'Resume Campaign',
+      text: `Resume "${campaign.name}"? Held messages will be sent within your schedule settings.`,
+      confirm: 'Resume',
+      call: () => api.resumeCampaign(campaign.id),
+      done: result => `Campaign resumed (${result.affected} message(s) queued)`
+    },
+    cancel: {
+      title: 'Cancel Campaign',
+      text: `Cancel all unsent messages of "${campaign.name}"? This cannot be undone.`,
+      confirm: 'Cancel Campaign',
+      call: () => api.cancelCampaign(campaign.id),
+      done: result => `Campaign canceled (${result.affected} message(s) canceled)`
+    },
+    duplicate: {
+      title: 'Duplicate Campaign',
+      text: `Send "${campaign.name}" again to the same ${(campaign.audience?.contactIds || []).length} contact(s) with the same ${campaign.variants ? 'A/B test variants' : 'content'}, starting now?`,
+      confirm: 'Duplicate',
+      call: () => api.duplicateCampaign(campaign.id),
+      done: result => `Campaign "${result.campaignName}" created with ${result.scheduledCount} message(s)`
+    }
+  };
+  
+  const config = actions[action];
+  
+  try {
+    const confirmed = await showConfirmDialog(config.title, config.text, config.confirm, 'Keep');
+    if (!confirmed) return;
+    
+    const result = await config.call();
+    
+    if (result && result.success) {
+      showToast(config.done(result), 'success');
+      await loadScheduledMessages();
+    } else {
+      showToast(`Error: ${result?.error || 'Unknown error'}`, 'error');
+    }
+  } catch (error) {
+    console.error(`Error running campaign action ${action}:`, error);
+    showToast(`Error: ${error.message}`, 'error');
+  }
+}
+
 /**
  * Filter messages based on the current filter
  * @returns {Array} - Filtered messages
@@ -242,13 +494,20 @@ function filterMessages() {
     return [];
   }
   
-  // If no filter is selected, return all messages
+  let filtered = messages;
+  
+  // Filter by campaign first
+  if (currentCampaignFilter && currentCampaignFilter !== 'ALL') {
+    filtered = filtered.filter(message => String(message.CampaignId) === currentCampaignFilter);
+  }
+  
+  // If no status filter is selected, return the campaign selection
   if (!currentFilter || currentFilter === 'ALL') {
-    return messages;
+    return filtered;
   }
   
   // Filter messages by status - more efficiently
-  return messages.filter(message => message.status === currentFilter);
+  return filtered.filter(message => message.status === currentFilter);
 }
 
 /**
@@ -288,6 +547,9 @@ function renderMessages() {
       elements.statusFilter.value = 'ALL';
       currentFilter = 'ALL';
       localStorage.setItem('scheduledMessagesFilter', 'ALL');
+      currentCampaignFilter = 'ALL';
+      if (elements.campaignFilter) elements.campaignFilter.value = 'ALL';
+      renderCampaigns();
       renderMessages();
     });
     
@@ -372,6 +634,10 @@ function renderMessages() {
         statusClass = 'canceled';
         statusIcon = 'fa-ban';
         break;
+      case 'PAUSED':
+        statusClass = 'paused';
+        statusIcon = 'fa-pause';
+        break;
       default:
         statusClass = 'unknown';
         statusIcon = 'fa-question';
@@ -402,6 +668,9 @@ function renderMessages() {
           <i class="fas fa-user"></i>
           <span>${contact.name || ''} ${contact.surname || ''}</span>
           <span class="phone-number">${contact.phoneNumber || 'Unknown'}</span>
+          ${message.Campaign ? 
+            `<span class="message-campaign" title="Campaign"><i class="fas fa-bullhorn"></i> ${escapeHtml(message.Campaign.name)}${message.variant ? ` · variant ${message.variant}` : ''}</span>` : ''
+          }
         </div>
         <div class="message-status-container">
           <i class="status-icon fas ${statusIcon}"></i>
@@ -442,7 +711,7 @@ function renderMessages() {
           }
         </div>
         <div class="message-actions">
-          ${message.status === 'SCHEDULED' || message.status === 'PENDING' ? 
+          ${message.status === 'SCHEDULED' || message.status === 'PENDING' || message.status === 'PAUSED' ? 
             `<button class="btn btn-sm btn-danger cancel-btn" data-id="${message.id}" title="Cancel this message">
               <i class="fas fa-times"></i> Cancel
             </button>` : ''
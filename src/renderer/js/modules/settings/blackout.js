@@ -0,0 +1,209 @@
+// blackout.js - Holidays and other days the scheduler sends nothing on
+import { api } from '../utils/api.js';
+import { showToast, showConfirmDialog } from '../ui/notifications.js';
+import { escapeHtml } from '../utils/helpers.js';
+
+// Blackout calendar entries cache
+let entries = [];
+
+/**
+ * Set up the blackout calendar card of the settings page and load its entries
+ */
+async function initBlackoutCalendar() {
+  if (!document.getElementById('blackout-table')) return;
+
+  setupBlackoutEventListeners();
+  await loadEntries();
+}
+
+/**
+ * Set up event listeners for the blackout calendar card
+ */
+function setupBlackoutEventListeners() {
+  document.getElementById('blackout-add').onclick = addEntry;
+  document.getElementById('blackout-import').onclick = importIcs;
+  document.getElementById('blackout-remove-selected').onclick = removeSelected;
+  document.getElementById('blackout-select-all').onchange = (event) => {
+    document.querySelectorAll('#blackout-table .blackout-select').forEach(checkbox => {
+      checkbox.checked = event.target.checked;
+    });
+    updateRemoveButton();
+  };
+}
+
+/**
+ * Load and render the calendar
+ */
+async function loadEntries() {
+  try {
+    entries = await api.getBlackoutDates() || [];
+  } catch (error) {
+    console.error('Error loading blackout calendar:', error);
+    entries = [];
+  }
+  renderEntries();
+}
+
+/**
+ * Render the calendar table
+ */
+function renderEntries() {
+  const tbody = document.querySelector('#blackout-table tbody');
+  const count = document.getElementById('blackout-count');
+  if (!tbody) return;
+
+  document.getElementById('blackout-select-all').checked = false;
+  updateRemoveButton();
+
+  count.textContent = `${entries.length} blackout${entries.length !== 1 ? 's' : ''}`;
+
+  if (entries.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="4" class="text-center">No blackout days, messages go out on every active day</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = entries.map(entry => `
+    <tr>
+      <td><input type="checkbox" class="blackout-select" value="${entry.id}"></td>
+      <td>
+        ${escapeHtml(entry.name)}
+        ${entry.source === 'ICS' ? '<span class="blackout-source">(imported)</span>' : ''}
+      </td>
+      <td>${formatDates(entry)}</td>
+      <td>${entry.recurringYearly ? 'Every year' : 'Once'}</td>
+    </tr>
+  `).join('');
+
+  tbody.querySelectorAll('.blackout-select').forEach(checkbox => {
+    checkbox.addEventListener('change', updateRemoveButton);
+  });
+}
+
+/**
+ * Describe the days of an entry, without the year for yearly entries
+ * @param {Object} entry - Calendar entry
+ * @returns {string}
+ */
+function formatDates(entry) {
+  const format = (date) => {
+    const options = entry.recurringYearly
+      ? { month: 'short', day: 'numeric' }
+      : { year: 'numeric', month: 'short', day: 'numeric' };
+    return new Date(`${date}T00:00:00`).toLocaleDateString(undefined, options);
+  };
+
+  return entry.startDate === entry.endDate
+    ? format(entry.startDate)
+    : `${format(entry.startDate)} - ${format(entry.endDate)}`;
+}
+
+/**
+ * Enable the remove button while entries are selected
+ */
+function updateRemoveButton() {
+  const button = document.getElementById('blackout-remove-selected');
+  if (button) {
+    button.disabled = document.querySelectorAll('#blackout-table .blackout-select:checked').length === 0;
+  }
+}
+
+/**
+ * Add the blackout from the form
+ */
+async function addEntry() {
+  const nameInput = document.getElementById('blackout-name');
+  const startInput = document.getElementById('blackout-start');
+  const endInput = document.getElementById('blackout-end');
+  const yearlyInput = document.getElementById('blackout-yearly');
+
+  if (!nameInput.value.trim() || !startInput.value) {
+    showToast('Please enter a name and a start date', 'warning');
+    return;
+  }
+
+  try {
+    const response = await api.addBlackoutDate({
+      name: nameInput.value.trim(),
+      startDate: startInput.value,
+      endDate: endInput.value || null,
+      recurringYearly: yearlyInput.checked
+    });
+
+    if (response && response.success) {
+      showToast(`${response.entry.name} added to the blackout calendar`, 'success');
+      nameInput.value = '';
+      startInput.value = '';
+      endInput.value = '';
+      yearlyInput.checked = false;
+      await loadEntries();
+    } else {
+      showToast((response && response.error) || 'Failed to add blackout', 'error');
+    }
+  } catch (error) {
+    console.error('Error adding blackout date:', error);
+    showToast('Failed to add blackout: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Remove the selected entries
+ */
+async function removeSelected() {
+  const ids = Array.from(document.querySelectorAll('#blackout-table .blackout-select:checked')).map(checkbox => checkbox.value);
+  if (ids.length === 0) return;
+
+  const confirmed = await showConfirmDialog(
+    'Remove Blackouts',
+    `Remove ${ids.length} blackout${ids.length !== 1 ? 's' : ''}? Messages can be sent on those days again.`,
+    'Remove'
+  );
+  if (!confirmed) return;
+
+  try {
+    const response = await api.removeBlackoutDates(ids);
+
+    if (response && response.success) {
+      showToast(`Removed ${response.removed} blackout${response.removed !== 1 ? 's' : ''}`, 'success');
+      await loadEntries();
+    } else {
+      showToast((response && response.error) || 'Failed to remove blackouts', 'error');
+    }
+  } catch (error) {
+    console.error('Error removing blackout dates:', error);
+    showToast('Failed to remove blackouts: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Import the events of an .ics calendar, like a public holiday calendar
+ */
+async function importIcs() {
+  try {
+    const result = await api.showFileDialog({
+      title: 'Select Holiday Calendar',
+      filters: [
+        { name: 'iCalendar Files', extensions: ['ics'] },
+        { name: 'All Files', extensions: ['*'] }
+      ],
+      properties: ['openFile']
+    });
+
+    if (result.canceled || !result.filePaths || result.filePaths.length === 0) return;
+
+    const response = await api.importBlackoutIcs(result.filePaths[0]);
+
+    if (response && response.success) {
+      showToast(`${response.imported} added, ${response.duplicates} already in the calendar, ${response.invalid} skipped`, 'success');
+      await loadEntries();
+    } else {
+      showToast((response && response.error) || 'Failed to import calendar', 'error');
+    }
+  } catch (error) {
+    console.error('Error importing blackout calendar:', error);
+    showToast('Failed to import calendar: ' + error.message, 'error');
+  }
+}
+
+export {
+  initBlackoutCalendar
+};
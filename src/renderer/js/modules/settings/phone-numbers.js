@@ -0,0 +1,94 @@
+// phone-numbers.js - Default country of phone numbers written without calling code
+import { api } from '../utils/api.js';
+import { showToast, showConfirmDialog } from '../ui/notifications.js';
+import { escapeHtml } from '../utils/helpers.js';
+
+/**
+ * Set up the phone numbers card of the settings page
+ */
+async function initPhoneNumberSettings() {
+  const select = document.getElementById('phone-default-country');
+  if (!select) return;
+
+  select.onchange = saveDefaultCountry;
+  document.getElementById('phone-normalize-stored').onclick = normalizeStoredNumbers;
+
+  await loadPhoneNumberSettings();
+}
+
+/**
+ * Fill the country select
+ */
+async function loadPhoneNumberSettings() {
+  const select = document.getElementById('phone-default-country');
+
+  try {
+    const settings = await api.getPhoneNumberSettings();
+    if (!settings) return;
+
+    select.innerHTML = settings.countries.map(country => `
+      <option value="${escapeHtml(country.code)}">${escapeHtml(country.name)} (+${escapeHtml(country.callingCode)})</option>
+    `).join('');
+    select.value = settings.defaultCountry;
+  } catch (error) {
+    console.error('Error loading phone number settings:', error);
+  }
+}
+
+/**
+ * Save the default country when it changes
+ */
+async function saveDefaultCountry() {
+  const select = document.getElementById('phone-default-country');
+
+  try {
+    const result = await api.updatePhoneNumberSettings({ defaultCountry: select.value });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    showToast('Default country saved', 'success');
+  } catch (error) {
+    console.error('Error saving default country:', error);
+    showToast('Failed to save the default country: ' + error.message, 'error');
+    await loadPhoneNumberSettings();
+  }
+}
+
+/**
+ * Bring the numbers saved so far to international format, once
+ */
+async function normalizeStoredNumbers() {
+  const button = document.getElementById('phone-normalize-stored');
+  const resultText = document.getElementById('phone-normalize-result');
+
+  const confirmed = await showConfirmDialog(
+    'Fix Saved Numbers',
+    'Numbers of contacts, sales contacts and the do-not-contact list that were saved without a calling code are read as numbers of the default country and saved in international format. Continue?',
+    'Fix Numbers'
+  );
+  if (!confirmed) return;
+
+  button.disabled = true;
+  try {
+    const result = await api.normalizeStoredPhoneNumbers();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const tables = [result.contacts, result.salesContacts, result.doNotContact];
+    const total = field => tables.reduce((sum, counts) => sum + counts[field], 0);
+
+    resultText.textContent = `${total('updated')} fixed, ${total('invalid')} invalid` +
+      (result.contacts.conflicts ? `, ${result.contacts.conflicts} already saved on another contact` : '');
+    showToast(`${total('updated')} of ${total('checked')} numbers fixed`, 'success');
+  } catch (error) {
+    console.error('Error fixing saved phone numbers:', error);
+    showToast('Failed to fix the saved numbers: ' + error.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+export {
+  initPhoneNumberSettings
+};
@@ -1,6 +1,8 @@
 // settings.js - Settings management functionality
 import { api } from '../utils/api.js';
 import { showToast } from '../ui/notifications.js';
+import { initBlackoutCalendar } from './blackout.js';
+import { initPhoneNumberSettings } from './phone-numbers.js';
 
 // Cache DOM elements
 let elements = {};
@@ -14,6 +16,229 @@ let settings = {};
 // Add view state tracking
 let isViewActive = false;
 
+// Send pacing and retry policy settings: input ID and default value of each number field
+const PACING_FIELDS = {
+  intervalJitterMin: { id: 'settings-jitter-min', defaultValue: 0 },
+  intervalJitterMax: { id: 'settings-jitter-max', defaultValue: 0 },
+  hourlyLimit: { id: 'settings-hourly-limit', defaultValue: 0 },
+  dailyLimit: { id: 'settings-daily-limit', defaultValue: 0 },
+  breakAfter: { id: 'settings-break-after', defaultValue: 0 },
+  breakDuration: { id: 'settings-break-duration', defaultValue: 10 },
+  retryMaxAttempts: { id: 'settings-retry-max-attempts', defaultValue: 3, min: 1 },
+  retryInitialDelay: { id: 'settings-retry-initial-delay', defaultValue: 60 },
+  retryBackoffFactor: { id: 'settings-retry-backoff-factor', defaultValue: 2, min: 1, decimal: true },
+  retryMaxDelay: { id: 'settings-retry-max-delay', defaultValue: 3600 }
+};
+
+const DEFAULT_RETRYABLE_ERRORS = ['connection', 'timeout', 'authentication'];
+
+// Days of the send windows editor, keyed like activeDays (Monday is 1, Sunday is 7)
+const WINDOW_DAYS = [[1, 'Mon'], [2, 'Tue'], [3, 'Wed'], [4, 'Thu'], [5, 'Fri'], [6, 'Sat'], [7, 'Sun']];
+
+/**
+ * Read the send pacing and retry policy fields from settings data, using defaults for invalid values
+ * @param {Object} source - Settings data
+ * @returns {Object} - Pacing and retry fields
+ */
+function extractPacingSettings(source) {
+  const pacing = {};
+  
+  Object.entries(PACING_FIELDS).forEach(([field, { defaultValue, min = 0, decimal }]) => {
+    const raw = source ? source[field] : undefined;
+    const value = decimal ? parseFloat(raw) : parseInt(raw);
+    pacing[field] = isNaN(value) || value < min ? defaultValue : value;
+  });
+  
+  // Stored as JSON text when it comes straight from the database row
+  let retryableErrors = source ? source.retryableErrors : undefined;
+  if (typeof retryableErrors === 'string') {
+    try {
+      retryableErrors = JSON.parse(retryableErrors);
+    } catch (e) {
+      retryableErrors = null;
+    }
+  }
+  pacing.retryableErrors = Array.isArray(retryableErrors) ? retryableErrors : DEFAULT_RETRYABLE_ERRORS;
+  
+  return pacing;
+}
+
+/**
+ * Read the send windows from settings data. Settings saved before send
+ * windows existed get their start and end time on every day.
+ * @param {Object} source - Settings data
+ * @returns {Object} - Ordered { start, end } windows in minutes, keyed by day (1-7)
+ */
+function extractTimeWindows(source) {
+  // Stored as JSON text when it comes straight from the database row
+  let timeWindows = source ? source.timeWindows : undefined;
+  if (typeof timeWindows === 'string') {
+    try {
+      timeWindows = JSON.parse(timeWindows);
+    } catch (e) {
+      timeWindows = null;
+    }
+  }
+  
+  const start = typeof source?.startTime === 'number' ? source.startTime : 540;
+  const end = typeof source?.endTime === 'number' ? source.endTime : 1020;
+  
+  const result = {};
+  WINDOW_DAYS.forEach(([day]) => {
+    if (!timeWindows || typeof timeWindows !== 'object') {
+      result[day] = [{ start, end }];
+    } else {
+      result[day] = Array.isArray(timeWindows[day]) ? timeWindows[day].map(range => ({ start: range.start, end: range.end })) : [];
+    }
+  });
+  
+  return result;
+}
+
+/**
+ * Format minutes from midnight as HH:MM
+ * @param {number} minutes - Minutes from midnight
+ * @returns {string}
+ */
+function minutesToTime(minutes) {
+  return `${Math.floor(minutes / 60).toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Convert HH:MM to minutes from midnight
+ * @param {string} time - Time in HH:MM
+ * @returns {number} - Minutes, NaN for an empty or invalid time
+ */
+function timeToMinutes(time) {
+  const [hours, minutes] = (time || '').split(':').map(part => parseInt(part));
+  return hours * 60 + minutes;
+}
+
+/**
+ * Render the send windows editor
+ * @param {Object} timeWindows - Windows keyed by day (1-7)
+ */
+function renderTimeWindows(timeWindows) {
+  const container = elements.timeWindows;
+  if (!container) return;
+  
+  container.innerHTML = WINDOW_DAYS.map(([day, name]) => {
+    const windows = (timeWindows && timeWindows[day]) || [];
+    
+    return `
+      <div class="time-window-day" data-day="${day}">
+        <span class="time-window-day-name">${name}</span>
+        <div class="time-window-list">
+          ${windows.length === 0 ? '<span class="time-window-empty">No sending</span>' : ''}
+          ${windows.map(range => `
+            <div class="time-window">
+              <input type="time" class="time-window-start" value="${minutesToTime(range.start)}">
+              <span>to</span>
+              <input type="time" class="time-window-end" value="${minutesToTime(range.end)}">
+              <button type="button" class="remove-time-window" title="Remove window"><i class="fas fa-times"></i></button>
+            </div>
+          `).join('')}
+        </div>
+        <button type="button" class="add-time-window" title="Add window"><i class="fas fa-plus"></i></button>
+      </div>
+    `;
+  }).join('');
+  
+  // The form is rebuilt when the view is set up, so the handlers are set on every render
+  container.onclick = (event) => {
+    const dayRow = event.target.closest('.time-window-day');
+    if (!dayRow) return;
+    
+    const current = readTimeWindows();
+    const day = dayRow.dataset.day;
+    
+    if (event.target.closest('.add-time-window')) {
+      // A new window starts an hour after the last one
+      const last = current[day][current[day].length - 1];
+      const start = last ? Math.min(last.end + 60, 1380) : 540;
+      current[day].push({ start, end: last ? Math.min(start + 120, 1439) : 1020 });
+    } else if (event.target.closest('.remove-time-window')) {
+      const index = Array.from(dayRow.querySelectorAll('.time-window')).indexOf(event.target.closest('.time-window'));
+      current[day].splice(index, 1);
+    } else {
+      return;
+    }
+    
+    renderTimeWindows(current);
+  };
+  
+  if (elements.copyTimeWindowsButton) {
+    elements.copyTimeWindowsButton.onclick = () => {
+      const current = readTimeWindows();
+      WINDOW_DAYS.forEach(([day]) => {
+        current[day] = current[1].map(range => ({ ...range }));
+      });
+      renderTimeWindows(current);
+    };
+  }
+}
+
+/**
+ * Read the send windows editor as it is
+ * @returns {Object} - Windows keyed by day (1-7), times in minutes (NaN when empty)
+ */
+function readTimeWindows() {
+  const result = {};
+  
+  WINDOW_DAYS.forEach(([day]) => {
+    const dayRow = elements.timeWindows?.querySelector(`.time-window-day[data-day="${day}"]`);
+    result[day] = dayRow
+      ? Array.from(dayRow.querySelectorAll('.time-window')).map(row => ({
+        start: timeToMinutes(row.querySelector('.time-window-start').value),
+        end: timeToMinutes(row.querySelector('.time-window-end').value)
+      }))
+      : [];
+  });
+  
+  return result;
+}
+
+/**
+ * Check the send windows of the form
+ * @param {Object} timeWindows - Windows keyed by day (1-7)
+ * @param {Array} activeDays - Active days, each needs a window
+ * @returns {string|null} - Error message, or null when the windows are valid
+ */
+function validateTimeWindows(timeWindows, activeDays) {
+  for (const [day, name] of WINDOW_DAYS) {
+    const windows = [...timeWindows[day]].sort((a, b) => a.start - b.start);
+    
+    for (let index = 0; index < windows.length; index++) {
+      const range = windows[index];
+      if (isNaN(range.start) || isNaN(range.end)) {
+        return `Please fill in every send window of ${name}`;
+      }
+      if (range.start >= range.end) {
+        return `A send window of ${name} ends before it starts`;
+      }
+      if (index > 0 && range.start <= windows[index - 1].end) {
+        return `Send windows of ${name} overlap`;
+      }
+    }
+    
+    if (activeDays.includes(day) && windows.length === 0) {
+      return `${name} is active but has no send window`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Check the retryable error class checkboxes
+ * @param {Array} retryableErrors - Error classes to check
+ */
+function setRetryableErrorCheckboxes(retryableErrors) {
+  (elements.retryableErrorCheckboxes || []).forEach(checkbox => {
+    checkbox.checked = retryableErrors.includes(checkbox.value);
+  });
+}
+
 /**
  * Load settings from localStorage (as backup)
  */
@@ -51,8 +276,10 @@ function saveSettingsToStorage(settingsData) {
         activeDays: dataToStore.activeDays,
         startTime: dataToStore.startTime,
         endTime: dataToStore.endTime,
+        timeWindows: extractTimeWindows(dataToStore),
         messageInterval: dataToStore.messageInterval,
-        isActive: dataToStore.isActive
+        isActive: dataToStore.isActive,
+        ...extractPacingSettings(dataToStore)
       };
       
       // If activeDays is a string, try to parse it
@@ -101,8 +328,10 @@ function extractCleanSettings(data) {
     activeDays: sourceData.activeDays,
     startTime: sourceData.startTime,
     endTime: sourceData.endTime,
+    timeWindows: extractTimeWindows(sourceData),
     messageInterval: sourceData.messageInterval,
-    isActive: sourceData.isActive
+    isActive: sourceData.isActive,
+    ...extractPacingSettings(sourceData)
   };
   
   // Process activeDays if it's a string
@@ -354,44 +583,11 @@ function forceUpdateUI() {
       return defaultValue;
     };
     
-    // Format time function with validation
-    const formatTime = (minutes) => {
-      // Verify minutes is a valid number
-      if (typeof minutes !== 'number' || isNaN(minutes) || minutes < 0 || minutes >= 24 * 60) {
-        console.warn('Invalid time value:', minutes);
-        return '09:00'; // Default fallback
-      }
-      
-      // Calculate hours and minutes
-      const hours = Math.floor(minutes / 60);
-      const mins = minutes % 60;
-      
-      // Format with leading zeros
-      return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
-    };
-    
     // Set time values using the helper - with defaults
-    const startTime = extractTimeValue('startTime', 540); // Default 9:00 AM
-    const endTime = extractTimeValue('endTime', 1020); // Default 5:00 PM
     const messageInterval = extractTimeValue('messageInterval', 45); // Default 45 seconds
     
-    // Set start time
-    if (elements.startTime) {
-      const startTimeFormatted = formatTime(startTime);
-      elements.startTime.value = startTimeFormatted;
-      console.log(`Set start time input to: ${startTimeFormatted} (from ${startTime} minutes)`);
-    } else {
-      console.warn('Start time element not found');
-    }
-    
-    // Set end time
-    if (elements.endTime) {
-      const endTimeFormatted = formatTime(endTime);
-      elements.endTime.value = endTimeFormatted;
-      console.log(`Set end time input to: ${endTimeFormatted} (from ${endTime} minutes)`);
-    } else {
-      console.warn('End time element not found');
-    }
+    // Set send windows
+    renderTimeWindows(extractTimeWindows(settings.dataValues || settings));
     
     // Set message interval
     if (elements.messageInterval) {
@@ -401,6 +597,15 @@ function forceUpdateUI() {
       console.warn('Message interval element not found');
     }
     
+    // Set send pacing and retry policy fields
+    const pacing = extractPacingSettings(settings.dataValues || settings);
+    Object.keys(PACING_FIELDS).forEach(field => {
+      if (elements[field]) {
+        elements[field].value = pacing[field];
+      }
+    });
+    setRetryableErrorCheckboxes(pacing.retryableErrors);
+    
     // Helper to extract boolean values
     const extractBooleanValue = (fieldName, defaultValue) => {
       console.log(`Extracting boolean ${fieldName} from settings:`, {
@@ -463,8 +668,7 @@ function forceUpdateUI() {
     }
     
     console.log('Final DOM state - time settings:', {
-      startTime: elements.startTime?.value || 'element not found',
-      endTime: elements.endTime?.value || 'element not found',
+      timeWindows: readTimeWindows(),
       messageInterval: elements.messageInterval?.value || 'element not found',
       isActive: elements.isActive?.checked || 'element not found'
     });
@@ -493,6 +697,8 @@ export async function initSettings() {
   try {
     // Force refresh settings from backend and update UI
     await refreshSettings();
+    await initBlackoutCalendar();
+    await initPhoneNumberSettings();
     console.log('Settings module initialized successfully');
   } catch (error) {
     console.error('Error initializing settings module:', error);
@@ -556,8 +762,8 @@ function cacheElements() {
   elements = {
     settingsForm: document.getElementById('schedule-settings-form'),
     activeDaysCheckboxes: Array.from(document.querySelectorAll('input[name="settings-active-days"]')),
-    startTime: document.getElementById('settings-start-time'),
-    endTime: document.getElementById('settings-end-time'),
+    timeWindows: document.getElementById('settings-time-windows'),
+    copyTimeWindowsButton: document.getElementById('settings-copy-time-windows'),
     messageInterval: document.getElementById('settings-message-interval'),
     isActive: document.getElementById('settings-is-active'),
     saveButton: document.getElementById('save-settings-btn'),
@@ -574,6 +780,11 @@ function cacheElements() {
     refreshBtn: document.getElementById('reload-phone-info')
   };
   
+  Object.entries(PACING_FIELDS).forEach(([field, { id }]) => {
+    elements[field] = document.getElementById(id);
+  });
+  elements.retryableErrorCheckboxes = Array.from(document.querySelectorAll('input[name="settings-retryable-errors"]'));
+  
   // Try alternative selectors if primary ones failed
   if (!elements.isActive) {
     console.warn('isActive element not found with primary ID, trying alternatives');
@@ -590,15 +801,14 @@ function cacheElements() {
   console.log('Elements cached:', {
     formFound: !!elements.settingsForm,
     activeDaysCount: elements.activeDaysCheckboxes?.length || 0,
-    startTimeFound: !!elements.startTime,
-    endTimeFound: !!elements.endTime,
+    timeWindowsFound: !!elements.timeWindows,
     messageIntervalFound: !!elements.messageInterval,
     isActiveFound: !!elements.isActive,
     saveButtonFound: !!elements.saveButton
   });
   
   // Return success status - isActive is no longer required for success
-  return !!(elements.settingsForm && elements.startTime && elements.endTime && elements.saveButton);
+  return !!(elements.settingsForm && elements.timeWindows && elements.saveButton);
 }
 
 /**
@@ -862,12 +1072,12 @@ async function saveSettings() {
     cacheElements();
     
     // Validate we have current elements
-    if (!elements.activeDaysCheckboxes || !elements.startTime || !elements.endTime) {
+    if (!elements.activeDaysCheckboxes || !elements.timeWindows) {
       console.error('Critical elements missing, recaching...');
       cacheElements();
       
       // Check again after recaching
-      if (!elements.activeDaysCheckboxes || !elements.startTime || !elements.endTime) {
+      if (!elements.activeDaysCheckboxes || !elements.timeWindows) {
         throw new Error('Unable to find critical form elements');
       }
     }
@@ -892,29 +1102,18 @@ async function saveSettings() {
       throw new Error('No active days selected');
     }
     
-    // Convert time inputs to minutes - handle empty values
-    let startTime = 540; // Default 9:00 AM
-    let endTime = 1020;  // Default 5:00 PM
-    
-    if (elements.startTime && elements.startTime.value) {
-      const startTimeParts = elements.startTime.value.split(':');
-      if (startTimeParts.length >= 2) {
-        startTime = (parseInt(startTimeParts[0]) * 60) + parseInt(startTimeParts[1] || 0);
-      }
+    // Collect and validate the send windows
+    const timeWindows = readTimeWindows();
+    const windowsError = validateTimeWindows(timeWindows, activeDays);
+    if (windowsError) {
+      showToast(windowsError, 'error');
+      throw new Error(windowsError);
     }
     
-    if (elements.endTime && elements.endTime.value) {
-      const endTimeParts = elements.endTime.value.split(':');
-      if (endTimeParts.length >= 2) {
-        endTime = (parseInt(endTimeParts[0]) * 60) + parseInt(endTimeParts[1] || 0);
-      }
-    }
-    
-    // Validate time range
-    if (startTime >= endTime) {
-      showToast('End time must be after start time', 'error');
-      throw new Error('End time must be after start time');
-    }
+    // The overall start and end time are kept for the rest of the app
+    const allWindows = Object.values(timeWindows).flat();
+    const startTime = Math.min(...allWindows.map(range => range.start));
+    const endTime = Math.max(...allWindows.map(range => range.end));
     
     // Get message interval with fallback
     let messageInterval = 45; // Default
@@ -925,6 +1124,21 @@ async function saveSettings() {
       }
     }
     
+    // Get send pacing and retry policy fields, empty inputs fall back to their defaults
+    const pacing = extractPacingSettings({
+      ...Object.fromEntries(
+        Object.keys(PACING_FIELDS).map(field => [field, elements[field] ? elements[field].value : undefined])
+      ),
+      retryableErrors: (elements.retryableErrorCheckboxes || [])
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => checkbox.value)
+    });
+    
+    if (pacing.intervalJitterMin > pacing.intervalJitterMax) {
+      showToast('Minimum jitter cannot be greater than maximum jitter', 'error');
+      throw new Error('Minimum jitter is greater than maximum jitter');
+    }
+    
     // Get active status
     const isActive = elements.isActive ? elements.isActive.checked : false;
     
@@ -933,8 +1147,10 @@ async function saveSettings() {
       activeDays,
       startTime,
       endTime,
+      timeWindows,
       messageInterval,
-      isActive
+      isActive,
+      ...pacing
     };
     
     console.log('Submitting settings update:', updatedSettings);
@@ -1045,8 +1261,8 @@ function updateSettingsUI() {
   cacheElements();
   
     // Verify we have the elements
-    if (!elements.startTime || !elements.endTime) {
-      console.warn('Time elements not found, retrying...');
+    if (!elements.timeWindows) {
+      console.warn('Send windows element not found, retrying...');
       setTimeout(() => {
         cacheElements();
         performUIUpdate();
@@ -1075,32 +1291,8 @@ function performUIUpdate() {
     console.warn('Active days checkboxes not found');
   }
   
-  // Update time inputs with proper formatting
-  const formatTime = (minutes) => {
-    if (typeof minutes !== 'number' || isNaN(minutes)) {
-      console.warn('Invalid time value:', minutes);
-      return ''; // Return empty string instead of default
-    }
-    const hours = Math.floor(minutes / 60);
-    const mins = minutes % 60;
-    return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
-  };
-  
-  if (elements.startTime) {
-    const startTimeFormatted = formatTime(settings.startTime);
-    elements.startTime.value = startTimeFormatted;
-    console.log(`Start time set to: ${startTimeFormatted} (from ${settings.startTime} minutes)`);
-  } else {
-    console.warn('Start time element not found');
-  }
-  
-  if (elements.endTime) {
-    const endTimeFormatted = formatTime(settings.endTime);
-    elements.endTime.value = endTimeFormatted;
-    console.log(`End time set to: ${endTimeFormatted} (from ${settings.endTime} minutes)`);
-  } else {
-    console.warn('End time element not found');
-  }
+  // Update the send windows editor
+  renderTimeWindows(extractTimeWindows(settings));
   
   // Update other fields
   if (elements.messageInterval) {
@@ -1110,6 +1302,16 @@ function performUIUpdate() {
     console.warn('Message interval element not found');
   }
   
+  Object.keys(PACING_FIELDS).forEach(field => {
+    if (elements[field] && settings[field] !== undefined) {
+      elements[field].value = settings[field];
+    }
+  });
+  
+  if (Array.isArray(settings.retryableErrors)) {
+    setRetryableErrorCheckboxes(settings.retryableErrors);
+  }
+  
   if (elements.isActive) {
     elements.isActive.checked = settings.isActive || false;
     console.log(`Is active set to: ${settings.isActive}`);
@@ -468,6 +468,9 @@ function showTemplateModal() {
   // Set modal title
   document.getElementById('template-modal-title').textContent = 'Create Template';
   
+  // Custom fields may have been added since the last time
+  loadCustomVariables();
+  
   // Show modal
   elements.templateModal.style.display = 'flex';
 }
@@ -665,6 +668,9 @@ function removeTemplateImage() {
  */
 async function editTemplate(id) {
   try {
+    // Custom fields may have been added since the last time
+    loadCustomVariables();
+    
     // Convert ID to a number
     const templateId = Number(id);
     
@@ -1138,4 +1144,47 @@ function initializeVariablesDropdown() {
     
     console.log(`Variables dropdown initialized with visibility: ${isVisible ? 'visible' : 'hidden'}`);
   }
+  
+  // Add the custom contact fields to the list
+  loadCustomVariables();
+}
+
+/**
+ * Load the custom contact fields and list them as template variables
+ */
+async function loadCustomVariables() {
+  const container = document.getElementById('custom-variables');
+  const grid = document.getElementById('custom-variables-grid');
+  if (!container || !grid) return;
+  
+  try {
+    const keys = await api.getCustomFieldKeys();
+    
+    grid.innerHTML = '';
+    container.style.display = keys && keys.length > 0 ? 'block' : 'none';
+    
+    (keys || []).forEach(key => {
+      const item = document.createElement('div');
+      item.className = 'variable-item';
+      
+      const code = document.createElement('code');
+      code.textContent = `{${key}}`;
+      
+      const description = document.createElement('span');
+      description.textContent = `Custom field "${key}"`;
+      
+      item.appendChild(code);
+      item.appendChild(description);
+      
+      item.addEventListener('click', (e) => {
+        e.stopPropagation();
+        e.preventDefault();
+        insertVariableToTemplate(code.textContent);
+      });
+      
+      grid.appendChild(item);
+    });
+  } catch (error) {
+    console.error('Error loading custom fields:', error);
+  }
 } 
\ No newline at end of file
@@ -93,6 +93,17 @@ function debounce(func, wait = 300) {
   };
 }
 
+/**
+ * Escape text before putting it into HTML
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
+}
+
 // Export all helper functions
 export {
   path,
@@ -101,5 +112,6 @@ export {
   isEmptyContact,
   createCellContentHTML,
   createBirthdayCellHTML,
-  debounce
+  debounce,
+  escapeHtml
 }; 
\ No newline at end of file
@@ -1,6 +1,7 @@
 // whatsapp.js - WhatsApp connection and status handling
 
 import { showNotification } from '../ui/notifications.js';
+import { escapeHtml, formatPhoneNumber } from '../utils/helpers.js';
 
 // Flag to track if session was deleted (to force QR code display)
 let sessionDeleted = false;
@@ -137,6 +138,9 @@ function setupWhatsAppConnection() {
   // Check WhatsApp status immediately and auto-connect if session exists
   checkAndAutoConnect();
   
+  // Numbers other than the main one
+  setupWhatsAppAccounts();
+  
   // Remove any code that shows or toggles autoconnect button
   const autoconnectButton = document.getElementById('autoconnect-toggle');
   if (autoconnectButton) {
@@ -1508,6 +1512,337 @@ async function restartWhatsAppService() {
   }
 }
 
+// --- Sending numbers ---
+
+// Accounts as last loaded, the default account first
+let whatsAppAccounts = [];
+// Account whose QR code is shown below the list
+let qrAccountId = null;
+
+/**
+ * Set up the list of sending numbers in the settings page
+ */
+function setupWhatsAppAccounts() {
+  const addButton = document.getElementById('whatsapp-account-add');
+  const nameInput = document.getElementById('whatsapp-account-name');
+  const table = document.getElementById('whatsapp-accounts-table');
+  if (!addButton || !table) return;
+
+  addButton.addEventListener('click', addWhatsAppAccount);
+  if (nameInput) {
+    nameInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') addWhatsAppAccount();
+    });
+  }
+
+  table.querySelector('tbody').addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (button) {
+      handleAccountAction(parseInt(button.dataset.id), button.dataset.action);
+    }
+  });
+
+  // Daily limit and pool membership are saved as soon as they change
+  table.querySelector('tbody').addEventListener('change', (event) => {
+    const input = event.target;
+    if (input.classList.contains('whatsapp-account-limit')) {
+      updateWhatsAppAccount(parseInt(input.dataset.id), { dailyLimit: parseInt(input.value) || 0 });
+    } else if (input.classList.contains('whatsapp-account-pool')) {
+      updateWhatsAppAccount(parseInt(input.dataset.id), { inSenderPool: input.checked });
+    }
+  });
+
+  window.api.on('whatsapp-account-update', ({ accountId, event }) => {
+    if (accountId === qrAccountId && (event === 'ready' || event === 'authenticated' || event === 'disconnected')) {
+      hideAccountQRCode();
+    }
+    loadWhatsAppAccounts();
+  });
+
+  window.api.on('whatsapp-account-qr', ({ accountId, qr }) => showAccountQRCode(accountId, qr));
+
+  // The database may still be starting, try once more before giving up
+  loadWhatsAppAccounts().then(accounts => {
+    if (accounts.length === 0) {
+      setTimeout(loadWhatsAppAccounts, 5000);
+    }
+  });
+}
+
+/**
+ * Load the sending numbers and show them in the settings table
+ * @returns {Promise<Array>} - The accounts
+ */
+async function loadWhatsAppAccounts() {
+  const tbody = document.querySelector('#whatsapp-accounts-table tbody');
+
+  try {
+    whatsAppAccounts = await window.api.getWhatsAppAccounts() || [];
+  } catch (error) {
+    console.error('Error loading WhatsApp accounts:', error);
+    whatsAppAccounts = [];
+  }
+
+  if (!tbody) return whatsAppAccounts;
+
+  if (whatsAppAccounts.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="7" class="text-center">No sending numbers</td></tr>';
+    return whatsAppAccounts;
+  }
+
+  tbody.innerHTML = whatsAppAccounts.map(account => {
+    const status = describeAccountStatus(account);
+
+    let actions;
+    if (account.isDefault) {
+      actions = '<small>Connected with the buttons above</small>';
+    } else {
+      const id = account.id;
+      actions = account.isConnected
+        ? `<button class="action-btn" data-action="disconnect" data-id="${id}" title="Disconnect"><i class="fas fa-unlink"></i></button>
+           <button class="action-btn" data-action="logout" data-id="${id}" title="Log out"><i class="fas fa-sign-out-alt"></i></button>`
+        : `<button class="action-btn" data-action="connect" data-id="${id}" title="Connect"><i class="fas fa-plug"></i></button>`;
+      actions += `
+           <button class="action-btn" data-action="remove" data-id="${id}" title="Remove"><i class="fas fa-trash"></i></button>`;
+    }
+
+    return `
+      <tr>
+        <td>${escapeHtml(account.name)}</td>
+        <td>${account.phoneNumber ? escapeHtml(formatPhoneNumber(account.phoneNumber)) : '—'}</td>
+        <td>
+          <span class="whatsapp-account-status">
+            <span class="status-indicator ${status.indicator}"></span>${status.label}
+          </span>
+        </td>
+        <td>${account.sentToday || 0}</td>
+        <td><input type="number" class="whatsapp-account-limit" data-id="${account.id}" min="0" value="${account.dailyLimit || 0}"></td>
+        <td><input type="checkbox" class="whatsapp-account-pool" data-id="${account.id}" ${account.inSenderPool ? 'checked' : ''}></td>
+        <td>${actions}</td>
+      </tr>
+    `;
+  }).join('');
+
+  return whatsAppAccounts;
+}
+
+/**
+ * Describe the connection status of an account
+ * @param {Object} account - Account as returned by getWhatsAppAccounts
+ * @returns {Object} - Label and status indicator class
+ */
+function describeAccountStatus(account) {
+  if (account.isConnected) {
+    return { label: 'Connected', indicator: 'connected' };
+  }
+
+  switch (account.status) {
+    case 'qr':
+      return { label: 'Waiting for QR scan', indicator: 'connecting' };
+    case 'loading':
+    case 'authenticated':
+      return { label: 'Connecting', indicator: 'connecting' };
+    case 'auth_failure':
+      return { label: 'Login failed', indicator: 'disconnected' };
+    default:
+      return { label: account.hasExistingSession ? 'Disconnected' : 'Not linked', indicator: 'disconnected' };
+  }
+}
+
+/**
+ * Add a sending number with the name typed in the settings page
+ */
+async function addWhatsAppAccount() {
+  const nameInput = document.getElementById('whatsapp-account-name');
+  const name = nameInput ? nameInput.value.trim() : '';
+
+  if (!name) {
+    showNotification('Sending Numbers', 'Please enter a name for the number', 'warning');
+    return;
+  }
+
+  try {
+    const result = await window.api.addWhatsAppAccount(name);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    nameInput.value = '';
+    showNotification('Sending Numbers', `"${name}" added, click connect and scan its QR code`, 'success');
+    await loadWhatsAppAccounts();
+  } catch (error) {
+    console.error('Error adding WhatsApp account:', error);
+    showNotification('Sending Numbers', `Failed to add the number: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Save the daily limit or pool membership of a sending number
+ * @param {number} id - Account ID
+ * @param {Object} data - { dailyLimit } or { inSenderPool }
+ */
+async function updateWhatsAppAccount(id, data) {
+  try {
+    const result = await window.api.updateWhatsAppAccount(id, data);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  } catch (error) {
+    console.error('Error updating WhatsApp account:', error);
+    showNotification('Sending Numbers', `Failed to save the number: ${error.message}`, 'error');
+  }
+
+  await loadWhatsAppAccounts();
+}
+
+/**
+ * Run an action from the sending numbers table
+ * @param {number} id - Account ID
+ * @param {string} action - connect, disconnect, logout or remove
+ */
+async function handleAccountAction(id, action) {
+  const account = whatsAppAccounts.find(item => item.id === id);
+  if (!account) return;
+
+  try {
+    let result;
+
+    if (action === 'connect') {
+      showNotification('Sending Numbers', `Connecting "${account.name}"...`, 'info');
+      result = await window.api.connectWhatsAppAccount(id);
+    } else if (action === 'disconnect') {
+      result = await window.api.disconnectWhatsAppAccount(id);
+    } else if (action === 'logout') {
+      if (!confirm(`Log out "${account.name}"? Its QR code has to be scanned again to send from it.`)) return;
+      result = await window.api.disconnectWhatsAppAccount(id, true);
+    } else if (action === 'remove') {
+      if (!confirm(`Remove "${account.name}"? Campaigns that send from it will send from the main number.`)) return;
+      result = await window.api.removeWhatsAppAccount(id);
+    }
+
+    if (result && result.success === false) {
+      throw new Error(result.error);
+    }
+
+    if (action !== 'connect' && id === qrAccountId) {
+      hideAccountQRCode();
+    }
+    if (action === 'remove') {
+      showNotification('Sending Numbers', `"${account.name}" removed`, 'success');
+    }
+  } catch (error) {
+    console.error(`Error in WhatsApp account action ${action}:`, error);
+    showNotification('Sending Numbers', `Failed to ${action} "${account.name}": ${error.message}`, 'error');
+  }
+
+  await loadWhatsAppAccounts();
+}
+
+/**
+ * Show the QR code of a sending number other than the main one
+ * @param {number} accountId - Account ID
+ * @param {string|null} qr - QR code data, null hides it
+ */
+function showAccountQRCode(accountId, qr) {
+  const container = document.getElementById('whatsapp-account-qr-container');
+  const qrCodeDiv = document.getElementById('whatsapp-account-qr-code');
+  const title = document.getElementById('whatsapp-account-qr-title');
+  const account = whatsAppAccounts.find(item => item.id === accountId);
+
+  // The main number shows its QR code in the connection card
+  if (!container || !qrCodeDiv || (account && account.isDefault)) return;
+
+  if (!qr) {
+    if (accountId === qrAccountId) hideAccountQRCode();
+    return;
+  }
+
+  qrAccountId = accountId;
+  title.textContent = `Scan with the phone of "${account ? account.name : 'the new number'}"`;
+  container.style.display = 'block';
+  qrCodeDiv.innerHTML = '';
+
+  const canvas = document.createElement('canvas');
+  qrCodeDiv.appendChild(canvas);
+
+  if (window.QRCode) {
+    window.QRCode.toCanvas(canvas, qr, { width: 256 }, error => {
+      if (error) {
+        console.error('Error generating account QR code:', error);
+        showNotification('QR Code Error', 'Failed to generate QR code', 'error');
+      }
+    });
+  } else {
+    console.error('QRCode library not loaded');
+    showNotification('QR Code Error', 'QR code library not loaded', 'error');
+  }
+
+  loadWhatsAppAccounts();
+}
+
+/**
+ * Hide the QR code of a sending number
+ */
+function hideAccountQRCode() {
+  const container = document.getElementById('whatsapp-account-qr-container');
+  if (container) {
+    container.style.display = 'none';
+  }
+  qrAccountId = null;
+}
+
+// Value of the "Send from" option that spreads messages over the sender pool
+const SENDER_POOL_VALUE = 'pool';
+
+/**
+ * Fill a "Send from" select with the sending numbers and the sender pool.
+ * The main number has the empty value so it stays selected when accounts
+ * are changed.
+ * @param {HTMLSelectElement} select - Select to fill
+ * @param {number|string|null} [selectedId] - Account to select, 'pool' for the sender pool,
+ *   keeps the current selection when omitted
+ * @returns {Promise<void>}
+ */
+async function fillAccountSelect(select, selectedId) {
+  if (!select) return;
+
+  const selected = String(selectedId === undefined ? select.value : (selectedId || ''));
+
+  let accounts = [];
+  try {
+    accounts = await window.api.getWhatsAppAccounts() || [];
+  } catch (error) {
+    console.error('Error loading WhatsApp accounts:', error);
+  }
+
+  if (accounts.length === 0) return;
+
+  select.innerHTML = accounts.map(account => {
+    const value = account.isDefault ? '' : account.id;
+    let label = account.name;
+    if (account.phoneNumber) label += ` (${formatPhoneNumber(account.phoneNumber)})`;
+    if (!account.isConnected) label += ' - not connected';
+    return `<option value="${value}">${escapeHtml(label)}</option>`;
+  }).join('') + `<option value="${SENDER_POOL_VALUE}">All numbers in the sender pool</option>`;
+
+  select.value = selected;
+  if (select.value !== selected) {
+    select.value = '';
+  }
+}
+
+/**
+ * Read the choice of a "Send from" select
+ * @param {HTMLSelectElement} select - Select filled by fillAccountSelect
+ * @returns {Object} - { accountId, useSenderPool }, a null accountId is the main number
+ */
+function readAccountSelect(select) {
+  if (select && select.value === SENDER_POOL_VALUE) {
+    return { accountId: null, useSenderPool: true };
+  }
+  return { accountId: select ? parseInt(select.value) || null : null, useSenderPool: false };
+}
+
 // Export WhatsApp functions
 export {
   setupWhatsAppConnection,
@@ -1528,5 +1863,8 @@ export {
   setupConnectionWatchdog,
   handleConnectionRecovery,
   performDeepRecovery,
-  restartWhatsAppService
+  restartWhatsAppService,
+  loadWhatsAppAccounts,
+  fillAccountSelect,
+  readAccountSelect
 }; 
\ No newline at end of file
@@ -0,0 +1,215 @@
+const { Op } = require('sequelize');
+const { models, isDatabaseInitialized } = require('../database/db');
+const whatsAppAccounts = require('./WhatsAppAccounts');
+const senderPool = require('./SenderPool');
+const templateRenderer = require('./TemplateRenderer');
+const optOutService = require('./OptOutService');
+const phoneNumberService = require('./PhoneNumberService');
+const contactController = require('../controllers/ContactController');
+
+/**
+ * Answers incoming messages from keyword and regex rules.
+ *
+ * Active rules are tried in priority order and the first one that matches
+ * replies with its template, rendered for the sender. A rule only fires
+ * inside its time window, for contacts with its tag when it has one, and
+ * once per number within its cooldown, so two auto-responders cannot keep
+ * answering each other. Numbers on the do-not-contact list never get a
+ * reply, and no reply goes out from an account that reached its hourly or
+ * daily cap (see SenderPool), replies count toward those caps. Every reply,
+ * sent or failed, is written to AutoReplyLogs.
+ */
+class AutoReplyService {
+  /**
+   * Reply to an incoming message with the first matching rule
+   * @param {Object} message - { from, body, timestamp, accountId } as emitted by WhatsAppAccounts
+   * @returns {Promise<Object|null>} - The log entry of the reply, or null when no rule fired
+   */
+  async handleIncomingMessage(message) {
+    if (!isDatabaseInitialized() || !message || !message.body) return null;
+
+    const phoneNumber = phoneNumberService.normalize(message.from);
+    if (!phoneNumber || await optOutService.isBlocked(phoneNumber)) return null;
+
+    const rules = await models.AutoReplyRule.findAll({
+      where: { isActive: true },
+      include: [{ model: models.Template }],
+      order: [['priority', 'ASC'], ['id', 'ASC']]
+    });
+    if (rules.length === 0) return null;
+
+    const contact = await models.Contact.findOne({
+      where: { phoneNumber },
+      include: [{ model: models.Tag }]
+    });
+    const now = new Date();
+
+    for (const rule of rules) {
+      if (!this.matches(rule, message.body)) continue;
+      if (!this.isWithinTimeWindow(rule, now)) continue;
+      if (rule.TagId && !(contact && contact.Tags.some(tag => tag.id === rule.TagId))) continue;
+      if (await this._isCoolingDown(rule, phoneNumber, now)) continue;
+
+      return this._reply(rule, phoneNumber, contact, message.body, message.accountId || null);
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a message matches a rule
+   * @param {Object} rule - { matchType, pattern }
+   * @param {string} text - Message body
+   * @returns {boolean}
+   */
+  matches(rule, text) {
+    if (!text || !rule.pattern) return false;
+
+    if (rule.matchType === 'REGEX') {
+      try {
+        return new RegExp(rule.pattern, 'i').test(text);
+      } catch (error) {
+        console.error(`Invalid pattern in auto-reply rule "${rule.name}":`, error.message);
+        return false;
+      }
+    }
+
+    // Keywords match whole words anywhere in the message, ignoring case and accents
+    const normalized = ` ${optOutService.normalizeText(text)} `;
+    return this.parseKeywords(rule.pattern).some(keyword => normalized.includes(` ${keyword} `));
+  }
+
+  /**
+   * Split a keyword pattern into normalized keywords
+   * @param {string} pattern - Comma-separated keywords or phrases
+   * @returns {Array} - Normalized keywords
+   */
+  parseKeywords(pattern) {
+    return String(pattern || '')
+      .split(',')
+      .map(keyword => optOutService.normalizeText(keyword))
+      .filter(Boolean);
+  }
+
+  /**
+   * Check whether a rule may reply at a given time
+   * @param {Object} rule - { startTime, endTime } in minutes from midnight
+   * @param {Date} now - Reference time
+   * @returns {boolean}
+   */
+  isWithinTimeWindow(rule, now = new Date()) {
+    if (typeof rule.startTime !== 'number' || typeof rule.endTime !== 'number') return true;
+
+    const currentMinutes = now.getHours() * 60 + now.getMinutes();
+
+    if (rule.startTime <= rule.endTime) {
+      return currentMinutes >= rule.startTime && currentMinutes <= rule.endTime;
+    }
+
+    // The window spans midnight, e.g. 18:00 - 08:00
+    return currentMinutes >= rule.startTime || currentMinutes <= rule.endTime;
+  }
+
+  /**
+   * Check whether a rule already replied to a number within its cooldown
+   * @private
+   * @param {Object} rule - AutoReplyRule
+   * @param {string} phoneNumber - Normalized phone number
+   * @param {Date} now - Reference time
+   * @returns {Promise<boolean>}
+   */
+  async _isCoolingDown(rule, phoneNumber, now) {
+    if (!rule.cooldownMinutes) return false;
+
+    const count = await models.AutoReplyLog.count({
+      where: {
+        AutoReplyRuleId: rule.id,
+        phoneNumber,
+        status: 'SENT',
+        createdAt: { [Op.gte]: new Date(now.getTime() - rule.cooldownMinutes * 60 * 1000) }
+      }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Send the reply of a rule and log it
+   * @private
+   * @param {Object} rule - AutoReplyRule with its Template
+   * @param {string} phoneNumber - Normalized phone number
+   * @param {Object|null} contact - Bulk contact with the sender's number
+   * @param {string} incomingMessage - Body of the message that triggered the rule
+   * @param {number|null} accountId - WhatsApp account the message came in on, the reply goes out from it
+   * @returns {Promise<Object>} - The log entry, with the externalId and accountId of the reply when it was sent
+   */
+  async _reply(rule, phoneNumber, contact, incomingMessage, accountId) {
+    const entry = {
+      AutoReplyRuleId: rule.id,
+      ruleName: rule.name,
+      phoneNumber,
+      ContactId: contact ? contact.id : null,
+      incomingMessage
+    };
+    let externalId = null;
+
+    try {
+      if (!rule.Template) {
+        throw new Error('The reply template no longer exists');
+      }
+
+      const variables = contact
+        ? templateRenderer.buildContactVariables(contact)
+        : await this._buildSalesContactVariables(phoneNumber);
+      entry.replyContent = templateRenderer.render(rule.Template.content, variables, {
+        knownVariables: await contactController.getCustomFieldKeys()
+      });
+
+      if (!entry.replyContent.trim()) {
+        throw new Error('The reply template rendered an empty message');
+      }
+
+      const sender = whatsAppAccounts.get(accountId);
+      if (!sender) {
+        throw new Error('The WhatsApp account the message came in on no longer exists');
+      }
+
+      const state = (await senderPool.getStates()).find(candidate => candidate.id === sender.accountId);
+      if (state && state.connected && !state.available) {
+        throw new Error(`The WhatsApp account "${sender.name}" reached its hourly or daily limit`);
+      }
+
+      const result = await sender.sendTextMessage(phoneNumber, entry.replyContent);
+      externalId = result.externalId || null;
+      entry.status = 'SENT';
+
+      console.log(`Auto-reply rule "${rule.name}" answered ${phoneNumber}`);
+    } catch (error) {
+      console.error(`Auto-reply rule "${rule.name}" failed for ${phoneNumber}:`, error.message);
+      entry.status = 'FAILED';
+      entry.error = error.message;
+    }
+
+    const log = await models.AutoReplyLog.create(entry);
+    return { ...log.toJSON(), externalId, accountId };
+  }
+
+  /**
+   * Variables for a sender who is only known as a sales contact
+   * @private
+   * @param {string} phoneNumber - Normalized phone number
+   * @returns {Promise<Object>} - Values by variable name
+   */
+  async _buildSalesContactVariables(phoneNumber) {
+    const salesContact = await models.SalesContact.findOne({
+      where: { phoneNumber: { [Op.in]: [phoneNumber, phoneNumber.slice(1)] } },
+      order: [['createdAt', 'DESC']]
+    });
+
+    return templateRenderer.buildContactVariables(
+      salesContact ? { name: salesContact.name, phoneNumber } : { phoneNumber }
+    );
+  }
+}
+
+module.exports = new AutoReplyService();
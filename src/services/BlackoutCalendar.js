@@ -0,0 +1,189 @@
+const { models } = require('../database/db');
+
+// How far ahead to look for a day that is not blocked
+const MAX_LOOKAHEAD_DAYS = 366;
+
+/**
+ * Keeps the blackout calendar: public holidays and other days nothing may
+ * be sent on. Entries are single dates or date ranges, optionally repeating
+ * every year, added by hand or imported from an .ics file.
+ *
+ * The bulk and sales controllers consult it before promoting due messages
+ * and move the messages of a blocked day to the next open day. Days are
+ * calendar dates (YYYY-MM-DD), compared in the recipient's time zone where
+ * the caller knows it.
+ */
+class BlackoutCalendar {
+  constructor() {
+    // Entries are read on every queue check, keep them until they change
+    this.entries = null;
+  }
+
+  /**
+   * Get every entry of the calendar
+   * @returns {Promise<Array>} - Plain entries
+   */
+  async getEntries() {
+    if (!this.entries) {
+      this.entries = await models.BlackoutDate.findAll({ raw: true });
+    }
+    return this.entries;
+  }
+
+  /**
+   * Forget the cached entries after the calendar changed
+   */
+  invalidate() {
+    this.entries = null;
+  }
+
+  /**
+   * Check whether a day is blocked
+   * @param {Array} entries - Calendar entries (see getEntries)
+   * @param {string} date - Day (YYYY-MM-DD)
+   * @returns {boolean}
+   */
+  isBlocked(entries, date) {
+    return entries.some(entry => this._covers(entry, date));
+  }
+
+  /**
+   * Find the first day from a date on that is not blocked
+   * @param {Array} entries - Calendar entries (see getEntries)
+   * @param {string} date - First day to consider (YYYY-MM-DD)
+   * @param {Function} isAllowed - Optional extra check of a day, like the active weekdays
+   * @returns {string|null} - Day (YYYY-MM-DD), or null when every day of the next year is blocked
+   */
+  nextOpenDay(entries, date, isAllowed = () => true) {
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+      const day = this.addDays(date, offset);
+      if (!this.isBlocked(entries, day) && isAllowed(day)) return day;
+    }
+    return null;
+  }
+
+  /**
+   * Format the parts of a date as a day
+   * @param {Object} parts - { year, month (1-12), day }
+   * @returns {string} - Day (YYYY-MM-DD)
+   */
+  toDay({ year, month, day }) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Add days to a day
+   * @param {string} date - Day (YYYY-MM-DD)
+   * @param {number} days - Days to add, negative to go back
+   * @returns {string} - Day (YYYY-MM-DD)
+   */
+  addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    const result = new Date(Date.UTC(year, month - 1, day + days));
+    return result.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Read the events of an iCalendar (.ics) file as calendar entries.
+   * All-day events end the day before their DTEND, as the format says, and
+   * events with a yearly RRULE become recurring entries.
+   * @param {string} text - Content of the .ics file
+   * @returns {Array} - Entries ({ name, startDate, endDate, recurringYearly })
+   */
+  parseIcs(text) {
+    // Long lines are folded onto lines starting with a space or tab
+    const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+    const entries = [];
+    let event = null;
+
+    for (const line of lines) {
+      if (line === 'BEGIN:VEVENT') {
+        event = {};
+      } else if (line === 'END:VEVENT') {
+        const entry = event && this._icsEntry(event);
+        if (entry) entries.push(entry);
+        event = null;
+      } else if (event) {
+        const colon = line.indexOf(':');
+        if (colon <= 0) continue;
+
+        // DTSTART;VALUE=DATE:20261225 - the parameters are not needed
+        const property = line.slice(0, colon).split(';')[0].toUpperCase();
+        event[property] = line.slice(colon + 1);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Check whether an entry covers a day
+   * @private
+   * @param {Object} entry - Calendar entry
+   * @param {string} date - Day (YYYY-MM-DD)
+   * @returns {boolean}
+   */
+  _covers(entry, date) {
+    if (!entry.recurringYearly) {
+      return entry.startDate <= date && date <= entry.endDate;
+    }
+
+    // Compare month and day only, a range like Dec 24 - Jan 2 wraps over the new year
+    const day = date.slice(5);
+    const start = entry.startDate.slice(5);
+    const end = entry.endDate.slice(5);
+
+    return start <= end ? start <= day && day <= end : day >= start || day <= end;
+  }
+
+  /**
+   * Turn the properties of a VEVENT into a calendar entry
+   * @private
+   * @param {Object} event - Property values by name
+   * @returns {Object|null} - Entry, or null when the event has no usable start
+   */
+  _icsEntry(event) {
+    const start = this._icsDate(event.DTSTART);
+    if (!start) return null;
+
+    let endDate = start.date;
+    const end = this._icsDate(event.DTEND);
+    if (end) {
+      // DTEND is exclusive for all-day events and for events ending at midnight
+      endDate = end.allDay || end.midnight ? this.addDays(end.date, -1) : end.date;
+      if (endDate < start.date) endDate = start.date;
+    }
+
+    const name = (event.SUMMARY || '')
+      .replace(/\\n/gi, ' ')
+      .replace(/\\([,;\\])/g, '$1')
+      .trim();
+
+    return {
+      name: name || 'Holiday',
+      startDate: start.date,
+      endDate,
+      recurringYearly: /FREQ=YEARLY/i.test(event.RRULE || '')
+    };
+  }
+
+  /**
+   * Read an iCalendar date or date-time value
+   * @private
+   * @param {string} value - Value like 20261225 or 20261225T090000Z
+   * @returns {Object|null} - { date (YYYY-MM-DD), allDay, midnight }, or null when invalid
+   */
+  _icsDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2}))?/.exec((value || '').trim());
+    if (!match) return null;
+
+    return {
+      date: `${match[1]}-${match[2]}-${match[3]}`,
+      allDay: !match[4],
+      midnight: match[4] === '00' && match[5] === '00' && match[6] === '00'
+    };
+  }
+}
+
+module.exports = new BlackoutCalendar();
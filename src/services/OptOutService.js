@@ -0,0 +1,137 @@
+const { Op } = require('sequelize');
+const { models } = require('../database/db');
+const phoneNumberService = require('./PhoneNumberService');
+
+/**
+ * Replies that opt the sender out, compared after lowercasing and removing
+ * accents and punctuation, so "Stop!" and "Mos më shkruani." both match
+ */
+const STOP_KEYWORDS = [
+  'stop',
+  'stop all',
+  'unsubscribe',
+  'opt out',
+  'optout',
+  'ndalo',
+  'mos me shkruani',
+  'mos me shkruaj',
+  'mos me dergoni mesazhe'
+];
+
+/**
+ * Keeps the do-not-contact list: numbers that must never be messaged again.
+ *
+ * The bulk and sales controllers check it before scheduling and the
+ * SendQueue checks it again right before sending, so a contact who opts
+ * out after a campaign was scheduled still gets nothing. Incoming replies
+ * matching a STOP keyword add their sender automatically.
+ */
+class OptOutService {
+  /**
+   * Check whether a number is on the list
+   * @param {string} phoneNumber - Phone number
+   * @returns {Promise<boolean>}
+   */
+  async isBlocked(phoneNumber) {
+    const normalized = phoneNumberService.normalize(phoneNumber);
+    if (!normalized) return false;
+
+    const count = await models.DoNotContact.count({ where: { phoneNumber: normalized } });
+    return count > 0;
+  }
+
+  /**
+   * Find which of many numbers are on the list
+   * @param {Array} phoneNumbers - Phone numbers
+   * @returns {Promise<Set>} - Normalized numbers that are on the list
+   */
+  async findBlocked(phoneNumbers) {
+    const normalized = [...new Set((phoneNumbers || []).map(number => phoneNumberService.normalize(number)).filter(Boolean))];
+    if (normalized.length === 0) return new Set();
+
+    const entries = await models.DoNotContact.findAll({
+      attributes: ['phoneNumber'],
+      where: { phoneNumber: { [Op.in]: normalized } },
+      raw: true
+    });
+
+    return new Set(entries.map(entry => entry.phoneNumber));
+  }
+
+  /**
+   * Add a number to the list, keeping the existing entry if it is already there
+   * @param {string} phoneNumber - Phone number
+   * @param {Object} details - { reason, keywordMessage, notes }
+   * @returns {Promise<Object>} - { entry, created }
+   */
+  async add(phoneNumber, details = {}) {
+    const normalized = phoneNumberService.normalize(phoneNumber);
+    if (!normalized) {
+      throw new Error('Invalid phone number');
+    }
+
+    const [entry, created] = await models.DoNotContact.findOrCreate({
+      where: { phoneNumber: normalized },
+      defaults: {
+        reason: details.reason || 'MANUAL',
+        keywordMessage: details.keywordMessage || null,
+        notes: details.notes || null
+      }
+    });
+
+    return { entry, created };
+  }
+
+  /**
+   * Lowercase text and strip accents and punctuation, leaving single-spaced words
+   * @param {string} text - Message text
+   * @returns {string} - Normalized text
+   */
+  normalizeText(text) {
+    if (!text) return '';
+
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Find the STOP keyword a reply consists of
+   * @param {string} text - Message body
+   * @returns {string|null} - The matched keyword, or null
+   */
+  matchStopKeyword(text) {
+    const normalized = this.normalizeText(text);
+    if (!normalized) return null;
+
+    return STOP_KEYWORDS.find(keyword => keyword === normalized) || null;
+  }
+
+  /**
+   * Opt the sender of an incoming message out if it is a STOP reply
+   * @param {Object} message - { from, body, timestamp } as emitted by WhatsAppService
+   * @returns {Promise<Object|null>} - The new list entry, or null when nothing was added
+   */
+  async handleIncomingMessage(message) {
+    if (!message || !this.matchStopKeyword(message.body)) return null;
+
+    const { entry, created } = await this.add(message.from, {
+      reason: 'KEYWORD',
+      keywordMessage: message.body
+    });
+
+    if (!created) return null;
+
+    console.log(`${entry.phoneNumber} opted out with "${message.body}"`);
+    return entry;
+  }
+}
+
+const optOutService = new OptOutService();
+optOutService.STOP_KEYWORDS = STOP_KEYWORDS;
+
+module.exports = optOutService;
@@ -0,0 +1,199 @@
+/**
+ * Numbering plans of the countries the app knows in detail, keyed by ISO
+ * country code. The patterns match the national significant number, the
+ * number without calling code and trunk prefix. Numbers of other countries
+ * are only checked for their length.
+ */
+const COUNTRIES = {
+  AL: { name: 'Albania', callingCode: '355', trunkPrefix: '0', mobile: /^6[6-9]\d{7}$/, landline: /^[2-58]\d{6,7}$/ },
+  AT: { name: 'Austria', callingCode: '43', trunkPrefix: '0', mobile: /^6[5-9]\d{6,10}$/, landline: /^[1-57-9]\d{3,12}$/ },
+  BE: { name: 'Belgium', callingCode: '32', trunkPrefix: '0', mobile: /^4\d{8}$/, landline: /^[1-9]\d{7}$/ },
+  FR: { name: 'France', callingCode: '33', trunkPrefix: '0', mobile: /^[67]\d{8}$/, landline: /^[1-59]\d{8}$/ },
+  DE: { name: 'Germany', callingCode: '49', trunkPrefix: '0', mobile: /^1[5-7]\d{8,9}$/, landline: /^[2-9]\d{5,10}$/ },
+  GR: { name: 'Greece', callingCode: '30', trunkPrefix: null, mobile: /^69\d{8}$/, landline: /^2\d{9}$/ },
+  IT: { name: 'Italy', callingCode: '39', trunkPrefix: null, mobile: /^3\d{8,9}$/, landline: /^0\d{5,10}$/ },
+  XK: { name: 'Kosovo', callingCode: '383', trunkPrefix: '0', mobile: /^4[3-9]\d{6}$/, landline: /^[23]\d{7}$/ },
+  ME: { name: 'Montenegro', callingCode: '382', trunkPrefix: '0', mobile: /^6\d{7}$/, landline: /^[2-5]\d{6,7}$/ },
+  NL: { name: 'Netherlands', callingCode: '31', trunkPrefix: '0', mobile: /^6\d{8}$/, landline: /^[1-57]\d{8}$/ },
+  MK: { name: 'North Macedonia', callingCode: '389', trunkPrefix: '0', mobile: /^7\d{7}$/, landline: /^[2-4]\d{6,7}$/ },
+  RS: { name: 'Serbia', callingCode: '381', trunkPrefix: '0', mobile: /^6\d{7,9}$/, landline: /^[1-3]\d{6,8}$/ },
+  ES: { name: 'Spain', callingCode: '34', trunkPrefix: null, mobile: /^[67]\d{8}$/, landline: /^[89]\d{8}$/ },
+  CH: { name: 'Switzerland', callingCode: '41', trunkPrefix: '0', mobile: /^7[5-9]\d{7}$/, landline: /^[2-69]\d{8}$/ },
+  TR: { name: 'Turkey', callingCode: '90', trunkPrefix: '0', mobile: /^5\d{9}$/, landline: /^[2-4]\d{9}$/ },
+  GB: { name: 'United Kingdom', callingCode: '44', trunkPrefix: '0', mobile: /^7[1-57-9]\d{8}$/, landline: /^[1-3]\d{8,9}$/ },
+  // Mobile and landline numbers share the area codes
+  US: { name: 'United States', callingCode: '1', trunkPrefix: '1', any: /^[2-9]\d{2}[2-9]\d{6}$/ }
+};
+
+const DEFAULT_COUNTRY = 'AL';
+
+// E.164 numbers have at most 15 digits, real ones rarely fewer than 8
+const MIN_DIGITS = 8;
+const MAX_DIGITS = 15;
+
+/**
+ * Brings phone numbers to E.164 (+355691234567) for storing, matching and
+ * sending, the one place that decides what a number typed, imported or
+ * synced means.
+ *
+ * Numbers with + or 00 are international. Other numbers are read in the
+ * default country first (069 123 4567 and 69 123 4567 both become
+ * +355691234567 in Albania) and taken as international without the + when
+ * they don't fit its numbering plan. WhatsApp chat IDs (355691234567@c.us)
+ * are always international.
+ */
+class PhoneNumberService {
+  constructor() {
+    // Country of numbers written without calling code, see the phone number settings
+    this.defaultCountry = DEFAULT_COUNTRY;
+  }
+
+  /**
+   * Countries with a numbering plan, for the default country setting
+   * @returns {Array} - { code, name, callingCode }, by name
+   */
+  getCountries() {
+    return Object.entries(COUNTRIES)
+      .map(([code, country]) => ({ code, name: country.name, callingCode: country.callingCode }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Check whether a country has a numbering plan
+   * @param {string} country - ISO country code
+   * @returns {boolean}
+   */
+  isKnownCountry(country) {
+    return typeof country === 'string' && Object.prototype.hasOwnProperty.call(COUNTRIES, country);
+  }
+
+  /**
+   * Get the country of numbers written without calling code
+   * @returns {string} - ISO country code
+   */
+  getDefaultCountry() {
+    return this.defaultCountry;
+  }
+
+  /**
+   * Set the country of numbers written without calling code
+   * @param {string} country - ISO country code, unknown codes fall back to Albania
+   */
+  setDefaultCountry(country) {
+    this.defaultCountry = this.isKnownCountry(country) ? country : DEFAULT_COUNTRY;
+  }
+
+  /**
+   * Read a phone number
+   * @param {string} phoneNumber - Phone number in any common format, or a WhatsApp chat ID
+   * @param {string} country - Country of numbers without calling code, the default country when empty
+   * @returns {Object} - { e164, valid, type, country, error }: e164 is '' without any digits and
+   *                     the best guess for invalid numbers; type is 'mobile', 'landline' or
+   *                     'unknown'; country is the ISO code, null for countries without a plan
+   */
+  parse(phoneNumber, country = null) {
+    const text = phoneNumber === null || phoneNumber === undefined ? '' : String(phoneNumber).trim();
+    const [number] = text.split('@');
+    const digits = number.replace(/\D/g, '');
+
+    if (!digits) {
+      return { e164: '', valid: false, type: 'unknown', country: null, error: 'Phone number has no digits' };
+    }
+
+    let international;
+    if (text.includes('@') || number.startsWith('+')) {
+      international = digits;
+    } else if (digits.startsWith('00')) {
+      international = digits.slice(2);
+    } else {
+      international = this._fromNational(digits, COUNTRIES[this.isKnownCountry(country) ? country : this.defaultCountry]);
+    }
+
+    return { e164: `+${international}`, ...this._check(international) };
+  }
+
+  /**
+   * Bring a phone number to E.164
+   * @param {string} phoneNumber - Phone number in any common format, or a WhatsApp chat ID
+   * @param {string} country - Country of numbers without calling code, the default country when empty
+   * @returns {string} - E.164 number (best guess for invalid numbers), '' when there are no digits
+   */
+  normalize(phoneNumber, country = null) {
+    return this.parse(phoneNumber, country).e164;
+  }
+
+  /**
+   * Add the calling code to a number written without +
+   * @private
+   * @param {string} digits - Digits of the number
+   * @param {Object} home - Numbering plan of the default country
+   * @returns {string} - Digits with calling code
+   */
+  _fromNational(digits, home) {
+    const { callingCode, trunkPrefix } = home;
+
+    if (trunkPrefix && digits.startsWith(trunkPrefix) && this._typeOf(home, digits.slice(trunkPrefix.length))) {
+      return callingCode + digits.slice(trunkPrefix.length);
+    }
+    if (digits.startsWith(callingCode) && this._typeOf(home, digits.slice(callingCode.length))) {
+      return digits;
+    }
+    if (this._typeOf(home, digits)) {
+      return callingCode + digits;
+    }
+
+    // A local number that doesn't fit the plan stays local, so it shows up as invalid
+    if (trunkPrefix && trunkPrefix !== callingCode.charAt(0) && digits.startsWith(trunkPrefix)) {
+      return callingCode + digits.slice(trunkPrefix.length);
+    }
+
+    return digits;
+  }
+
+  /**
+   * Check an international number against the plan of its country
+   * @private
+   * @param {string} digits - Digits with calling code
+   * @returns {Object} - { valid, type, country, error }
+   */
+  _check(digits) {
+    if (digits.length < MIN_DIGITS) {
+      return { valid: false, type: 'unknown', country: null, error: 'Phone number is too short' };
+    }
+    if (digits.length > MAX_DIGITS) {
+      return { valid: false, type: 'unknown', country: null, error: 'Phone number is too long' };
+    }
+    if (digits.startsWith('0')) {
+      return { valid: false, type: 'unknown', country: null, error: 'Phone number has no calling code' };
+    }
+
+    // Calling codes are one to three digits and none is a prefix of another
+    for (let length = 1; length <= 3; length++) {
+      const code = Object.keys(COUNTRIES).find(key => COUNTRIES[key].callingCode === digits.slice(0, length));
+      if (!code) continue;
+
+      const type = this._typeOf(COUNTRIES[code], digits.slice(length));
+      return type
+        ? { valid: true, type, country: code, error: null }
+        : { valid: false, type: 'unknown', country: code, error: `Not a valid ${COUNTRIES[code].name} phone number` };
+    }
+
+    return { valid: true, type: 'unknown', country: null, error: null };
+  }
+
+  /**
+   * Find the line type of a national number
+   * @private
+   * @param {Object} plan - Numbering plan
+   * @param {string} national - National significant number
+   * @returns {string|null} - 'mobile', 'landline', 'unknown' for plans that don't tell, null when it doesn't fit
+   */
+  _typeOf(plan, national) {
+    if (plan.any) return plan.any.test(national) ? 'unknown' : null;
+    if (plan.mobile.test(national)) return 'mobile';
+    if (plan.landline.test(national)) return 'landline';
+    return null;
+  }
+}
+
+module.exports = new PhoneNumberService();
@@ -0,0 +1,101 @@
+/**
+ * Error classes a failed send can fall into, matched against the error message.
+ * Errors that match none of them are 'other'.
+ */
+const ERROR_CLASSES = {
+  connection: ['not connected', 'failed to connect', 'disconnected', 'network'],
+  timeout: ['timeout', 'timed out'],
+  authentication: ['authentication', 'auth failure'],
+  recipient: ['not registered', 'invalid phone', 'contact information missing'],
+  content: ['invalid message', 'image file not found', 'message content is missing']
+};
+
+const DEFAULT_POLICY = {
+  maxAttempts: 3,
+  initialDelay: 60, // seconds
+  backoffFactor: 2,
+  maxDelay: 3600, // seconds
+  retryableErrors: ['connection', 'timeout', 'authentication']
+};
+
+/**
+ * Decides whether and when a failed message is sent again: up to
+ * maxAttempts sends in total, waiting initialDelay seconds before the
+ * first retry and backoffFactor times longer before each next one,
+ * never more than maxDelay seconds.
+ */
+class RetryPolicy {
+  /**
+   * Build the policy from the schedule settings
+   * @param {Object} settings - Schedule settings (missing fields use the defaults)
+   * @returns {Object} - Retry policy
+   */
+  fromSettings(settings) {
+    const source = settings || {};
+    const number = (value, fallback, min) => {
+      const parsed = parseFloat(value);
+      return isNaN(parsed) || parsed < min ? fallback : parsed;
+    };
+
+    let retryableErrors = source.retryableErrors;
+    if (!Array.isArray(retryableErrors)) {
+      retryableErrors = DEFAULT_POLICY.retryableErrors;
+    }
+
+    return {
+      maxAttempts: Math.floor(number(source.retryMaxAttempts, DEFAULT_POLICY.maxAttempts, 1)),
+      initialDelay: number(source.retryInitialDelay, DEFAULT_POLICY.initialDelay, 0),
+      backoffFactor: number(source.retryBackoffFactor, DEFAULT_POLICY.backoffFactor, 1),
+      maxDelay: number(source.retryMaxDelay, DEFAULT_POLICY.maxDelay, 0),
+      retryableErrors: retryableErrors.filter(name => name === 'other' || ERROR_CLASSES[name])
+    };
+  }
+
+  /**
+   * Find the class of a send error
+   * @param {Error} error - The error that occurred
+   * @returns {string} - Error class name
+   */
+  classifyError(error) {
+    const errorMessage = error?.message?.toLowerCase() || '';
+
+    const match = Object.entries(ERROR_CLASSES).find(([, patterns]) =>
+      patterns.some(pattern => errorMessage.includes(pattern))
+    );
+
+    return match ? match[0] : 'other';
+  }
+
+  /**
+   * Decide whether a failed message is retried
+   * @param {Error} error - The error that occurred
+   * @param {number} retryCount - Retries the message already had
+   * @param {Object} policy - Retry policy
+   * @returns {boolean} - Whether to retry
+   */
+  shouldRetry(error, retryCount, policy) {
+    if (!policy.retryableErrors.includes(this.classifyError(error))) {
+      return false;
+    }
+
+    // The first send counts as an attempt
+    return (retryCount || 0) + 1 < policy.maxAttempts;
+  }
+
+  /**
+   * Wait before a retry
+   * @param {number} retryNumber - Number of the retry (1 for the first)
+   * @param {Object} policy - Retry policy
+   * @returns {number} - Delay in ms
+   */
+  getDelay(retryNumber, policy) {
+    const seconds = policy.initialDelay * Math.pow(policy.backoffFactor, Math.max(0, retryNumber - 1));
+    return Math.round(Math.min(seconds, policy.maxDelay) * 1000);
+  }
+}
+
+const retryPolicy = new RetryPolicy();
+retryPolicy.ERROR_CLASSES = Object.keys(ERROR_CLASSES).concat('other');
+retryPolicy.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = retryPolicy;
@@ -0,0 +1,121 @@
+const { Op } = require('sequelize');
+const { models } = require('../database/db');
+
+const SENT_STATUSES = ['SENT', 'DELIVERED', 'READ'];
+
+/**
+ * Paces outgoing messages of the bulk and sales queues through one shared
+ * timeline: a jittered interval between sends and a longer break every N
+ * messages. The hourly and daily caps of the pacing settings apply to each
+ * connected number and are kept by the SenderPool, which only hands out
+ * numbers below them.
+ *
+ * The SendQueue reserves a slot before every send.
+ */
+class SendPacer {
+  constructor() {
+    // Time of the next free send slot (ms)
+    this.nextSlotAt = 0;
+    // Sends since the last break
+    this.sentSinceBreak = 0;
+  }
+
+  /**
+   * Get the pacing part of the schedule settings
+   * @param {Object} settings - Schedule settings, loaded when omitted
+   * @returns {Promise<Object>} - Pacing settings
+   */
+  async getPacingSettings(settings = null) {
+    const source = settings || await models.ScheduleSettings.findOne() || {};
+    const number = (value, fallback) => {
+      const parsed = parseInt(value);
+      return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+    };
+
+    const jitterMin = number(source.intervalJitterMin, 0);
+
+    return {
+      messageInterval: number(source.messageInterval, 45),
+      jitterMin,
+      jitterMax: Math.max(jitterMin, number(source.intervalJitterMax, 0)),
+      hourlyLimit: number(source.hourlyLimit, 0),
+      dailyLimit: number(source.dailyLimit, 0),
+      breakAfter: number(source.breakAfter, 0),
+      breakDuration: number(source.breakDuration, 0)
+    };
+  }
+
+  /**
+   * Get the send times of the messages both queues and the replies sent since a moment
+   * @param {Date} since - Moment to count from
+   * @param {Array} accountIds - Only the messages of these WhatsApp accounts, all when omitted
+   * @returns {Promise<Array>} - Send times
+   */
+  async getSentTimes(since, accountIds = null) {
+    const where = { status: { [Op.in]: SENT_STATUSES }, sentTime: { [Op.gte]: since } };
+    if (accountIds) {
+      where.WhatsAppAccountId = { [Op.in]: accountIds };
+    }
+
+    const replyWhere = { direction: 'OUT', receivedAt: { [Op.gte]: since } };
+    if (accountIds) {
+      replyWhere.WhatsAppAccountId = { [Op.in]: accountIds };
+    }
+
+    const query = { attributes: ['sentTime'], where, raw: true };
+    const [bulk, sales, replies] = await Promise.all([
+      models.Message.findAll(query),
+      models.SalesScheduledMessage.findAll(query),
+      models.InboundMessage.findAll({ attributes: ['receivedAt'], where: replyWhere, raw: true })
+    ]);
+    return [
+      ...[...bulk, ...sales].map(message => new Date(message.sentTime)),
+      ...replies.map(reply => new Date(reply.receivedAt))
+    ];
+  }
+
+  /**
+   * Reserve the next send slot
+   * @param {Object} options - Reservation options
+   * @param {Object} options.settings - Schedule settings, loaded when omitted
+   * @returns {Promise<Object>} - { delay } until the slot in ms
+   */
+  async reserveSlot(options = {}) {
+    const pacing = await this.getPacingSettings(options.settings);
+
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlotAt);
+
+    let gap = this.getInterval(pacing);
+    this.sentSinceBreak++;
+
+    if (pacing.breakAfter > 0 && this.sentSinceBreak >= pacing.breakAfter) {
+      gap += pacing.breakDuration * 60 * 1000;
+      this.sentSinceBreak = 0;
+    }
+
+    this.nextSlotAt = slot + gap;
+
+    return { delay: slot - now };
+  }
+
+  /**
+   * Time left until the next free send slot
+   * @returns {number} - Wait in ms, 0 when a message can go out now
+   */
+  getWaitTime() {
+    return Math.max(0, this.nextSlotAt - Date.now());
+  }
+
+  /**
+   * Interval before the next send: the base interval plus a random jitter
+   * @param {Object} pacing - Pacing settings
+   * @returns {number} - Interval in ms
+   */
+  getInterval(pacing) {
+    const jitter = pacing.jitterMin + Math.random() * (pacing.jitterMax - pacing.jitterMin);
+    return Math.round((pacing.messageInterval + jitter) * 1000);
+  }
+}
+
+module.exports = new SendPacer();
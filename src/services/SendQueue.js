@@ -0,0 +1,359 @@
+const fs = require('fs');
+const { Op, where } = require('sequelize');
+const { models, isDatabaseInitialized } = require('../database/db');
+const whatsAppAccounts = require('./WhatsAppAccounts');
+const senderPool = require('./SenderPool');
+const sendPacer = require('./SendPacer');
+const retryPolicy = require('./RetryPolicy');
+const optOutService = require('./OptOutService');
+
+/**
+ * SendQueue is the single outbound dispatcher of the app. The bulk and
+ * sales controllers register their message tables as sources; the queue
+ * itself is the PENDING rows of those tables, so it survives restarts.
+ *
+ * One message goes out at a time, taken from the highest priority source
+ * that has a due message, on the timeline of the shared SendPacer. The
+ * queue owns the send bookkeeping of every source: SENDING/SENT updates,
+ * retries (see RetryPolicy), the last do-not-contact check (see
+ * OptOutService) and ACK status updates.
+ *
+ * Every message goes out from the WhatsApp account its source picks, or
+ * from the sender pool (see SenderPool), which also takes over the messages
+ * of an account that went offline. Sources only fetch messages that some
+ * account can send right now, so an offline number doesn't hold up the others.
+ *
+ * A source is an object with:
+ *   name                    - Unique name ('bulk', 'sales')
+ *   priority                - Higher priorities are sent first
+ *   model                   - Sequelize model of the message table
+ *   isEnabled()             - Whether the source may send right now
+ *   promoteDue()            - Move SCHEDULED messages whose time has come to PENDING
+ *   fetchNext()             - Next PENDING message whose retry time has come (see dueWhere)
+ *                             and that an account can send (see accountWhere), or null
+ *   preparePayload(message) - { phoneNumber, content, imagePath, accountId, useSenderPool }
+ *                             to send, a null accountId sends from the default account
+ */
+class SendQueue {
+  constructor() {
+    this.sources = [];
+    this.timer = null;
+    this.running = false;
+    this.isDispatching = false;
+
+    // How long to wait when there is nothing to send (ms)
+    this.POLL_INTERVAL = 10 * 1000;
+
+    // Messages of an account that goes offline move to the pool, and those
+    // of an account that comes back go out from it again
+    whatsAppAccounts.on('account_status', ({ accountId, event }) => {
+      if (event === 'disconnected' || event === 'auth_failure') {
+        const service = whatsAppAccounts.get(accountId);
+        console.log(`WhatsApp account "${service ? service.name : accountId}" went offline (${event}), its messages move to the sender pool where possible`);
+        this.wake();
+      } else if (event === 'ready') {
+        this.wake();
+      }
+    });
+  }
+
+  /**
+   * Register a message source
+   * @param {Object} source - Source definition (see class description)
+   */
+  registerSource(source) {
+    this.sources = this.sources.filter(existing => existing.name !== source.name);
+    this.sources.push(source);
+    this.sources.sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Where clause for messages that are not waiting for a retry
+   * @returns {Object} - Sequelize condition on nextAttemptAt
+   */
+  dueWhere() {
+    return {
+      [Op.or]: [
+        { nextAttemptAt: null },
+        { nextAttemptAt: { [Op.lte]: new Date() } }
+      ]
+    };
+  }
+
+  /**
+   * Where clause for messages that an account can send right now: their own
+   * account, the pool in its place while it is offline, or the pool for
+   * pooled messages (see SenderPool)
+   * @param {string|Object} column - Account ID column, or a SQL expression (sequelize.literal)
+   *                                 for sources that keep the account elsewhere; null there
+   *                                 means the default account
+   * @param {string|Object} poolColumn - Column or SQL expression that marks pooled messages,
+   *                                     if the source has one
+   * @returns {Promise<Object>} - Sequelize condition on the columns
+   */
+  async accountWhere(column, poolColumn = null) {
+    const routes = await senderPool.getRoutes();
+    const is = (target, condition) => (typeof target === 'string' ? { [target]: condition } : where(target, condition));
+
+    const ownAccount = [is(column, { [Op.in]: routes.accountIds })];
+    if (routes.defaultAccount) {
+      ownAccount.push(is(column, { [Op.is]: null }));
+    }
+    if (!poolColumn) {
+      return { [Op.or]: ownAccount };
+    }
+
+    // The pool column is null for messages that aren't part of a campaign
+    const notPooled = { [Op.or]: [is(poolColumn, false), is(poolColumn, { [Op.is]: null })] };
+    const conditions = [{ [Op.and]: [notPooled, { [Op.or]: ownAccount }] }];
+    if (routes.pool) {
+      conditions.push(is(poolColumn, true));
+    }
+    return { [Op.or]: conditions };
+  }
+
+  /**
+   * Start dispatching
+   */
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    this._schedule(0);
+    console.log('Send queue started');
+  }
+
+  /**
+   * Stop dispatching (a send in progress still finishes)
+   */
+  stop() {
+    this.running = false;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check for due messages now instead of at the next poll
+   */
+  wake() {
+    if (this.running && !this.isDispatching) {
+      this._schedule(0);
+    }
+  }
+
+  /**
+   * Schedule the next dispatch run
+   * @private
+   * @param {number} delay - Delay in ms
+   */
+  _schedule(delay) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._tick();
+    }, delay);
+  }
+
+  /**
+   * Send the next due message, then schedule the following run
+   * @private
+   */
+  async _tick() {
+    if (this.isDispatching) return;
+
+    this.isDispatching = true;
+    let nextDelay = this.POLL_INTERVAL;
+
+    try {
+      if (!isDatabaseInitialized() || !whatsAppAccounts.isAnyConnected()) {
+        return;
+      }
+
+      // Pick the message only once its slot has come, so a higher priority
+      // message queued in the meantime still goes first
+      const wait = sendPacer.getWaitTime();
+      if (wait > 0) {
+        nextDelay = wait;
+        return;
+      }
+
+      const next = await this._nextMessage();
+      if (!next) return;
+
+      await sendPacer.reserveSlot();
+      await this.dispatch(next.source, next.message);
+
+      nextDelay = 0;
+    } catch (error) {
+      console.error('Error in send queue:', error);
+    } finally {
+      this.isDispatching = false;
+
+      if (this.running) {
+        this._schedule(nextDelay);
+      }
+    }
+  }
+
+  /**
+   * Find the next due message across all sources, by source priority
+   * @private
+   * @returns {Promise<Object|null>} - { source, message }
+   */
+  async _nextMessage() {
+    for (const source of this.sources) {
+      try {
+        if (!(await source.isEnabled())) continue;
+
+        await source.promoteDue();
+        const message = await source.fetchNext();
+        if (message) {
+          return { source, message };
+        }
+      } catch (error) {
+        console.error(`Error reading the ${source.name} send queue:`, error);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Send one message and record the outcome
+   * @param {Object} source - Source of the message
+   * @param {Object} message - Message model
+   * @returns {Promise<boolean>} - Whether the message was sent
+   */
+  async dispatch(source, message) {
+    try {
+      await message.update({ status: 'SENDING' });
+
+      const { phoneNumber, content, imagePath, accountId, useSenderPool } = await source.preparePayload(message);
+      if (!phoneNumber) {
+        throw new Error('Contact information missing');
+      }
+
+      // An account may have gone offline or reached its cap since the message was fetched
+      const route = await senderPool.pickSender(accountId, useSenderPool);
+      if (!route) {
+        throw new Error('WhatsApp not connected: no account can send this message right now');
+      }
+
+      const sender = route.sender;
+      if (route.reroutedFrom) {
+        console.log(`${source.name} message ${message.id} rerouted from the offline account "${route.reroutedFrom.name}"`);
+      }
+
+      // The contact may have opted out after the message was scheduled
+      if (await optOutService.isBlocked(phoneNumber)) {
+        await message.update({
+          status: 'CANCELED',
+          nextAttemptAt: null,
+          failureReason: 'Recipient is on the do-not-contact list'
+        });
+
+        console.log(`${source.name} message ${message.id} canceled, ${phoneNumber} is on the do-not-contact list`);
+        return false;
+      }
+
+      console.log(`Sending ${source.name} message ${message.id} to ${phoneNumber} from ${sender.name}`);
+
+      let result;
+      if (imagePath && fs.existsSync(imagePath)) {
+        result = await sender.sendImageMessage(phoneNumber, imagePath, content);
+      } else {
+        if (imagePath) {
+          console.warn(`Image file not found: ${imagePath}, sending as text-only message`);
+        }
+        result = await sender.sendTextMessage(phoneNumber, content);
+      }
+
+      // Keep the exact text the contact received
+      await message.update({
+        status: 'SENT',
+        externalId: result.externalId || null,
+        sentTime: new Date(),
+        contentSnapshot: content,
+        nextAttemptAt: null,
+        WhatsAppAccountId: sender.accountId
+      });
+
+      return true;
+    } catch (error) {
+      console.error(`Error sending ${source.name} message ${message.id}:`, error);
+
+      const policy = retryPolicy.fromSettings(await models.ScheduleSettings.findOne());
+
+      if (retryPolicy.shouldRetry(error, message.retryCount, policy)) {
+        const retryCount = (message.retryCount || 0) + 1;
+        const nextAttemptAt = new Date(Date.now() + retryPolicy.getDelay(retryCount, policy));
+
+        // Back to PENDING, the queue skips it until nextAttemptAt
+        await message.update({
+          status: 'PENDING',
+          retryCount,
+          nextAttemptAt,
+          failureReason: `Retry attempt ${retryCount}: ${error.message}`
+        });
+
+        console.log(`${source.name} message ${message.id} will be retried at ${nextAttemptAt.toISOString()} (attempt ${retryCount})`);
+      } else {
+        await message.update({
+          status: 'FAILED',
+          nextAttemptAt: null,
+          failureReason: error.message
+        });
+
+        console.log(`${source.name} message ${message.id} marked as failed`);
+      }
+
+      return false;
+    }
+  }
+
+  /**
+   * Record a WhatsApp ACK on whichever source sent the message
+   * @param {string} externalId - External message ID from WhatsApp
+   * @param {string} status - New status
+   * @param {Date} timestamp - Timestamp of the status change
+   * @returns {Promise<Object|null>} - { source, message } that was updated, or null
+   */
+  async handleAck(externalId, status, timestamp = new Date()) {
+    if (!externalId) return null;
+
+    for (const source of this.sources) {
+      try {
+        const message = await source.model.findOne({ where: { externalId } });
+        if (!message) continue;
+
+        const updateData = { status, updatedAt: timestamp };
+
+        if (status === 'DELIVERED') {
+          updateData.deliveredTime = timestamp;
+        } else if (status === 'READ') {
+          updateData.readTime = timestamp;
+        } else if (status === 'SENT' && !message.sentTime) {
+          updateData.sentTime = timestamp;
+        }
+
+        await message.update(updateData);
+        console.log(`[STATUS UPDATE] ${source.name} message ${message.id} (${externalId}) -> ${status}`);
+
+        return { source: source.name, message };
+      } catch (error) {
+        console.error(`Error updating status for ${source.name} message ${externalId}:`, error);
+      }
+    }
+
+    console.warn(`No message found for external ID ${externalId}`);
+    return null;
+  }
+}
+
+module.exports = new SendQueue();
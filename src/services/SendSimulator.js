@@ -0,0 +1,287 @@
+const timeZoneService = require('./TimeZoneService');
+const blackoutCalendar = require('./BlackoutCalendar');
+
+// How far ahead the simulation follows the queue (days)
+const HORIZON_DAYS = 366;
+
+// Sales messages ignore the send windows, they may go out at any time of day
+const WHOLE_DAY = [{ start: 0, end: 1439 }];
+
+/**
+ * Replays the send queue ahead of time to estimate when every message of a
+ * new campaign goes out. It follows the same rules as SendQueue: sales
+ * messages before bulk messages, bulk messages by scheduled time inside the
+ * send windows of the recipient's time zone, blackout days skipped, and the
+ * SendPacer interval, breaks and hourly and daily caps between all sends.
+ *
+ * The simulation works on plain data gathered by the caller and doesn't
+ * touch the database. Random jitter is taken at its average.
+ */
+class SendSimulator {
+  /**
+   * Simulate the queue until every campaign message has a send time
+   * @param {Object} input - Simulation input
+   * @param {Date} input.now - Moment the simulation starts
+   * @param {Array} input.campaign - New messages ({ timeZone, availableAt }), in input order
+   * @param {Array} input.bulkQueue - Queued bulk messages ({ timeZone, availableAt })
+   * @param {Array} input.salesQueue - Queued sales messages ({ availableAt }), empty when auto-sending is off
+   * @param {Array} input.activeDays - Active weekdays of the schedule settings
+   * @param {Function} input.windowsOf - Send windows of a weekday (see MessageController.getTimeWindows)
+   * @param {Array} input.blackouts - Blackout calendar entries
+   * @param {Object} input.pacing - Pacing settings (see SendPacer.getPacingSettings), with the caps of all numbers sending the campaign
+   * @param {Array} input.recentSends - Times of the sends of the last hour from those numbers
+   * @param {number} input.sentToday - Messages those numbers sent today
+   * @param {number} input.nextSlotAt - Time of the next free send slot (ms)
+   * @param {number} input.sentSinceBreak - Sends since the last break
+   * @returns {Object} - { times (Date or null per campaign message), bulkBefore, salesBefore, dailyLimitReached, hourlyLimitReached }
+   */
+  simulate(input) {
+    const now = input.now.getTime();
+    const horizon = now + HORIZON_DAYS * 24 * 60 * 60 * 1000;
+    const pacing = input.pacing;
+    const gap = (pacing.messageInterval + (pacing.jitterMin + pacing.jitterMax) / 2) * 1000;
+
+    // Bulk messages wait per time zone, the queue only looks at zones inside their send window
+    const zones = new Map();
+    const enqueue = (message, campaignIndex) => {
+      const zone = timeZoneService.isValidTimeZone(message.timeZone) ? message.timeZone : '';
+      if (!zones.has(zone)) {
+        zones.set(zone, {
+          zone,
+          messages: [],
+          next: 0,
+          interval: null,
+          blackouts: input.blackouts,
+          days: (weekday) => this._windowsOn(input, weekday)
+        });
+      }
+      zones.get(zone).messages.push({ availableAt: Math.max(now, message.availableAt.getTime()), campaignIndex });
+    };
+
+    input.bulkQueue.forEach(message => enqueue(message, -1));
+    input.campaign.forEach((message, index) => enqueue(message, index));
+
+    // Ties go to the queued messages, like the lower IDs in the database
+    for (const queue of zones.values()) {
+      queue.messages.sort((a, b) => a.availableAt - b.availableAt || (a.campaignIndex - b.campaignIndex));
+    }
+
+    const sales = {
+      zone: '',
+      messages: input.salesQueue
+        .map(message => ({ availableAt: Math.max(now, message.availableAt.getTime()), campaignIndex: -1 }))
+        .sort((a, b) => a.availableAt - b.availableAt),
+      next: 0,
+      interval: null,
+      blackouts: input.blackouts,
+      days: () => WHOLE_DAY
+    };
+
+    const times = input.campaign.map(() => null);
+    const recentSends = input.recentSends.map(date => date.getTime()).sort((a, b) => a - b);
+    let remaining = input.campaign.length;
+    let bulkBefore = 0;
+    let salesBefore = 0;
+    let dailyLimitReached = false;
+    let hourlyLimitReached = false;
+    let sentSinceBreak = input.sentSinceBreak;
+    let sentToday = input.sentToday;
+    let today = this._localDay(now);
+    let time = Math.max(now, input.nextSlotAt);
+
+    while (remaining > 0 && time <= horizon) {
+      if (this._localDay(time) !== today) {
+        today = this._localDay(time);
+        sentToday = 0;
+      }
+
+      // Wait for the caps like the queue does, until a slot frees up
+      if (pacing.dailyLimit > 0 && sentToday >= pacing.dailyLimit) {
+        dailyLimitReached = true;
+        time = this._nextMidnight(time);
+        continue;
+      }
+
+      while (recentSends.length > 0 && recentSends[0] <= time - 60 * 60 * 1000) {
+        recentSends.shift();
+      }
+      if (pacing.hourlyLimit > 0 && recentSends.length >= pacing.hourlyLimit) {
+        hourlyLimitReached = true;
+        time = recentSends[0] + 60 * 60 * 1000;
+        continue;
+      }
+
+      const queue = this._pick(sales, zones, time);
+      if (!queue) {
+        const next = this._nextEvent(sales, zones, time, horizon);
+        if (next === null) break;
+        time = next;
+        continue;
+      }
+
+      const message = queue.messages[queue.next++];
+      if (message.campaignIndex >= 0) {
+        times[message.campaignIndex] = new Date(time);
+        remaining--;
+      } else if (queue === sales) {
+        salesBefore++;
+      } else {
+        bulkBefore++;
+      }
+
+      recentSends.push(time);
+      sentToday++;
+      sentSinceBreak++;
+
+      let wait = gap;
+      if (pacing.breakAfter > 0 && sentSinceBreak >= pacing.breakAfter) {
+        wait += pacing.breakDuration * 60 * 1000;
+        sentSinceBreak = 0;
+      }
+      time += wait;
+    }
+
+    return { times, bulkBefore, salesBefore, dailyLimitReached, hourlyLimitReached };
+  }
+
+  /**
+   * Find the queue whose message goes out at a moment: sales first, then the
+   * earliest bulk message of a time zone inside its send window
+   * @private
+   * @param {Object} sales - Sales queue
+   * @param {Map} zones - Bulk queues by time zone
+   * @param {number} time - Moment (ms)
+   * @returns {Object|null} - Queue, or null when nothing can go out
+   */
+  _pick(sales, zones, time) {
+    if (this._isReady(sales, time)) return sales;
+
+    let picked = null;
+    for (const queue of zones.values()) {
+      if (!this._isReady(queue, time)) continue;
+      if (!picked || queue.messages[queue.next].availableAt < picked.messages[picked.next].availableAt) {
+        picked = queue;
+      }
+    }
+    return picked;
+  }
+
+  /**
+   * Check whether the first message of a queue can go out at a moment
+   * @private
+   * @param {Object} queue - Queue
+   * @param {number} time - Moment (ms)
+   * @returns {boolean}
+   */
+  _isReady(queue, time) {
+    if (queue.next >= queue.messages.length || queue.messages[queue.next].availableAt > time) {
+      return false;
+    }
+
+    const interval = this._openInterval(queue, time);
+    return !!interval && interval.start <= time;
+  }
+
+  /**
+   * Find the next moment after which a queue has a message ready
+   * @private
+   * @param {Object} sales - Sales queue
+   * @param {Map} zones - Bulk queues by time zone
+   * @param {number} time - Moment (ms)
+   * @param {number} horizon - Last moment to look at (ms)
+   * @returns {number|null} - Moment (ms), or null when no message can go out any more
+   */
+  _nextEvent(sales, zones, time, horizon) {
+    let next = null;
+
+    for (const queue of [sales, ...zones.values()]) {
+      if (queue.next >= queue.messages.length) continue;
+
+      const ready = Math.max(time, queue.messages[queue.next].availableAt);
+      if (ready > horizon) continue;
+
+      const interval = this._openInterval(queue, ready);
+      if (!interval) continue;
+
+      const moment = Math.max(ready, interval.start);
+      if (next === null || moment < next) next = moment;
+    }
+
+    return next;
+  }
+
+  /**
+   * The first send window of a queue that ends after a moment. Moments only
+   * move forward, so the window is kept until it has passed.
+   * @private
+   * @param {Object} queue - Queue
+   * @param {number} time - Moment (ms)
+   * @returns {Object|null} - { start, end } (ms, end exclusive), or null when none is left in the horizon
+   */
+  _openInterval(queue, time) {
+    if (queue.interval && queue.interval.end > time) {
+      return queue.interval;
+    }
+
+    const timeZone = queue.zone || undefined;
+    const firstDay = blackoutCalendar.toDay(timeZoneService.getLocalParts(new Date(time), timeZone));
+    queue.interval = null;
+
+    for (let offset = 0; offset <= HORIZON_DAYS; offset++) {
+      const day = blackoutCalendar.addDays(firstDay, offset);
+      if (blackoutCalendar.isBlocked(queue.blackouts, day)) continue;
+
+      const [year, month, date] = day.split('-').map(Number);
+      const weekday = new Date(Date.UTC(year, month - 1, date)).getUTCDay();
+
+      for (const window of queue.days(weekday)) {
+        // The window includes its last minute
+        const start = timeZoneService.zonedTimeToDate(year, month, date, window.start, timeZone).getTime();
+        const end = timeZoneService.zonedTimeToDate(year, month, date, window.end, timeZone).getTime() + 60 * 1000;
+        if (end > time) {
+          queue.interval = { start, end };
+          return queue.interval;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Send windows of a weekday, none on inactive days
+   * @private
+   * @param {Object} input - Simulation input
+   * @param {number} weekday - Day of the week (0 = Sunday)
+   * @returns {Array} - { start, end } windows in minutes from midnight
+   */
+  _windowsOn(input, weekday) {
+    // Compared like MessageController.isAllowedDay does
+    if (!Array.isArray(input.activeDays) || !input.activeDays.includes(weekday)) return [];
+    return input.windowsOf(weekday);
+  }
+
+  /**
+   * Machine-local day of a moment
+   * @private
+   * @param {number} time - Moment (ms)
+   * @returns {string} - Day (YYYY-MM-DD)
+   */
+  _localDay(time) {
+    return blackoutCalendar.toDay(timeZoneService.getLocalParts(new Date(time)));
+  }
+
+  /**
+   * Machine-local midnight after a moment
+   * @private
+   * @param {number} time - Moment (ms)
+   * @returns {number} - Moment (ms)
+   */
+  _nextMidnight(time) {
+    const date = new Date(time);
+    date.setHours(24, 0, 0, 0);
+    return date.getTime();
+  }
+}
+
+module.exports = new SendSimulator();
@@ -0,0 +1,189 @@
+const { Op, fn, col } = require('sequelize');
+const { models } = require('../database/db');
+const whatsAppAccounts = require('./WhatsAppAccounts');
+const sendPacer = require('./SendPacer');
+
+const SENT_STATUSES = ['SENT', 'DELIVERED', 'READ'];
+
+/**
+ * SenderPool picks the WhatsApp account that sends each message.
+ *
+ * The accounts in the pool (WhatsAppAccount.inSenderPool) share the load of
+ * pooled campaigns: every message goes out from the pooled account that sent
+ * the fewest messages today and is below its caps. A message of a campaign
+ * with its own account goes out from the pool while that account is
+ * disconnected or failed to log in, so one number going down doesn't stall
+ * its campaigns. An account that is connected but reached a cap waits for it
+ * to free up.
+ *
+ * Every account has the hourly and daily caps of the schedule settings (see
+ * SendPacer.getPacingSettings) and its own daily cap on top
+ * (WhatsAppAccount.dailyLimit, 0 for none). Replies from the inbox and the
+ * auto-reply rules count toward the caps too.
+ */
+class SenderPool {
+  /**
+   * Count the messages each account sent today
+   * @returns {Promise<Map>} - Message count by account ID
+   */
+  async getSentToday() {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    return this.getSentSince(startOfDay);
+  }
+
+  /**
+   * Count the messages each account sent since a moment, replies typed in
+   * the inbox or sent by auto-reply rules included
+   * @param {Date} since - Moment to count from
+   * @returns {Promise<Map>} - Message count by account ID
+   */
+  async getSentSince(since) {
+    const query = {
+      attributes: ['WhatsAppAccountId', [fn('COUNT', col('id')), 'count']],
+      where: {
+        status: { [Op.in]: SENT_STATUSES },
+        sentTime: { [Op.gte]: since },
+        WhatsAppAccountId: { [Op.ne]: null }
+      },
+      group: ['WhatsAppAccountId'],
+      raw: true
+    };
+    const [bulk, sales, replies] = await Promise.all([
+      models.Message.findAll(query),
+      models.SalesScheduledMessage.findAll(query),
+      models.InboundMessage.findAll({
+        ...query,
+        where: {
+          direction: 'OUT',
+          receivedAt: { [Op.gte]: since },
+          WhatsAppAccountId: { [Op.ne]: null }
+        }
+      })
+    ]);
+
+    const counts = new Map();
+    for (const row of [...bulk, ...sales, ...replies]) {
+      counts.set(row.WhatsAppAccountId, (counts.get(row.WhatsAppAccountId) || 0) + parseInt(row.count));
+    }
+    return counts;
+  }
+
+  /**
+   * Get the sending state of every account
+   * @returns {Promise<Array>} - { id, name, isDefault, inPool, dailyLimit, sentToday, sentLastHour, connected, available }
+   */
+  async getStates() {
+    const [accounts, sentToday, sentLastHour, pacing] = await Promise.all([
+      models.WhatsAppAccount.findAll({ where: { removedAt: null }, order: [['id', 'ASC']], raw: true }),
+      this.getSentToday(),
+      this.getSentSince(new Date(Date.now() - 60 * 60 * 1000)),
+      sendPacer.getPacingSettings()
+    ]);
+
+    return accounts.map(account => {
+      const dailyLimit = account.dailyLimit || 0;
+      const sent = sentToday.get(account.id) || 0;
+      const sentHour = sentLastHour.get(account.id) || 0;
+      const connected = whatsAppAccounts.isConnected(account.id);
+      const capped = (dailyLimit > 0 && sent >= dailyLimit) ||
+        (pacing.dailyLimit > 0 && sent >= pacing.dailyLimit) ||
+        (pacing.hourlyLimit > 0 && sentHour >= pacing.hourlyLimit);
+
+      return {
+        id: account.id,
+        name: account.name,
+        isDefault: !!account.isDefault,
+        inPool: !!account.inSenderPool,
+        dailyLimit,
+        sentToday: sent,
+        sentLastHour: sentHour,
+        connected,
+        // Whether the account can send another message right now
+        available: connected && !capped
+      };
+    });
+  }
+
+  /**
+   * Pick the account that sends the next message
+   * @param {number|null} accountId - Account of the campaign, null for the default account
+   * @param {boolean} pooled - Spread over the pool instead of sending from the account
+   * @param {Array} states - Account states, loaded when omitted
+   * @returns {Promise<Object|null>} - { sender, reroutedFrom }, reroutedFrom is the state of the
+   *                                   offline account the message was meant for; null when no
+   *                                   account can send the message now
+   */
+  async pickSender(accountId, pooled = false, states = null) {
+    const accountStates = states || await this.getStates();
+
+    if (pooled) {
+      const pick = this._leastUsed(accountStates);
+      return pick ? { sender: whatsAppAccounts.get(pick.id), reroutedFrom: null } : null;
+    }
+
+    const own = this._find(accountStates, accountId);
+    if (!own) return null;
+
+    if (own.available) {
+      return { sender: whatsAppAccounts.get(own.id), reroutedFrom: null };
+    }
+
+    // Connected but at its cap, the messages wait for the account
+    if (own.connected) return null;
+
+    const fallback = this._leastUsed(accountStates, own.id);
+    return fallback ? { sender: whatsAppAccounts.get(fallback.id), reroutedFrom: own } : null;
+  }
+
+  /**
+   * Work out whose messages can go out right now, for the queries of the send queue
+   * @returns {Promise<Object>} - { accountIds, defaultAccount, pool }: IDs of the accounts whose
+   *                              messages can go out, whether that includes the default account,
+   *                              and whether pooled messages can go out
+   */
+  async getRoutes() {
+    const states = await this.getStates();
+    const routable = states.filter(state =>
+      state.available || (!state.connected && this._leastUsed(states, state.id))
+    );
+
+    return {
+      accountIds: routable.map(state => state.id),
+      defaultAccount: routable.some(state => state.isDefault),
+      pool: !!this._leastUsed(states)
+    };
+  }
+
+  /**
+   * Find the state of an account
+   * @private
+   * @param {Array} states - Account states
+   * @param {number|null} accountId - Account ID, null for the default account
+   * @returns {Object|null}
+   */
+  _find(states, accountId) {
+    if (!accountId) {
+      return states.find(state => state.isDefault) || null;
+    }
+    return states.find(state => state.id === Number(accountId)) || null;
+  }
+
+  /**
+   * Pooled account that can send and sent the fewest messages today
+   * @private
+   * @param {Array} states - Account states
+   * @param {number} excludeId - Account to leave out
+   * @returns {Object|null}
+   */
+  _leastUsed(states, excludeId = null) {
+    const candidates = states
+      .filter(state => state.inPool && state.available && state.id !== excludeId)
+      .sort((a, b) => a.sentToday - b.sentToday || a.id - b.id);
+
+    return candidates[0] || null;
+  }
+}
+
+module.exports = new SenderPool();
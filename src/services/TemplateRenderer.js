@@ -0,0 +1,373 @@
+const moment = require('moment');
+
+/**
+ * Variables every bulk contact provides (custom fields come on top of these)
+ */
+const CONTACT_VARIABLES = [
+  'name', 'surname', 'firstName', 'lastName', 'fullname', 'phone', 'email',
+  'birthday', 'source', 'notes', 'company'
+];
+
+/**
+ * Variables computed at render time
+ */
+const BUILT_IN_VARIABLES = ['date', 'time', 'datetime', 'day', 'month', 'year'];
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Formatting filters, used as {variable:filter} or {variable:filter(argument)}
+ */
+const FILTERS = {
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+  capitalize: (value) => {
+    const text = String(value);
+    return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+  },
+  trim: (value) => String(value).trim(),
+  date: (value, format = 'DD/MM/YYYY') => {
+    const date = value instanceof Date ? moment(value) : moment(String(value), moment.ISO_8601);
+    return date.isValid() ? date.format(format) : String(value);
+  },
+  number: (value, decimals = '0') => {
+    const number = Number(value);
+    return isNaN(number) ? String(value) : number.toFixed(parseInt(decimals) || 0);
+  }
+};
+
+// {#if name}, {#if !name}, {else}, {/if} and {name}, {{name}}, {name:filter(arg)|default}
+const TOKEN_REGEX = new RegExp([
+  '\\{#if\\s+(!?)\\s*([A-Za-z_]\\w*)\\s*\\}',
+  '\\{else\\}',
+  '\\{\\/if\\}',
+  '\\{\\{\\s*([A-Za-z_]\\w*)((?::\\w+(?:\\([^)]*\\))?)*)(?:\\|([^{}]*?))?\\s*\\}\\}',
+  '\\{\\s*([A-Za-z_]\\w*)((?::\\w+(?:\\([^)]*\\))?)*)(?:\\|([^{}]*?))?\\s*\\}'
+].map(part => `(${part})`).join('|'), 'g');
+
+const FILTER_REGEX = /:(\w+)(?:\(([^)]*)\))?/g;
+
+// First option of a {a|b} group that is a variable with a default rather than spintax
+const VARIABLE_OPTION_REGEX = /^\s*([A-Za-z_]\w*)(?::\w+(?:\([^)]*\))?)*\s*$/;
+
+/**
+ * Renders message templates: spintax ({Hello|Hi|Hey}), variables with
+ * defaults and filters, {#if}/{else}/{/if} blocks, and a validation pass
+ * for the template editor.
+ *
+ * {a|b} is a variable with a default when "a" is a known variable and
+ * spintax otherwise. Known variables without a value render their default
+ * or nothing. Unknown variables are left in the text untouched, so braces
+ * that are not template variables survive rendering.
+ */
+class TemplateRenderer {
+  /**
+   * Render a template
+   * @param {string} content - Template content
+   * @param {Object} variables - Values by variable name
+   * @param {Object} options - Render options
+   * @param {Date} options.now - Date used for the built-in date variables
+   * @param {number|string} options.seed - Seed for spintax choices, the same seed always picks the same options
+   * @param {Array} options.knownVariables - Further variable names that may have no value for this contact,
+   *                                         such as the custom fields of other contacts
+   * @returns {string} - Rendered text
+   */
+  render(content, variables = {}, options = {}) {
+    if (!content) return '';
+
+    const values = { ...this.getBuiltInVariables(options.now), ...variables };
+    const known = new Set([...Object.keys(values), ...(options.knownVariables || [])]);
+    const spun = this.resolveSpintax(content, {
+      seed: options.seed,
+      knownVariables: Array.from(known)
+    });
+    const { nodes } = this.parse(spun);
+
+    return this._renderNodes(nodes, values, known);
+  }
+
+  /**
+   * Check a template for syntax errors and variables that will never be filled
+   * @param {string} content - Template content
+   * @param {Array} knownVariables - Variable names available to the template
+   * @returns {Object} - { valid, errors, unknownVariables }
+   */
+  validate(content, knownVariables = CONTACT_VARIABLES) {
+    const known = new Set([...BUILT_IN_VARIABLES, ...knownVariables]);
+    const { nodes, errors } = this.parse(content || '');
+    const unknown = new Set();
+
+    const visit = (list) => {
+      list.forEach(node => {
+        if (node.type === 'var') {
+          // {Hello|Hi} is spintax, not an unknown variable with a default
+          if (!known.has(node.name) && node.fallback === null) unknown.add(node.name);
+          node.filters.forEach(filter => {
+            if (!FILTERS[filter.name]) {
+              errors.push(`Unknown filter "${filter.name}" in ${node.raw}`);
+            }
+          });
+        } else if (node.type === 'if') {
+          if (!known.has(node.name)) unknown.add(node.name);
+          visit(node.then);
+          visit(node.else);
+        }
+      });
+    };
+    visit(nodes);
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      unknownVariables: Array.from(unknown)
+    };
+  }
+
+  /**
+   * Pick one option of every spintax group, innermost groups first
+   * @param {string} content - Template content
+   * @param {Object} options - Resolve options
+   * @param {number|string} options.seed - Seed for the choices (random when omitted)
+   * @param {Array} options.knownVariables - Names whose {name|default} groups are kept for render
+   * @returns {string} - Content without spintax
+   */
+  resolveSpintax(content, options = {}) {
+    if (!content) return '';
+
+    const known = new Set(options.knownVariables || [...CONTACT_VARIABLES, ...BUILT_IN_VARIABLES]);
+    const random = this._createRandom(options.seed);
+    const kept = [];
+    let result = content;
+    let previous;
+
+    // Groups that are not spintax are swapped for placeholders so the
+    // groups around them can be resolved on the next pass
+    do {
+      previous = result;
+      result = result.replace(/\{([^{}]*)\}/g, (group, inner) => {
+        const choices = inner.split('|');
+        const firstOption = VARIABLE_OPTION_REGEX.exec(choices[0]);
+
+        if (choices.length < 2 || (firstOption && known.has(firstOption[1]))) {
+          kept.push(group);
+          return `\u0000${kept.length - 1}\u0000`;
+        }
+
+        return choices[Math.floor(random() * choices.length)];
+      });
+    } while (result !== previous);
+
+    while (result.includes('\u0000')) {
+      result = result.replace(/\u0000(\d+)\u0000/g, (placeholder, index) => kept[index]);
+    }
+
+    return result;
+  }
+
+  /**
+   * Build the variables of a bulk contact
+   * @param {Object} contact - Contact model or plain object
+   * @returns {Object} - Values by variable name
+   */
+  buildContactVariables(contact) {
+    if (!contact) return {};
+
+    const firstName = contact.firstName || contact.name || '';
+    const lastName = contact.lastName || contact.surname || '';
+
+    const variables = {
+      name: contact.name || '',
+      surname: contact.surname || '',
+      firstName,
+      lastName,
+      fullname: [firstName, lastName].filter(Boolean).join(' '),
+      phone: contact.phoneNumber || '',
+      email: contact.email || '',
+      birthday: contact.birthday || '',
+      source: contact.source || '',
+      notes: contact.notes || '',
+      company: contact.company || ''
+    };
+
+    let customFields = contact.customFields;
+    if (typeof customFields === 'string') {
+      try {
+        customFields = JSON.parse(customFields);
+      } catch (e) {
+        console.error('Error parsing custom fields:', e);
+        customFields = {};
+      }
+    }
+
+    if (customFields && typeof customFields === 'object') {
+      Object.keys(customFields).forEach(key => {
+        variables[key] = customFields[key] == null ? '' : customFields[key];
+      });
+    }
+
+    return variables;
+  }
+
+  /**
+   * Date variables for the moment of rendering
+   * @param {Date} now - Reference date
+   * @returns {Object} - Values by variable name
+   */
+  getBuiltInVariables(now = new Date()) {
+    return {
+      date: now.toLocaleDateString(),
+      time: now.toLocaleTimeString(),
+      datetime: now.toLocaleString(),
+      day: DAYS[now.getDay()],
+      month: MONTHS[now.getMonth()],
+      year: String(now.getFullYear())
+    };
+  }
+
+  /**
+   * Parse a template into a node tree
+   * @param {string} content - Template content
+   * @returns {Object} - { nodes, errors }
+   */
+  parse(content) {
+    const root = { type: 'root', then: [], else: [] };
+    const stack = [{ node: root, branch: 'then' }];
+    const errors = [];
+    let lastIndex = 0;
+    let match;
+
+    const current = () => stack[stack.length - 1];
+    const push = (node) => current().node[current().branch].push(node);
+
+    TOKEN_REGEX.lastIndex = 0;
+    while ((match = TOKEN_REGEX.exec(content)) !== null) {
+      if (match.index > lastIndex) {
+        push({ type: 'text', value: content.slice(lastIndex, match.index) });
+      }
+      lastIndex = TOKEN_REGEX.lastIndex;
+
+      const [raw] = match;
+
+      if (match[1]) {
+        const node = { type: 'if', name: match[3], negate: match[2] === '!', then: [], else: [], raw };
+        push(node);
+        stack.push({ node, branch: 'then' });
+      } else if (match[4]) {
+        if (stack.length > 1 && current().branch === 'then') {
+          current().branch = 'else';
+        } else {
+          errors.push('{else} without a matching {#if}');
+          push({ type: 'text', value: raw });
+        }
+      } else if (match[5]) {
+        if (stack.length > 1) {
+          stack.pop();
+        } else {
+          errors.push('{/if} without a matching {#if}');
+          push({ type: 'text', value: raw });
+        }
+      } else {
+        const isDouble = !!match[6];
+        const name = isDouble ? match[7] : match[11];
+        const filters = isDouble ? match[8] : match[12];
+        const fallback = isDouble ? match[9] : match[13];
+
+        push({
+          type: 'var',
+          name,
+          filters: this._parseFilters(filters),
+          fallback: fallback === undefined ? null : fallback,
+          raw
+        });
+      }
+    }
+
+    if (lastIndex < content.length) {
+      push({ type: 'text', value: content.slice(lastIndex) });
+    }
+
+    // Unclosed blocks end with the template
+    for (let i = stack.length - 1; i > 0; i--) {
+      errors.push(`${stack[i].node.raw} is missing its {/if}`);
+    }
+
+    return { nodes: root.then, errors };
+  }
+
+  /**
+   * Seeded random number generator (mulberry32)
+   * @private
+   * @param {number|string} seed - Seed, Math.random is used when omitted
+   * @returns {Function} - Function returning numbers in [0, 1)
+   */
+  _createRandom(seed) {
+    if (seed === undefined || seed === null) return Math.random;
+
+    let state = 0;
+    String(seed).split('').forEach(char => {
+      state = (Math.imul(state, 31) + char.charCodeAt(0)) | 0;
+    });
+
+    return () => {
+      state = (state + 0x6D2B79F5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  _parseFilters(text) {
+    const filters = [];
+    if (!text) return filters;
+
+    let match;
+    FILTER_REGEX.lastIndex = 0;
+    while ((match = FILTER_REGEX.exec(text)) !== null) {
+      filters.push({
+        name: match[1],
+        args: match[2] === undefined ? [] : match[2].split(',').map(arg => arg.trim())
+      });
+    }
+    return filters;
+  }
+
+  _renderNodes(nodes, values, known) {
+    return nodes.map(node => {
+      if (node.type === 'text') return node.value;
+
+      if (node.type === 'if') {
+        const truthy = this._isFilled(values, node.name);
+        const branch = truthy !== node.negate ? node.then : node.else;
+        return this._renderNodes(branch, values, known);
+      }
+
+      // Leave unknown variables as they were written
+      if (!known.has(node.name)) {
+        return node.raw;
+      }
+
+      if (!this._isFilled(values, node.name)) {
+        return node.fallback === null ? '' : node.fallback.trim();
+      }
+
+      return node.filters.reduce((value, filter) => {
+        const apply = FILTERS[filter.name];
+        return apply ? apply(value, ...filter.args) : value;
+      }, values[node.name]).toString();
+    }).join('');
+  }
+
+  _isFilled(values, name) {
+    const value = values[name];
+    return value !== undefined && value !== null && String(value).trim() !== '';
+  }
+}
+
+const templateRenderer = new TemplateRenderer();
+templateRenderer.CONTACT_VARIABLES = CONTACT_VARIABLES;
+templateRenderer.BUILT_IN_VARIABLES = BUILT_IN_VARIABLES;
+templateRenderer.FILTERS = Object.keys(FILTERS);
+
+module.exports = templateRenderer;
@@ -0,0 +1,268 @@
+/**
+ * Time zone of each calling code, for contacts whose time zone was not set.
+ * Countries that span several zones get the zone most of their people live in.
+ */
+const CALLING_CODE_TIME_ZONES = {
+  1: 'America/New_York',
+  7: 'Europe/Moscow',
+  20: 'Africa/Cairo',
+  27: 'Africa/Johannesburg',
+  30: 'Europe/Athens',
+  31: 'Europe/Amsterdam',
+  32: 'Europe/Brussels',
+  33: 'Europe/Paris',
+  34: 'Europe/Madrid',
+  36: 'Europe/Budapest',
+  39: 'Europe/Rome',
+  40: 'Europe/Bucharest',
+  41: 'Europe/Zurich',
+  43: 'Europe/Vienna',
+  44: 'Europe/London',
+  45: 'Europe/Copenhagen',
+  46: 'Europe/Stockholm',
+  47: 'Europe/Oslo',
+  48: 'Europe/Warsaw',
+  49: 'Europe/Berlin',
+  51: 'America/Lima',
+  52: 'America/Mexico_City',
+  53: 'America/Havana',
+  54: 'America/Argentina/Buenos_Aires',
+  55: 'America/Sao_Paulo',
+  56: 'America/Santiago',
+  57: 'America/Bogota',
+  58: 'America/Caracas',
+  60: 'Asia/Kuala_Lumpur',
+  61: 'Australia/Sydney',
+  62: 'Asia/Jakarta',
+  63: 'Asia/Manila',
+  64: 'Pacific/Auckland',
+  65: 'Asia/Singapore',
+  66: 'Asia/Bangkok',
+  81: 'Asia/Tokyo',
+  82: 'Asia/Seoul',
+  84: 'Asia/Ho_Chi_Minh',
+  86: 'Asia/Shanghai',
+  90: 'Europe/Istanbul',
+  91: 'Asia/Kolkata',
+  92: 'Asia/Karachi',
+  93: 'Asia/Kabul',
+  94: 'Asia/Colombo',
+  95: 'Asia/Yangon',
+  98: 'Asia/Tehran',
+  211: 'Africa/Juba',
+  212: 'Africa/Casablanca',
+  213: 'Africa/Algiers',
+  216: 'Africa/Tunis',
+  218: 'Africa/Tripoli',
+  221: 'Africa/Dakar',
+  225: 'Africa/Abidjan',
+  233: 'Africa/Accra',
+  234: 'Africa/Lagos',
+  237: 'Africa/Douala',
+  244: 'Africa/Luanda',
+  249: 'Africa/Khartoum',
+  251: 'Africa/Addis_Ababa',
+  254: 'Africa/Nairobi',
+  255: 'Africa/Dar_es_Salaam',
+  256: 'Africa/Kampala',
+  260: 'Africa/Lusaka',
+  263: 'Africa/Harare',
+  351: 'Europe/Lisbon',
+  352: 'Europe/Luxembourg',
+  353: 'Europe/Dublin',
+  354: 'Atlantic/Reykjavik',
+  355: 'Europe/Tirane',
+  356: 'Europe/Malta',
+  357: 'Asia/Nicosia',
+  358: 'Europe/Helsinki',
+  359: 'Europe/Sofia',
+  370: 'Europe/Vilnius',
+  371: 'Europe/Riga',
+  372: 'Europe/Tallinn',
+  373: 'Europe/Chisinau',
+  374: 'Asia/Yerevan',
+  375: 'Europe/Minsk',
+  380: 'Europe/Kiev',
+  381: 'Europe/Belgrade',
+  382: 'Europe/Podgorica',
+  383: 'Europe/Belgrade',
+  385: 'Europe/Zagreb',
+  386: 'Europe/Ljubljana',
+  387: 'Europe/Sarajevo',
+  389: 'Europe/Skopje',
+  420: 'Europe/Prague',
+  421: 'Europe/Bratislava',
+  502: 'America/Guatemala',
+  503: 'America/El_Salvador',
+  504: 'America/Tegucigalpa',
+  505: 'America/Managua',
+  506: 'America/Costa_Rica',
+  507: 'America/Panama',
+  591: 'America/La_Paz',
+  593: 'America/Guayaquil',
+  595: 'America/Asuncion',
+  598: 'America/Montevideo',
+  852: 'Asia/Hong_Kong',
+  855: 'Asia/Phnom_Penh',
+  880: 'Asia/Dhaka',
+  886: 'Asia/Taipei',
+  961: 'Asia/Beirut',
+  962: 'Asia/Amman',
+  963: 'Asia/Damascus',
+  964: 'Asia/Baghdad',
+  965: 'Asia/Kuwait',
+  966: 'Asia/Riyadh',
+  968: 'Asia/Muscat',
+  971: 'Asia/Dubai',
+  972: 'Asia/Jerusalem',
+  973: 'Asia/Bahrain',
+  974: 'Asia/Qatar',
+  977: 'Asia/Kathmandu',
+  994: 'Asia/Baku',
+  995: 'Asia/Tbilisi',
+  998: 'Asia/Tashkent'
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Works with IANA time zones ('Europe/Tirane') through Intl, so contacts in
+ * other countries can be scheduled and checked against the send window in
+ * their own local time.
+ */
+class TimeZoneService {
+  constructor() {
+    // Intl formatters are slow to build, keep one per zone
+    this.formatters = new Map();
+  }
+
+  /**
+   * Check whether a time zone name is known
+   * @param {string} timeZone - IANA time zone name
+   * @returns {boolean}
+   */
+  isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+
+    try {
+      this._formatter(timeZone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Guess the time zone of a phone number from its calling code
+   * @param {string} phoneNumber - Phone number in international format
+   * @returns {string|null} - IANA time zone name, or null for unknown calling codes
+   */
+  inferFromPhoneNumber(phoneNumber) {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+
+    // Calling codes are one to three digits and none is a prefix of another
+    for (let length = 1; length <= 3; length++) {
+      const timeZone = CALLING_CODE_TIME_ZONES[digits.slice(0, length)];
+      if (timeZone) return timeZone;
+    }
+
+    return null;
+  }
+
+  /**
+   * The wall clock of a moment in a time zone
+   * @param {Date} date - Moment in time
+   * @param {string} timeZone - IANA time zone name (the machine's zone when empty)
+   * @returns {Object} - { year, month (1-12), day, hour, minute, weekday (0 = Sunday) }
+   */
+  getLocalParts(date, timeZone) {
+    if (!timeZone) {
+      return {
+        year: date.getFullYear(),
+        month: date.getMonth() + 1,
+        day: date.getDate(),
+        hour: date.getHours(),
+        minute: date.getMinutes(),
+        weekday: date.getDay()
+      };
+    }
+
+    const parts = {};
+    for (const part of this._formatter(timeZone).formatToParts(date)) {
+      parts[part.type] = part.value;
+    }
+
+    return {
+      year: parseInt(parts.year),
+      month: parseInt(parts.month),
+      day: parseInt(parts.day),
+      // Some engines format midnight as 24
+      hour: parseInt(parts.hour) % 24,
+      minute: parseInt(parts.minute),
+      weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+  }
+
+  /**
+   * The moment a wall clock time happens in a time zone
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @param {number} day - Day of the month
+   * @param {number} minutes - Minutes from midnight
+   * @param {string} timeZone - IANA time zone name (the machine's zone when empty)
+   * @returns {Date}
+   */
+  zonedTimeToDate(year, month, day, minutes, timeZone) {
+    if (!timeZone) {
+      return new Date(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+    }
+
+    const wallClock = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+
+    // Guess with the offset at the wall clock time, then correct it once for
+    // a daylight saving change between the guess and the answer
+    let guess = wallClock - this._offset(new Date(wallClock), timeZone);
+    guess = wallClock - this._offset(new Date(guess), timeZone);
+
+    return new Date(guess);
+  }
+
+  /**
+   * Offset of a time zone from UTC at a moment
+   * @private
+   * @param {Date} date - Moment in time
+   * @param {string} timeZone - IANA time zone name
+   * @returns {number} - Offset in ms (positive east of UTC)
+   */
+  _offset(date, timeZone) {
+    const local = this.getLocalParts(date, timeZone);
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+    return asUtc - Math.floor(date.getTime() / 60000) * 60000;
+  }
+
+  /**
+   * Formatter of the wall clock in a time zone
+   * @private
+   * @param {string} timeZone - IANA time zone name
+   * @returns {Intl.DateTimeFormat}
+   * @throws {RangeError} - If the time zone is unknown
+   */
+  _formatter(timeZone) {
+    if (!this.formatters.has(timeZone)) {
+      this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short'
+      }));
+    }
+
+    return this.formatters.get(timeZone);
+  }
+}
+
+module.exports = new TimeZoneService();
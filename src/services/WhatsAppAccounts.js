@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { models, getDatabaseFolder } = require('../database/db');
+const WhatsAppService = require('./WhatsAppService');
+
+// Connection events of an account, re-emitted as 'account_status'
+const STATUS_EVENTS = ['qr', 'loading', 'authenticated', 'ready', 'auth_failure', 'disconnected', 'whatsapp-info'];
+
+/**
+ * WhatsAppAccounts keeps one WhatsAppService per WhatsAppAccount row. The
+ * service of the default account exists from the start and keeps the
+ * session of the original single-number setup, so everything that only
+ * knows one number keeps working; loadAccounts adds the other accounts
+ * once the database is ready.
+ *
+ * Events of every account are re-emitted here:
+ *   message_status_change - ACKs, with the accountId that sent the message
+ *   incoming_message      - Incoming messages, with the accountId they came in on
+ *   account_status        - { accountId, event, data } for the connection events
+ */
+class WhatsAppAccounts extends EventEmitter {
+  constructor() {
+    super();
+
+    // Services by account ID
+    this.services = new Map();
+
+    this.defaultService = new WhatsAppService();
+    this._bind(this.defaultService);
+  }
+
+  /**
+   * Create the services of the saved accounts
+   * @returns {Promise<Array>} - Services of all accounts
+   */
+  async loadAccounts() {
+    const accounts = await models.WhatsAppAccount.findAll({ where: { removedAt: null }, order: [['id', 'ASC']] });
+
+    for (const account of accounts) {
+      if (account.isDefault) {
+        this.defaultService.accountId = account.id;
+        this.defaultService.name = account.name;
+        this.services.set(account.id, this.defaultService);
+      } else if (!this.services.has(account.id)) {
+        this.add(account);
+      }
+    }
+
+    console.log(`Loaded ${this.services.size} WhatsApp account(s)`);
+    return this.list();
+  }
+
+  /**
+   * Create the service of a new account
+   * @param {Object} account - WhatsAppAccount model
+   * @returns {WhatsAppService} - Service of the account
+   */
+  add(account) {
+    const service = new WhatsAppService({
+      accountId: account.id,
+      name: account.name,
+      clientId: account.clientId,
+      sessionPath: this.getSessionPath(account.clientId)
+    });
+
+    this.services.set(account.id, service);
+    this._bind(service);
+    return service;
+  }
+
+  /**
+   * Log out an account, stop its service and delete its session folder.
+   * The default account can't be removed.
+   * @param {number} accountId - Account ID
+   * @returns {Promise<boolean>} - Whether the account had a service
+   */
+  async remove(accountId) {
+    const service = this.services.get(accountId);
+    if (!service || service === this.defaultService) return false;
+
+    this.services.delete(accountId);
+
+    try {
+      await service.disconnect(true);
+    } catch (error) {
+      console.error(`Error logging out WhatsApp account ${accountId}:`, error);
+    }
+    service.dispose();
+
+    if (fs.existsSync(service.sessionPath)) {
+      await service.safeDeleteDirectory(service.sessionPath);
+      try {
+        fs.rmdirSync(service.sessionPath);
+      } catch (error) {
+        console.error(`Could not remove the session folder ${service.sessionPath}:`, error.message);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the service of an account
+   * @param {number|null} accountId - Account ID, null for the default account
+   * @returns {WhatsAppService|null} - Service, or null for an unknown account
+   */
+  get(accountId) {
+    if (!accountId) return this.defaultService;
+    return this.services.get(Number(accountId)) || null;
+  }
+
+  /**
+   * Get the service of the default account
+   * @returns {WhatsAppService}
+   */
+  getDefault() {
+    return this.defaultService;
+  }
+
+  /**
+   * Get the services of all accounts, the default account first
+   * @returns {Array} - Services
+   */
+  list() {
+    const others = [...this.services.values()].filter(service => service !== this.defaultService);
+    return [this.defaultService, ...others];
+  }
+
+  /**
+   * Check whether an account can send right now
+   * @param {number|null} accountId - Account ID, null for the default account
+   * @returns {boolean}
+   */
+  isConnected(accountId) {
+    const service = this.get(accountId);
+    return !!service && service.getStatus().isConnected;
+  }
+
+  /**
+   * Check whether any account can send right now
+   * @returns {boolean}
+   */
+  isAnyConnected() {
+    return this.list().some(service => service.getStatus().isConnected);
+  }
+
+  /**
+   * Get the IDs of the accounts that can send right now
+   * @returns {Array} - Account IDs
+   */
+  getConnectedIds() {
+    return this.list()
+      .filter(service => service.accountId && service.getStatus().isConnected)
+      .map(service => service.accountId);
+  }
+
+  /**
+   * Connect the accounts other than the default one that have a saved session,
+   * one after another so their browsers don't start at the same time
+   * @returns {Promise<void>}
+   */
+  async connectSavedSessions() {
+    for (const service of this.list()) {
+      if (service === this.defaultService) continue;
+      if (service.getStatus().isConnected || !service.hasExistingSession()) continue;
+
+      console.log(`Auto-connecting WhatsApp account "${service.name}" with its existing session...`);
+      try {
+        await service.initialize();
+      } catch (error) {
+        console.error(`Error auto-connecting WhatsApp account "${service.name}":`, error);
+      }
+    }
+  }
+
+  /**
+   * Disconnect every connected account but keep the sessions
+   * @returns {Promise<void>}
+   */
+  async disconnectAll() {
+    for (const service of this.list()) {
+      if (!service.getStatus().isConnected) continue;
+
+      try {
+        await service.disconnect(false);
+      } catch (error) {
+        console.error(`Error disconnecting WhatsApp account "${service.name}":`, error);
+      }
+    }
+  }
+
+  /**
+   * Session folder of an account other than the default one
+   * @param {string} clientId - LocalAuth client ID
+   * @returns {string} - Folder path
+   */
+  getSessionPath(clientId) {
+    return path.join(getDatabaseFolder(), 'whatsapp-sessions', clientId);
+  }
+
+  /**
+   * Re-emit the events of an account's service
+   * @private
+   * @param {WhatsAppService} service - Service of the account
+   */
+  _bind(service) {
+    service.on('message_status_change', (update) => this.emit('message_status_change', update));
+    service.on('incoming_message', (message) => this.emit('incoming_message', message));
+
+    for (const event of STATUS_EVENTS) {
+      service.on(event, (data) => {
+        this.emit('account_status', { accountId: service.accountId, event, data });
+      });
+    }
+
+    // Keep the number so it can be shown while the account is offline
+    service.on('whatsapp-info', async (info) => {
+      if (!service.accountId || !info || !info.connected || !info.phoneNumber) return;
+
+      try {
+        await models.WhatsAppAccount.update({ phoneNumber: info.phoneNumber }, { where: { id: service.accountId } });
+      } catch (error) {
+        console.error('Error saving the number of a WhatsApp account:', error);
+      }
+    });
+  }
+}
+
+module.exports = new WhatsAppAccounts();
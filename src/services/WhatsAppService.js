@@ -5,16 +5,36 @@ const { app } = require('electron');
 const EventEmitter = require('events');
 const { getDatabaseFolder } = require('../database/db');
 const os = require('os');
+const { createTransport } = require('./transports');
+const phoneNumberService = require('./PhoneNumberService');
+
+// LocalAuth client ID of the original single-number setup
+const DEFAULT_CLIENT_ID = 'bss-sender';
+
+// Every account's service, so one account doesn't kill the browser of another
+const services = new Set();
 
 /**
- * WhatsAppService manages WhatsApp connection and messaging
+ * WhatsAppService manages the connection and messaging of one WhatsApp
+ * account. WhatsAppAccounts creates one service per account.
  */
 class WhatsAppService extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} options - Account options
+   * @param {number} options.accountId - ID of the WhatsAppAccount row
+   * @param {string} options.name - Account name
+   * @param {string} options.clientId - LocalAuth client ID
+   * @param {string} options.sessionPath - Session folder, the original whatsapp-session folder when omitted
+   */
+  constructor(options = {}) {
     super();
     
+    this.accountId = options.accountId || null;
+    this.name = options.name || 'Main number';
+    this.clientId = options.clientId || DEFAULT_CLIENT_ID;
+    
     // Get database folder from main process
-    this.sessionPath = path.join(getDatabaseFolder(), 'whatsapp-session');
+    this.sessionPath = options.sessionPath || path.join(getDatabaseFolder(), 'whatsapp-session');
     
     this.client = null;
     this.status = {
@@ -34,6 +54,91 @@ class WhatsAppService extends EventEmitter {
     this.reconnectAttempts = 0;
     this.MAX_RECONNECT_ATTEMPTS = 5;
     this.connectionCheckInterval = null;
+
+    // Sends and ACKs go through the transport (real client or mock)
+    this.transport = createTransport(() => this.client);
+    this.bindTransport();
+    
+    services.add(this);
+  }
+
+  /**
+   * Whether the service of another account has a running client
+   * @returns {boolean}
+   */
+  hasOtherClients() {
+    return [...services].some(service => service !== this && service.client);
+  }
+
+  /**
+   * Stop the service for good once its account is removed (disconnect first)
+   */
+  dispose() {
+    if (this.connectionCheckInterval) {
+      clearInterval(this.connectionCheckInterval);
+      this.connectionCheckInterval = null;
+    }
+    this.removeAllListeners();
+    services.delete(this);
+  }
+
+  /**
+   * Forward transport events to the service listeners
+   */
+  bindTransport() {
+    this.transport.on('ack', ({ externalId, status, timestamp }) => {
+      this.emit('message_status_change', { externalId, status, timestamp, accountId: this.accountId });
+      console.log(`[WA EMIT] Emitted status ${status} for message ${externalId}`);
+    });
+
+    // Replies go out from the account the message came in on
+    this.transport.on('message', (message) => {
+      this.emit('incoming_message', { ...message, accountId: this.accountId });
+    });
+
+    // Only the mock transport manages its own connection lifecycle
+    this.transport.on('ready', async () => {
+      this.status.isConnected = true;
+      this.status.status = 'ready';
+      this.status.lastError = null;
+      this.emit('ready');
+      this.emit('whatsapp-info', await this.getConnectedPhoneInfo());
+    });
+
+    this.transport.on('disconnected', (reason) => {
+      this.status.isConnected = false;
+      this.status.status = 'disconnected';
+      this.emit('disconnected', reason);
+    });
+  }
+
+  /**
+   * Whether the mock transport is active
+   * @returns {boolean}
+   */
+  isMockTransport() {
+    return this.transport.name === 'mock';
+  }
+
+  /**
+   * Connect the mock transport instead of launching a browser
+   * @returns {Promise<Object>} - Result object
+   */
+  async initializeMockTransport() {
+    try {
+      this.status.status = 'loading';
+      this.emit('loading', { percent: 0, message: 'Connecting mock transport' });
+      this.emit('authenticated');
+      await this.transport.connect();
+      return { success: true };
+    } catch (error) {
+      this.status.isConnected = false;
+      this.status.status = 'disconnected';
+      this.status.lastError = error.message;
+      return { success: false, error: error.message };
+    } finally {
+      this.initInProgress = false;
+    }
   }
   
   /**
@@ -50,6 +155,10 @@ class WhatsAppService extends EventEmitter {
     
     this.initInProgress = true;
     
+    if (this.isMockTransport()) {
+      return this.initializeMockTransport();
+    }
+    
     try {
       // Check for existing session
       const hasSession = this.hasExistingSession();
@@ -113,7 +222,7 @@ class WhatsAppService extends EventEmitter {
       this.client = new Client({
         authStrategy: new LocalAuth({
           dataPath: this.sessionPath,
-          clientId: 'bss-sender'
+          clientId: this.clientId
         }),
         puppeteer: puppeteerOpts,
         authTimeoutMs: 180000, // Increased timeout (3 minutes)
@@ -222,7 +331,7 @@ class WhatsAppService extends EventEmitter {
             this.client = new Client({
               authStrategy: new LocalAuth({
                 dataPath: this.sessionPath,
-                clientId: 'bss-sender'
+                clientId: this.clientId
               }),
               puppeteer: fallbackOptions,
               authTimeoutMs: 180000,
@@ -310,7 +419,7 @@ class WhatsAppService extends EventEmitter {
       try {
         if (this.client && this.status.isConnected) {
           // Check if client is actually connected
-          const state = await this.client.getState();
+          const state = await this.transport.getState();
           console.log(`WhatsApp connection check - Current state: ${state}`);
           
           if (state !== 'CONNECTED') {
@@ -610,48 +719,8 @@ class WhatsAppService extends EventEmitter {
       }
     });
 
-    // Handle message ACK updates
-    this.client.on('message_ack', (message, ack) => {
-      if (message.fromMe) {
-        // Log every ACK value for debugging
-        console.log(`[WA ACK] Message ${message.id._serialized} ack: ${ack}`);
-        
-        // Map WhatsApp ack levels to our status values
-        let status = null;
-        if (ack === 1) {
-          status = 'SENT';
-        } else if (ack === 2) {
-          status = 'DELIVERED';
-        } else if (ack === 3) {
-          status = 'READ';
-        } else if (ack === 4) {
-          status = 'READ'; // Treat played as read for now
-        }
-        
-        if (status) {
-          this.emit('message_status_change', {
-            externalId: message.id._serialized,
-            status: status,
-            timestamp: new Date()
-          });
-          console.log(`[WA EMIT] Emitted status ${status} for message ${message.id._serialized}`);
-        }
-      }
-    });
-    
-    // Add listener for initial status after message is sent
-    this.client.on('message_create', (message) => {
-      if (message.fromMe) {
-        console.log(`[MESSAGE CREATE] New outgoing message created: ${message.id._serialized}`);
-        
-        // Emit sent status immediately when message is created
-        this.emit('message_status_change', {
-          externalId: message.id._serialized,
-          status: 'SENT',
-          timestamp: new Date()
-        });
-      }
-    });
+    // Message ACKs and incoming messages are mapped and re-emitted by the transport
+    this.transport.attach(this.client);
     
     // Add state change listener
     this.client.on('change_state', state => {
@@ -687,6 +756,11 @@ class WhatsAppService extends EventEmitter {
    * Check if a session exists
    */
   hasExistingSession() {
+    // The mock transport has no session files and can always reconnect
+    if (this.isMockTransport()) {
+      return true;
+    }
+    
     try {
       const sessionDir = this.sessionPath;
       if (!fs.existsSync(sessionDir)) {
@@ -765,6 +839,10 @@ class WhatsAppService extends EventEmitter {
         this.connectionCheckInterval = null;
       }
       
+      if (this.isMockTransport()) {
+        await this.transport.disconnect(deleteSession ? 'LOGOUT' : 'DISCONNECTED');
+      }
+      
       if (this.client) {
         if (deleteSession) {
           try {
@@ -882,6 +960,10 @@ class WhatsAppService extends EventEmitter {
    */
   async getConnectedPhoneInfo() {
     try {
+      if (this.isMockTransport()) {
+        return this.transport.getInfo();
+      }
+      
       if (!this.client || !this.status.isConnected) {
         console.log('Cannot get phone info: WhatsApp client not connected');
         return { phoneNumber: 'Unknown', name: 'Unknown', connected: false };
@@ -965,7 +1047,7 @@ class WhatsAppService extends EventEmitter {
    * @returns {Promise<Object>} - Sent message info
    */
   async sendTextMessage(phoneNumber, message) {
-    if (!this.client) {
+    if (!this.transport.isAvailable()) {
       throw new Error('WhatsApp client not initialized');
     }
     
@@ -996,13 +1078,13 @@ class WhatsAppService extends EventEmitter {
       const formattedNumber = this.formatPhoneNumber(phoneNumber);
       
       // Send message
-      console.log(`Sending text message to ${formattedNumber}`);
-      const result = await this.client.sendMessage(`${formattedNumber}@c.us`, message);
+      console.log(`Sending text message to ${formattedNumber} via ${this.transport.name} transport`);
+      const result = await this.transport.sendText(formattedNumber, message);
       
       // Return message details
       return {
         success: true,
-        externalId: result.id._serialized,
+        externalId: result.externalId,
         to: formattedNumber
       };
     } catch (error) {
@@ -1019,7 +1101,7 @@ class WhatsAppService extends EventEmitter {
    * @returns {Promise<Object>} - Sent message info
    */
   async sendImageMessage(phoneNumber, imagePath, caption = '') {
-    if (!this.client) {
+    if (!this.transport.isAvailable()) {
       throw new Error('WhatsApp client not initialized');
     }
     
@@ -1055,26 +1137,13 @@ class WhatsAppService extends EventEmitter {
       const formattedNumber = this.formatPhoneNumber(phoneNumber);
       
       // Send message
-      console.log(`Sending image message to ${formattedNumber} with image: ${imagePath}`);
-      
-      // Read image as base64
-      const imageData = fs.readFileSync(imagePath, { encoding: 'base64' });
-      const media = new (require('whatsapp-web.js').MessageMedia)(
-        'image/jpeg',
-        imageData,
-        path.basename(imagePath)
-      );
-      
-      const result = await this.client.sendMessage(
-        `${formattedNumber}@c.us`,
-        media,
-        { caption }
-      );
+      console.log(`Sending image message to ${formattedNumber} with image: ${imagePath} via ${this.transport.name} transport`);
+      const result = await this.transport.sendMedia(formattedNumber, imagePath, caption);
       
       // Return message details
       return {
         success: true,
-        externalId: result.id._serialized,
+        externalId: result.externalId,
         to: formattedNumber
       };
     } catch (error) {
@@ -1083,30 +1152,32 @@ class WhatsAppService extends EventEmitter {
     }
   }
 
+  /**
+   * Check whether a phone number has a WhatsApp account, without messaging it
+   * @param {string} phoneNumber - Phone number to look up
+   * @returns {Promise<Object>} - { registered, whatsappId }
+   */
+  async checkNumber(phoneNumber) {
+    if (!this.transport.isAvailable() || !this.status.isConnected) {
+      throw new Error('WhatsApp not connected');
+    }
+
+    return this.transport.checkNumber(this.formatPhoneNumber(phoneNumber));
+  }
+
   /**
    * Format phone number for WhatsApp
    * @param {string} phoneNumber - Phone number to format
-   * @returns {string} - Formatted phone number
+   * @returns {string} - E.164 digits without the +, as WhatsApp chat IDs use them
+   * @throws {Error} - If the number can't be right, so the message fails without a retry
    */
   formatPhoneNumber(phoneNumber) {
-    // Remove any non-digit characters except the leading +
-    let formatted = phoneNumber.toString().replace(/[^\d+]/g, '');
-    
-    // Remove leading + if present (WhatsApp Web API doesn't use + in the chat ID)
-    if (formatted.startsWith('+')) {
-      formatted = formatted.substring(1);
-    }
-    
-    // If number has no country code (typically less than 10 digits or exactly 10 for some countries)
-    // we leave it as is and let the user handle country codes correctly
-    if (formatted.length <= 10) {
-      console.log(`Warning: Phone number ${formatted} appears to be missing country code`);
+    const phone = phoneNumberService.parse(phoneNumber);
+    if (!phone.valid) {
+      throw new Error(`Invalid phone number ${phoneNumber}: ${phone.error}`);
     }
     
-    // Log the formatted number for debugging
-    console.log(`Formatted phone number: ${phoneNumber} → ${formatted}`);
-    
-    return formatted;
+    return phone.e164.slice(1);
   }
 
   /**
@@ -1243,6 +1314,12 @@ class WhatsAppService extends EventEmitter {
    * Kill any old Chrome/Puppeteer processes that might be hanging
    */
   killOldBrowserProcesses() {
+    // The processes are matched by name, so they may belong to another account
+    if (this.hasOtherClients()) {
+      console.log('Other WhatsApp accounts are running, leaving browser processes alone');
+      return;
+    }
+    
     try {
       console.log('Cleaning up old browser processes...');
       
@@ -1633,6 +1710,6 @@ class WhatsAppService extends EventEmitter {
   }
 }
 
-// Export singleton instance
-const whatsAppService = new WhatsAppService();
-module.exports = whatsAppService; 
\ No newline at end of file
+WhatsAppService.DEFAULT_CLIENT_ID = DEFAULT_CLIENT_ID;
+
+module.exports = WhatsAppService; 
\ No newline at end of file
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+
+/**
+ * Default behaviour of the mock transport. Every value can be overridden
+ * by a JSON script (see createTransport in ./index.js).
+ */
+const DEFAULT_SCRIPT = {
+  // Time it takes to "connect" after initialize is called
+  connectDelayMs: 1000,
+  // Time each send call takes before resolving
+  sendLatencyMs: 300,
+  // Delays (from the send) for each ACK step
+  sentAfterMs: 200,
+  deliveredAfterMs: 1500,
+  readAfterMs: 5000,
+  // Outcome per send, cycled in order: sent | delivered | read | fail | timeout | disconnect
+  outcomes: ['read'],
+  // Numbers that always fail as unregistered (digits only, without +)
+  failNumbers: [],
+  failureMessage: 'Phone number not registered on WhatsApp (mock)',
+  timeoutMessage: 'Mock send timeout',
+  // How long a scripted disconnect lasts; 0 keeps the transport offline
+  reconnectAfterMs: 10000,
+  phone: {
+    phoneNumber: '355690000000',
+    name: 'Mock Sender'
+  }
+};
+
+/**
+ * In-process transport that never touches WhatsApp. Sends resolve with
+ * fake ids and ACKs, failures and disconnects are replayed from a script,
+ * so full campaigns can run on a machine without a phone.
+ */
+class MockTransport extends EventEmitter {
+  /**
+   * @param {Object} script - Overrides for DEFAULT_SCRIPT
+   */
+  constructor(script = {}) {
+    super();
+    this.name = 'mock';
+    this.script = { ...DEFAULT_SCRIPT, ...script };
+    this.state = 'DISCONNECTED';
+    this.sendCount = 0;
+    this.sentMessages = [];
+    this.timers = new Set();
+  }
+
+  /**
+   * Load a script from a JSON file
+   * @param {string} scriptPath - Path to the JSON script
+   * @returns {Object} - Parsed script, or an empty object if it cannot be read
+   */
+  static loadScript(scriptPath) {
+    try {
+      const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+      console.log(`[MOCK] Loaded transport script from ${scriptPath}`);
+      return script;
+    } catch (error) {
+      console.error(`[MOCK] Could not load transport script ${scriptPath}:`, error.message);
+      return {};
+    }
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * ACKs and incoming messages are emitted by the mock itself, there is no client to attach to
+   */
+  attach() {}
+
+  /**
+   * Simulate the connection handshake
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    if (this.state === 'CONNECTED') return;
+
+    this.state = 'OPENING';
+    await this._wait(this.script.connectDelayMs);
+    this.state = 'CONNECTED';
+    console.log('[MOCK] Transport connected');
+    this.emit('ready');
+  }
+
+  /**
+   * Simulate a disconnect
+   * @param {string} reason - Reason passed on to listeners
+   */
+  async disconnect(reason = 'LOGOUT') {
+    this._clearTimers();
+    this._goOffline(reason);
+  }
+
+  async getState() {
+    return this.state;
+  }
+
+  /**
+   * Phone information reported for the fake account
+   * @returns {Object}
+   */
+  getInfo() {
+    return {
+      phoneNumber: this.script.phone.phoneNumber,
+      name: this.script.phone.name,
+      connected: this.state === 'CONNECTED',
+      profilePictureUrl: null
+    };
+  }
+
+  async sendText(number, text) {
+    return this._send(number, { type: 'text', body: text });
+  }
+
+  async sendMedia(number, filePath, caption = '') {
+    return this._send(number, { type: 'image', filePath, body: caption });
+  }
+
+  /**
+   * Look up a number, the numbers in failNumbers are not on WhatsApp
+   * @param {string} number - Phone number in WhatsApp format
+   * @returns {Promise<Object>} - { registered, whatsappId }
+   */
+  async checkNumber(number) {
+    if (this.state !== 'CONNECTED') {
+      throw new Error('WhatsApp not connected (mock)');
+    }
+
+    await this._wait(this.script.sendLatencyMs);
+
+    const registered = !this.script.failNumbers.includes(number);
+    return { registered, whatsappId: registered ? `${number}@c.us` : null };
+  }
+
+  /**
+   * Run one scripted send
+   * @param {string} number - Phone number in WhatsApp format
+   * @param {Object} payload - What was sent
+   * @returns {Promise<Object>} - { externalId }
+   */
+  async _send(number, payload) {
+    if (this.state !== 'CONNECTED') {
+      throw new Error('WhatsApp not connected (mock)');
+    }
+
+    const outcomes = this.script.outcomes && this.script.outcomes.length > 0
+      ? this.script.outcomes
+      : DEFAULT_SCRIPT.outcomes;
+    const outcome = outcomes[this.sendCount % outcomes.length];
+    this.sendCount++;
+
+    await this._wait(this.script.sendLatencyMs);
+
+    if (this.script.failNumbers.includes(number) || outcome === 'fail') {
+      throw new Error(this.script.failureMessage);
+    }
+
+    if (outcome === 'timeout') {
+      throw new Error(this.script.timeoutMessage);
+    }
+
+    if (outcome === 'disconnect') {
+      // Pending ACKs of earlier messages still arrive, like on a real phone
+      this._goOffline('MOCK_DISCONNECT');
+      if (this.script.reconnectAfterMs > 0) {
+        this._schedule(() => this.connect(), this.script.reconnectAfterMs);
+      }
+      throw new Error('WhatsApp disconnected (mock)');
+    }
+
+    const externalId = `mock_${Date.now()}_${this.sendCount}@${number}`;
+    this.sentMessages.push({ externalId, to: number, ...payload, sentAt: new Date() });
+    console.log(`[MOCK] Sent ${payload.type} message ${externalId}, scripted outcome: ${outcome}`);
+
+    this._scheduleAck(externalId, 'SENT', this.script.sentAfterMs);
+    if (outcome === 'delivered' || outcome === 'read') {
+      this._scheduleAck(externalId, 'DELIVERED', this.script.deliveredAfterMs);
+    }
+    if (outcome === 'read') {
+      this._scheduleAck(externalId, 'READ', this.script.readAfterMs);
+    }
+
+    return { externalId };
+  }
+
+  /**
+   * Simulate a reply from a contact
+   * @param {string} number - Sender phone number (digits only)
+   * @param {string} body - Message body
+   */
+  receive(number, body) {
+    const externalId = `mock_in_${Date.now()}@${number}`;
+    console.log(`[MOCK] Received message ${externalId}: ${body}`);
+    this.emit('message', { externalId, from: `${number}@c.us`, body, timestamp: new Date() });
+  }
+
+  _goOffline(reason) {
+    if (this.state === 'DISCONNECTED') return;
+
+    this.state = 'DISCONNECTED';
+    console.log(`[MOCK] Transport disconnected: ${reason}`);
+    this.emit('disconnected', reason);
+  }
+
+  _scheduleAck(externalId, status, delay) {
+    this._schedule(() => {
+      this.emit('ack', { externalId, status, timestamp: new Date() });
+    }, delay);
+  }
+
+  _schedule(fn, delay) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      fn();
+    }, delay);
+    this.timers.add(timer);
+  }
+
+  _clearTimers() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  _wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+MockTransport.DEFAULT_SCRIPT = DEFAULT_SCRIPT;
+
+module.exports = MockTransport;
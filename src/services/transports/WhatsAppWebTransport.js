@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { MessageMedia } = require('whatsapp-web.js');
+
+/**
+ * Transport backed by a whatsapp-web.js Client.
+ *
+ * The client itself is still created and owned by WhatsAppService (it is
+ * recreated on every reconnect), so the transport only receives a getter
+ * for the current instance and is re-attached whenever listeners are set up.
+ */
+class WhatsAppWebTransport extends EventEmitter {
+  /**
+   * @param {Function} getClient - Returns the current whatsapp-web.js Client (or null)
+   */
+  constructor(getClient) {
+    super();
+    this.name = 'whatsapp-web';
+    this.getClient = getClient;
+  }
+
+  /**
+   * Whether a client exists that messages can be sent through
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !!this.getClient();
+  }
+
+  /**
+   * Register ACK and incoming message listeners on a (new) client instance
+   * @param {Object} client - whatsapp-web.js Client
+   */
+  attach(client) {
+    if (!client) return;
+
+    // Incoming messages from individual chats (groups and status updates are ignored)
+    client.on('message', (message) => {
+      if (message.fromMe || !message.from || !message.from.endsWith('@c.us')) return;
+
+      this.emit('message', {
+        externalId: message.id._serialized,
+        from: message.from,
+        body: message.body || '',
+        timestamp: message.timestamp ? new Date(message.timestamp * 1000) : new Date()
+      });
+    });
+
+    // Handle message ACK updates
+    client.on('message_ack', (message, ack) => {
+      if (!message.fromMe) return;
+
+      // Log every ACK value for debugging
+      console.log(`[WA ACK] Message ${message.id._serialized} ack: ${ack}`);
+
+      // Map WhatsApp ack levels to our status values
+      let status = null;
+      if (ack === 1) {
+        status = 'SENT';
+      } else if (ack === 2) {
+        status = 'DELIVERED';
+      } else if (ack === 3 || ack === 4) {
+        status = 'READ'; // Treat played as read for now
+      }
+
+      if (status) {
+        this.emit('ack', {
+          externalId: message.id._serialized,
+          status,
+          timestamp: new Date()
+        });
+      }
+    });
+
+    // Emit sent status immediately when an outgoing message is created
+    client.on('message_create', (message) => {
+      if (!message.fromMe) return;
+
+      console.log(`[MESSAGE CREATE] New outgoing message created: ${message.id._serialized}`);
+      this.emit('ack', {
+        externalId: message.id._serialized,
+        status: 'SENT',
+        timestamp: new Date()
+      });
+    });
+  }
+
+  /**
+   * Send a text message
+   * @param {string} number - Phone number in WhatsApp format (digits only)
+   * @param {string} text - Message body
+   * @returns {Promise<Object>} - { externalId }
+   */
+  async sendText(number, text) {
+    const client = this._requireClient();
+    const result = await client.sendMessage(`${number}@c.us`, text);
+    return { externalId: result.id._serialized };
+  }
+
+  /**
+   * Send an image with an optional caption
+   * @param {string} number - Phone number in WhatsApp format (digits only)
+   * @param {string} filePath - Path to the image file
+   * @param {string} caption - Optional caption
+   * @returns {Promise<Object>} - { externalId }
+   */
+  async sendMedia(number, filePath, caption = '') {
+    const client = this._requireClient();
+
+    // Read image as base64
+    const imageData = fs.readFileSync(filePath, { encoding: 'base64' });
+    const media = new MessageMedia('image/jpeg', imageData, path.basename(filePath));
+
+    const result = await client.sendMessage(`${number}@c.us`, media, { caption });
+    return { externalId: result.id._serialized };
+  }
+
+  /**
+   * Look up whether a number has a WhatsApp account
+   * @param {string} number - Phone number in WhatsApp format (digits only)
+   * @returns {Promise<Object>} - { registered, whatsappId }
+   */
+  async checkNumber(number) {
+    const client = this._requireClient();
+
+    // getNumberId also resolves numbers whose WhatsApp ID differs from the dialed number
+    const numberId = await client.getNumberId(number);
+    return {
+      registered: !!numberId,
+      whatsappId: numberId ? numberId._serialized : null
+    };
+  }
+
+  /**
+   * Get the underlying WhatsApp Web state (CONNECTED, OPENING, ...)
+   * @returns {Promise<string|null>}
+   */
+  async getState() {
+    const client = this._requireClient();
+    return client.getState();
+  }
+
+  _requireClient() {
+    const client = this.getClient();
+    if (!client) {
+      throw new Error('WhatsApp client not initialized');
+    }
+    return client;
+  }
+}
+
+module.exports = WhatsAppWebTransport;
@@ -0,0 +1,49 @@
+const WhatsAppWebTransport = require('./WhatsAppWebTransport');
+const MockTransport = require('./MockTransport');
+
+/**
+ * Transports are what WhatsAppService sends through. Every transport is an
+ * EventEmitter implementing:
+ *   - name                            'whatsapp-web' | 'mock'
+ *   - isAvailable()                   whether sends can be attempted
+ *   - attach(client)                  hook up ACK and message listeners on a new client
+ *   - sendText(number, text)          -> Promise<{ externalId }>
+ *   - sendMedia(number, path, caption)-> Promise<{ externalId }>
+ *   - checkNumber(number)             -> Promise<{ registered, whatsappId }>
+ *   - getState()                      -> Promise<string> (CONNECTED, ...)
+ * and emitting 'ack' with { externalId, status, timestamp } and 'message'
+ * with { externalId, from, body, timestamp } for incoming messages.
+ *
+ * The mock transport additionally owns its connection lifecycle
+ * (connect/disconnect/getInfo) and emits 'ready' and 'disconnected'.
+ */
+
+/**
+ * Create the transport selected by BSS_TRANSPORT (defaults to whatsapp-web).
+ * The mock reads an optional JSON script from BSS_MOCK_SCRIPT.
+ * @param {Function} getClient - Returns the current whatsapp-web.js Client
+ * @returns {EventEmitter} - Transport instance
+ */
+function createTransport(getClient) {
+  const name = (process.env.BSS_TRANSPORT || 'whatsapp-web').toLowerCase();
+
+  if (name === 'mock') {
+    const script = process.env.BSS_MOCK_SCRIPT
+      ? MockTransport.loadScript(process.env.BSS_MOCK_SCRIPT)
+      : {};
+    console.log('Using mock WhatsApp transport');
+    return new MockTransport(script);
+  }
+
+  if (name !== 'whatsapp-web') {
+    console.warn(`Unknown transport "${name}", falling back to whatsapp-web`);
+  }
+
+  return new WhatsAppWebTransport(getClient);
+}
+
+module.exports = {
+  createTransport,
+  WhatsAppWebTransport,
+  MockTransport
+};
@@ -1,7 +1,7 @@
 const { sequelize, models, initDatabase } = require('./src/database/db');
 const salesMessageController = require('./src/controllers/SalesMessageController');
 const salesApiController = require('./src/controllers/SalesApiController');
-const whatsAppService = require('./src/services/WhatsAppService');
+const whatsAppService = require('./src/services/WhatsAppAccounts').getDefault();
 
 async function testSalesMessages() {
   try {